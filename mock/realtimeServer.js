@@ -0,0 +1,211 @@
+import { createServer } from 'node:http';
+import { createHash, randomUUID } from 'node:crypto';
+import { createInterface } from 'node:readline';
+
+/**
+ * Mock realtime server - for trying out services/realtime.js without the backend
+ *
+ * Speaks the same protocol as the backend's /events WebSocket: any non-empty
+ * token is accepted, "expired" is rejected with close code 4001.
+ *
+ *   npm run mock:realtime              # ws://localhost:8081/events
+ *   npm run mock:realtime -- --demo    # plus a random event every few seconds
+ *
+ * Then start the app with VITE_REALTIME_URL=ws://localhost:8081/events.
+ *
+ * Type an event on stdin to send it to every connected client:
+ *
+ *   file.created {"item": {"id": "f1", "name": "report.pdf", "folderId": null, "size": 1200, "mimeType": "application/pdf"}}
+ *   file.deleted {"id": "f1", "folderId": null, "name": "report.pdf"}
+ *   share.accessed {"shareId": "s1", "itemId": "f1", "itemName": "report.pdf", "scope": "view"}
+ *
+ * Only what the app needs from RFC 6455: unfragmented text frames, ping, close.
+ */
+
+const PORT = Number(process.env.PORT) || 8081;
+const PATH = '/events';
+const DEMO_INTERVAL = 5000;
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+const TEAMMATE = { id: 'mock-teammate', displayName: 'Mock Teammate' };
+
+// Authenticated sockets
+const clients = new Set();
+
+/**
+ * ====================================
+ * FRAMES
+ * ====================================
+ */
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)){
+    const length = payload.length;
+    let header;
+    if(length < 126){
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if(length < 65536){
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete frames off the front of `buffer`
+ *
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+function decodeFrames(buffer){
+    const frames = [];
+    let offset = 0;
+    while(buffer.length - offset >= 2){
+        const opcode = buffer[offset] & 0x0f;
+        const masked = Boolean(buffer[offset + 1] & 0x80);
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        if(length === 126){
+            if(buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if(length === 127){
+            if(buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        const maskLength = masked ? 4 : 0;
+        if(buffer.length - offset < headerLength + maskLength + length) break;
+
+        const mask = buffer.subarray(offset + headerLength, offset + headerLength + maskLength);
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if(masked) payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4]; });
+
+        frames.push({ opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function send(socket, message){
+    socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(message))));
+}
+
+function close(socket, code, reason = ''){
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    socket.end(encodeFrame(OPCODES.CLOSE, payload));
+    clients.delete(socket);
+}
+
+/**
+ * ====================================
+ * EVENTS
+ * ====================================
+ */
+
+function broadcast(name, data, actor = TEAMMATE){
+    const event = { id: randomUUID(), name, occurredAt: new Date().toISOString(), actor, data };
+    clients.forEach(socket => send(socket, { type: 'event', event }));
+    console.log(`-> ${name} to ${clients.size} client(s)`);
+}
+
+function randomDemoEvent(){
+    const id = `demo-${Math.random().toString(36).slice(2, 8)}`;
+    const name = `demo-${id.slice(5)}.txt`;
+    const item = { id, name, folderId: null, size: 1024, mimeType: 'text/plain', updatedAt: new Date().toISOString() };
+    const events = [
+        () => broadcast('file.created', { item }),
+        () => broadcast('share.accessed', { shareId: 'demo-share', itemId: id, itemName: name, scope: 'view' }, null),
+        () => broadcast('upload.processed', { item })
+    ];
+    events[Math.floor(Math.random() * events.length)]();
+}
+
+/**
+ * "file.created {...json...}" from stdin
+ */
+function handleCommand(line){
+    const match = line.trim().match(/^(\S+)\s*(.*)$/);
+    if(!match) return;
+    try{
+        broadcast(match[1], match[2] ? JSON.parse(match[2]) : {});
+    } catch (error){
+        console.error(`Could not parse the event data: ${error.message}`);
+    }
+}
+
+/**
+ * ====================================
+ * SERVER
+ * ====================================
+ */
+
+function handleMessage(socket, text){
+    let message;
+    try{
+        message = JSON.parse(text);
+    } catch (error){
+        return;
+    }
+    if(message.type !== 'auth') return;
+
+    if(!message.token || message.token === 'expired'){
+        close(socket, 4001, 'Token rejected');
+        return;
+    }
+    clients.add(socket);
+    send(socket, { type: 'ready' });
+}
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket only\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if(new URL(req.url, 'http://localhost').pathname !== PATH || !key){
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+        pending = rest;
+        frames.forEach(({ opcode, payload }) => {
+            if(opcode === OPCODES.TEXT) handleMessage(socket, payload.toString('utf8'));
+            else if(opcode === OPCODES.PING) socket.write(encodeFrame(OPCODES.PONG, payload));
+            else if(opcode === OPCODES.CLOSE) close(socket, 1000);
+        });
+    });
+    socket.on('close', () => clients.delete(socket));
+    socket.on('error', () => clients.delete(socket));
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock realtime server on ws://localhost:${PORT}${PATH}`);
+    console.log('Type "<event name> <json data>" to send an event.');
+});
+
+createInterface({ input: process.stdin }).on('line', handleCommand);
+
+if(process.argv.includes('--demo')) setInterval(randomDemoEvent, DEMO_INTERVAL);
@@ -0,0 +1,122 @@
+/**
+ * FileFlow service worker
+ *
+ * - App shell: the page, scripts, styles and images are cached as they load,
+ *   so the app opens without a connection (navigations fall back to index.html).
+ * - Folder listings: GET /folders and /files responses are saved (network first),
+ *   so recently viewed folders can still be browsed offline. Only the most
+ *   recent MAX_API_ENTRIES are kept.
+ * - The page posts { type: 'clear-api-cache' } on logout so the next user on
+ *   this device never sees someone else's listings.
+ *
+ * Bump CACHE_VERSION to throw away old caches after a breaking change.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `fileflow-shell-${CACHE_VERSION}`;
+const API_CACHE = `fileflow-api-${CACHE_VERSION}`;
+
+const SHELL_URLS = ['/', '/index.html', '/file-flow-high-resolution-logo-transparent.png'];
+
+const MAX_API_ENTRIES = 100;
+
+// Listing endpoints worth keeping for offline browsing (not file contents or signed URLs)
+const CACHEABLE_API = /\/api\/v1\/(folders(\/[^/]+)?|files)$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('fileflow-') && ![SHELL_CACHE, API_CACHE].includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if(event.data?.type === 'clear-api-cache'){
+        event.waitUntil(caches.delete(API_CACHE));
+    }
+});
+
+/**
+ * Keep the API cache small - Cache API keys come back oldest first
+ */
+async function trimApiCache(){
+    const cache = await caches.open(API_CACHE);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_API_ENTRIES)).map(key => cache.delete(key)));
+}
+
+/**
+ * Folder listings: try the network, save the answer, fall back to the saved one
+ */
+async function networkFirst(request){
+    const cache = await caches.open(API_CACHE);
+    try{
+        const response = await fetch(request);
+        if(response.ok){
+            // Re-adding moves the entry to the end, so trimming drops the least recent
+            await cache.delete(request);
+            await cache.put(request, response.clone());
+            trimApiCache();
+        }
+        return response;
+    } catch (error){
+        const cached = await cache.match(request);
+        if(cached) return cached;
+        return new Response(JSON.stringify({ message: 'This folder is not available offline', offline: true }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+/**
+ * App shell files: cached copy first (built assets have hashed names), network otherwise
+ */
+async function cacheFirst(request){
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if(cached) return cached;
+
+    const response = await fetch(request);
+    if(response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+/**
+ * Pages: network first so deploys show up, the cached shell when offline
+ */
+async function navigate(request){
+    try{
+        return await fetch(request);
+    } catch (error){
+        const cache = await caches.open(SHELL_CACHE);
+        return (await cache.match('/index.html')) || (await cache.match('/')) || Response.error();
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if(request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if(request.mode === 'navigate'){
+        event.respondWith(navigate(request));
+    } else if(CACHEABLE_API.test(url.pathname)){
+        event.respondWith(networkFirst(request));
+    } else if(url.origin === self.location.origin){
+        event.respondWith(cacheFirst(request));
+    }
+});
@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+
+/**
+ * Router guard check - walks the real route table through Vaadin Router
+ *
+ * The guards only run in the browser, and a redirect the router can't
+ * follow (e.g. a query string in commands.redirect()) only fails there, at
+ * navigation time. This runs the same resolve -> redirect steps Router does
+ * (urlForPath() goes through path-to-regexp like a real redirect) with just
+ * enough of a browser around it.
+ *
+ *   npm run check:router
+ *
+ * Pages aren't loaded: a route that lets the user in resolves to its
+ * component name.
+ */
+
+/**
+ * ====================================
+ * BROWSER STAND-INS
+ * ====================================
+ */
+
+function createStorage(){
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+// Enough of the DOM for the router to put pages in its outlet
+class FakeElement {
+    constructor(localName){
+        this.localName = localName;
+        this.children = [];
+        this.parentNode = null;
+    }
+
+    appendChild(child){
+        child.remove();
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    remove(){
+        if(!this.parentNode) return;
+        this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+        this.parentNode = null;
+    }
+}
+
+const browserDocument = Object.assign(new EventTarget(), {
+    URL: 'http://localhost/',
+    head: { querySelector: () => null },
+    createElement: (localName) => new FakeElement(localName)
+});
+const browserWindow = Object.assign(new EventTarget(), {
+    document: browserDocument,
+    location: new URL('http://localhost/'),
+    sessionStorage: createStorage(),
+    localStorage: createStorage()
+});
+Object.assign(globalThis, {
+    window: browserWindow,
+    document: browserDocument,
+    location: browserWindow.location,
+    sessionStorage: browserWindow.sessionStorage,
+    localStorage: browserWindow.localStorage,
+    Element: FakeElement,
+    HTMLElement: FakeElement
+});
+if(!globalThis.navigator) globalThis.navigator = { onLine: true };
+
+const { Router } = await import('@vaadin/router');
+const { routes, getPostLoginRedirect } = await import('../src/router/Router.js');
+const { loginUser, startTwoFactorChallenge, clearTwoFactorChallenge } = await import('../src/store/index.js');
+
+/**
+ * ====================================
+ * WALKING A URL
+ * ====================================
+ */
+
+// Routes render their component without importing the page
+function skipPageLoads(routeList){
+    routeList.forEach(route => {
+        if(route.children){
+            route.action = () => undefined;
+            skipPageLoads(route.children);
+        } else {
+            route.load = () => undefined;
+        }
+    });
+}
+
+/**
+ * Open a URL the way a fresh page load would
+ *
+ * @param {string} url
+ * @returns {Promise<{path: string, component: string}>} Where the user ends up
+ *   - the URL and the innermost page rendered
+ */
+async function open(url){
+    const { pathname, search, href } = new URL(url, 'http://localhost');
+    browserWindow.location.href = href;
+
+    const location = await router.render({ pathname, search });
+    let page = outlet;
+    while(page.children.length) page = page.children[0];
+    return { path: location.pathname, component: page.localName };
+}
+
+skipPageLoads(routes);
+const outlet = new FakeElement('main');
+const router = new Router(outlet);
+router.setRoutes(routes);
+
+/**
+ * ====================================
+ * CHECKS
+ * ====================================
+ */
+
+const checks = [
+    ['a logged-out user opening My Files goes to the login page', async () => {
+        assert.deepEqual(await open('/my-files/abc?sort=name'), { path: '/login', component: 'login-page' });
+    }],
+
+    ['after logging in they go back to the page they asked for', async () => {
+        browserWindow.location.href = 'http://localhost/login';
+        assert.equal(getPostLoginRedirect(), '/my-files/abc?sort=name');
+    }],
+
+    ['a ?redirect= in the login URL wins over the remembered page', async () => {
+        browserWindow.location.href = 'http://localhost/login?redirect=%2Fupload';
+        assert.equal(getPostLoginRedirect(), '/upload');
+    }],
+
+    ['a ?redirect= to another site is ignored', async () => {
+        for(const target of ['//evil.com', '/\\evil.com', 'https://evil.com/']){
+            browserWindow.location.href = `http://localhost/login?redirect=${encodeURIComponent(target)}`;
+            assert.equal(getPostLoginRedirect(), '/dashboard', target);
+        }
+    }],
+
+    ['the code page without a two-factor login in progress goes back to login, keeping the target', async () => {
+        assert.deepEqual(await open('/login/verify?redirect=%2Fshared%3Ftab%3Dlinks'), { path: '/login', component: 'login-page' });
+        assert.equal(getPostLoginRedirect(), '/shared?tab=links');
+    }],
+
+    ['a half-logged-in user (password, no code yet) goes to the code page, not in', async () => {
+        startTwoFactorChallenge({ challengeToken: 'challenge', email: 'test@example.com', methods: ['totp'] });
+        assert.deepEqual(await open('/trash?page=2'), { path: '/login/verify', component: 'two-factor-page' });
+        assert.equal(getPostLoginRedirect(), '/trash?page=2');
+        clearTwoFactorChallenge();
+    }],
+
+    ['a logged-in user opening the login page goes to the remembered page', async () => {
+        await open('/upload');
+        loginUser({ id: 'u1', name: 'Test' }, 'access-token', 'refresh-token');
+        assert.deepEqual(await open('/login'), { path: '/upload', component: 'upload-page' });
+        assert.equal(sessionStorage.getItem('fileflow:redirect'), null);
+    }],
+
+    ['public pages stay public', async () => {
+        assert.deepEqual(await open('/s/abc123'), { path: '/s/abc123', component: 'shared-link-page' });
+    }]
+];
+
+let failed = 0;
+for(const [name, check] of checks){
+    try{
+        await check();
+        console.log(`ok   ${name}`);
+    } catch (error){
+        failed++;
+        console.log(`FAIL ${name}\n     ${error.message.split('\n').join('\n     ')}`);
+    }
+}
+router.unsubscribe();
+process.exit(failed ? 1 : 0);
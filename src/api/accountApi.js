@@ -0,0 +1,208 @@
+import api from './axiosInstance.js';
+
+/**
+ * Account API calls - the logged-in user's own profile
+ *
+ * Calls that change the profile answer with the updated user, ready for
+ * updateUser() in the store. Validation problems come back as 422 with
+ * field errors (see utils/formBinder.js).
+ *
+ * Changing the email address doesn't happen straight away: the server
+ * mails a link to the new address and keeps it in `user.pendingEmail`
+ * until that link is opened. Until then `user.email` stays the old one.
+ */
+
+/**
+ * The current user, fresh from the server
+ *
+ * @returns {Promise<Object>}
+ */
+async function getProfile(){
+    const { data } = await api.get('/me');
+    return data;
+}
+
+/**
+ * Change profile fields (display name etc.)
+ *
+ * @param {Object} changes - e.g. { displayName: 'Ada' }
+ * @returns {Promise<Object>} The updated user
+ */
+async function updateProfile(changes){
+    const { data } = await api.patch('/me', changes);
+    return data;
+}
+
+/**
+ * ====================================
+ * EMAIL
+ * ====================================
+ */
+
+/**
+ * Start an email change - a verification link goes to the new address
+ *
+ * @param {string} email - New address
+ * @param {string} currentPassword - Confirms it's really the user
+ * @returns {Promise<Object>} The updated user (with `pendingEmail`)
+ */
+async function requestEmailChange(email, currentPassword){
+    const { data } = await api.post('/me/email', { email, currentPassword });
+    return data;
+}
+
+/**
+ * Send the verification link for the pending email again
+ */
+async function resendEmailVerification(){
+    await api.post('/me/email/resend');
+}
+
+/**
+ * Keep the current email and forget the pending one
+ *
+ * @returns {Promise<Object>} The updated user
+ */
+async function cancelEmailChange(){
+    const { data } = await api.delete('/me/email');
+    return data;
+}
+
+/**
+ * ====================================
+ * AVATAR
+ * ====================================
+ */
+
+/**
+ * Upload a new avatar (already cropped and resized in the browser)
+ *
+ * @param {Blob} image
+ * @returns {Promise<Object>} The updated user (with the new `avatarUrl`)
+ */
+async function uploadAvatar(image){
+    const body = new FormData();
+    body.append('avatar', image, `avatar.${image.type.split('/')[1] || 'png'}`);
+    const { data } = await api.put('/me/avatar', body);
+    return data;
+}
+
+/**
+ * Go back to the initials avatar
+ *
+ * @returns {Promise<Object>} The updated user
+ */
+async function removeAvatar(){
+    const { data } = await api.delete('/me/avatar');
+    return data;
+}
+
+/**
+ * ====================================
+ * PASSWORD + SESSIONS
+ * ====================================
+ */
+
+/**
+ * Change the password (422 { errors: { currentPassword } } when the old one is wrong)
+ *
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ */
+async function changePassword(currentPassword, newPassword){
+    await api.post('/me/password', { currentPassword, newPassword });
+}
+
+/**
+ * ====================================
+ * TWO-FACTOR AUTHENTICATION (TOTP)
+ * ====================================
+ */
+
+/**
+ * Start setting up 2FA - a new secret, not active until confirmed
+ *
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+async function startTwoFactorSetup(){
+    const { data } = await api.post('/me/2fa/setup');
+    return data;
+}
+
+/**
+ * Turn 2FA on with a first code from the app (proves it was scanned right)
+ *
+ * @param {string} code - 6 digits
+ * @returns {Promise<{user: Object, recoveryCodes: string[]}>} Recovery codes are only ever shown now
+ */
+async function confirmTwoFactorSetup(code){
+    const { data } = await api.post('/me/2fa/confirm', { code });
+    return data;
+}
+
+/**
+ * New recovery codes (the old ones stop working)
+ *
+ * @param {string} code - Current code from the app
+ * @returns {Promise<{recoveryCodes: string[]}>}
+ */
+async function regenerateRecoveryCodes(code){
+    const { data } = await api.post('/me/2fa/recovery-codes', { code });
+    return data;
+}
+
+/**
+ * Turn 2FA off
+ *
+ * @param {string} currentPassword
+ * @returns {Promise<Object>} The updated user
+ */
+async function disableTwoFactor(currentPassword){
+    const { data } = await api.delete('/me/2fa', { data: { currentPassword } });
+    return data;
+}
+
+/**
+ * Devices the user is logged in on
+ *
+ * @returns {Promise<Array<{id: string, browser: string, os: string, device: string, ipAddress: string, location: string|null, createdAt: string, lastActiveAt: string, current: boolean}>>}
+ */
+async function listSessions(){
+    const { data } = await api.get('/me/sessions');
+    return data;
+}
+
+/**
+ * Log one device out (its refresh token stops working)
+ *
+ * @param {string} sessionId
+ */
+async function revokeSession(sessionId){
+    await api.delete(`/me/sessions/${encodeURIComponent(sessionId)}`);
+}
+
+export {
+    // profile
+    getProfile,
+    updateProfile,
+
+    // email
+    requestEmailChange,
+    resendEmailVerification,
+    cancelEmailChange,
+
+    // avatar
+    uploadAvatar,
+    removeAvatar,
+
+    // two-factor
+    startTwoFactorSetup,
+    confirmTwoFactorSetup,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+
+    // password + sessions
+    changePassword,
+    listSessions,
+    revokeSession
+};
@@ -0,0 +1,85 @@
+import api from './axiosInstance.js';
+import { getSessionBackend } from '../store/sessionBackends.js';
+
+/**
+ * Authentication API calls
+ *
+ * Login/registration answer with `{ user, accessToken, refreshToken }`,
+ * ready for loginUser() in the store. Validation problems come back as
+ * 422 with field errors (see utils/formBinder.js).
+ *
+ * With two-factor authentication on, login answers with a challenge
+ * instead of tokens: `{ twoFactorRequired: true, challengeToken, methods,
+ * expiresAt }`. verifyTwoFactor() trades it + a code for the real tokens.
+ *
+ * With the memory session backend the backend also sets (or clears) the
+ * httpOnly refresh cookie, so those calls have to send cookies.
+ */
+
+const cookieOptions = () => ({ withCredentials: getSessionBackend().usesRefreshCookie });
+
+/**
+ * Log in with email and password
+ *
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} Tokens, or a two-factor challenge (see above)
+ */
+async function login(email, password){
+    const { data } = await api.post('/auth/login', { email, password }, cookieOptions());
+    return data;
+}
+
+/**
+ * Second login step - a code from the authenticator app, or a recovery code
+ *
+ * Fails with 401 { code: 'INVALID_CODE' } for a wrong code and
+ * 401 { code: 'CHALLENGE_EXPIRED' } when the user took too long.
+ *
+ * @param {string} challengeToken - From login()
+ * @param {{code?: string, recoveryCode?: string}} proof
+ * @returns {Promise<{user: Object, accessToken: string, refreshToken: string, recoveryCodesLeft?: number}>}
+ */
+async function verifyTwoFactor(challengeToken, { code, recoveryCode }){
+    const { data } = await api.post('/auth/2fa/verify', { challengeToken, code, recoveryCode }, cookieOptions());
+    return data;
+}
+
+/**
+ * Create an account (the user is logged in straight away)
+ *
+ * @param {{username: string, email: string, password: string}} details
+ * @returns {Promise<{user: Object, accessToken: string, refreshToken: string}>}
+ */
+async function register({ username, email, password }){
+    const { data } = await api.post('/auth/register', { username, email, password }, cookieOptions());
+    return data;
+}
+
+/**
+ * Is this username still free?
+ *
+ * @param {string} username
+ * @returns {Promise<boolean>}
+ */
+async function isUsernameAvailable(username){
+    const { data } = await api.get('/auth/username-available', { params: { username } });
+    return data.available;
+}
+
+/**
+ * End the session on the server (revokes the refresh token / clears the cookie)
+ *
+ * @param {string|null} refreshToken - Not needed with the memory backend (it's in the cookie)
+ */
+async function logout(refreshToken){
+    await api.post('/auth/logout', refreshToken ? { refreshToken } : {}, cookieOptions());
+}
+
+export {
+    login,
+    verifyTwoFactor,
+    register,
+    logout,
+    isUsernameAvailable
+};
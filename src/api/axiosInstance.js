@@ -1,14 +1,141 @@
 import axios from 'axios'
+import { getAccessToken, getCurrentUser, getRefreshToken, isAuthenticated, loginUser, logoutUser, restoreSession } from '../store/index.js';
+import { getSessionBackend } from '../store/sessionBackends.js';
 
 const instance = axios.create({
     baseURL: 'http://localhost:8080/api/v1',
     headers: {'Content-Type': 'application/json'},
 });
 
+// The store is the only place that knows the token (wherever the session backend keeps it)
 instance.interceptors.request.use(config => {
-    const token = localStorage.getItem('access_token');
+    const token = getAccessToken();
     if(token) config.headers.Authorization = `Bearer ${token}`;
     return config;
 });
 
+/**
+ * =====================================================
+ * TOKEN REFRESH - Get a new access token on 401
+ * =====================================================
+ */
+
+// Endpoint that swaps a refresh token for a new pair of tokens
+const REFRESH_URL = '/auth/refresh';
+
+// Web Lock held while refreshing - tabs sharing a login take turns, because with
+// rotating refresh tokens the second tab would spend a token the first one just revoked
+const REFRESH_LOCK = 'fileflow:token-refresh';
+
+// The refresh call currently in flight (shared by every request that got a 401)
+let refreshPromise = null;
+
+/**
+ * Ask the backend for new tokens
+ *
+ * Uses plain axios (not our instance) so the refresh call itself
+ * never goes through these interceptors and can't loop.
+ * With the memory session backend the refresh token is an httpOnly cookie,
+ * so we send cookies instead of a token in the body.
+ *
+ * @returns {Promise<string>} The new access token
+ */
+async function requestNewTokens(){
+    const usesCookie = getSessionBackend().usesRefreshCookie;
+    const refreshToken = getRefreshToken();
+    if(!usesCookie && !refreshToken){
+        throw new Error('No refresh token available');
+    }
+
+    const { data } = await axios.post(
+        `${instance.defaults.baseURL}${REFRESH_URL}`,
+        usesCookie ? {} : { refreshToken },
+        { withCredentials: usesCookie }
+    );
+
+    // Backend may answer in camelCase or snake_case
+    const accessToken = data.accessToken || data.access_token;
+    const newRefreshToken = data.refreshToken || data.refresh_token || refreshToken;
+    if(!accessToken){
+        throw new Error('Refresh response did not contain an access token');
+    }
+
+    // Save new tokens, keep the same user
+    loginUser(data.user || getCurrentUser(), accessToken, newRefreshToken);
+    return accessToken;
+}
+
+/**
+ * Ask for new tokens unless another tab already got them
+ *
+ * Holds REFRESH_LOCK when the login is shared between tabs. A tab that had
+ * to wait re-reads the stored session first: if the refresh token changed,
+ * another tab refreshed meanwhile and we take its tokens instead.
+ * (With the refresh cookie every tab needs its own access token, but the
+ * lock still makes them use the cookie one after the other.)
+ *
+ * @returns {Promise<string>} The new access token
+ */
+function requestNewTokensOnce(){
+    const backend = getSessionBackend();
+    if(!backend.sharedBetweenTabs || !navigator.locks) return requestNewTokens();
+
+    const refreshToken = getRefreshToken();
+    return navigator.locks.request(REFRESH_LOCK, () => {
+        const stored = backend.usesRefreshCookie ? null : backend.load();
+        if(stored?.refreshToken && stored.refreshToken !== refreshToken){
+            restoreSession();
+            return stored.accessToken;
+        }
+        return requestNewTokens();
+    });
+}
+
+/**
+ * Refresh tokens only once, no matter how many requests failed at the same time
+ *
+ * Every caller gets the same promise until the refresh finishes.
+ *
+ * @returns {Promise<string>} The new access token
+ */
+function refreshTokens(){
+    if(!refreshPromise){
+        refreshPromise = requestNewTokensOnce().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+instance.interceptors.response.use(
+    response => response,
+    async error => {
+        const { config, response } = error;
+
+        // Only handle 401s, and only retry each request once.
+        // A 401 from /auth/* (wrong password, refresh itself) is a real answer, not an expired token.
+        if(!config || !response || response.status !== 401 || config._retry || config.url?.startsWith('/auth/')){
+            return Promise.reject(error);
+        }
+        config._retry = true;
+
+        try{
+            const accessToken = await refreshTokens();
+            config.headers.Authorization = `Bearer ${accessToken}`;
+            // Replay the original request with the new token
+            return instance(config);
+        } catch (refreshError){
+            console.error('Token refresh failed, logging out:', refreshError);
+            // Only the first failed caller needs to log out
+            if(isAuthenticated()){
+                logoutUser();
+                window.dispatchEvent(new CustomEvent('user-logout', { detail: { reason: 'expired' } }));
+            }
+            return Promise.reject(refreshError);
+        }
+    }
+);
+
+export { refreshTokens };
+
 export default instance;
\ No newline at end of file
@@ -0,0 +1,65 @@
+import api from './axiosInstance.js';
+
+/**
+ * Smart collections API calls
+ *
+ * A collection is a saved rule, e.g. "videos tagged client-x modified in
+ * the last 30 days". The backend only stores it - the app turns the rule
+ * into listing filters every time the collection is opened, so it always
+ * shows what matches right now (see services/collections.js).
+ *
+ * Collection: { id, name, rule: { types, tags, modifiedWithinDays, starred } }
+ */
+
+/**
+ * All collections of the logged-in user
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function listCollections(){
+    const { data } = await api.get('/collections');
+    return data;
+}
+
+/**
+ * @param {string} collectionId
+ * @returns {Promise<Object>}
+ */
+async function getCollection(collectionId){
+    const { data } = await api.get(`/collections/${encodeURIComponent(collectionId)}`);
+    return data;
+}
+
+/**
+ * @param {{name: string, rule: Object}} collection
+ * @returns {Promise<Object>} The new collection
+ */
+async function createCollection({ name, rule }){
+    const { data } = await api.post('/collections', { name, rule });
+    return data;
+}
+
+/**
+ * @param {string} collectionId
+ * @param {{name: string, rule: Object}} collection
+ * @returns {Promise<Object>} The updated collection
+ */
+async function updateCollection(collectionId, { name, rule }){
+    const { data } = await api.put(`/collections/${encodeURIComponent(collectionId)}`, { name, rule });
+    return data;
+}
+
+/**
+ * @param {string} collectionId
+ */
+async function deleteCollection(collectionId){
+    await api.delete(`/collections/${encodeURIComponent(collectionId)}`);
+}
+
+export {
+    listCollections,
+    getCollection,
+    createCollection,
+    updateCollection,
+    deleteCollection
+};
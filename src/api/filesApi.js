@@ -0,0 +1,129 @@
+import api from './axiosInstance.js';
+
+/**
+ * Files & folders API calls
+ *
+ * Thin wrappers around our axios instance so pages don't have to know
+ * endpoint paths. Every function returns the response data.
+ */
+
+// Id the backend uses for the top-level "My Files" folder
+const ROOT_FOLDER_ID = 'root';
+
+/**
+ * ====================================
+ * FOLDERS
+ * ====================================
+ */
+
+/**
+ * Get the direct child folders of a folder
+ *
+ * @param {string} [parentId=ROOT_FOLDER_ID]
+ * @returns {Promise<Array<{id: string, name: string, hasChildren: boolean}>>}
+ */
+async function getFolders(parentId = ROOT_FOLDER_ID){
+    const { data } = await api.get('/folders', { params: { parentId } });
+    return data;
+}
+
+/**
+ * Get a single folder
+ *
+ * @param {string} folderId
+ * @returns {Promise<{id: string, name: string, parentId: string|null}>}
+ */
+async function getFolder(folderId){
+    const { data } = await api.get(`/folders/${encodeURIComponent(folderId)}`);
+    return data;
+}
+
+/**
+ * ====================================
+ * FILES
+ * ====================================
+ */
+
+/**
+ * List the files in a folder
+ *
+ * @param {string} [folderId=ROOT_FOLDER_ID]
+ * @param {Object} [params] - Extra query params (paging, sorting, ...)
+ * @returns {Promise<{items: Array<Object>, total: number}>}
+ */
+async function listFiles(folderId = ROOT_FOLDER_ID, params = {}){
+    const { data } = await api.get('/files', { params: { folderId, ...params } });
+    return data;
+}
+
+/**
+ * List files across all folders that match some filters
+ *
+ * Same endpoint as listFiles, just without a folder - smart collections
+ * use this (see services/collections.js).
+ *
+ * @param {Object} params - Filters ({ type, tags, modifiedAfter, starred }) plus paging/sorting
+ * @returns {Promise<{items: Array<Object>, total: number}>}
+ */
+async function queryFiles(params = {}){
+    const { data } = await api.get('/files', { params });
+    return data;
+}
+
+/**
+ * Change a file's metadata
+ *
+ * @param {string} fileId
+ * @param {Object} changes - e.g. { tags: ['client-x'] } or { starred: true }
+ * @returns {Promise<Object>} The updated file
+ */
+async function updateFile(fileId, changes){
+    const { data } = await api.patch(`/files/${encodeURIComponent(fileId)}`, changes);
+    return data;
+}
+
+/**
+ * ====================================
+ * BATCH OPERATIONS
+ * ====================================
+ */
+
+/**
+ * Run one action on many files/folders in a single request
+ *
+ * The backend applies each item separately and reports back per item,
+ * so part of a batch can fail without undoing the rest.
+ *
+ * @param {'move'|'copy'|'rename'|'trash'|'restore'|'delete'} action
+ * @param {Array<Object>} items - [{ id, isFolder, ...per-item fields like newName }]
+ * @param {Object} [options] - Action options, e.g. { targetFolderId }
+ * @returns {Promise<{results: Array<{id: string, success: boolean, error?: string, newId?: string}>}>}
+ */
+async function runBatch(action, items, options = {}){
+    const { data } = await api.post('/files/batch', {
+        action,
+        items: items.map(({ id, isFolder, newName }) => ({
+            id,
+            type: isFolder ? 'folder' : 'file',
+            ...(newName !== undefined ? { newName } : {})
+        })),
+        ...options
+    });
+    return data;
+}
+
+export {
+    ROOT_FOLDER_ID,
+
+    // folders
+    getFolders,
+    getFolder,
+
+    // files
+    listFiles,
+    queryFiles,
+    updateFile,
+
+    // batch
+    runBatch
+};
@@ -0,0 +1,96 @@
+import api from './axiosInstance.js';
+
+/**
+ * Folder members API calls - folders shared with named users
+ *
+ * Unlike a share link (api/sharesApi.js), a member has an account and a
+ * role on the folder and everything in it:
+ *   viewer - open and download
+ *   editor - also upload, rename, move, tag and delete
+ *   owner  - also manage members and share links
+ *
+ * Folders and files the user can see carry `myRole` with their role
+ * (see services/permissions.js). A folder the user has no role on answers
+ * 403 { code: 'FOLDER_FORBIDDEN' }.
+ *
+ * Inviting an address without an account sends a sign-up mail; the member
+ * shows as `status: 'invited'` until they join. Removing or demoting the
+ * last owner fails with 409 { code: 'LAST_OWNER' }.
+ */
+
+const FOLDER_ROLES = {
+    VIEWER: 'viewer',
+    EDITOR: 'editor',
+    OWNER: 'owner'
+};
+
+const membersUrl = (folderId) => `/folders/${encodeURIComponent(folderId)}/members`;
+
+/**
+ * Everyone with a role on a folder
+ *
+ * @param {string} folderId
+ * @returns {Promise<Array<{userId: string|null, email: string, displayName: string|null, avatarUrl: string|null,
+ *   role: string, status: 'active'|'invited', invitedAt: string}>>} userId is null for invites without an account yet
+ */
+async function listMembers(folderId){
+    const { data } = await api.get(membersUrl(folderId));
+    return data;
+}
+
+/**
+ * Invite someone by email (422 { errors: { email } } when that doesn't work out)
+ *
+ * @param {string} folderId
+ * @param {string} email
+ * @param {string} role - One of FOLDER_ROLES
+ * @returns {Promise<Object>} The new member (see listMembers)
+ */
+async function inviteMember(folderId, email, role){
+    const { data } = await api.post(membersUrl(folderId), { email, role });
+    return data;
+}
+
+/**
+ * Change a member's role
+ *
+ * @param {string} folderId
+ * @param {string} email - Members are addressed by email, invites don't have a user id yet
+ * @param {string} role
+ * @returns {Promise<Object>} The updated member
+ */
+async function updateMemberRole(folderId, email, role){
+    const { data } = await api.patch(`${membersUrl(folderId)}/${encodeURIComponent(email)}`, { role });
+    return data;
+}
+
+/**
+ * Take someone off a folder (or cancel their invite) - also how a member leaves
+ *
+ * @param {string} folderId
+ * @param {string} email
+ */
+async function removeMember(folderId, email){
+    await api.delete(`${membersUrl(folderId)}/${encodeURIComponent(email)}`);
+}
+
+/**
+ * Folders other people shared with the current user
+ *
+ * @returns {Promise<Array<{folder: {id: string, name: string}, role: string,
+ *   owner: {id: string, displayName: string, email: string}, sharedAt: string}>>}
+ */
+async function listSharedWithMe(){
+    const { data } = await api.get('/shared-with-me');
+    return data;
+}
+
+export {
+    FOLDER_ROLES,
+
+    listMembers,
+    inviteMember,
+    updateMemberRole,
+    removeMember,
+    listSharedWithMe
+};
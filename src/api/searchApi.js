@@ -0,0 +1,51 @@
+import api from './axiosInstance.js';
+
+/**
+ * Search API calls
+ *
+ * Full-text search over the user's files (names, and content the backend
+ * indexed), narrowed down by facets: type, size, date, owner and tags.
+ * See services/search.js for how a query maps to the /search URL.
+ */
+
+// File types the backend groups files into (the `type` facet)
+const FILE_TYPES = [
+    { value: 'image', label: 'Images' },
+    { value: 'video', label: 'Videos' },
+    { value: 'audio', label: 'Audio' },
+    { value: 'document', label: 'Documents' },
+    { value: 'archive', label: 'Archives' },
+    { value: 'other', label: 'Other' }
+];
+
+/**
+ * Search files
+ *
+ * @param {Object} params - Query params from services/search.js (toApiParams)
+ *   plus paging/sorting: { q, type, minSize, maxSize, from, to, owner, tags, page, size, sort }
+ * @returns {Promise<{items: Array<Object>, total: number}>} Items look like
+ *   listFiles() items, plus `folderPath` (folder ids from the top down)
+ */
+async function searchFiles(params = {}){
+    const { data } = await api.get('/search', { params });
+    return data;
+}
+
+/**
+ * Suggestions while the user types in the search bar
+ *
+ * @param {string} q - What was typed so far
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - To cancel when the user keeps typing
+ * @returns {Promise<Array<{kind: 'file'|'folder'|'tag', label: string, id?: string, folderPath?: string[]}>>}
+ */
+async function getSearchSuggestions(q, { signal } = {}){
+    const { data } = await api.get('/search/suggestions', { params: { q }, signal });
+    return data;
+}
+
+export {
+    FILE_TYPES,
+    searchFiles,
+    getSearchSuggestions
+};
@@ -0,0 +1,138 @@
+import api from './axiosInstance.js';
+
+/**
+ * Share links API calls
+ *
+ * A share link gives anyone with the URL access to one file or folder,
+ * limited by scope (view only / view and download), an optional expiry
+ * date, an optional password and an optional download limit.
+ *
+ * Owner calls (create, list, revoke) need a logged-in user. Public calls
+ * (/public/shares/...) are used by the /s/:token page and work without login;
+ * the link password, if any, travels in the X-Share-Password header.
+ *
+ * Public calls fail with:
+ *   403 { code: 'PASSWORD_REQUIRED' | 'WRONG_PASSWORD' }
+ *   410 { code: 'EXPIRED' | 'REVOKED' | 'DOWNLOAD_LIMIT_REACHED' }
+ *   404 when the token doesn't exist
+ */
+
+const SHARE_SCOPES = {
+    VIEW: 'view',
+    DOWNLOAD: 'download'
+};
+
+/**
+ * Full URL of a share link, e.g. https://app.fileflow.io/s/abc123
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function getShareUrl(token){
+    return `${window.location.origin}/s/${encodeURIComponent(token)}`;
+}
+
+const passwordHeader = (password) => password ? { 'X-Share-Password': password } : {};
+
+/**
+ * ====================================
+ * OWNER - links I created
+ * ====================================
+ */
+
+/**
+ * Create a share link for a file or folder
+ *
+ * @param {Object} item - { id, isFolder }
+ * @param {Object} options
+ * @param {'view'|'download'} options.scope
+ * @param {string|null} [options.expiresAt] - ISO date, null = never expires
+ * @param {string} [options.password] - Empty = no password
+ * @param {number|null} [options.maxDownloads] - null = unlimited
+ * @returns {Promise<Object>} The new share (see listShares)
+ */
+async function createShare(item, { scope, expiresAt = null, password = '', maxDownloads = null }){
+    const { data } = await api.post('/shares', {
+        itemId: item.id,
+        itemType: item.isFolder ? 'folder' : 'file',
+        scope,
+        expiresAt,
+        password: password || null,
+        maxDownloads
+    });
+    return data;
+}
+
+/**
+ * List the share links the current user created
+ *
+ * @returns {Promise<Array<{id: string, token: string, itemId: string, itemType: string, itemName: string,
+ *   scope: string, expiresAt: string|null, hasPassword: boolean, maxDownloads: number|null,
+ *   downloadCount: number, viewCount: number, createdAt: string, revokedAt: string|null}>>}
+ */
+async function listShares(){
+    const { data } = await api.get('/shares');
+    return data;
+}
+
+/**
+ * Revoke a share link - the URL stops working straight away
+ *
+ * @param {string} shareId
+ */
+async function revokeShare(shareId){
+    await api.delete(`/shares/${encodeURIComponent(shareId)}`);
+}
+
+/**
+ * ====================================
+ * PUBLIC - opening a link (no login)
+ * ====================================
+ */
+
+/**
+ * Open a share link
+ *
+ * @param {string} token
+ * @param {Object} [options]
+ * @param {string} [options.password]
+ * @param {string} [options.folderId] - Subfolder to list, for folder shares
+ * @returns {Promise<{item: Object, scope: string, expiresAt: string|null, downloadsRemaining: number|null,
+ *   ownerName: string, folders?: Array<Object>, files?: Array<Object>}>}
+ */
+async function getPublicShare(token, { password, folderId } = {}){
+    const { data } = await api.get(`/public/shares/${encodeURIComponent(token)}`, {
+        params: folderId ? { folderId } : {},
+        headers: passwordHeader(password)
+    });
+    return data;
+}
+
+/**
+ * Get a download URL for a shared file (counts towards the download limit)
+ *
+ * @param {string} token
+ * @param {string} fileId - The shared file, or a file inside the shared folder
+ * @param {string} [password]
+ * @returns {Promise<string>}
+ */
+async function getPublicDownloadUrl(token, fileId, password){
+    const { data } = await api.post(`/public/shares/${encodeURIComponent(token)}/download`, { fileId }, {
+        headers: passwordHeader(password)
+    });
+    return data.url;
+}
+
+export {
+    SHARE_SCOPES,
+    getShareUrl,
+
+    // owner
+    createShare,
+    listShares,
+    revokeShare,
+
+    // public
+    getPublicShare,
+    getPublicDownloadUrl
+};
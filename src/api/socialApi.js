@@ -0,0 +1,168 @@
+import api from './axiosInstance.js';
+
+/**
+ * Social API calls - the feed, likes, comments and public profiles
+ *
+ * A post is a file its owner made public:
+ *
+ *   {
+ *     id, caption, sharedAt, likeCount, likedByMe, commentCount,
+ *     owner: { username, displayName, avatarUrl },
+ *     file: { id, name, mimeType, width, height, thumbnailUrl, mediaUrl }
+ *   }
+ *
+ * Lists are paged with a cursor: pass the `nextCursor` of one page to get
+ * the next, `nextCursor: null` means there is no more.
+ *
+ * Public profiles and their media work without login (the /u/:username page).
+ */
+
+/**
+ * ====================================
+ * FEED + LIKES
+ * ====================================
+ */
+
+/**
+ * Posts from people the user follows, newest first
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.cursor]
+ * @returns {Promise<{items: Array<Object>, nextCursor: string|null}>}
+ */
+async function getFeed({ cursor = null } = {}){
+    const { data } = await api.get('/feed', { params: { cursor } });
+    return data;
+}
+
+/**
+ * @param {string} postId
+ * @returns {Promise<{likeCount: number, likedByMe: boolean}>}
+ */
+async function likePost(postId){
+    const { data } = await api.put(`/posts/${encodeURIComponent(postId)}/like`);
+    return data;
+}
+
+/**
+ * @param {string} postId
+ * @returns {Promise<{likeCount: number, likedByMe: boolean}>}
+ */
+async function unlikePost(postId){
+    const { data } = await api.delete(`/posts/${encodeURIComponent(postId)}/like`);
+    return data;
+}
+
+/**
+ * ====================================
+ * COMMENTS
+ * ====================================
+ */
+
+/**
+ * Every comment on a post, oldest first - replies point to their parent
+ *
+ * A deleted comment that has replies stays with `deleted: true` and no body.
+ *
+ * @param {string} postId
+ * @returns {Promise<Array<{id: string, parentId: string|null, body: string, deleted: boolean,
+ *   author: {username: string, displayName: string, avatarUrl: string|null}, createdAt: string}>>}
+ */
+async function listComments(postId){
+    const { data } = await api.get(`/posts/${encodeURIComponent(postId)}/comments`);
+    return data;
+}
+
+/**
+ * Comment on a post, or reply to a comment
+ *
+ * The body is markdown source (utils/markdown.js renders it); @username
+ * mentions notify those users.
+ *
+ * @param {string} postId
+ * @param {Object} comment
+ * @param {string} comment.body
+ * @param {string|null} [comment.parentId] - The comment this replies to
+ * @returns {Promise<Object>} The new comment
+ */
+async function addComment(postId, { body, parentId = null }){
+    const { data } = await api.post(`/posts/${encodeURIComponent(postId)}/comments`, { body, parentId });
+    return data;
+}
+
+/**
+ * Delete one of the user's own comments
+ *
+ * @param {string} postId
+ * @param {string} commentId
+ */
+async function deleteComment(postId, commentId){
+    await api.delete(`/posts/${encodeURIComponent(postId)}/comments/${encodeURIComponent(commentId)}`);
+}
+
+/**
+ * ====================================
+ * PROFILES
+ * ====================================
+ */
+
+/**
+ * A public profile (404 for unknown usernames)
+ *
+ * @param {string} username
+ * @returns {Promise<{username: string, displayName: string, avatarUrl: string|null, bio: string,
+ *   postCount: number, followerCount: number, followingCount: number, followedByMe: boolean, isMe: boolean}>}
+ */
+async function getPublicProfile(username){
+    const { data } = await api.get(`/users/${encodeURIComponent(username)}`);
+    return data;
+}
+
+/**
+ * A user's public posts, newest first
+ *
+ * @param {string} username
+ * @param {Object} [options]
+ * @param {string|null} [options.cursor]
+ * @returns {Promise<{items: Array<Object>, nextCursor: string|null}>}
+ */
+async function listUserMedia(username, { cursor = null } = {}){
+    const { data } = await api.get(`/users/${encodeURIComponent(username)}/media`, { params: { cursor } });
+    return data;
+}
+
+/**
+ * @param {string} username
+ * @returns {Promise<Object>} The updated profile
+ */
+async function followUser(username){
+    const { data } = await api.put(`/users/${encodeURIComponent(username)}/follow`);
+    return data;
+}
+
+/**
+ * @param {string} username
+ * @returns {Promise<Object>} The updated profile
+ */
+async function unfollowUser(username){
+    const { data } = await api.delete(`/users/${encodeURIComponent(username)}/follow`);
+    return data;
+}
+
+export {
+    // feed + likes
+    getFeed,
+    likePost,
+    unlikePost,
+
+    // comments
+    listComments,
+    addComment,
+    deleteComment,
+
+    // profiles
+    getPublicProfile,
+    listUserMedia,
+    followUser,
+    unfollowUser
+};
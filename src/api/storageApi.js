@@ -0,0 +1,43 @@
+import api from './axiosInstance.js';
+
+/**
+ * Storage API calls - how much space the logged-in user has and uses
+ *
+ * Sizes are in bytes. Files in the trash still count towards the quota
+ * until they're purged, older versions of a file count as well.
+ *
+ * Uploads that don't fit are refused by POST /uploads with
+ * 413 { code: 'QUOTA_EXCEEDED' } - services/storageQuota.js checks before
+ * that so the user hears about it right away.
+ */
+
+/**
+ * Used space and quota, split up by file type and by top-level folder
+ *
+ * @returns {Promise<{
+ *   usedBytes: number, quotaBytes: number,
+ *   byType: Array<{type: string, bytes: number, count: number}>,        // type from FILE_TYPES (api/searchApi.js)
+ *   byFolder: Array<{id: string|null, name: string, bytes: number, count: number}>,  // id null = files right in My Files
+ *   largestFiles: Array<{id: string, name: string, size: number, mimeType: string, folderPath: string[]}>
+ * }>}
+ */
+async function getStorageUsage(){
+    const { data } = await api.get('/storage');
+    return data;
+}
+
+/**
+ * Uploads per day, oldest first - days without uploads are included with zeros
+ *
+ * @param {number} [days=30]
+ * @returns {Promise<Array<{date: string, count: number, bytes: number}>>} date is YYYY-MM-DD
+ */
+async function getUploadActivity(days = 30){
+    const { data } = await api.get('/storage/activity', { params: { days } });
+    return data;
+}
+
+export {
+    getStorageUsage,
+    getUploadActivity
+};
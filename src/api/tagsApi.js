@@ -0,0 +1,23 @@
+import api from './axiosInstance.js';
+
+/**
+ * Tags API calls
+ *
+ * Tags themselves live on the files (see updateFile in filesApi.js);
+ * this is just the list of tags in use, for autocomplete.
+ */
+
+/**
+ * Tags in use that start with (or contain) some text, most used first
+ *
+ * @param {string} [q=''] - What was typed so far (empty = the most used tags)
+ * @returns {Promise<Array<{name: string, count: number}>>}
+ */
+async function getTags(q = ''){
+    const { data } = await api.get('/tags', { params: { q } });
+    return data;
+}
+
+export {
+    getTags
+};
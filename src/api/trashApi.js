@@ -0,0 +1,42 @@
+import api from './axiosInstance.js';
+
+/**
+ * Trash API calls
+ *
+ * Deleting moves items to the trash (runBatch('trash', ...) in filesApi.js).
+ * They stay there for `retentionDays` and are then purged by the server.
+ * Restoring goes through runBatch('restore', ...) as well.
+ */
+
+/**
+ * Everything in the logged-in user's trash, most recently deleted first
+ *
+ * Only the top-level deleted items are listed (not the contents of a
+ * deleted folder - those come back with it).
+ *
+ * @returns {Promise<{retentionDays: number, items: Array<{
+ *   id: string, name: string, isFolder: boolean, size: number, mimeType: string,
+ *   deletedAt: string, purgeAt: string,
+ *   originalPath: Array<{id: string, name: string}>,   // folders from the top down
+ *   parentExists: boolean                                // false when the original folder is gone
+ * }>}>}
+ */
+async function listTrash(){
+    const { data } = await api.get('/trash');
+    return data;
+}
+
+/**
+ * Delete everything in the trash for good
+ *
+ * @returns {Promise<{deleted: number}>}
+ */
+async function emptyTrash(){
+    const { data } = await api.delete('/trash');
+    return data;
+}
+
+export {
+    listTrash,
+    emptyTrash
+};
@@ -0,0 +1,45 @@
+import api from './axiosInstance.js';
+
+/**
+ * File versions API calls
+ *
+ * Uploading a file with the same name into the same folder keeps the old
+ * content as a version instead of overwriting it (see uploadManager.js).
+ * A version's content is read like a file's, through the preview sources
+ * with `version: { id }` on the file record (services/preview/sources.js).
+ */
+
+/**
+ * Every version of a file, newest first
+ *
+ * @param {string} fileId
+ * @returns {Promise<Array<{
+ *   id: string, number: number, size: number, mimeType: string,
+ *   checksum: string, checksumAlgorithm: string,   // e.g. 'sha256'
+ *   createdAt: string, uploadedBy: {id: string, name: string},
+ *   isCurrent: boolean
+ * }>>}
+ */
+async function listVersions(fileId){
+    const { data } = await api.get(`/files/${encodeURIComponent(fileId)}/versions`);
+    return data;
+}
+
+/**
+ * Make an older version the current one
+ *
+ * Nothing is thrown away: the restored content becomes a new, latest version.
+ *
+ * @param {string} fileId
+ * @param {string} versionId
+ * @returns {Promise<Object>} The updated file
+ */
+async function restoreVersion(fileId, versionId){
+    const { data } = await api.post(`/files/${encodeURIComponent(fileId)}/versions/${encodeURIComponent(versionId)}/restore`);
+    return data;
+}
+
+export {
+    listVersions,
+    restoreVersion
+};
@@ -1,10 +1,21 @@
 // src/components/Alert.js
+import { recordNotification } from '../services/notifications.js';
 
 /**
  * showAlert
  *  - Renders a DaisyUI-styled alert/toast with optional actions or detailed layout.
  *  - Supports four color variants and two structural variants: actions and detailed.
  *  - Auto-dismisses after `duration` ms or can be closed manually.
+ *    `duration: 0` keeps it until dismiss() is called (give it a button that does).
+ *  - Text (message, title, description, labels) is set as text, never as HTML,
+ *    so file names and server messages can be passed as they are.
+ *  - At most MAX_VISIBLE toasts are on screen, the rest wait their turn.
+ *    Hovering or focusing a toast pauses its timer; Escape or the close
+ *    button dismisses it. Screen readers hear each one as it appears.
+ *  - The tray lives on <body>, outside the router's outlet, so toasts stay
+ *    while the user moves between pages.
+ *  - Toasts without actions are kept in the notification history
+ *    (services/notifications.js, the bell in the header) - `history` overrides that.
  *
  * Usage Examples:
  *
@@ -29,71 +40,175 @@
  *   actionLabel: 'See',
  *   onAction: () => navigateTo('/messages')
  * });
+ *
+ * Returns { element, dismiss } so the caller can close the alert early.
+ * `onDismiss` runs once when the toast goes away, however that happens -
+ * the time it's on screen isn't `duration` (paused timers, waiting turns).
  */
-export function showAlert({
-  type = 'info',           // 'info' | 'success' | 'warning' | 'error'
-  title = '',              // Optional bold heading
-  message = '',            // Main message text (for simple/action alerts)
-  description = '',        // Smaller description (for detailed alerts)
-  actions = [],            // Array of { label, onClick, primary }
-  actionLabel = '',        // Single action button label (for detailed alerts)
-  onAction = null,         // Single action callback
-  duration = 4000,         // ms before auto-dismiss
-} = {}) {
-  // 1) VARIANT CONFIG: SVG icon + container class for each type
-  const VARIANTS = {
-    info: {
-      icon: `<svg xmlns="http://www.w3.org/2000/svg" class="stroke-current h-6 w-6 shrink-0" fill="none" viewBox="0 0 24 24">
-               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
-                     d="M13 16h-1v-4h-1m1-4h.01
-                        M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-             </svg>`,
-      containerClass: 'alert-info'
-    },
-    success: {
-      icon: `<svg xmlns="http://www.w3.org/2000/svg" class="stroke-current h-6 w-6 shrink-0" fill="none" viewBox="0 0 24 24">
-               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
-                     d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-             </svg>`,
-      containerClass: 'alert-success'
-    },
-    warning: {
-      icon: `<svg xmlns="http://www.w3.org/2000/svg" class="stroke-current h-6 w-6 shrink-0" fill="none" viewBox="0 0 24 24">
-               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
-                     d="M12 9v2m0 4h.01
-                        m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4
-                        c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
-             </svg>`,
-      containerClass: 'alert-warning'
-    },
-    error: {
-      icon: `<svg xmlns="http://www.w3.org/2000/svg" class="stroke-current h-6 w-6 shrink-0" fill="none" viewBox="0 0 24 24">
-               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
-                     d="M10 14l2-2m0 0l2-2
-                        m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z" />
-             </svg>`,
-      containerClass: 'alert-error'
-    }
-  };
 
-  // Fallback to info if invalid type
-  const { icon, containerClass } = VARIANTS[type] || VARIANTS.info;
+// Toasts on screen at once - more wait in `waiting`
+const MAX_VISIBLE = 3;
+
+// Fade-out time (matches duration-200), with a little slack
+const FADE_MS = 250;
+
+// SVG icon + container class for each type
+const VARIANTS = {
+  info: {
+    icon: `<svg xmlns="http://www.w3.org/2000/svg" class="stroke-current h-6 w-6 shrink-0" fill="none" viewBox="0 0 24 24" aria-hidden="true">
+             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
+                   d="M13 16h-1v-4h-1m1-4h.01
+                      M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+           </svg>`,
+    containerClass: 'alert-info'
+  },
+  success: {
+    icon: `<svg xmlns="http://www.w3.org/2000/svg" class="stroke-current h-6 w-6 shrink-0" fill="none" viewBox="0 0 24 24" aria-hidden="true">
+             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
+                   d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+           </svg>`,
+    containerClass: 'alert-success'
+  },
+  warning: {
+    icon: `<svg xmlns="http://www.w3.org/2000/svg" class="stroke-current h-6 w-6 shrink-0" fill="none" viewBox="0 0 24 24" aria-hidden="true">
+             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
+                   d="M12 9v2m0 4h.01
+                      m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4
+                      c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+           </svg>`,
+    containerClass: 'alert-warning'
+  },
+  error: {
+    icon: `<svg xmlns="http://www.w3.org/2000/svg" class="stroke-current h-6 w-6 shrink-0" fill="none" viewBox="0 0 24 24" aria-hidden="true">
+             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
+                   d="M10 14l2-2m0 0l2-2
+                      m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z" />
+           </svg>`,
+    containerClass: 'alert-error'
+  }
+};
+
+// Toasts on screen, oldest first
+const visible = [];
+// Toasts waiting for a free spot, oldest first
+const waiting = [];
 
-  // 2) TOAST TRAY: fixed container for stacking
+/**
+ * Fixed tray for stacking, plus the live regions screen readers listen to
+ */
+function getTray() {
   let tray = document.getElementById('alert-container');
   if (!tray) {
     tray = document.createElement('div');
     tray.id = 'alert-container';
+    tray.setAttribute('role', 'region');
+    tray.setAttribute('aria-label', 'Notifications');
     tray.className = [
       'fixed top-4 left-1/2 transform -translate-x-1/2',
       'z-50 flex flex-col items-center space-y-2'
     ].join(' ');
+
+    // Live regions have to be in the page before their text changes
+    ['polite', 'assertive'].forEach(level => {
+      const region = document.createElement('div');
+      region.className = 'sr-only';
+      region.setAttribute('aria-live', level);
+      region.setAttribute('aria-atomic', 'true');
+      region.dataset.announce = level;
+      tray.appendChild(region);
+    });
+
     document.body.appendChild(tray);
   }
+  return tray;
+}
+
+/**
+ * Read a toast out - errors and warnings interrupt, the rest wait for a pause
+ */
+function announce(type, text) {
+  const level = type === 'error' || type === 'warning' ? 'assertive' : 'polite';
+  const region = getTray().querySelector(`[data-announce="${level}"]`);
+  // Clear first so the same text twice is still announced
+  region.textContent = '';
+  setTimeout(() => { region.textContent = text; }, 50);
+}
+
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text) el.textContent = text;
+  return el;
+}
+
+function createButton(label, className, onClick) {
+  const btn = createElement('button', className, label);
+  btn.type = 'button';
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+/**
+ * ====================================
+ * TIMERS + QUEUE
+ * ====================================
+ */
+
+function startTimer(toast) {
+  if (!(toast.remaining > 0) || toast.timer || toast.paused) return;
+  toast.startedAt = Date.now();
+  toast.timer = setTimeout(toast.dismiss, toast.remaining);
+}
+
+function pauseTimer(toast) {
+  toast.paused = true;
+  if (!toast.timer) return;
+  clearTimeout(toast.timer);
+  toast.timer = null;
+  toast.remaining = Math.max(1000, toast.remaining - (Date.now() - toast.startedAt));
+}
+
+function resumeTimer(toast) {
+  toast.paused = false;
+  startTimer(toast);
+}
 
-  // 3) ALERT ELEMENT
+function show(toast) {
+  visible.push(toast);
+  getTray().appendChild(toast.element);
+  requestAnimationFrame(() => toast.element.classList.remove('opacity-0'));
+  announce(toast.type, toast.element.dataset.text);
+  startTimer(toast);
+}
+
+function showWaiting() {
+  while (visible.length < MAX_VISIBLE && waiting.length) show(waiting.shift());
+}
+
+/**
+ * ====================================
+ * SHOWALERT
+ * ====================================
+ */
+
+export function showAlert({
+  type = 'info',           // 'info' | 'success' | 'warning' | 'error'
+  title = '',              // Optional bold heading
+  message = '',            // Main message text (for simple/action alerts)
+  description = '',        // Smaller description (for detailed alerts)
+  actions = [],            // Array of { label, onClick, primary }
+  actionLabel = '',        // Single action button label (for detailed alerts)
+  onAction = null,         // Single action callback
+  duration = 4000,         // ms before auto-dismiss (0 = stay until dismissed)
+  history = !actions.length, // Keep it in the notification history
+  onDismiss = null,        // Called once when the toast is dismissed
+} = {}) {
+  // Fallback to info if invalid type
+  if (!VARIANTS[type]) type = 'info';
+  const { icon, containerClass } = VARIANTS[type];
+
+  // 1) ALERT ELEMENT
   const alertEl = document.createElement('div');
-  alertEl.setAttribute('role', 'alert');
   alertEl.className = [
     'alert',                // base class
     containerClass,         // variant class
@@ -102,68 +217,101 @@ export function showAlert({
     'opacity-0',            // start hidden for fade-in
     'transition-opacity duration-200'
   ].join(' ');
+  alertEl.innerHTML = icon;
+
+  const toast = {
+    type,
+    element: alertEl,
+    remaining: duration,
+    timer: null,
+    paused: false,
+    dismissed: false
+  };
 
-  // 4) INNER MARKUP
+  // 2) DISMISS - fade out, then make room for a waiting toast
+  toast.dismiss = () => {
+    if (toast.dismissed) return;
+    toast.dismissed = true;
+    clearTimeout(toast.timer);
+    if (typeof onDismiss === 'function') onDismiss();
+
+    const waitingIndex = waiting.indexOf(toast);
+    if (waitingIndex !== -1) {
+      waiting.splice(waitingIndex, 1);
+      return;
+    }
+
+    // Keep keyboard users in the tray instead of dropping focus on <body>
+    const hadFocus = alertEl.contains(document.activeElement);
+    alertEl.classList.add('opacity-0');
+    setTimeout(() => {
+      alertEl.remove();
+      const index = visible.indexOf(toast);
+      if (index !== -1) visible.splice(index, 1);
+      showWaiting();
+      if (hadFocus) visible[visible.length - 1]?.element.querySelector('button')?.focus();
+    }, FADE_MS);
+  };
+
+  // 3) CONTENT - always as text
   if (actions.length) {
-    // ALERT WITH BUTTONS
-    const buttonsHTML = actions.map(({ label, primary }) =>
-      `<button class="btn btn-sm${primary ? ' btn-primary' : ''}" data-label="${label}">${label}</button>`
-    ).join('');
-    alertEl.innerHTML = `
-      ${icon}
-      <span class="flex-1">${message}</span>
-      <div class="flex gap-2">${buttonsHTML}</div>
-    `;
+    // ALERT WITH BUTTONS (bound one by one - labels don't have to be unique)
+    alertEl.appendChild(createElement('span', 'flex-1', message));
+    const buttons = createElement('div', 'flex gap-2');
+    actions.forEach(({ label, primary, onClick }) => {
+      buttons.appendChild(createButton(label, `btn btn-sm${primary ? ' btn-primary' : ''}`, (e) => {
+        if (typeof onClick === 'function') onClick(e);
+      }));
+    });
+    alertEl.appendChild(buttons);
   } else if (title && description) {
     // DETAILED ALERT WITH TITLE & DESCRIPTION
-    const actionBtn = actionLabel
-      ? `<button class="btn btn-sm" data-action>${actionLabel}</button>`
-      : '';
-    alertEl.innerHTML = `
-      ${icon}
-      <div>
-        <h3 class="font-bold">${title}</h3>
-        <div class="text-xs">${description}</div>
-      </div>
-      ${actionBtn}
-    `;
+    const body = createElement('div', 'flex-1');
+    body.appendChild(createElement('h3', 'font-bold', title));
+    body.appendChild(createElement('div', 'text-xs', description));
+    alertEl.appendChild(body);
+    if (actionLabel) {
+      alertEl.appendChild(createButton(actionLabel, 'btn btn-sm', () => {
+        if (typeof onAction === 'function') onAction();
+        toast.dismiss();
+      }));
+    }
   } else {
     // SIMPLE ALERT
-    alertEl.innerHTML = `
-      ${icon}
-      <div class="flex-1">
-        ${title ? `<h3 class="font-bold">${title}</h3>` : ''}
-        <p>${message}</p>
-      </div>
-    `;
+    const body = createElement('div', 'flex-1');
+    if (title) body.appendChild(createElement('h3', 'font-bold', title));
+    body.appendChild(createElement('p', '', message));
+    alertEl.appendChild(body);
   }
 
-  // 5) APPEND & FADE IN
-  tray.appendChild(alertEl);
-  requestAnimationFrame(() => alertEl.classList.remove('opacity-0'));
-
-  // 6) EVENT BINDINGS
-  // Manual close on any btn-ghost inside
-  alertEl.querySelectorAll('button.btn-ghost, button[data-action]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      if (e.target.hasAttribute('data-action') && typeof onAction === 'function') {
-        onAction();
-      }
-      alertEl.remove();
-    });
+  // Every toast can be closed by hand
+  const closeBtn = createButton('✕', 'btn btn-ghost btn-xs btn-circle', toast.dismiss);
+  closeBtn.setAttribute('aria-label', 'Dismiss notification');
+  alertEl.appendChild(closeBtn);
+
+  alertEl.dataset.text = [title, message, description].filter(Boolean).join('. ');
+
+  // 4) PAUSE WHILE READ, ESCAPE TO CLOSE
+  alertEl.addEventListener('mouseenter', () => pauseTimer(toast));
+  alertEl.addEventListener('mouseleave', () => {
+    if (!alertEl.contains(document.activeElement)) resumeTimer(toast);
+  });
+  alertEl.addEventListener('focusin', () => pauseTimer(toast));
+  alertEl.addEventListener('focusout', (e) => {
+    if (!alertEl.contains(e.relatedTarget) && !alertEl.matches(':hover')) resumeTimer(toast);
+  });
+  alertEl.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    toast.dismiss();
   });
 
-  // custom onClick for action buttons
-  if (actions.length) {
-    actions.forEach(({ label, onClick }) => {
-      const btn = alertEl.querySelector(`button[data-label="${label}"]`);
-      if (btn && typeof onClick === 'function') btn.addEventListener('click', onClick);
-    });
-  }
+  // 5) SHOW NOW OR WAIT FOR A FREE SPOT
+  if (visible.length < MAX_VISIBLE) show(toast);
+  else waiting.push(toast);
 
-  // 7) AUTO-DISMISS
-  setTimeout(() => {
-    alertEl.classList.add('opacity-0');
-    alertEl.addEventListener('transitionend', () => alertEl.remove(), { once: true });
-  }, duration);
+  if (history) recordNotification({ type, title, message: message || description });
+
+  // Let callers close the alert early (e.g. after an action button was used)
+  return { element: alertEl, dismiss: toast.dismiss };
 }
@@ -0,0 +1,183 @@
+/**
+ * openAvatarDialog
+ *  - Opens a DaisyUI modal to crop a picked image into a square avatar.
+ *  - Drag (or arrow keys) to move the image, slider / mouse wheel to zoom;
+ *    the circle shows what will be visible.
+ *  - The crop is resized to AVATAR_SIZE in the browser, so only a small
+ *    image is uploaded.
+ *  - Resolves with the cropped image as a Blob, or null if cancelled.
+ *
+ * Usage:
+ *   const blob = await openAvatarDialog(file);
+ */
+
+// Width/height of the uploaded avatar in pixels
+export const AVATAR_SIZE = 256;
+
+// Width/height of the crop area on screen
+const STAGE_SIZE = 288;
+
+const MAX_ZOOM = 4;
+
+// Pixels moved per arrow key press
+const KEY_STEP = 10;
+
+export function openAvatarDialog(file) {
+  return new Promise((resolve) => {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'modal';
+    dialog.innerHTML = `
+      <form class="modal-box space-y-3" data-form>
+        <h3 class="font-bold text-lg">Crop your picture</h3>
+        <div class="relative mx-auto rounded-box overflow-hidden bg-base-300 touch-none" style="width: ${STAGE_SIZE}px; height: ${STAGE_SIZE}px">
+          <canvas width="${STAGE_SIZE}" height="${STAGE_SIZE}" class="block cursor-move focus:outline-2 focus:outline-primary" tabindex="0"
+            aria-label="Picture to crop. Use the arrow keys to move it." data-stage></canvas>
+          <div class="absolute inset-0 rounded-full pointer-events-none shadow-[0_0_0_999px_rgba(0,0,0,0.45)]"></div>
+        </div>
+        <label class="flex items-center gap-3 text-sm">
+          <span>Zoom</span>
+          <input type="range" class="range range-xs flex-1" min="1" max="${MAX_ZOOM}" step="0.01" value="1" data-zoom />
+        </label>
+        <p class="text-sm text-error" data-error></p>
+        <div class="modal-action">
+          <button type="button" class="btn" data-cancel>Cancel</button>
+          <button type="submit" class="btn btn-primary" data-save disabled>Use picture</button>
+        </div>
+      </form>
+    `;
+    document.body.appendChild(dialog);
+
+    const canvas = dialog.querySelector('[data-stage]');
+    const context = canvas.getContext('2d');
+    const zoomInput = dialog.querySelector('[data-zoom]');
+    const saveBtn = dialog.querySelector('[data-save]');
+
+    let image = null;
+    let baseScale = 1; // scale at zoom 1: the short side fills the stage
+    let zoom = 1;
+    let x = 0; // image top-left on the stage
+    let y = 0;
+    let drag = null;
+    let result = null;
+
+    const scale = () => baseScale * zoom;
+
+    // Keep the stage covered - no empty corners in the avatar
+    function clampPosition() {
+      x = Math.min(0, Math.max(STAGE_SIZE - image.width * scale(), x));
+      y = Math.min(0, Math.max(STAGE_SIZE - image.height * scale(), y));
+    }
+
+    function draw(ctx, factor = 1) {
+      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(image, x * factor, y * factor, image.width * scale() * factor, image.height * scale() * factor);
+    }
+
+    // Zoom around a point on the stage (the centre, or where the wheel was used)
+    function setZoom(value, originX = STAGE_SIZE / 2, originY = STAGE_SIZE / 2) {
+      const next = Math.min(MAX_ZOOM, Math.max(1, value));
+      const ratio = next / zoom;
+      x = originX - (originX - x) * ratio;
+      y = originY - (originY - y) * ratio;
+      zoom = next;
+      zoomInput.value = String(next);
+      clampPosition();
+      draw(context);
+    }
+
+    function move(dx, dy) {
+      x += dx;
+      y += dy;
+      clampPosition();
+      draw(context);
+    }
+
+    async function load() {
+      try {
+        // createImageBitmap applies the EXIF orientation, so phone photos aren't sideways
+        image = await createImageBitmap(file);
+        baseScale = STAGE_SIZE / Math.min(image.width, image.height);
+        x = (STAGE_SIZE - image.width * baseScale) / 2;
+        y = (STAGE_SIZE - image.height * baseScale) / 2;
+        draw(context);
+        saveBtn.disabled = false;
+        canvas.focus();
+      } catch (error) {
+        console.error('Failed to read avatar image:', error);
+        dialog.querySelector('[data-error]').textContent = 'This file could not be read as an image. Try a JPEG, PNG or WebP.';
+      }
+    }
+
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!image) return;
+      drag = { pointerId: e.pointerId, lastX: e.clientX, lastY: e.clientY };
+      canvas.setPointerCapture(e.pointerId);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+      if (!drag || drag.pointerId !== e.pointerId) return;
+      move(e.clientX - drag.lastX, e.clientY - drag.lastY);
+      drag.lastX = e.clientX;
+      drag.lastY = e.clientY;
+    });
+    const endDrag = () => { drag = null; };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    canvas.addEventListener('wheel', (e) => {
+      if (!image) return;
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      setZoom(zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1), e.clientX - rect.left, e.clientY - rect.top);
+    }, { passive: false });
+
+    canvas.addEventListener('keydown', (e) => {
+      if (!image) return;
+      const steps = { ArrowLeft: [KEY_STEP, 0], ArrowRight: [-KEY_STEP, 0], ArrowUp: [0, KEY_STEP], ArrowDown: [0, -KEY_STEP] };
+      if (steps[e.key]) {
+        e.preventDefault();
+        move(...steps[e.key]);
+      } else if (e.key === '+' || e.key === '=' || e.key === '-') {
+        e.preventDefault();
+        setZoom(zoom + (e.key === '-' ? -0.1 : 0.1));
+      }
+    });
+
+    zoomInput.addEventListener('input', () => {
+      if (image) setZoom(Number(zoomInput.value));
+    });
+
+    dialog.querySelector('[data-form]').addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!image) return;
+      saveBtn.disabled = true;
+
+      const output = document.createElement('canvas');
+      output.width = AVATAR_SIZE;
+      output.height = AVATAR_SIZE;
+      draw(output.getContext('2d'), AVATAR_SIZE / STAGE_SIZE);
+
+      // Browsers without WebP encoding hand back a PNG instead - fine too
+      output.toBlob((blob) => {
+        if (!blob) {
+          dialog.querySelector('[data-error]').textContent = 'Could not create the picture, please try again.';
+          saveBtn.disabled = false;
+          return;
+        }
+        result = blob;
+        dialog.close();
+      }, 'image/webp', 0.9);
+    });
+
+    dialog.querySelector('[data-cancel]').addEventListener('click', () => dialog.close());
+
+    dialog.addEventListener('close', () => {
+      image?.close();
+      dialog.remove();
+      resolve(result);
+    });
+
+    dialog.showModal();
+    load();
+  });
+}
@@ -0,0 +1,52 @@
+import { getFolderInfo, getFolderUrl } from '../services/folders.js';
+import { escapeHtml } from '../utils/format.js';
+
+/**
+ * <folder-breadcrumbs>
+ *  - Shows "My Files / Photos / 2024" for a folder path, each part a link.
+ *  - Folder names come from the folder cache (fetched if not known yet),
+ *    so breadcrumbs also work on a fresh deep link.
+ *
+ * Usage:
+ *   import '../components/Breadcrumbs.js';
+ *   const crumbs = document.createElement('folder-breadcrumbs');
+ *   crumbs.path = ['abc', 'def']; // folder ids from the root down
+ */
+class FolderBreadcrumbs extends HTMLElement {
+    set path(value){
+        this._path = value || [];
+        this.render();
+    }
+
+    get path(){
+        return this._path || [];
+    }
+
+    async render(){
+        const path = this.path;
+
+        // Folders we can't load show as '…'
+        const folders = await Promise.all(path.map(id =>
+            getFolderInfo(id).catch(() => ({ id, name: '…' }))
+        ));
+
+        // A newer path was set while we were loading
+        if(path !== this.path) return;
+
+        const crumbs = [{ name: 'My Files', url: getFolderUrl([]) }]
+            .concat(folders.map((folder, i) => ({ name: folder.name, url: getFolderUrl(path.slice(0, i + 1)) })));
+
+        this.innerHTML = `
+            <nav class="breadcrumbs text-sm" aria-label="Breadcrumb">
+                <ul>
+                    ${crumbs.map((crumb, i) => i === crumbs.length - 1
+                        ? `<li aria-current="page">${escapeHtml(crumb.name)}</li>`
+                        : `<li><a href="${crumb.url}">${escapeHtml(crumb.name)}</a></li>`
+                    ).join('')}
+                </ul>
+            </nav>
+        `;
+    }
+}
+
+customElements.define('folder-breadcrumbs', FolderBreadcrumbs);
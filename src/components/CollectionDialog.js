@@ -0,0 +1,145 @@
+import { FILE_TYPES } from '../api/searchApi.js';
+import { normalizeRule, isRuleEmpty, describeRule, saveCollection } from '../services/collections.js';
+import { escapeHtml } from '../utils/format.js';
+import './TagInput.js';
+
+// "Modified in the last ..." choices (days, '' = any time)
+const PERIOD_OPTIONS = [
+  { label: 'Any time', days: '' },
+  { label: 'Last 7 days', days: 7 },
+  { label: 'Last 30 days', days: 30 },
+  { label: 'Last 90 days', days: 90 },
+  { label: 'Last year', days: 365 },
+];
+
+/**
+ * Read the rule fields of the form
+ */
+function readRule(form, tagInput) {
+  return normalizeRule({
+    types: [...form.querySelectorAll('[name="type"]:checked')].map((box) => box.value),
+    tags: tagInput.value,
+    modifiedWithinDays: Number(form.elements.period.value) || null,
+    starred: form.elements.starred.checked,
+  });
+}
+
+/**
+ * openCollectionDialog
+ *  - Opens a DaisyUI modal to create a smart collection, or edit one.
+ *  - A collection is a name plus a rule (types, tags, modified within, starred only).
+ *  - Describes the rule in words as it's edited.
+ *  - Resolves with the saved collection, or null if cancelled.
+ *
+ * Usage:
+ *   const collection = await openCollectionDialog();            // new
+ *   const updated = await openCollectionDialog(collection);     // edit
+ */
+export function openCollectionDialog(collection = null) {
+  return new Promise((resolve) => {
+    const rule = normalizeRule(collection?.rule);
+    const periodKnown = PERIOD_OPTIONS.some(({ days }) => days === (rule.modifiedWithinDays || ''));
+    const periods = periodKnown || !rule.modifiedWithinDays
+      ? PERIOD_OPTIONS
+      : [...PERIOD_OPTIONS, { label: `Last ${rule.modifiedWithinDays} days`, days: rule.modifiedWithinDays }];
+
+    const dialog = document.createElement('dialog');
+    dialog.className = 'modal';
+    dialog.innerHTML = `
+      <form class="modal-box space-y-4" data-form novalidate>
+        <h3 class="font-bold text-lg">${collection ? 'Edit collection' : 'New smart collection'}</h3>
+
+        <label class="form-control">
+          <span class="label-text text-sm">Name</span>
+          <input class="input input-bordered input-sm" name="name" maxlength="60" value="${escapeHtml(collection?.name || '')}" autocomplete="off" />
+        </label>
+
+        <fieldset>
+          <legend class="text-sm font-medium mb-1">File types (none = any)</legend>
+          <div class="flex flex-wrap gap-x-4">
+            ${FILE_TYPES.map(({ value, label }) => `
+              <label class="label cursor-pointer justify-start gap-2 py-0.5">
+                <input type="checkbox" class="checkbox checkbox-xs" name="type" value="${value}" ${rule.types.includes(value) ? 'checked' : ''} />
+                <span class="label-text">${label}</span>
+              </label>`).join('')}
+          </div>
+        </fieldset>
+
+        <div class="form-control">
+          <span class="label-text text-sm">Tagged with (all of)</span>
+          <tag-input placeholder="e.g. client-x"></tag-input>
+        </div>
+
+        <div class="flex flex-wrap items-end gap-4">
+          <label class="form-control">
+            <span class="label-text text-sm">Modified</span>
+            <select class="select select-bordered select-sm" name="period">
+              ${periods.map(({ label, days }) => `
+                <option value="${days}" ${days === (rule.modifiedWithinDays || '') ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </label>
+          <label class="label cursor-pointer gap-2">
+            <input type="checkbox" class="checkbox checkbox-sm" name="starred" ${rule.starred ? 'checked' : ''} />
+            <span class="label-text">Starred only</span>
+          </label>
+        </div>
+
+        <p class="text-sm opacity-70" data-description></p>
+        <p class="text-sm text-error" data-error></p>
+
+        <div class="modal-action">
+          <button type="button" class="btn" data-cancel>Cancel</button>
+          <button type="submit" class="btn btn-primary" data-save>${collection ? 'Save' : 'Create'}</button>
+        </div>
+      </form>
+    `;
+    document.body.appendChild(dialog);
+
+    const form = dialog.querySelector('[data-form]');
+    const tagInput = dialog.querySelector('tag-input');
+    const errorEl = dialog.querySelector('[data-error]');
+    tagInput.value = rule.tags;
+    let result = null;
+
+    const updateDescription = () => {
+      dialog.querySelector('[data-description]').textContent = `Shows: ${describeRule(readRule(form, tagInput))}`;
+    };
+    form.addEventListener('change', updateDescription);
+    updateDescription();
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const name = form.elements.name.value.trim();
+      const newRule = readRule(form, tagInput);
+      if (!name) {
+        errorEl.textContent = 'Give the collection a name';
+        return;
+      }
+      if (isRuleEmpty(newRule)) {
+        errorEl.textContent = 'Pick at least one condition';
+        return;
+      }
+
+      const saveBtn = dialog.querySelector('[data-save]');
+      saveBtn.disabled = true;
+      errorEl.textContent = '';
+      try {
+        result = await saveCollection({ id: collection?.id, name, rule: newRule });
+        dialog.close();
+      } catch (error) {
+        console.error('Failed to save collection:', error);
+        errorEl.textContent = error.response?.data?.message || 'Could not save the collection, please try again';
+        saveBtn.disabled = false;
+      }
+    });
+
+    dialog.querySelector('[data-cancel]').addEventListener('click', () => dialog.close());
+
+    dialog.addEventListener('close', () => {
+      dialog.remove();
+      resolve(result);
+    });
+
+    dialog.showModal();
+  });
+}
@@ -0,0 +1,278 @@
+import { listComments, addComment, deleteComment } from '../api/socialApi.js';
+import { getCurrentUser, isAuthenticated } from '../store/index.js';
+import { bindForm } from '../utils/formBinder.js';
+import { required, maxLength } from '../utils/validators.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import { escapeHtml, formatDate } from '../utils/format.js';
+import './UserAvatar.js';
+
+/**
+ * <comment-thread>
+ *  - The comments on a post (api/socialApi.js), with replies nested under
+ *    the comment they answer.
+ *  - Bodies are markdown (utils/markdown.js) - escaped first, so whatever
+ *    people type can't inject HTML. @username links to their profile.
+ *  - Logged-in users can comment, reply and delete their own comments;
+ *    a deleted comment with replies stays as "deleted" to keep the thread.
+ *  - Fires `comments-changed` with `{ count }` after a comment is added or
+ *    deleted, so the post can update its counter.
+ *
+ * Usage:
+ *   import '../components/CommentThread.js';
+ *   const thread = document.createElement('comment-thread');
+ *   thread.post = post;
+ */
+
+// Replies deeper than this don't indent any further
+const MAX_DEPTH = 4;
+
+const MAX_BODY_LENGTH = 2000;
+
+function commentFormHtml(id, { label, submitLabel, cancel = false }){
+    return `
+        <form class="space-y-2" id="${id}" novalidate>
+            <textarea name="body" rows="2" class="textarea textarea-bordered w-full" aria-label="${label}" placeholder="${label}"></textarea>
+            <div class="flex items-center gap-2">
+                <span class="text-xs opacity-60 flex-1">**bold**, *italic*, \`code\`, [links](https://…) and @mentions work</span>
+                ${cancel ? '<button type="button" class="btn btn-ghost btn-sm" data-reply-cancel>Cancel</button>' : ''}
+                <button type="submit" class="btn btn-primary btn-sm">${submitLabel}</button>
+            </div>
+        </form>
+    `;
+}
+
+class CommentThread extends HTMLElement {
+    set post(value){
+        this._post = value;
+        if(this.isConnected) this.load();
+    }
+
+    get post(){
+        return this._post;
+    }
+
+    connectedCallback(){
+        this.className = 'block space-y-3';
+        this.comments = [];
+        this.replyingTo = null;  // id of the comment with the reply form open
+        this.confirming = null;  // id of the comment asking "Delete?"
+        this.replyDraft = '';
+
+        this.innerHTML = `
+            <ul class="space-y-3" data-comments>
+                <li><span class="loading loading-spinner loading-sm"></span></li>
+            </ul>
+            <p class="text-sm text-error" data-error></p>
+            ${isAuthenticated()
+                ? commentFormHtml(`comment-form-${escapeHtml(this._post?.id)}`, { label: 'Add a comment', submitLabel: 'Comment' })
+                : '<p class="text-sm opacity-70"><a href="/login" class="link">Log in</a> to comment.</p>'}
+        `;
+
+        const form = this.querySelector('form');
+        if(form){
+            this.binder = this.bindCommentForm(form, null);
+        }
+
+        this.querySelector('[data-comments]').addEventListener('click', (e) => this.onClick(e));
+        this.querySelector('[data-comments]').addEventListener('input', (e) => {
+            if(e.target.name === 'body') this.replyDraft = e.target.value;
+        });
+
+        if(this._post) this.load();
+    }
+
+    disconnectedCallback(){
+        this.binder?.destroy();
+        this.replyBinder?.destroy();
+    }
+
+    async load(){
+        try{
+            this.comments = await listComments(this._post.id);
+            this.renderComments();
+        } catch (error){
+            console.error('Failed to load comments:', error);
+            this.querySelector('[data-comments]').innerHTML = '<li role="alert" class="text-sm text-error">Could not load the comments.</li>';
+        }
+    }
+
+    /**
+     * ====================================
+     * RENDERING
+     * ====================================
+     */
+
+    renderComments(){
+        const list = this.querySelector('[data-comments]');
+        this.replyBinder?.destroy();
+        this.replyBinder = null;
+
+        if(!this.comments.length){
+            list.innerHTML = '<li class="text-sm opacity-70">No comments yet.</li>';
+            return;
+        }
+
+        // Replies per parent - a reply whose parent is gone shows at the top level
+        const ids = new Set(this.comments.map(comment => comment.id));
+        const children = new Map();
+        this.comments.forEach(comment => {
+            const parentId = ids.has(comment.parentId) ? comment.parentId : null;
+            if(!children.has(parentId)) children.set(parentId, []);
+            children.get(parentId).push(comment);
+        });
+
+        const renderBranch = (parentId, depth) => (children.get(parentId) || [])
+            .map(comment => this.commentHtml(comment, renderBranch(comment.id, depth + 1), depth))
+            .join('');
+
+        list.innerHTML = renderBranch(null, 0);
+
+        const byId = new Map(this.comments.map(comment => [comment.id, comment]));
+        list.querySelectorAll('user-avatar[data-author]').forEach(avatar => {
+            avatar.user = byId.get(avatar.dataset.author).author;
+        });
+
+        const replyForm = list.querySelector('[data-reply-form] form');
+        if(replyForm){
+            replyForm.elements.body.value = this.replyDraft;
+            this.replyBinder = this.bindCommentForm(replyForm, this.replyingTo);
+            replyForm.elements.body.focus();
+        }
+    }
+
+    commentHtml(comment, repliesHtml, depth){
+        const author = comment.author || {};
+        const id = escapeHtml(comment.id);
+        const mine = !comment.deleted && author.username && author.username === getCurrentUser()?.username;
+
+        let actions = '';
+        if(this.confirming === comment.id){
+            actions = `
+                <span class="text-xs">Delete this comment?</span>
+                <button type="button" class="btn btn-error btn-xs" data-delete-confirm="${id}">Delete</button>
+                <button type="button" class="btn btn-ghost btn-xs" data-delete-cancel>Cancel</button>
+            `;
+        } else if(!comment.deleted){
+            actions = `
+                ${isAuthenticated() ? `<button type="button" class="btn btn-ghost btn-xs" data-reply="${id}">Reply</button>` : ''}
+                ${mine ? `<button type="button" class="btn btn-ghost btn-xs" data-delete="${id}">Delete</button>` : ''}
+            `;
+        }
+
+        const body = comment.deleted
+            ? '<p class="italic opacity-60">This comment was deleted.</p>'
+            : `<div class="space-y-1 break-words">${renderMarkdown(comment.body)}</div>`;
+
+        const replyForm = this.replyingTo === comment.id
+            ? `<div class="mt-2" data-reply-form>${commentFormHtml(`reply-form-${id}`, { label: `Reply to ${escapeHtml(author.displayName || author.username || '')}`, submitLabel: 'Reply', cancel: true })}</div>`
+            : '';
+
+        // Past MAX_DEPTH replies stop indenting, so deep threads stay readable on a phone
+        const indent = depth < MAX_DEPTH ? 'pl-4 border-l border-base-300' : '';
+        const replies = repliesHtml ? `<ul class="space-y-3 mt-3 ${indent}">${repliesHtml}</ul>` : '';
+
+        return `
+            <li>
+                <article class="flex gap-2" aria-label="Comment by ${escapeHtml(author.displayName || author.username || 'deleted user')}">
+                    ${comment.deleted ? '<div class="w-8 shrink-0"></div>' : `<user-avatar class="w-8" data-author="${id}"></user-avatar>`}
+                    <div class="min-w-0 flex-1">
+                        ${comment.deleted ? '' : `
+                            <div class="text-sm">
+                                <a href="/u/${encodeURIComponent(author.username || '')}" class="link link-hover font-medium">${escapeHtml(author.displayName || author.username || '')}</a>
+                                <span class="opacity-60">${formatDate(comment.createdAt)}</span>
+                            </div>
+                        `}
+                        ${body}
+                        <div class="flex items-center gap-1 -ml-2">${actions}</div>
+                        ${replyForm}
+                    </div>
+                </article>
+                ${replies}
+            </li>
+        `;
+    }
+
+    /**
+     * ====================================
+     * ACTIONS
+     * ====================================
+     */
+
+    bindCommentForm(form, parentId){
+        return bindForm(form, {
+            rules: { body: [required('Write something first'), maxLength(MAX_BODY_LENGTH)] },
+            onSubmit: async ({ body }) => {
+                this.querySelector('[data-error]').textContent = '';
+                const comment = await addComment(this._post.id, { body: body.trim(), parentId });
+                this.comments = [...this.comments, comment];
+                if(parentId){
+                    this.replyingTo = null;
+                    this.replyDraft = '';
+                } else {
+                    form.reset();
+                    this.binder.destroy();
+                    this.binder = this.bindCommentForm(form, null);
+                }
+                this.renderComments();
+                this.notifyCount();
+            },
+            onError: (error) => this.showError(error, 'Could not post your comment, please try again')
+        });
+    }
+
+    onClick(e){
+        const replyBtn = e.target.closest('[data-reply]');
+        const deleteBtn = e.target.closest('[data-delete]');
+        const confirmBtn = e.target.closest('[data-delete-confirm]');
+
+        if(replyBtn){
+            if(this.replyingTo !== replyBtn.dataset.reply) this.replyDraft = '';
+            this.replyingTo = replyBtn.dataset.reply;
+            this.renderComments();
+        } else if(e.target.closest('[data-reply-cancel]')){
+            this.replyingTo = null;
+            this.replyDraft = '';
+            this.renderComments();
+        } else if(deleteBtn){
+            this.confirming = deleteBtn.dataset.delete;
+            this.renderComments();
+            this.querySelector('[data-delete-confirm]')?.focus();
+        } else if(e.target.closest('[data-delete-cancel]')){
+            this.confirming = null;
+            this.renderComments();
+        } else if(confirmBtn){
+            confirmBtn.disabled = true;
+            this.removeComment(confirmBtn.dataset.deleteConfirm);
+        }
+    }
+
+    async removeComment(commentId){
+        this.querySelector('[data-error]').textContent = '';
+        try{
+            await deleteComment(this._post.id, commentId);
+            // Keep a placeholder where others replied to it
+            const hasReplies = this.comments.some(comment => comment.parentId === commentId);
+            this.comments = hasReplies
+                ? this.comments.map(comment => comment.id === commentId ? { ...comment, deleted: true, body: '' } : comment)
+                : this.comments.filter(comment => comment.id !== commentId);
+            if(this.replyingTo === commentId) this.replyingTo = null;
+            this.notifyCount();
+        } catch (error){
+            this.showError(error, 'Could not delete the comment, please try again');
+        }
+        this.confirming = null;
+        this.renderComments();
+    }
+
+    showError(error, fallback){
+        console.error('Comment change failed:', error);
+        this.querySelector('[data-error]').textContent = error.response?.data?.message || fallback;
+    }
+
+    notifyCount(){
+        const count = this.comments.filter(comment => !comment.deleted).length;
+        this.dispatchEvent(new CustomEvent('comments-changed', { bubbles: true, detail: { count } }));
+    }
+}
+
+customElements.define('comment-thread', CommentThread);
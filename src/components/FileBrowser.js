@@ -0,0 +1,786 @@
+import { getUserPreference, setUserPreference } from '../utils/preferences.js';
+import { formatBytes, formatDate, escapeHtml } from '../utils/format.js';
+import { isItemDrag } from '../services/bulkOperations.js';
+
+/**
+ * <file-browser>
+ *  - Grid or list view of folders + files, with the view mode remembered per user.
+ *  - Sortable by name, size, type or modified date (folders always come first).
+ *  - Multi-select: click, shift-click (range), ctrl/cmd-click (toggle).
+ *  - Keyboard: arrows, Home/End, PageUp/PageDown, Space, Enter, Ctrl/Cmd+A, Escape.
+ *  - Drag & drop: items can be dragged, folders accept drops.
+ *  - Files show their tags and a star toggle (S on the keyboard); the page
+ *    saves the change and hands the updated file back with updateItem().
+ *  - addItem()/removeItem() change the list in place (e.g. for realtime
+ *    updates), keeping the scroll position and selection.
+ *  - Virtualised: only the rows/tiles in view are in the DOM, and files are
+ *    fetched page by page as the user scrolls (accounts hold tens of thousands).
+ *
+ * Usage:
+ *   import '../components/FileBrowser.js';
+ *   const browser = document.createElement('file-browser');
+ *   browser.source = {
+ *     folders: [...],                                     // shown first, sorted here
+ *     fetchPage: (page, size, sort) => listFiles(...)     // -> { items, total }
+ *   };
+ *   browser.addEventListener('item-open', e => ...);        // e.detail.item
+ *   browser.addEventListener('selection-change', e => ...); // e.detail.items
+ *   browser.addEventListener('items-dragstart', e => ...);  // e.detail.event, e.detail.items
+ *   browser.addEventListener('items-drop', e => ...);       // e.detail.event, e.detail.folder
+ *   browser.addEventListener('item-star', e => ...);        // e.detail.item (toggle its `starred`)
+ */
+
+const ROW_HEIGHT = 44; // list row height in px
+const TILE_WIDTH = 168; // grid tile size in px
+const TILE_HEIGHT = 184;
+const OVERSCAN_ROWS = 4; // extra rows rendered above/below the viewport
+const PAGE_SIZE = 200; // files fetched per request
+
+const SORT_OPTIONS = [
+    { key: 'name', label: 'Name' },
+    { key: 'size', label: 'Size' },
+    { key: 'type', label: 'Type' },
+    { key: 'modified', label: 'Modified' }
+];
+
+/**
+ * Icon for an item (HTML entity)
+ */
+function getItemIcon(item){
+    if(item.isFolder) return '&#128193;';
+    const type = item.mimeType || '';
+    if(type.startsWith('image/')) return '&#128444;';
+    if(type.startsWith('video/')) return '&#127916;';
+    if(type.startsWith('audio/')) return '&#127925;';
+    if(type === 'application/pdf') return '&#128196;';
+    if(type.startsWith('text/')) return '&#128221;';
+    return '&#128230;';
+}
+
+/**
+ * Star toggle for a file (nothing for folders)
+ */
+function renderStar(item){
+    if(item.isFolder) return '<span class="w-6"></span>';
+    return `
+        <button type="button" class="w-6 text-center ${item.starred ? 'text-warning' : 'opacity-30 hover:opacity-80'}" data-star
+                tabindex="-1" aria-pressed="${Boolean(item.starred)}" aria-label="${item.starred ? 'Unstar' : 'Star'} ${escapeHtml(item.name)}">
+            ${item.starred ? '&#9733;' : '&#9734;'}
+        </button>
+    `;
+}
+
+/**
+ * A few tag badges (the rest as "+2")
+ */
+function renderTags(item, max = 3){
+    const tags = item.tags || [];
+    if(!tags.length) return '';
+    const shown = tags.slice(0, max).map(tag => `<span class="badge badge-ghost badge-xs">${escapeHtml(tag)}</span>`).join('');
+    const more = tags.length > max ? `<span class="text-xs opacity-60">+${tags.length - max}</span>` : '';
+    return `<span class="hidden sm:flex items-center gap-1 shrink-0">${shown}${more}</span>`;
+}
+
+/**
+ * Compare two folders for client-side sorting (files are sorted by the API)
+ */
+function compareFolders(a, b, { key, direction }){
+    const sign = direction === 'desc' ? -1 : 1;
+    if(key === 'modified'){
+        return sign * (new Date(a.updatedAt || 0) - new Date(b.updatedAt || 0));
+    }
+    return sign * a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Compare two files the way the API sorts them - for placing a single new file
+ */
+function compareFiles(a, b, sort){
+    const sign = sort.direction === 'desc' ? -1 : 1;
+    if(sort.key === 'size') return sign * ((a.size || 0) - (b.size || 0));
+    if(sort.key === 'type') return sign * (a.mimeType || '').localeCompare(b.mimeType || '');
+    return compareFolders(a, b, sort);
+}
+
+class FileBrowser extends HTMLElement {
+    constructor(){
+        super();
+        this.folders = [];
+        this.files = []; // sparse - filled page by page
+        this.totalFiles = 0;
+        this.loadingPages = new Set();
+        this.fetchPage = null;
+
+        this.selected = new Set(); // selected item ids
+        this.anchorIndex = null; // start of a shift-click range
+        this.focusIndex = 0;
+
+        this.frame = null;
+        this.nodes = new Map(); // index -> { el, html } of the rows/tiles in the DOM
+    }
+
+    /**
+     * ====================================
+     * PUBLIC API
+     * ====================================
+     */
+
+    set source({ folders = [], fetchPage }){
+        this.sourceFolders = folders.map(folder => ({ ...folder, isFolder: true }));
+        this.fetchPage = fetchPage;
+        this.reset();
+    }
+
+    /**
+     * Currently selected items (only ones that are loaded)
+     */
+    get selectedItems(){
+        return this.getLoadedItems().filter(item => this.selected.has(item.id));
+    }
+
+    clearSelection(){
+        this.selected.clear();
+        this.anchorIndex = null;
+        this.emitSelection();
+        this.scheduleRender();
+    }
+
+    /**
+     * Replace a loaded item with a newer copy (e.g. after starring or tagging it)
+     *
+     * @param {Object} updated - Item with the same id
+     */
+    updateItem(updated){
+        const index = this.files.findIndex(file => file?.id === updated.id);
+        if(index === -1) return;
+        this.files[index] = { ...this.files[index], ...updated };
+        this.scheduleRender();
+    }
+
+    /**
+     * Show a new item where the current sort puts it
+     *
+     * Folders and fully loaded file lists change in place; while some
+     * file pages aren't loaded yet the right spot is unknown, so the list
+     * reloads instead.
+     *
+     * @param {Object} item - Folder (isFolder) or file
+     */
+    addItem(item){
+        if(this.getLoadedItems().some(existing => existing.id === item.id)){
+            this.updateItem(item);
+            return;
+        }
+
+        if(item.isFolder){
+            const folder = { ...item, isFolder: true };
+            this.sourceFolders = [...(this.sourceFolders || []), folder];
+            const index = this.folders.findIndex(other => compareFolders(folder, other, this.sort) < 0);
+            this.folders.splice(index === -1 ? this.folders.length : index, 0, folder);
+            this.shiftIndexes(index === -1 ? this.folders.length - 1 : index, 1);
+            this.scheduleRender();
+            return;
+        }
+
+        const loaded = this.files.filter(Boolean).length;
+        if(loaded < this.totalFiles || this.loadingPages.size){
+            this.refresh();
+            return;
+        }
+        const index = this.files.findIndex(other => compareFiles(item, other, this.sort) < 0);
+        const position = index === -1 ? this.files.length : index;
+        this.files.splice(position, 0, item);
+        this.totalFiles++;
+        this.shiftIndexes(this.folders.length + position, 1);
+        this.scheduleRender();
+    }
+
+    /**
+     * Take an item out of the list (deleted or moved elsewhere)
+     *
+     * Later file pages shift down by one, just like the server's do.
+     *
+     * @param {string} id
+     */
+    removeItem(id){
+        const folderIndex = this.folders.findIndex(folder => folder.id === id);
+        const fileIndex = folderIndex === -1 ? this.files.findIndex(file => file?.id === id) : -1;
+        if(folderIndex === -1 && fileIndex === -1) return;
+
+        if(folderIndex !== -1){
+            this.folders.splice(folderIndex, 1);
+            this.sourceFolders = (this.sourceFolders || []).filter(folder => folder.id !== id);
+            this.shiftIndexes(folderIndex, -1);
+        } else {
+            this.files.splice(fileIndex, 1);
+            this.totalFiles = Math.max(0, this.totalFiles - 1);
+            this.shiftIndexes(this.folders.length + fileIndex, -1);
+        }
+
+        if(this.selected.delete(id)) this.emitSelection();
+        this.scheduleRender();
+    }
+
+    /**
+     * Keep focus and the shift-click anchor on the same item after an insert/remove at `index`
+     */
+    shiftIndexes(index, delta){
+        if(this.focusIndex > index || (delta > 0 && this.focusIndex === index)){
+            this.focusIndex = Math.max(0, this.focusIndex + delta);
+        }
+        if(this.anchorIndex !== null && (this.anchorIndex > index || (delta > 0 && this.anchorIndex === index))){
+            this.anchorIndex = Math.max(0, this.anchorIndex + delta);
+        }
+        this.focusIndex = Math.min(this.focusIndex, Math.max(0, this.itemCount - 1));
+    }
+
+    /**
+     * Reload the current source (e.g. after files were added or removed)
+     */
+    refresh(){
+        this.reset();
+    }
+
+    /**
+     * ====================================
+     * LIFECYCLE
+     * ====================================
+     */
+
+    connectedCallback(){
+        this.viewMode = getUserPreference('fileBrowser.viewMode', 'list');
+        this.sort = getUserPreference('fileBrowser.sort', { key: 'name', direction: 'asc' });
+
+        this.renderShell();
+
+        this.resizeObserver = new ResizeObserver(() => this.scheduleRender());
+        this.resizeObserver.observe(this.scroller);
+
+        if(this.fetchPage) this.reset();
+    }
+
+    disconnectedCallback(){
+        if(this.resizeObserver) this.resizeObserver.disconnect();
+        if(this.frame) cancelAnimationFrame(this.frame);
+    }
+
+    /**
+     * ====================================
+     * DATA
+     * ====================================
+     */
+
+    reset(){
+        this.folders = [...(this.sourceFolders || [])].sort((a, b) => compareFolders(a, b, this.sort || {}));
+        this.files = [];
+        this.totalFiles = 0;
+        this.loadingPages.clear();
+        this.selected.clear();
+        this.anchorIndex = null;
+        this.focusIndex = 0;
+        this.loadVersion = (this.loadVersion || 0) + 1;
+
+        if(this.scroller) this.scroller.scrollTop = 0;
+        this.emitSelection();
+        if(this.fetchPage && this.isConnected) this.loadPage(0);
+        this.scheduleRender();
+    }
+
+    get itemCount(){
+        return this.folders.length + this.totalFiles;
+    }
+
+    getItem(index){
+        return index < this.folders.length ? this.folders[index] : this.files[index - this.folders.length];
+    }
+
+    getLoadedItems(){
+        return this.folders.concat(this.files.filter(Boolean));
+    }
+
+    async loadPage(page){
+        if(this.loadingPages.has(page) || !this.fetchPage) return;
+        this.loadingPages.add(page);
+        const version = this.loadVersion;
+
+        try{
+            const { items = [], total = 0 } = await this.fetchPage(page, PAGE_SIZE, this.sort);
+            if(version !== this.loadVersion) return; // sort or folder changed meanwhile
+            items.forEach((item, i) => { this.files[page * PAGE_SIZE + i] = item; });
+            this.totalFiles = total;
+            this.scheduleRender();
+        } catch (error){
+            console.error('Failed to load files:', error);
+        } finally {
+            if(version === this.loadVersion) this.loadingPages.delete(page);
+        }
+    }
+
+    /**
+     * Make sure every item between start and end (inclusive) is loaded
+     */
+    async loadRange(start, end){
+        const first = Math.max(0, start - this.folders.length);
+        const last = end - this.folders.length;
+        if(last < 0) return;
+
+        const pages = [];
+        for(let page = Math.floor(first / PAGE_SIZE); page <= Math.floor(last / PAGE_SIZE); page++){
+            if(!this.files[page * PAGE_SIZE]) pages.push(page);
+        }
+        // One page at a time keeps the server happy on big ranges
+        for(const page of pages){
+            await this.loadPage(page);
+        }
+    }
+
+    setSort(key, direction){
+        if(!direction){
+            // Clicking the same column flips the direction
+            direction = this.sort.key === key && this.sort.direction === 'asc' ? 'desc' : 'asc';
+        }
+        this.sort = { key, direction };
+        setUserPreference('fileBrowser.sort', this.sort);
+        this.renderToolbar();
+        this.reset();
+    }
+
+    setViewMode(mode){
+        this.viewMode = mode;
+        setUserPreference('fileBrowser.viewMode', mode);
+        this.renderToolbar();
+        this.scheduleRender();
+    }
+
+    /**
+     * ====================================
+     * SELECTION
+     * ====================================
+     */
+
+    selectIndex(index, { range = false, toggle = false } = {}){
+        const item = this.getItem(index);
+
+        if(range && this.anchorIndex !== null){
+            const start = Math.min(this.anchorIndex, index);
+            const end = Math.max(this.anchorIndex, index);
+            if(!toggle) this.selected.clear();
+            this.loadRange(start, end).then(() => {
+                for(let i = start; i <= end; i++){
+                    const rangeItem = this.getItem(i);
+                    if(rangeItem) this.selected.add(rangeItem.id);
+                }
+                this.emitSelection();
+                this.scheduleRender();
+            });
+        } else if(toggle){
+            if(item){
+                if(this.selected.has(item.id)) this.selected.delete(item.id);
+                else this.selected.add(item.id);
+            }
+            this.anchorIndex = index;
+        } else {
+            this.selected.clear();
+            if(item) this.selected.add(item.id);
+            this.anchorIndex = index;
+        }
+
+        this.focusIndex = index;
+        this.emitSelection();
+        this.scheduleRender();
+    }
+
+    async selectAll(){
+        await this.loadRange(0, this.itemCount - 1);
+        this.getLoadedItems().forEach(item => this.selected.add(item.id));
+        this.emitSelection();
+        this.scheduleRender();
+    }
+
+    emitSelection(){
+        const items = this.selectedItems;
+        this.dispatchEvent(new CustomEvent('selection-change', { detail: { items, count: items.length } }));
+    }
+
+    openIndex(index){
+        const item = this.getItem(index);
+        if(item) this.dispatchEvent(new CustomEvent('item-open', { detail: { item } }));
+    }
+
+    starIndex(index){
+        const item = this.getItem(index);
+        if(item && !item.isFolder) this.dispatchEvent(new CustomEvent('item-star', { detail: { item } }));
+    }
+
+    /**
+     * ====================================
+     * INPUT
+     * ====================================
+     */
+
+    onClick(e){
+        const el = e.target.closest('[data-index]');
+        if(!el) return;
+        if(e.target.closest('[data-star]')){
+            this.starIndex(Number(el.dataset.index));
+            return;
+        }
+        const index = Number(el.dataset.index);
+        this.selectIndex(index, { range: e.shiftKey, toggle: e.ctrlKey || e.metaKey });
+        this.scroller.focus({ preventScroll: true });
+    }
+
+    onKeyDown(e){
+        const count = this.itemCount;
+        if(!count) return;
+
+        const { columns, visibleRows } = this.getMetrics();
+        const moves = {
+            ArrowDown: columns,
+            ArrowUp: -columns,
+            ArrowRight: this.viewMode === 'grid' ? 1 : 0,
+            ArrowLeft: this.viewMode === 'grid' ? -1 : 0,
+            PageDown: columns * visibleRows,
+            PageUp: -columns * visibleRows
+        };
+
+        let target = null;
+        if(e.key in moves) target = this.focusIndex + moves[e.key];
+        if(e.key === 'Home') target = 0;
+        if(e.key === 'End') target = count - 1;
+
+        if(target !== null){
+            e.preventDefault();
+            target = Math.max(0, Math.min(count - 1, target));
+            if(e.ctrlKey || e.metaKey){
+                // Move focus only, keep selection
+                this.focusIndex = target;
+                this.scheduleRender();
+            } else {
+                this.selectIndex(target, { range: e.shiftKey });
+            }
+            this.scrollToIndex(target);
+            return;
+        }
+
+        if(e.key === ' '){
+            e.preventDefault();
+            this.selectIndex(this.focusIndex, { toggle: true });
+        } else if(e.key === 'Enter'){
+            e.preventDefault();
+            this.openIndex(this.focusIndex);
+        } else if(e.key === 'a' && (e.ctrlKey || e.metaKey)){
+            e.preventDefault();
+            this.selectAll();
+        } else if(e.key === 'Escape'){
+            this.clearSelection();
+        } else if(e.key === 's' && !e.ctrlKey && !e.metaKey && !e.altKey){
+            e.preventDefault();
+            this.starIndex(this.focusIndex);
+        }
+    }
+
+    /**
+     * Dragging a selected item drags the whole selection
+     */
+    onDragStart(e){
+        const el = e.target.closest('[data-index]');
+        const item = el && this.getItem(Number(el.dataset.index));
+        if(!item) return;
+        const items = this.selected.has(item.id) ? this.selectedItems : [item];
+        this.dispatchEvent(new CustomEvent('items-dragstart', { detail: { event: e, items } }));
+    }
+
+    onDragOver(e){
+        const el = e.target.closest('[data-folder]');
+        if(!el || !isItemDrag(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = e.ctrlKey || e.altKey ? 'copy' : 'move';
+        this.setDropTarget(el, true);
+    }
+
+    onDrop(e){
+        const el = e.target.closest('[data-folder]');
+        if(!el || !isItemDrag(e)) return;
+        e.preventDefault();
+        this.setDropTarget(el, false);
+        const folder = this.getItem(Number(el.dataset.index));
+        if(folder) this.dispatchEvent(new CustomEvent('items-drop', { detail: { event: e, folder } }));
+    }
+
+    setDropTarget(el, active){
+        if(el) el.classList.toggle('ring-2', active);
+        if(el) el.classList.toggle('ring-primary', active);
+    }
+
+    scrollToIndex(index){
+        const { columns, rowHeight } = this.getMetrics();
+        const top = Math.floor(index / columns) * rowHeight;
+        const bottom = top + rowHeight;
+        if(top < this.scroller.scrollTop){
+            this.scroller.scrollTop = top;
+        } else if(bottom > this.scroller.scrollTop + this.scroller.clientHeight){
+            this.scroller.scrollTop = bottom - this.scroller.clientHeight;
+        }
+    }
+
+    /**
+     * ====================================
+     * RENDERING
+     * ====================================
+     */
+
+    renderShell(){
+        this.className = 'flex flex-col gap-2';
+        this.innerHTML = `
+            <div class="flex flex-wrap items-center gap-2" data-toolbar></div>
+            <div class="hidden md:flex items-center gap-3 px-3 text-xs font-semibold uppercase opacity-70" data-list-header></div>
+            <div class="relative overflow-auto h-[70vh] bg-base-100 rounded-box focus:outline-none focus-visible:ring-2 focus-visible:ring-primary"
+                 tabindex="0" role="listbox" aria-multiselectable="true" aria-label="Files" data-scroller>
+                <div class="relative" data-spacer></div>
+            </div>
+        `;
+
+        this.scroller = this.querySelector('[data-scroller]');
+        this.spacer = this.querySelector('[data-spacer]');
+        this.nodes.clear();
+
+        this.scroller.addEventListener('scroll', () => this.scheduleRender());
+        this.scroller.addEventListener('click', (e) => this.onClick(e));
+        this.scroller.addEventListener('dblclick', (e) => {
+            const el = e.target.closest('[data-index]');
+            if(el && !e.target.closest('[data-star]')) this.openIndex(Number(el.dataset.index));
+        });
+        this.scroller.addEventListener('keydown', (e) => this.onKeyDown(e));
+
+        this.scroller.addEventListener('dragstart', (e) => this.onDragStart(e));
+        this.scroller.addEventListener('dragover', (e) => this.onDragOver(e));
+        this.scroller.addEventListener('dragleave', (e) => this.setDropTarget(e.target.closest('[data-folder]'), false));
+        this.scroller.addEventListener('drop', (e) => this.onDrop(e));
+
+        this.querySelector('[data-toolbar]').addEventListener('click', (e) => {
+            const viewBtn = e.target.closest('[data-view]');
+            if(viewBtn) this.setViewMode(viewBtn.dataset.view);
+            const dirBtn = e.target.closest('[data-sort-direction]');
+            if(dirBtn) this.setSort(this.sort.key, this.sort.direction === 'asc' ? 'desc' : 'asc');
+        });
+        this.querySelector('[data-toolbar]').addEventListener('change', (e) => {
+            if(e.target.matches('[data-sort-key]')) this.setSort(e.target.value, this.sort.direction);
+        });
+        this.querySelector('[data-list-header]').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-sort]');
+            if(btn) this.setSort(btn.dataset.sort);
+        });
+
+        this.renderToolbar();
+    }
+
+    renderToolbar(){
+        const toolbar = this.querySelector('[data-toolbar]');
+        if(!toolbar) return;
+        const { key, direction } = this.sort;
+
+        toolbar.innerHTML = `
+            <div class="join" role="group" aria-label="View mode">
+                <button class="btn btn-sm join-item ${this.viewMode === 'list' ? 'btn-active' : ''}" data-view="list" aria-pressed="${this.viewMode === 'list'}">List</button>
+                <button class="btn btn-sm join-item ${this.viewMode === 'grid' ? 'btn-active' : ''}" data-view="grid" aria-pressed="${this.viewMode === 'grid'}">Grid</button>
+            </div>
+            <label class="flex items-center gap-1 text-sm">
+                Sort by
+                <select class="select select-sm w-auto" data-sort-key>
+                    ${SORT_OPTIONS.map(option => `<option value="${option.key}" ${option.key === key ? 'selected' : ''}>${option.label}</option>`).join('')}
+                </select>
+            </label>
+            <button class="btn btn-sm btn-ghost" data-sort-direction aria-label="Sort ${direction === 'asc' ? 'descending' : 'ascending'}">
+                ${direction === 'asc' ? '&#8593;' : '&#8595;'}
+            </button>
+            <span class="text-sm opacity-70 ml-auto" data-count></span>
+        `;
+
+        const header = this.querySelector('[data-list-header]');
+        header.classList.toggle('md:flex', this.viewMode === 'list');
+        header.innerHTML = `
+            <span class="w-6"></span>
+            ${SORT_OPTIONS.map(option => {
+                const widths = { name: 'flex-1', size: 'w-24 text-right', type: 'w-32', modified: 'w-44' };
+                const active = option.key === key;
+                // The star column sits between name and size
+                return `${option.key === 'size' ? '<span class="w-6"></span>' : ''}
+                    <button class="${widths[option.key]} text-left uppercase ${active ? 'text-primary' : ''}" data-sort="${option.key}"
+                            aria-sort="${active ? (direction === 'asc' ? 'ascending' : 'descending') : 'none'}">
+                        ${option.label}${active ? (direction === 'asc' ? ' &#8593;' : ' &#8595;') : ''}
+                    </button>
+                `;
+            }).join('')}
+        `;
+    }
+
+    /**
+     * Layout numbers for the current view mode and size
+     */
+    getMetrics(){
+        const width = this.scroller?.clientWidth || TILE_WIDTH;
+        const height = this.scroller?.clientHeight || ROW_HEIGHT;
+        const isGrid = this.viewMode === 'grid';
+        const columns = isGrid ? Math.max(1, Math.floor(width / TILE_WIDTH)) : 1;
+        const rowHeight = isGrid ? TILE_HEIGHT : ROW_HEIGHT;
+        return { columns, rowHeight, visibleRows: Math.max(1, Math.floor(height / rowHeight)) };
+    }
+
+    scheduleRender(){
+        if(this.frame || !this.scroller) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.renderWindow();
+        });
+    }
+
+    /**
+     * Render only the rows that are (nearly) visible
+     */
+    renderWindow(){
+        const count = this.itemCount;
+        const { columns, rowHeight } = this.getMetrics();
+        const totalRows = Math.ceil(count / columns);
+
+        this.spacer.style.height = `${totalRows * rowHeight}px`;
+
+        const countEl = this.querySelector('[data-count]');
+        if(countEl){
+            countEl.textContent = this.selected.size
+                ? `${this.selected.size} of ${count} selected`
+                : `${count} item${count === 1 ? '' : 's'}`;
+        }
+
+        if(!count){
+            this.nodes.clear();
+            this.spacer.innerHTML = this.fetchPage && this.loadingPages.size
+                ? '<div class="p-6"><span class="loading loading-spinner loading-md"></span></div>'
+                : '<p class="p-6 opacity-70">This folder is empty.</p>';
+            this.scroller.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        const firstRow = Math.max(0, Math.floor(this.scroller.scrollTop / rowHeight) - OVERSCAN_ROWS);
+        const lastRow = Math.min(totalRows - 1, Math.ceil((this.scroller.scrollTop + this.scroller.clientHeight) / rowHeight) + OVERSCAN_ROWS);
+        const start = firstRow * columns;
+        const end = Math.min(count - 1, (lastRow + 1) * columns - 1);
+
+        // Fetch pages that are in view but not loaded yet
+        for(let i = start; i <= end; i++){
+            if(!this.getItem(i)){
+                this.loadPage(Math.floor((i - this.folders.length) / PAGE_SIZE));
+                i = this.folders.length + (Math.floor((i - this.folders.length) / PAGE_SIZE) + 1) * PAGE_SIZE - 1;
+            }
+        }
+
+        // Patch the rows/tiles in place - scrolling only adds the ones coming into view,
+        // and rows that didn't change keep their node (and loaded thumbnail)
+        if(!this.nodes.size) this.spacer.replaceChildren(); // the empty/loading message
+        this.nodes.forEach((node, index) => {
+            if(index < start || index > end){
+                node.el.remove();
+                this.nodes.delete(index);
+            }
+        });
+
+        let previous = null;
+        for(let i = start; i <= end; i++){
+            const html = this.viewMode === 'grid'
+                ? this.renderTile(i, Math.floor(i / columns), i % columns)
+                : this.renderRow(i);
+            previous = this.patchNode(i, html, previous);
+        }
+
+        if(this.focusIndex < count){
+            this.scroller.setAttribute('aria-activedescendant', `${this.id || 'file-browser'}-item-${this.focusIndex}`);
+        }
+    }
+
+    /**
+     * Put one row/tile in the DOM right after `previous`, reusing its node if the HTML is the same
+     *
+     * @returns {Element} The row/tile's node
+     */
+    patchNode(index, html, previous){
+        const existing = this.nodes.get(index);
+        if(existing?.html === html) return existing.el;
+
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        const el = template.content.firstElementChild;
+
+        if(existing){
+            existing.el.replaceWith(el);
+        } else {
+            this.spacer.insertBefore(el, previous ? previous.nextSibling : this.spacer.firstChild);
+        }
+        this.nodes.set(index, { el, html });
+        return el;
+    }
+
+    itemAttributes(index, item){
+        const selected = item && this.selected.has(item.id);
+        const focused = index === this.focusIndex;
+        return {
+            attrs: `id="${this.id || 'file-browser'}-item-${index}" role="option" data-index="${index}"
+                    aria-selected="${Boolean(selected)}" aria-setsize="${this.itemCount}" aria-posinset="${index + 1}"
+                    ${item ? 'draggable="true"' : ''} ${item?.isFolder ? 'data-folder' : ''}`,
+            stateClass: [
+                selected ? 'bg-primary/15' : 'hover:bg-base-200',
+                focused ? 'outline outline-2 outline-primary -outline-offset-2' : ''
+            ].join(' ')
+        };
+    }
+
+    renderRow(index){
+        const item = this.getItem(index);
+        const { attrs, stateClass } = this.itemAttributes(index, item);
+        const position = `style="top:${index * ROW_HEIGHT}px;height:${ROW_HEIGHT}px"`;
+
+        if(!item){
+            return `<div ${attrs} ${position} class="absolute inset-x-0 flex items-center px-3"><div class="skeleton h-4 w-full"></div></div>`;
+        }
+
+        return `
+            <div ${attrs} ${position} class="absolute inset-x-0 flex items-center gap-3 px-3 border-b border-base-200 select-none cursor-default ${stateClass}">
+                <span class="w-6 text-center" aria-hidden="true">${getItemIcon(item)}</span>
+                <span class="flex-1 min-w-0 flex items-center gap-2">
+                    <span class="truncate" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</span>
+                    ${renderTags(item)}
+                </span>
+                ${renderStar(item)}
+                <span class="w-24 text-right text-sm opacity-70 hidden md:inline">${item.isFolder ? '' : formatBytes(item.size)}</span>
+                <span class="w-32 truncate text-sm opacity-70 hidden md:inline">${item.isFolder ? 'Folder' : escapeHtml(item.mimeType || '')}</span>
+                <span class="w-44 text-sm opacity-70 hidden md:inline">${formatDate(item.updatedAt)}</span>
+            </div>
+        `;
+    }
+
+    renderTile(index, row, column){
+        const item = this.getItem(index);
+        const { attrs, stateClass } = this.itemAttributes(index, item);
+        const position = `style="top:${row * TILE_HEIGHT}px;left:${column * TILE_WIDTH}px;width:${TILE_WIDTH}px;height:${TILE_HEIGHT}px"`;
+
+        if(!item){
+            return `<div ${attrs} ${position} class="absolute p-2"><div class="skeleton w-full h-full"></div></div>`;
+        }
+
+        const thumbnail = item.thumbnailUrl
+            ? `<img src="${escapeHtml(item.thumbnailUrl)}" alt="" loading="lazy" class="max-h-full max-w-full object-contain" />`
+            : `<span class="text-5xl" aria-hidden="true">${getItemIcon(item)}</span>`;
+
+        return `
+            <div ${attrs} ${position} class="absolute p-2 select-none cursor-default">
+                <div class="relative flex flex-col h-full rounded-box p-2 gap-2 ${stateClass}">
+                    <span class="absolute top-1 right-1">${renderStar(item)}</span>
+                    <div class="flex-1 flex items-center justify-center overflow-hidden">${thumbnail}</div>
+                    <span class="text-sm truncate text-center" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</span>
+                    <span class="text-xs opacity-70 text-center">${item.isFolder ? 'Folder' : formatBytes(item.size)}</span>
+                </div>
+            </div>
+        `;
+    }
+}
+
+customElements.define('file-browser', FileBrowser);
@@ -0,0 +1,55 @@
+import { renderPreview } from '../services/preview/index.js';
+
+/**
+ * <file-preview>
+ *  - Shows a preview for a local File (before upload) or a remote file record (My Files).
+ *  - Picks the renderer by magic bytes / MIME type: image & video thumbnails,
+ *    audio waveform, PDF first page, highlighted text snippet, or a plain card.
+ *  - Frees object URLs when removed from the page.
+ *
+ * Usage:
+ *   import '../components/FilePreview.js';
+ *   const preview = document.createElement('file-preview');
+ *   preview.file = fileOrRecord;
+ *   container.append(preview);
+ */
+class FilePreview extends HTMLElement {
+    set file(value){
+        this._file = value;
+        if(this.isConnected) this.load();
+    }
+
+    get file(){
+        return this._file;
+    }
+
+    connectedCallback(){
+        this.classList.add('flex', 'items-center', 'justify-center');
+        if(this._file) this.load();
+    }
+
+    disconnectedCallback(){
+        this.cleanup();
+    }
+
+    async load(){
+        this.cleanup();
+        const controller = new AbortController();
+        this.controller = controller;
+
+        const preview = await renderPreview(this._file, this, { signal: controller.signal });
+        if(controller.signal.aborted) return;
+
+        this.dataset.kind = preview.kind;
+        this.releasePreview = preview.release;
+    }
+
+    cleanup(){
+        if(this.controller) this.controller.abort();
+        if(this.releasePreview) this.releasePreview();
+        this.controller = null;
+        this.releasePreview = null;
+    }
+}
+
+customElements.define('file-preview', FilePreview);
@@ -0,0 +1,89 @@
+import { ROOT_FOLDER_ID, loadChildFolders, getFolderInfo } from '../services/folders.js';
+import { escapeHtml } from '../utils/format.js';
+
+/**
+ * pickFolder
+ *  - Opens a DaisyUI modal where the user browses folders and picks one.
+ *  - Resolves with { id, name } of the chosen folder, or null if cancelled.
+ *
+ * Usage:
+ *   const target = await pickFolder({ title: 'Move 3 items to…', confirmLabel: 'Move here' });
+ *   if(target) moveItems(items, target.id, currentFolderId);
+ */
+export function pickFolder({
+  title = 'Choose a folder',
+  confirmLabel = 'Choose',
+  disabledIds = [],          // Folders that can't be picked (e.g. the items being moved)
+} = {}) {
+  return new Promise((resolve) => {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'modal';
+    dialog.innerHTML = `
+      <div class="modal-box space-y-3">
+        <h3 class="font-bold text-lg">${escapeHtml(title)}</h3>
+        <div class="breadcrumbs text-sm"><ul data-crumbs></ul></div>
+        <ul class="menu bg-base-200 rounded-box w-full max-h-72 overflow-y-auto flex-nowrap" data-list></ul>
+        <div class="modal-action">
+          <button class="btn" data-cancel>Cancel</button>
+          <button class="btn btn-primary" data-confirm>${escapeHtml(confirmLabel)}</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(dialog);
+
+    // Folders from the root down to the one being shown
+    let trail = [{ id: ROOT_FOLDER_ID, name: 'My Files' }];
+    let result = null;
+
+    const current = () => trail[trail.length - 1];
+
+    async function show() {
+      const list = dialog.querySelector('[data-list]');
+      dialog.querySelector('[data-crumbs]').innerHTML = trail.map((folder, i) =>
+        `<li><a data-crumb="${i}">${escapeHtml(folder.name)}</a></li>`
+      ).join('');
+      dialog.querySelector('[data-confirm]').disabled = disabledIds.includes(current().id);
+
+      list.innerHTML = '<li><span class="loading loading-dots loading-sm"></span></li>';
+      try {
+        const folders = await loadChildFolders(current().id);
+        list.innerHTML = folders.length
+          ? folders.map(folder => `
+              <li class="${disabledIds.includes(folder.id) ? 'menu-disabled' : ''}">
+                <a data-folder="${escapeHtml(folder.id)}">&#128193; ${escapeHtml(folder.name)}</a>
+              </li>`).join('')
+          : '<li class="menu-disabled"><span>No subfolders</span></li>';
+      } catch (error) {
+        console.error('Failed to load folders:', error);
+        list.innerHTML = '<li class="menu-disabled"><span>Could not load folders</span></li>';
+      }
+    }
+
+    dialog.addEventListener('click', async (e) => {
+      const folderLink = e.target.closest('[data-folder]');
+      const crumb = e.target.closest('[data-crumb]');
+
+      if (folderLink && !disabledIds.includes(folderLink.dataset.folder)) {
+        trail.push(await getFolderInfo(folderLink.dataset.folder));
+        show();
+      } else if (crumb) {
+        trail = trail.slice(0, Number(crumb.dataset.crumb) + 1);
+        show();
+      } else if (e.target.closest('[data-confirm]')) {
+        result = { id: current().id, name: current().name };
+        dialog.close();
+      } else if (e.target.closest('[data-cancel]')) {
+        dialog.close();
+      }
+    });
+
+    // Escape key, Cancel and Confirm all end up here
+    dialog.addEventListener('close', () => {
+      dialog.remove();
+      resolve(result);
+    });
+
+    dialog.showModal();
+    show();
+  });
+}
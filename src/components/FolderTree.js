@@ -0,0 +1,163 @@
+import { ROOT_FOLDER_ID, loadChildFolders, getCachedChildFolders, getFolderUrl, getFolderPathFromUrl } from '../services/folders.js';
+import { escapeHtml } from '../utils/format.js';
+import { isItemDrag, dropItemsOnFolder } from '../services/bulkOperations.js';
+
+/**
+ * <folder-tree>
+ *  - Collapsible folder tree for the sidebar.
+ *  - Child folders are loaded from the API only when a folder is expanded.
+ *  - Follows the URL: opening /my-files/a/b expands "a" and highlights "b",
+ *    also after a reload or back/forward.
+ *  - Files dragged from My Files can be dropped on a folder (Ctrl/Alt = copy).
+ *
+ * Usage:
+ *   import '../components/FolderTree.js';
+ *   <folder-tree></folder-tree>
+ */
+
+// Expanded folders are remembered for the whole page session,
+// so the tree looks the same when the layout is re-created
+const expanded = new Set([ROOT_FOLDER_ID]);
+
+// Folders whose children are loading right now
+const loading = new Set();
+
+class FolderTree extends HTMLElement {
+    constructor(){
+        super();
+        this.onLocationChanged = () => this.syncWithUrl();
+        this.onFoldersChanged = (e) => this.reloadChildren(e.detail.parentId);
+
+        this.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-toggle]');
+            if(toggle){
+                e.preventDefault();
+                this.toggleFolder(toggle.dataset.toggle);
+            }
+        });
+
+        this.addEventListener('dragover', (e) => {
+            const target = e.target.closest('[data-drop-folder]');
+            if(!target || !isItemDrag(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = e.ctrlKey || e.altKey ? 'copy' : 'move';
+            target.classList.add('bg-primary/20');
+        });
+
+        this.addEventListener('dragleave', (e) => {
+            e.target.closest('[data-drop-folder]')?.classList.remove('bg-primary/20');
+        });
+
+        this.addEventListener('drop', (e) => {
+            const target = e.target.closest('[data-drop-folder]');
+            if(!target || !isItemDrag(e)) return;
+            e.preventDefault();
+            target.classList.remove('bg-primary/20');
+            dropItemsOnFolder(e, target.dataset.dropFolder).catch(() => {});
+        });
+    }
+
+    connectedCallback(){
+        window.addEventListener('vaadin-router-location-changed', this.onLocationChanged);
+        window.addEventListener('folders-changed', this.onFoldersChanged);
+        this.syncWithUrl();
+    }
+
+    disconnectedCallback(){
+        window.removeEventListener('vaadin-router-location-changed', this.onLocationChanged);
+        window.removeEventListener('folders-changed', this.onFoldersChanged);
+    }
+
+    /**
+     * Expand the folders leading to the current URL's folder
+     */
+    syncWithUrl(){
+        this.currentPath = getFolderPathFromUrl() || null;
+        const ancestors = [ROOT_FOLDER_ID, ...(this.currentPath || []).slice(0, -1)];
+        ancestors.forEach(id => {
+            expanded.add(id);
+            this.ensureChildrenLoaded(id);
+        });
+        this.render();
+    }
+
+    async toggleFolder(folderId){
+        if(expanded.has(folderId)){
+            expanded.delete(folderId);
+            this.render();
+            return;
+        }
+        expanded.add(folderId);
+        this.render();
+        await this.ensureChildrenLoaded(folderId);
+    }
+
+    async ensureChildrenLoaded(folderId, refresh = false){
+        if(!refresh && getCachedChildFolders(folderId)) return;
+
+        loading.add(folderId);
+        this.render();
+        try{
+            await loadChildFolders(folderId, { refresh });
+        } catch (error){
+            console.error('Failed to load folders:', error);
+        } finally {
+            loading.delete(folderId);
+            this.render();
+        }
+    }
+
+    /**
+     * Reload a folder's children if they are visible
+     */
+    reloadChildren(parentId){
+        if(expanded.has(parentId)){
+            this.ensureChildrenLoaded(parentId, true);
+        }
+    }
+
+    render(){
+        const root = { id: ROOT_FOLDER_ID, name: 'My Files' };
+        this.innerHTML = `
+            <ul class="menu menu-sm w-full p-0" role="tree">
+                ${this.renderNode(root, [])}
+            </ul>
+        `;
+    }
+
+    /**
+     * @param {Object} folder - Folder to render
+     * @param {string[]} path - Folder ids from the root down to this folder
+     */
+    renderNode(folder, path){
+        const isRoot = folder.id === ROOT_FOLDER_ID;
+        const children = getCachedChildFolders(folder.id);
+        const isExpanded = expanded.has(folder.id);
+        const canExpand = folder.hasChildren !== false && (children === null || children.length > 0);
+        const isActive = this.currentPath && getFolderUrl(this.currentPath) === getFolderUrl(path);
+
+        let childList = '';
+        if(isExpanded && loading.has(folder.id) && !children){
+            childList = '<ul><li class="px-2"><span class="loading loading-dots loading-xs"></span></li></ul>';
+        } else if(isExpanded && children?.length){
+            childList = `<ul>${children.map(child => this.renderNode(child, [...path, child.id])).join('')}</ul>`;
+        }
+
+        const toggle = canExpand
+            ? `<button class="btn btn-ghost btn-xs btn-square" data-toggle="${escapeHtml(folder.id)}"
+                       aria-label="${isExpanded ? 'Collapse' : 'Expand'} ${escapeHtml(folder.name)}">${isExpanded ? '&#9662;' : '&#9656;'}</button>`
+            : '<span class="w-6 shrink-0"></span>';
+
+        return `
+            <li role="treeitem" aria-expanded="${canExpand ? isExpanded : 'false'}">
+                <div class="flex items-center gap-1 py-0.5 ${isActive ? 'menu-active' : ''}" data-drop-folder="${escapeHtml(folder.id)}">
+                    ${toggle}
+                    <a href="${getFolderUrl(isRoot ? [] : path)}" class="truncate flex-1" title="${escapeHtml(folder.name)}">${escapeHtml(folder.name)}</a>
+                </div>
+                ${childList}
+            </li>
+        `;
+    }
+}
+
+customElements.define('folder-tree', FolderTree);
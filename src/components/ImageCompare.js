@@ -0,0 +1,46 @@
+import { escapeHtml } from '../utils/format.js';
+
+/**
+ * <image-compare>
+ *  - Before/after slider: both images on top of each other, the "before"
+ *    one cut off at the slider so dragging it wipes between the two.
+ *  - The slider is a real range input, so it works with the keyboard
+ *    (arrows, Home/End) and screen readers.
+ *
+ * Usage:
+ *   import '../components/ImageCompare.js';
+ *   const compare = document.createElement('image-compare');
+ *   compare.images = { before: oldUrl, after: newUrl, beforeLabel: 'Version 1', afterLabel: 'Version 2' };
+ */
+class ImageCompare extends HTMLElement {
+    set images({ before, after, beforeLabel = 'Before', afterLabel = 'After' }){
+        this.className = 'block';
+        this.innerHTML = `
+            <div class="relative w-full overflow-hidden rounded-box bg-base-200 select-none" data-stage>
+                <img src="${escapeHtml(after)}" alt="${escapeHtml(afterLabel)}" class="block w-full max-h-[60vh] object-contain" draggable="false" />
+                <img src="${escapeHtml(before)}" alt="${escapeHtml(beforeLabel)}" class="absolute inset-0 w-full h-full object-contain bg-base-200" draggable="false" data-before />
+                <div class="absolute inset-y-0 w-0.5 bg-primary pointer-events-none" data-divider></div>
+                <span class="badge badge-neutral badge-sm absolute top-2 left-2">${escapeHtml(beforeLabel)}</span>
+                <span class="badge badge-neutral badge-sm absolute top-2 right-2">${escapeHtml(afterLabel)}</span>
+                <input type="range" min="0" max="100" value="50" step="0.5"
+                    class="absolute inset-0 w-full h-full opacity-0 cursor-ew-resize"
+                    aria-label="Move to compare ${escapeHtml(beforeLabel)} with ${escapeHtml(afterLabel)}" data-slider />
+            </div>
+        `;
+
+        const slider = this.querySelector('[data-slider]');
+        slider.addEventListener('input', () => this.setPosition(Number(slider.value)));
+        this.setPosition(50);
+    }
+
+    /**
+     * Show `percent` of the before image from the left
+     */
+    setPosition(percent){
+        this.querySelector('[data-before]').style.clipPath = `inset(0 ${100 - percent}% 0 0)`;
+        this.querySelector('[data-divider]').style.left = `${percent}%`;
+        this.querySelector('[data-slider]').setAttribute('aria-valuetext', `${Math.round(percent)}% ${this.querySelector('[data-before]').alt}`);
+    }
+}
+
+customElements.define('image-compare', ImageCompare);
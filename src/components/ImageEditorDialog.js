@@ -0,0 +1,470 @@
+import {
+  MAX_OUTPUT_SIZE, DEFAULT_EDITS, CROP_PRESETS, ORIENTATION_LABELS,
+  openImage, renderPreview, exportImage, closeImage,
+  getRotatedSize, getCropSize, getCenteredCrop, getEditedFileName
+} from '../services/imageEditor.js';
+import { createPreviewSource } from '../services/preview/sources.js';
+import { enqueueFiles } from '../services/uploadQueue.js';
+import { FILTERS } from '../utils/imageFilters.js';
+import { escapeHtml } from '../utils/format.js';
+import { showAlert } from './Alert.js';
+
+/**
+ * openImageEditor
+ *  - Opens a DaisyUI modal to edit a JPEG, PNG or WebP: crop (free or with
+ *    an aspect preset), rotate, flip, resize, brightness, contrast and
+ *    a few filters. The work happens in a worker (services/imageEditor.js).
+ *  - Photos taken sideways are shown and saved upright (EXIF orientation);
+ *    the location stored in a JPEG can be removed on save.
+ *  - Saves into the upload queue, either under the same name (the server
+ *    keeps the original as an older version) or as a new file next to it.
+ *  - Resolves with { saved: 'version' | 'copy' | null }.
+ *
+ * Usage:
+ *   await openImageEditor(fileOrRecord, { folderId, takenNames, canSaveVersion });
+ *
+ * `takenNames` - names already in the folder, so a new file doesn't
+ * accidentally land on one of them as a version.
+ */
+
+// Longest side of the preview, in pixels
+const PREVIEW_SIZE = 1200;
+
+// Smallest crop, as a fraction of the image
+const MIN_CROP = 0.05;
+
+// Crop moved/resized per arrow key press, as a fraction of the image
+const KEY_STEP = 0.01;
+
+export function openImageEditor(file, { folderId = null, takenNames = [], canSaveVersion = true } = {}) {
+  return new Promise((resolve) => {
+    const mimeType = file.type || file.mimeType;
+
+    const dialog = document.createElement('dialog');
+    dialog.className = 'modal';
+    dialog.innerHTML = `
+      <form class="modal-box max-w-6xl w-full space-y-4" data-form novalidate>
+        <h3 class="font-bold text-lg truncate">Edit ${escapeHtml(file.name)}</h3>
+        <div class="grid gap-4 md:grid-cols-[1fr_18rem]">
+          <div class="relative flex items-center justify-center bg-base-200 rounded-box min-h-64 p-2">
+            <div class="relative max-w-full overflow-hidden touch-none" data-stage hidden>
+              <canvas class="block max-w-full max-h-[60vh]" data-canvas></canvas>
+              <div class="absolute border-2 border-primary shadow-[0_0_0_9999px_rgba(0,0,0,0.45)] cursor-move focus:outline-2 focus:outline-primary-content"
+                tabindex="0" aria-label="Crop area. Arrow keys move it, Shift and arrow keys resize it." data-crop hidden>
+                <span class="absolute -right-2 -bottom-2 w-4 h-4 rounded-full bg-primary cursor-nwse-resize" data-crop-handle></span>
+              </div>
+            </div>
+            <span class="loading loading-spinner loading-lg absolute" data-loading></span>
+          </div>
+
+          <div class="space-y-4 text-sm" data-controls>
+            <label class="block space-y-1">
+              <span class="font-medium">Crop</span>
+              <select class="select select-bordered select-sm w-full" data-crop-preset>
+                ${CROP_PRESETS.map(preset => `<option value="${preset.id}">${preset.label}</option>`).join('')}
+              </select>
+            </label>
+
+            <div class="space-y-1">
+              <span class="font-medium">Rotate &amp; flip</span>
+              <div class="join w-full">
+                <button type="button" class="btn btn-sm join-item flex-1" data-rotate="-90" aria-label="Rotate left" title="Rotate left">&#8634;</button>
+                <button type="button" class="btn btn-sm join-item flex-1" data-rotate="90" aria-label="Rotate right" title="Rotate right">&#8635;</button>
+                <button type="button" class="btn btn-sm join-item flex-1" data-flip="flipH" aria-label="Flip horizontally" aria-pressed="false" title="Flip horizontally">&#8646;</button>
+                <button type="button" class="btn btn-sm join-item flex-1" data-flip="flipV" aria-label="Flip vertically" aria-pressed="false" title="Flip vertically">&#8645;</button>
+              </div>
+            </div>
+
+            <fieldset class="space-y-1">
+              <legend class="font-medium">Size</legend>
+              <div class="flex items-center gap-2">
+                <input type="number" min="1" max="${MAX_OUTPUT_SIZE}" class="input input-bordered input-sm w-full" aria-label="Width in pixels" data-width />
+                <span aria-hidden="true">&times;</span>
+                <input type="number" min="1" max="${MAX_OUTPUT_SIZE}" class="input input-bordered input-sm w-full" aria-label="Height in pixels" data-height />
+              </div>
+              <label class="flex items-center gap-2">
+                <input type="checkbox" class="checkbox checkbox-xs" checked data-keep-ratio />
+                <span>Keep proportions</span>
+              </label>
+            </fieldset>
+
+            <label class="block space-y-1">
+              <span class="flex justify-between"><span class="font-medium">Brightness</span><span data-brightness-value>100%</span></span>
+              <input type="range" class="range range-xs w-full" min="50" max="150" value="100" data-adjust="brightness" />
+            </label>
+            <label class="block space-y-1">
+              <span class="flex justify-between"><span class="font-medium">Contrast</span><span data-contrast-value>100%</span></span>
+              <input type="range" class="range range-xs w-full" min="50" max="150" value="100" data-adjust="contrast" />
+            </label>
+            <label class="block space-y-1">
+              <span class="font-medium">Filter</span>
+              <select class="select select-bordered select-sm w-full" data-filter>
+                ${Object.entries(FILTERS).map(([id, filter]) => `<option value="${id}">${filter.label}</option>`).join('')}
+              </select>
+            </label>
+
+            <div class="space-y-1" data-metadata></div>
+
+            <fieldset class="space-y-1">
+              <legend class="font-medium">Save as</legend>
+              <label class="flex items-center gap-2">
+                <input type="radio" name="saveAs" value="version" class="radio radio-xs" ${canSaveVersion ? 'checked' : 'disabled'} />
+                <span>New version of ${escapeHtml(file.name)}</span>
+              </label>
+              <label class="flex items-center gap-2">
+                <input type="radio" name="saveAs" value="copy" class="radio radio-xs" ${canSaveVersion ? '' : 'checked'} />
+                <span>New file</span>
+              </label>
+              <input type="text" class="input input-bordered input-sm w-full" aria-label="New file name"
+                value="${escapeHtml(getEditedFileName(file.name, takenNames))}" data-copy-name />
+            </fieldset>
+          </div>
+        </div>
+        <p class="text-sm text-error" data-error></p>
+        <div class="modal-action">
+          <button type="button" class="btn btn-ghost mr-auto" data-reset disabled>Reset</button>
+          <button type="button" class="btn" data-cancel>Cancel</button>
+          <button type="submit" class="btn btn-primary" data-save disabled>Save</button>
+        </div>
+      </form>
+    `;
+    document.body.appendChild(dialog);
+
+    const stage = dialog.querySelector('[data-stage]');
+    const canvas = dialog.querySelector('[data-canvas]');
+    const cropBox = dialog.querySelector('[data-crop]');
+    const presetSelect = dialog.querySelector('[data-crop-preset]');
+    const widthInput = dialog.querySelector('[data-width]');
+    const heightInput = dialog.querySelector('[data-height]');
+    const keepRatio = dialog.querySelector('[data-keep-ratio]');
+    const copyName = dialog.querySelector('[data-copy-name]');
+    const errorBox = dialog.querySelector('[data-error]');
+    const saveBtn = dialog.querySelector('[data-save]');
+    const resetBtn = dialog.querySelector('[data-reset]');
+
+    let image = null;           // { id, width, height, orientation, hasGps } once opened
+    let edits = { ...DEFAULT_EDITS };
+    let rendering = false;      // a preview is being made
+    let renderAgain = false;    // ...and the edits changed since it started
+    let drag = null;
+    let result = { saved: null };
+
+    /**
+     * ====================================
+     * PREVIEW
+     * ====================================
+     */
+
+    async function updatePreview() {
+      if (rendering) {
+        renderAgain = true;
+        return;
+      }
+      rendering = true;
+      try {
+        const bitmap = await renderPreview(image.id, edits, PREVIEW_SIZE);
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('bitmaprenderer').transferFromImageBitmap(bitmap);
+      } catch (error) {
+        console.error('Image preview failed:', error);
+        errorBox.textContent = 'Could not show the changes.';
+      }
+      rendering = false;
+      if (renderAgain) {
+        renderAgain = false;
+        updatePreview();
+      }
+    }
+
+    /**
+     * ====================================
+     * CROP
+     * ====================================
+     */
+
+    // Width / height in pixels for the chosen preset (null = free)
+    function getPresetRatio() {
+      const preset = CROP_PRESETS.find(other => other.id === presetSelect.value);
+      const size = getRotatedSize(image, edits.rotate);
+      return preset.id === 'original' ? size.width / size.height : preset.ratio || null;
+    }
+
+    function showCrop() {
+      cropBox.hidden = !edits.crop;
+      if (edits.crop) {
+        const { x, y, width, height } = edits.crop;
+        Object.assign(cropBox.style, { left: `${x * 100}%`, top: `${y * 100}%`, width: `${width * 100}%`, height: `${height * 100}%` });
+      }
+      updateSizeInputs();
+    }
+
+    function setCrop(crop) {
+      const x = Math.min(Math.max(crop.x, 0), 1 - crop.width);
+      const y = Math.min(Math.max(crop.y, 0), 1 - crop.height);
+      edits = { ...edits, crop: { ...crop, x, y } };
+      showCrop();
+    }
+
+    // Grow/shrink from the top-left corner, keeping the preset's proportions
+    function resizeCrop(width, height) {
+      const { x, y } = edits.crop;
+      const size = getRotatedSize(image, edits.rotate);
+      // The preset's proportions in fractions of this image
+      const presetRatio = getPresetRatio();
+      const ratio = presetRatio && presetRatio * size.height / size.width;
+      width = Math.min(Math.max(width, MIN_CROP), 1 - x);
+      height = ratio ? width / ratio : Math.min(Math.max(height, MIN_CROP), 1 - y);
+      if (ratio && height > 1 - y) {
+        height = 1 - y;
+        width = height * ratio;
+      }
+      if (ratio && height < MIN_CROP) return;
+      setCrop({ x, y, width, height });
+    }
+
+    function applyPreset() {
+      const crop = presetSelect.value === 'none'
+        ? null
+        : getCenteredCrop(getRotatedSize(image, edits.rotate), getPresetRatio());
+      edits = { ...edits, crop };
+      showCrop();
+    }
+
+    cropBox.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      drag = {
+        pointerId: e.pointerId,
+        resize: Boolean(e.target.closest('[data-crop-handle]')),
+        startX: e.clientX,
+        startY: e.clientY,
+        crop: { ...edits.crop },
+        rect: stage.getBoundingClientRect()
+      };
+      cropBox.setPointerCapture(e.pointerId);
+      cropBox.focus();
+    });
+    cropBox.addEventListener('pointermove', (e) => {
+      if (!drag || drag.pointerId !== e.pointerId) return;
+      const dx = (e.clientX - drag.startX) / drag.rect.width;
+      const dy = (e.clientY - drag.startY) / drag.rect.height;
+      if (drag.resize) resizeCrop(drag.crop.width + dx, drag.crop.height + dy);
+      else setCrop({ ...drag.crop, x: drag.crop.x + dx, y: drag.crop.y + dy });
+    });
+    const endDrag = () => { drag = null; };
+    cropBox.addEventListener('pointerup', endDrag);
+    cropBox.addEventListener('pointercancel', endDrag);
+
+    cropBox.addEventListener('keydown', (e) => {
+      const steps = { ArrowLeft: [-KEY_STEP, 0], ArrowRight: [KEY_STEP, 0], ArrowUp: [0, -KEY_STEP], ArrowDown: [0, KEY_STEP] };
+      if (!steps[e.key]) return;
+      e.preventDefault();
+      const [dx, dy] = steps[e.key];
+      const crop = edits.crop;
+      if (e.shiftKey) resizeCrop(crop.width + dx, crop.height + dy);
+      else setCrop({ ...crop, x: crop.x + dx, y: crop.y + dy });
+    });
+
+    presetSelect.addEventListener('change', () => {
+      applyPreset();
+      markChanged();
+    });
+
+    /**
+     * ====================================
+     * ROTATE, FLIP, SIZE, COLOURS
+     * ====================================
+     */
+
+    dialog.querySelectorAll('[data-rotate]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        edits = { ...edits, rotate: (edits.rotate + Number(btn.dataset.rotate) + 360) % 360 };
+        // The crop was drawn on the old orientation - start it again
+        applyPreset();
+        markChanged(true);
+      });
+    });
+
+    dialog.querySelectorAll('[data-flip]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const key = btn.dataset.flip;
+        edits = { ...edits, [key]: !edits[key] };
+        btn.setAttribute('aria-pressed', String(edits[key]));
+        // Mirror the crop too, so it stays on the same part of the picture
+        if (edits.crop) {
+          const { x, y, width, height } = edits.crop;
+          setCrop(key === 'flipH' ? { ...edits.crop, x: 1 - x - width } : { ...edits.crop, y: 1 - y - height });
+        }
+        markChanged(true);
+      });
+    });
+
+    // Size fields show the crop size until the user types their own
+    function updateSizeInputs() {
+      const size = getCropSize(image, edits);
+      widthInput.placeholder = size.width;
+      heightInput.placeholder = size.height;
+      widthInput.value = '';
+      heightInput.value = '';
+      edits = { ...edits, width: null, height: null };
+    }
+
+    function onSizeInput(changed, other, changedIsWidth) {
+      const size = getCropSize(image, edits);
+      const value = Number(changed.value);
+      if (keepRatio.checked) {
+        other.value = changed.value && value > 0
+          ? Math.max(1, Math.round(changedIsWidth ? value * size.height / size.width : value * size.width / size.height))
+          : '';
+      }
+      markChanged();
+    }
+    widthInput.addEventListener('input', () => onSizeInput(widthInput, heightInput, true));
+    heightInput.addEventListener('input', () => onSizeInput(heightInput, widthInput, false));
+
+    dialog.querySelectorAll('[data-adjust]').forEach(input => {
+      input.addEventListener('input', () => {
+        edits = { ...edits, [input.dataset.adjust]: Number(input.value) };
+        dialog.querySelector(`[data-${input.dataset.adjust}-value]`).textContent = `${input.value}%`;
+        markChanged(true);
+      });
+    });
+
+    dialog.querySelector('[data-filter]').addEventListener('change', (e) => {
+      edits = { ...edits, filter: e.target.value };
+      markChanged(true);
+    });
+
+    function markChanged(redraw = false) {
+      resetBtn.disabled = false;
+      errorBox.textContent = '';
+      if (redraw) updatePreview();
+    }
+
+    resetBtn.addEventListener('click', () => {
+      edits = { ...DEFAULT_EDITS };
+      presetSelect.value = 'none';
+      dialog.querySelectorAll('[data-adjust]').forEach(input => {
+        input.value = '100';
+        dialog.querySelector(`[data-${input.dataset.adjust}-value]`).textContent = '100%';
+      });
+      dialog.querySelectorAll('[data-flip]').forEach(btn => btn.setAttribute('aria-pressed', 'false'));
+      dialog.querySelector('[data-filter]').value = 'none';
+      showCrop();
+      resetBtn.disabled = true;
+      errorBox.textContent = '';
+      updatePreview();
+    });
+
+    /**
+     * ====================================
+     * LOAD + SAVE
+     * ====================================
+     */
+
+    function renderMetadata() {
+      const notes = [];
+      if (ORIENTATION_LABELS[image.orientation]) {
+        notes.push(`<p class="opacity-70">This photo was stored ${ORIENTATION_LABELS[image.orientation]} - it's turned upright here and when saved.</p>`);
+      }
+      if (image.hasGps) {
+        notes.push(`
+          <label class="flex items-start gap-2">
+            <input type="checkbox" class="checkbox checkbox-xs mt-0.5" checked data-strip-gps />
+            <span>Remove location (GPS) data</span>
+          </label>
+        `);
+      }
+      dialog.querySelector('[data-metadata]').innerHTML = notes.join('');
+    }
+
+    async function load() {
+      try {
+        const blob = file instanceof Blob
+          ? file
+          : new Blob([await createPreviewSource(file).readBytes(0, file.size)], { type: mimeType });
+        image = await openImage(blob);
+        if (!dialog.open) {
+          closeImage(image.id);
+          return;
+        }
+        renderMetadata();
+        updateSizeInputs();
+        await updatePreview();
+        stage.hidden = false;
+        saveBtn.disabled = false;
+      } catch (error) {
+        console.error('Failed to open image for editing:', error);
+        errorBox.textContent = 'This image could not be opened for editing.';
+      }
+      dialog.querySelector('[data-loading]').hidden = true;
+    }
+
+    // Size typed into the fields, checked - null when left blank
+    function readOutputSize() {
+      if (!widthInput.value && !heightInput.value) return { width: null, height: null };
+      const width = Number(widthInput.value);
+      const height = Number(heightInput.value);
+      const valid = [width, height].every(value => Number.isInteger(value) && value >= 1 && value <= MAX_OUTPUT_SIZE);
+      if (!valid) throw new Error(`Enter a width and height between 1 and ${MAX_OUTPUT_SIZE} pixels.`);
+      return { width, height };
+    }
+
+    dialog.querySelector('[data-form]').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!image) return;
+      errorBox.textContent = '';
+
+      const saveAs = dialog.querySelector('[name="saveAs"]:checked').value;
+      const name = saveAs === 'version' ? file.name : copyName.value.trim();
+      let size;
+      try {
+        size = readOutputSize();
+        if (!name) throw new Error('Enter a name for the new file.');
+        const taken = [file.name, ...takenNames].some(other => other.toLowerCase() === name.toLowerCase());
+        if (saveAs === 'copy' && taken) {
+          throw new Error('There is already a file with this name here. Use a different name, or save as a new version.');
+        }
+      } catch (error) {
+        errorBox.textContent = error.message;
+        return;
+      }
+
+      saveBtn.disabled = true;
+      saveBtn.textContent = 'Saving…';
+      try {
+        const { blob } = await exportImage(image.id, { ...edits, ...size }, {
+          mimeType,
+          stripGps: Boolean(dialog.querySelector('[data-strip-gps]')?.checked)
+        });
+        enqueueFiles([new File([blob], name, { type: blob.type })], { folderId });
+        showAlert({
+          type: 'info',
+          message: saveAs === 'version' ? `Uploading ${name} as a new version` : `Uploading ${name}`
+        });
+        result = { saved: saveAs };
+        dialog.close();
+      } catch (error) {
+        console.error('Failed to save edited image:', error);
+        errorBox.textContent = 'Could not save the image, please try again.';
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save';
+      }
+    });
+
+    copyName.addEventListener('focus', () => {
+      dialog.querySelector('[name="saveAs"][value="copy"]').checked = true;
+    });
+
+    dialog.querySelector('[data-cancel]').addEventListener('click', () => dialog.close());
+
+    dialog.addEventListener('close', () => {
+      if (image) closeImage(image.id);
+      dialog.remove();
+      resolve(result);
+    });
+
+    dialog.showModal();
+    load();
+  });
+}
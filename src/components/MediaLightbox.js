@@ -0,0 +1,104 @@
+import { escapeHtml, formatDate } from '../utils/format.js';
+
+/**
+ * openLightbox
+ *  - Opens a full-size viewer over the page for a list of posts
+ *    (api/socialApi.js), starting at `index`.
+ *  - Images and videos at full size, with the caption and who shared it.
+ *  - Previous/next with the buttons or the arrow keys; Escape closes.
+ *  - Resolves with the index that was showing when it closed, so the
+ *    caller can scroll that item into view.
+ *
+ * Usage:
+ *   const lastIndex = await openLightbox(posts, 3);
+ */
+
+function mediaHtml(post) {
+  const { file } = post;
+  const url = escapeHtml(file.mediaUrl || file.thumbnailUrl || '');
+  const alt = escapeHtml(post.caption || file.name);
+  if (file.mimeType?.startsWith('video/')) {
+    return `<video src="${url}" class="max-h-[75vh] max-w-full mx-auto rounded-box" controls autoplay playsinline aria-label="${alt}"></video>`;
+  }
+  return `<img src="${url}" alt="${alt}" class="max-h-[75vh] max-w-full mx-auto object-contain rounded-box" />`;
+}
+
+export function openLightbox(posts, index = 0) {
+  return new Promise((resolve) => {
+    let current = Math.min(Math.max(index, 0), posts.length - 1);
+
+    const dialog = document.createElement('dialog');
+    dialog.className = 'modal';
+    dialog.setAttribute('aria-label', 'Media viewer');
+    dialog.innerHTML = `
+      <div class="modal-box max-w-5xl w-full p-4 space-y-3">
+        <div class="flex items-center gap-2">
+          <div class="min-w-0 flex-1 text-sm" data-owner></div>
+          <span class="text-sm opacity-70 tabular-nums" data-counter></span>
+          <button type="button" class="btn btn-ghost btn-sm btn-square" data-close aria-label="Close">&#10005;</button>
+        </div>
+        <div class="relative flex items-center justify-center min-h-48 bg-base-200 rounded-box">
+          <div class="w-full" data-media></div>
+          <button type="button" class="btn btn-circle btn-sm absolute left-2" data-prev aria-label="Previous">&#10094;</button>
+          <button type="button" class="btn btn-circle btn-sm absolute right-2" data-next aria-label="Next">&#10095;</button>
+        </div>
+        <p class="whitespace-pre-line break-words" data-caption></p>
+      </div>
+      <form method="dialog" class="modal-backdrop"><button>close</button></form>
+    `;
+    document.body.appendChild(dialog);
+
+    const prevBtn = dialog.querySelector('[data-prev]');
+    const nextBtn = dialog.querySelector('[data-next]');
+
+    const show = () => {
+      const post = posts[current];
+      const owner = post.owner || {};
+      dialog.querySelector('[data-media]').innerHTML = mediaHtml(post);
+      dialog.querySelector('[data-owner]').innerHTML = `
+        <a href="/u/${encodeURIComponent(owner.username || '')}" class="link link-hover font-medium">${escapeHtml(owner.displayName || owner.username || '')}</a>
+        <span class="opacity-60">${formatDate(post.sharedAt, { dateStyle: 'medium' })}</span>
+      `;
+      dialog.querySelector('[data-caption]').textContent = post.caption || '';
+      dialog.querySelector('[data-counter]').textContent = posts.length > 1 ? `${current + 1} / ${posts.length}` : '';
+      prevBtn.hidden = current === 0;
+      nextBtn.hidden = current === posts.length - 1;
+    };
+
+    const go = (step) => {
+      const next = current + step;
+      if (next < 0 || next >= posts.length) return;
+      current = next;
+      show();
+    };
+
+    prevBtn.addEventListener('click', () => go(-1));
+    nextBtn.addEventListener('click', () => go(1));
+    dialog.querySelector('[data-close]').addEventListener('click', () => dialog.close());
+
+    dialog.addEventListener('keydown', (e) => {
+      // Leave the arrows to a focused video's seek bar
+      if (e.target.closest('video')) return;
+      if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        go(-1);
+      } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        go(1);
+      }
+    });
+
+    // A link to a profile leaves the page - don't leave the dialog behind
+    dialog.querySelector('[data-owner]').addEventListener('click', (e) => {
+      if (e.target.closest('a')) dialog.close();
+    });
+
+    dialog.addEventListener('close', () => {
+      dialog.remove();
+      resolve(current);
+    });
+
+    show();
+    dialog.showModal();
+  });
+}
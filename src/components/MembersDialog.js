@@ -0,0 +1,215 @@
+import { FOLDER_ROLES, listMembers, inviteMember, updateMemberRole, removeMember } from '../api/membersApi.js';
+import { ROLE_LABELS, can } from '../services/permissions.js';
+import { getCurrentUser } from '../store/index.js';
+import { ROOT_FOLDER_ID, invalidateFolder } from '../services/folders.js';
+import { bindForm } from '../utils/formBinder.js';
+import { required, email } from '../utils/validators.js';
+import { escapeHtml } from '../utils/format.js';
+
+/**
+ * openMembersDialog
+ *  - Opens a DaisyUI modal listing everyone with access to a folder.
+ *  - Owners invite people by email, change roles and remove members;
+ *    everyone else sees the list and can leave the folder.
+ *  - Removing someone (or leaving) asks once more, inside the dialog.
+ *  - Resolves with { changed, left } when closed - `left` means the
+ *    current user no longer has access.
+ *
+ * Usage:
+ *   const { left } = await openMembersDialog(folder);
+ */
+
+const ROLE_OPTIONS = [FOLDER_ROLES.VIEWER, FOLDER_ROLES.EDITOR, FOLDER_ROLES.OWNER];
+
+const ERROR_MESSAGES = {
+  LAST_OWNER: 'A folder needs at least one owner. Make someone else an owner first.'
+};
+
+function roleOptions(selected) {
+  return ROLE_OPTIONS.map(role =>
+    `<option value="${role}" ${role === selected ? 'selected' : ''}>${ROLE_LABELS[role]}</option>`
+  ).join('');
+}
+
+export function openMembersDialog(folder) {
+  return new Promise((resolve) => {
+    const canManage = can(folder, 'manage');
+    const myEmail = getCurrentUser()?.email;
+
+    const dialog = document.createElement('dialog');
+    dialog.className = 'modal';
+    dialog.innerHTML = `
+      <div class="modal-box max-w-xl space-y-4">
+        <h3 class="font-bold text-lg truncate">People with access to ${escapeHtml(folder.name)}</h3>
+        ${canManage ? `
+          <form class="flex flex-wrap items-start gap-2" id="invite-member-form" novalidate>
+            <div class="flex-1 min-w-48">
+              <input type="email" name="email" class="input input-bordered input-sm w-full" placeholder="Email address" autocomplete="off" aria-label="Email address" />
+            </div>
+            <select name="role" class="select select-bordered select-sm w-auto" aria-label="Role">${roleOptions(FOLDER_ROLES.VIEWER)}</select>
+            <button type="submit" class="btn btn-primary btn-sm">Invite</button>
+          </form>
+        ` : ''}
+        <p class="text-sm text-error" data-error></p>
+        <ul class="divide-y divide-base-300" data-members>
+          <li class="py-2"><span class="loading loading-spinner loading-sm"></span></li>
+        </ul>
+        <p class="text-xs opacity-70">
+          Viewers can open and download. Editors can also add, rename and delete. Owners can also manage people and links.
+        </p>
+        <div class="modal-action">
+          <button type="button" class="btn" data-close>Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(dialog);
+
+    const list = dialog.querySelector('[data-members]');
+    const errorBox = dialog.querySelector('[data-error]');
+    let members = [];
+    let confirming = null; // email of the row asking "Remove?"
+    let binder = null;
+    const result = { changed: false, left: false };
+
+    const showError = (error, fallback) => {
+      console.error('Member change failed:', error);
+      const code = error.response?.data?.code;
+      errorBox.textContent = ERROR_MESSAGES[code] || error.response?.data?.message || fallback;
+    };
+
+    const renderMembers = () => {
+      if (!members.length) {
+        list.innerHTML = '<li class="py-2 text-sm opacity-70">Only you have access.</li>';
+        return;
+      }
+      list.innerHTML = members.map(member => {
+        const self = member.email === myEmail;
+        const name = member.displayName || member.email;
+        const key = escapeHtml(member.email);
+
+        let actions;
+        if (confirming === member.email) {
+          actions = `
+            <span class="text-sm">${self ? 'Leave this folder?' : 'Remove?'}</span>
+            <button type="button" class="btn btn-error btn-xs" data-remove-confirm="${key}">${self ? 'Leave' : 'Remove'}</button>
+            <button type="button" class="btn btn-ghost btn-xs" data-remove-cancel>Cancel</button>
+          `;
+        } else if (canManage && !self) {
+          actions = `
+            <select class="select select-bordered select-xs w-auto" data-role="${key}" aria-label="Role of ${escapeHtml(name)}">${roleOptions(member.role)}</select>
+            <button type="button" class="btn btn-ghost btn-xs" data-remove="${key}" aria-label="Remove ${escapeHtml(name)}">&#10005;</button>
+          `;
+        } else {
+          actions = `
+            <span class="badge badge-ghost badge-sm">${escapeHtml(ROLE_LABELS[member.role] || member.role)}</span>
+            ${self ? `<button type="button" class="btn btn-ghost btn-xs" data-remove="${key}">Leave</button>` : ''}
+          `;
+        }
+
+        return `
+          <li class="flex items-center gap-3 py-2">
+            <div class="min-w-0 flex-1">
+              <div class="truncate font-medium">
+                ${escapeHtml(name)}${self ? ' <span class="opacity-60">(you)</span>' : ''}
+                ${member.status === 'invited' ? '<span class="badge badge-warning badge-xs">Invited</span>' : ''}
+              </div>
+              ${member.displayName ? `<div class="truncate text-xs opacity-70">${escapeHtml(member.email)}</div>` : ''}
+            </div>
+            <div class="flex items-center gap-2 shrink-0">${actions}</div>
+          </li>
+        `;
+      }).join('');
+    };
+
+    const load = async () => {
+      try {
+        members = await listMembers(folder.id);
+        renderMembers();
+      } catch (error) {
+        console.error('Failed to load members:', error);
+        list.innerHTML = '<li class="py-2 text-sm text-error">Could not load the people with access.</li>';
+      }
+    };
+
+    const bindInviteForm = () => {
+      const form = dialog.querySelector('#invite-member-form');
+      if (!form) return;
+      binder?.destroy();
+      binder = bindForm(form, {
+        rules: { email: [required('Enter an email address'), email()], role: [] },
+        onSubmit: async ({ email: address, role }) => {
+          errorBox.textContent = '';
+          const member = await inviteMember(folder.id, address.trim(), role);
+          members = [...members.filter(other => other.email !== member.email), member];
+          result.changed = true;
+          renderMembers();
+          form.reset();
+          bindInviteForm();
+          form.elements.email.focus();
+        },
+        onError: (error) => showError(error, 'Could not invite them, please try again')
+      });
+    };
+    bindInviteForm();
+
+    list.addEventListener('change', async (e) => {
+      const select = e.target.closest('[data-role]');
+      if (!select) return;
+      const member = members.find(other => other.email === select.dataset.role);
+      errorBox.textContent = '';
+      select.disabled = true;
+      try {
+        const updated = await updateMemberRole(folder.id, member.email, select.value);
+        members = members.map(other => other.email === member.email ? { ...other, ...updated } : other);
+        result.changed = true;
+      } catch (error) {
+        showError(error, 'Could not change the role, please try again');
+      }
+      renderMembers();
+    });
+
+    list.addEventListener('click', async (e) => {
+      const removeBtn = e.target.closest('[data-remove]');
+      const confirmBtn = e.target.closest('[data-remove-confirm]');
+      if (removeBtn) {
+        confirming = removeBtn.dataset.remove;
+        renderMembers();
+        list.querySelector('[data-remove-confirm]')?.focus();
+      } else if (e.target.closest('[data-remove-cancel]')) {
+        confirming = null;
+        renderMembers();
+      } else if (confirmBtn) {
+        const address = confirmBtn.dataset.removeConfirm;
+        confirmBtn.disabled = true;
+        errorBox.textContent = '';
+        try {
+          await removeMember(folder.id, address);
+          members = members.filter(other => other.email !== address);
+          result.changed = true;
+          if (address === myEmail) {
+            result.left = true;
+            dialog.close();
+            return;
+          }
+        } catch (error) {
+          showError(error, 'Could not remove them, please try again');
+        }
+        confirming = null;
+        renderMembers();
+      }
+    });
+
+    dialog.querySelector('[data-close]').addEventListener('click', () => dialog.close());
+
+    dialog.addEventListener('close', () => {
+      binder?.destroy();
+      dialog.remove();
+      // Roles are part of the cached folder info (and a folder we left is gone)
+      if (result.changed) invalidateFolder(folder.folderId ?? ROOT_FOLDER_ID, [folder.id]);
+      resolve(result);
+    });
+
+    dialog.showModal();
+    load();
+  });
+}
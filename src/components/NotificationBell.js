@@ -0,0 +1,132 @@
+import { getNotifications, getUnreadCount, markAllNotificationsRead, clearNotifications, subscribeToNotifications } from '../services/notifications.js';
+import { escapeHtml, formatDate } from '../utils/format.js';
+
+/**
+ * <notification-bell>
+ *  - Bell button with the number of unread notifications.
+ *  - Opens a panel with past notifications (services/notifications.js),
+ *    newest first - for the toast that disappeared before it was read.
+ *  - Opening the panel marks everything read; "Clear" empties the history.
+ *  - Closes on Escape or a click outside.
+ *
+ * Usage:
+ *   import '../components/NotificationBell.js';
+ *   <notification-bell></notification-bell>
+ */
+
+// Dot colour per notification type
+const TYPE_CLASSES = {
+    info: 'bg-info',
+    success: 'bg-success',
+    warning: 'bg-warning',
+    error: 'bg-error'
+};
+
+class NotificationBell extends HTMLElement {
+    connectedCallback(){
+        if(!this.rendered){
+            this.render();
+            this.rendered = true;
+        }
+
+        this.unsubscribe = subscribeToNotifications(() => this.update());
+        this.update();
+
+        this.onDocumentClick = (e) => {
+            if(this.isOpen() && !this.contains(e.target)) this.close();
+        };
+        document.addEventListener('click', this.onDocumentClick);
+    }
+
+    disconnectedCallback(){
+        if(this.unsubscribe) this.unsubscribe();
+        document.removeEventListener('click', this.onDocumentClick);
+    }
+
+    render(){
+        this.className = 'relative';
+        this.innerHTML = `
+            <button class="btn btn-ghost btn-sm btn-circle indicator" data-toggle aria-expanded="false" aria-haspopup="true">
+                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
+                        d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                </svg>
+                <span class="indicator-item badge badge-xs badge-error hidden" data-unread></span>
+            </button>
+            <div class="absolute right-0 top-full mt-2 z-40 w-80 max-w-[90vw] card bg-base-100 shadow-lg border border-base-300 hidden"
+                data-panel role="dialog" aria-label="Notifications">
+                <div class="flex items-center gap-2 px-4 pt-3">
+                    <h2 class="font-semibold flex-1">Notifications</h2>
+                    <button class="btn btn-ghost btn-xs" data-clear>Clear</button>
+                </div>
+                <ul class="max-h-96 overflow-y-auto p-2" data-list></ul>
+            </div>
+        `;
+
+        this.querySelector('[data-toggle]').addEventListener('click', () => {
+            if(this.isOpen()) this.close();
+            else this.open();
+        });
+        this.querySelector('[data-clear]').addEventListener('click', () => clearNotifications());
+        this.addEventListener('keydown', (e) => {
+            if(e.key !== 'Escape' || !this.isOpen()) return;
+            this.close();
+            this.querySelector('[data-toggle]').focus();
+        });
+    }
+
+    isOpen(){
+        return !this.querySelector('[data-panel]').classList.contains('hidden');
+    }
+
+    open(){
+        this.querySelector('[data-panel]').classList.remove('hidden');
+        this.querySelector('[data-toggle]').setAttribute('aria-expanded', 'true');
+        // Still highlighted while the panel is open, even though they're read now
+        this.newIds = new Set(getNotifications().filter(entry => !entry.read).map(entry => entry.id));
+        this.renderList();
+        markAllNotificationsRead();
+    }
+
+    close(){
+        this.querySelector('[data-panel]').classList.add('hidden');
+        this.querySelector('[data-toggle]').setAttribute('aria-expanded', 'false');
+    }
+
+    update(){
+        const unread = getUnreadCount();
+        const badge = this.querySelector('[data-unread]');
+        badge.textContent = unread > 99 ? '99+' : String(unread);
+        badge.classList.toggle('hidden', !unread);
+
+        const toggle = this.querySelector('[data-toggle]');
+        toggle.setAttribute('aria-label', unread ? `Notifications, ${unread} unread` : 'Notifications');
+        toggle.title = toggle.getAttribute('aria-label');
+
+        if(this.isOpen()) this.renderList();
+    }
+
+    renderList(){
+        const entries = getNotifications();
+        this.querySelector('[data-clear]').disabled = !entries.length;
+
+        const list = this.querySelector('[data-list]');
+        if(!entries.length){
+            list.innerHTML = '<li class="p-2 text-sm opacity-70">No notifications yet.</li>';
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => `
+            <li class="flex gap-2 p-2 rounded-box ${!entry.read || this.newIds?.has(entry.id) ? 'bg-base-200' : ''}">
+                <span class="w-2 h-2 mt-1.5 rounded-full shrink-0 ${TYPE_CLASSES[entry.type] || TYPE_CLASSES.info}"></span>
+                <div class="min-w-0 text-sm">
+                    ${entry.title ? `<div class="font-medium">${escapeHtml(entry.title)}</div>` : ''}
+                    <div class="break-words">${escapeHtml(entry.message)}</div>
+                    <div class="text-xs opacity-60">${formatDate(entry.createdAt)}</div>
+                </div>
+            </li>
+        `).join('');
+    }
+}
+
+customElements.define('notification-bell', NotificationBell);
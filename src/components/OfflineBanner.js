@@ -0,0 +1,47 @@
+import { subscribe, getState } from '../store/index.js';
+
+/**
+ * <offline-banner>
+ *  - Bar at the bottom of the screen while the browser is offline.
+ *  - Says how many changes are waiting to sync (the outbox, see services/offline.js).
+ *  - Reads `isOnline` / `pendingChanges` from the store, so it updates on its own.
+ *
+ * Usage:
+ *   import '../components/OfflineBanner.js';
+ *   <offline-banner></offline-banner>
+ */
+class OfflineBanner extends HTMLElement {
+    connectedCallback(){
+        this.unsubscribe = subscribe(state => this.render(state));
+        this.render(getState());
+    }
+
+    disconnectedCallback(){
+        if(this.unsubscribe) this.unsubscribe();
+    }
+
+    render({ isOnline, pendingChanges }){
+        // Re-render only when something we show changed (the store notifies a lot)
+        const key = `${isOnline}:${pendingChanges}`;
+        if(key === this.renderedKey) return;
+        this.renderedKey = key;
+
+        if(isOnline){
+            this.innerHTML = '';
+            return;
+        }
+
+        const waiting = pendingChanges
+            ? ` ${pendingChanges} change${pendingChanges === 1 ? '' : 's'} will sync when you're back online.`
+            : ' Changes you make will sync when you\'re back online.';
+
+        this.innerHTML = `
+            <div role="status" aria-live="polite"
+                class="alert alert-warning shadow-lg fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[min(40rem,calc(100%-2rem))]">
+                <span>You're offline - showing folders you opened recently.${waiting}</span>
+            </div>
+        `;
+    }
+}
+
+customElements.define('offline-banner', OfflineBanner);
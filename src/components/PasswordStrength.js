@@ -0,0 +1,49 @@
+import { scorePassword } from '../utils/validators.js';
+
+// Progress bar colour per score (0-4)
+const SCORE_CLASSES = ['progress-error', 'progress-error', 'progress-warning', 'progress-info', 'progress-success'];
+
+/**
+ * <password-strength>
+ *  - Meter + label for how strong a password is (see scorePassword in utils/validators.js).
+ *  - Shows the first tip for making it stronger.
+ *
+ * Usage:
+ *   <password-strength for="password"></password-strength>
+ *   (follows the input with that name in the same form)
+ */
+class PasswordStrength extends HTMLElement {
+    connectedCallback(){
+        this.innerHTML = `
+            <progress class="progress w-full h-1.5" value="0" max="5" aria-label="Password strength"></progress>
+            <p class="text-xs opacity-70 min-h-4" data-strength-label></p>
+        `;
+
+        this.input = this.closest('form')?.elements[this.getAttribute('for')];
+        this.onInput = () => this.update(this.input.value);
+        this.input?.addEventListener('input', this.onInput);
+        if(this.input) this.update(this.input.value);
+    }
+
+    disconnectedCallback(){
+        this.input?.removeEventListener('input', this.onInput);
+    }
+
+    update(password){
+        const progress = this.querySelector('progress');
+        const label = this.querySelector('[data-strength-label]');
+        if(!password){
+            progress.value = 0;
+            label.textContent = '';
+            return;
+        }
+
+        const { score, label: text, suggestions } = scorePassword(password);
+        progress.value = score + 1; // show a sliver even for "very weak"
+        progress.classList.remove(...SCORE_CLASSES);
+        progress.classList.add(SCORE_CLASSES[score]);
+        label.textContent = suggestions.length && score < 4 ? `${text} · ${suggestions[0]}` : text;
+    }
+}
+
+customElements.define('password-strength', PasswordStrength);
@@ -0,0 +1,88 @@
+import { applyRenamePattern, validateRenamePattern } from '../utils/renamePattern.js';
+import { escapeHtml } from '../utils/format.js';
+
+// How many example names the dialog shows
+const PREVIEW_COUNT = 5;
+
+/**
+ * promptRename
+ *  - Opens a DaisyUI modal asking for a new name (one item) or a pattern (many items).
+ *  - Shows a live preview of the resulting names and blocks invalid patterns.
+ *  - Resolves with the pattern, or null if cancelled.
+ *
+ * Usage:
+ *   const pattern = await promptRename(selectedItems);
+ *   if(pattern) renameItems(selectedItems, pattern, folderId);
+ */
+export function promptRename(items) {
+  return new Promise((resolve) => {
+    const single = items.length === 1;
+    const initial = single ? items[0].name : 'holiday-{n}';
+
+    const dialog = document.createElement('dialog');
+    dialog.className = 'modal';
+    dialog.innerHTML = `
+      <form method="dialog" class="modal-box space-y-3" data-form>
+        <h3 class="font-bold text-lg">Rename ${single ? escapeHtml(items[0].name) : `${items.length} items`}</h3>
+        <label class="form-control w-full">
+          <input class="input input-bordered w-full" name="pattern" value="${escapeHtml(initial)}" autocomplete="off" />
+        </label>
+        ${single ? '' : `
+          <p class="text-xs opacity-70">
+            Use <code>{n}</code> for 1, 2, 3…, <code>{n:3}</code> for 001, 002…, <code>{name}</code> for the current name.
+            Extensions are kept.
+          </p>`}
+        <p class="text-sm text-error" data-error></p>
+        <ul class="text-sm space-y-1" data-preview></ul>
+        <div class="modal-action">
+          <button type="button" class="btn" data-cancel>Cancel</button>
+          <button type="submit" class="btn btn-primary" data-confirm>Rename</button>
+        </div>
+      </form>
+    `;
+    document.body.appendChild(dialog);
+
+    const input = dialog.querySelector('input[name="pattern"]');
+    let result = null;
+
+    function update() {
+      const error = validateRenamePattern(input.value, items.length);
+      dialog.querySelector('[data-error]').textContent = error || '';
+      dialog.querySelector('[data-confirm]').disabled = Boolean(error);
+      input.classList.toggle('input-error', Boolean(error));
+
+      dialog.querySelector('[data-preview]').innerHTML = error ? '' : items.slice(0, PREVIEW_COUNT).map((item, i) => `
+        <li class="flex gap-2">
+          <span class="truncate opacity-70">${escapeHtml(item.name)}</span>
+          <span>&rarr;</span>
+          <span class="truncate font-medium">${escapeHtml(applyRenamePattern(input.value, item, i))}</span>
+        </li>
+      `).join('') + (items.length > PREVIEW_COUNT ? `<li class="opacity-70">…and ${items.length - PREVIEW_COUNT} more</li>` : '');
+    }
+
+    input.addEventListener('input', update);
+
+    dialog.querySelector('[data-form]').addEventListener('submit', (e) => {
+      if (validateRenamePattern(input.value, items.length)) {
+        e.preventDefault();
+        return;
+      }
+      result = input.value.trim();
+    });
+
+    dialog.querySelector('[data-cancel]').addEventListener('click', () => dialog.close());
+
+    dialog.addEventListener('close', () => {
+      dialog.remove();
+      resolve(result);
+    });
+
+    dialog.showModal();
+    update();
+
+    // Select the name without its extension, like most file managers
+    const dot = single && !items[0].isFolder ? initial.lastIndexOf('.') : -1;
+    input.focus();
+    input.setSelectionRange(0, dot > 0 ? dot : initial.length);
+  });
+}
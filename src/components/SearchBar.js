@@ -0,0 +1,253 @@
+import { getSearchSuggestions } from '../api/searchApi.js';
+import { navigateTo, getCurrentRoute } from '../router/Router.js';
+import { getFolderUrl } from '../services/folders.js';
+import { SEARCH_PATH, parseSearchQuery, getSearchUrl, getRecentSearches, removeRecentSearch } from '../services/search.js';
+import { isOnline } from '../store/index.js';
+import { escapeHtml } from '../utils/format.js';
+
+/**
+ * <search-bar>
+ *  - Global search box for the dashboard header.
+ *  - Suggests files, folders and tags as the user types (debounced; answers
+ *    that arrive after the user typed on are dropped).
+ *  - With an empty box, shows the user's recent searches.
+ *  - Keyboard: ArrowUp/ArrowDown to pick, Enter to open, Escape to close.
+ *  - Enter without a picked suggestion opens /search?q=...
+ *  - On /search the box shows the query from the URL.
+ *
+ * Usage:
+ *   import '../components/SearchBar.js';
+ *   <search-bar></search-bar>
+ */
+
+const SUGGEST_DELAY = 200; // ms after the last keystroke
+const MIN_SUGGEST_LENGTH = 2;
+
+const KIND_ICONS = {
+    file: '&#128196;',
+    folder: '&#128193;',
+    tag: '#',
+    recent: '&#128339;'
+};
+
+let nextId = 0;
+
+class SearchBar extends HTMLElement {
+    connectedCallback(){
+        if(!this.rendered){
+            this.render();
+            this.rendered = true;
+        }
+
+        this.onLocationChanged = () => this.syncWithUrl();
+        window.addEventListener('vaadin-router-location-changed', this.onLocationChanged);
+        this.syncWithUrl();
+    }
+
+    disconnectedCallback(){
+        window.removeEventListener('vaadin-router-location-changed', this.onLocationChanged);
+        clearTimeout(this.suggestTimer);
+        this.abortController?.abort();
+    }
+
+    render(){
+        const listId = `search-suggestions-${nextId++}`;
+        this.options = [];
+        this.activeIndex = -1;
+
+        this.innerHTML = `
+            <form role="search" class="relative w-full" data-search-form>
+                <label class="input input-sm input-bordered flex items-center gap-2 w-full">
+                    <span aria-hidden="true" class="opacity-60">&#128269;</span>
+                    <input type="search" name="q" class="grow min-w-0" placeholder="Search files"
+                        autocomplete="off" role="combobox" aria-label="Search files"
+                        aria-autocomplete="list" aria-expanded="false" aria-controls="${listId}" />
+                </label>
+                <ul id="${listId}" role="listbox" data-suggestions
+                    class="menu menu-sm bg-base-100 rounded-box shadow-lg absolute left-0 right-0 top-full mt-1 z-30 p-1 hidden"></ul>
+            </form>
+        `;
+
+        this.input = this.querySelector('input');
+        this.list = this.querySelector('[data-suggestions]');
+
+        this.input.addEventListener('input', () => this.scheduleSuggestions());
+        this.input.addEventListener('focus', () => this.scheduleSuggestions({ now: true }));
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.querySelector('[data-search-form]').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        // Close when focus leaves the whole bar (clicks on options keep it)
+        this.addEventListener('focusout', (e) => {
+            if(!this.contains(e.relatedTarget)) this.close();
+        });
+
+        // mousedown, so the input doesn't lose focus (and close the list) first
+        this.list.addEventListener('mousedown', (e) => {
+            const removeBtn = e.target.closest('[data-remove-recent]');
+            const option = e.target.closest('[role="option"]');
+            e.preventDefault();
+            if(removeBtn){
+                removeRecentSearch(removeBtn.dataset.removeRecent);
+                this.showSuggestions(this.getRecentOptions(''));
+            } else if(option){
+                this.pick(this.options[Number(option.dataset.index)]);
+            }
+        });
+    }
+
+    /**
+     * Show the URL's query in the box while on the search page
+     */
+    syncWithUrl(){
+        const route = getCurrentRoute();
+        if(!this.input || !route) return;
+        if(route.path === SEARCH_PATH){
+            this.input.value = parseSearchQuery(route.search).q;
+        } else if(document.activeElement !== this.input){
+            this.input.value = '';
+        }
+    }
+
+    /**
+     * ====================================
+     * SUGGESTIONS
+     * ====================================
+     */
+
+    getRecentOptions(text){
+        const needle = text.toLowerCase();
+        return getRecentSearches()
+            .filter(entry => !needle || entry.label.toLowerCase().includes(needle))
+            .map(entry => ({ kind: 'recent', label: entry.label, url: entry.url }));
+    }
+
+    scheduleSuggestions({ now = false } = {}){
+        clearTimeout(this.suggestTimer);
+        this.abortController?.abort();
+
+        const text = this.input.value.trim();
+        const recent = this.getRecentOptions(text);
+
+        // Recent searches right away; ask the server once the user pauses
+        if(text.length < MIN_SUGGEST_LENGTH || !isOnline()){
+            this.showSuggestions(text ? recent.slice(0, 3) : recent);
+            return;
+        }
+        if(!now) this.showSuggestions(recent.slice(0, 3));
+        this.suggestTimer = setTimeout(() => this.loadSuggestions(text, recent.slice(0, 3)), now ? 0 : SUGGEST_DELAY);
+    }
+
+    async loadSuggestions(text, recent){
+        this.abortController = new AbortController();
+        try{
+            const suggestions = await getSearchSuggestions(text, { signal: this.abortController.signal });
+            if(this.input.value.trim() !== text) return; // typed on meanwhile
+            this.showSuggestions([...recent, ...suggestions]);
+        } catch (error){
+            if(error.name === 'CanceledError' || error.name === 'AbortError') return;
+            console.error('Failed to load search suggestions:', error);
+        }
+    }
+
+    showSuggestions(options){
+        this.options = options;
+        this.activeIndex = -1;
+
+        if(!options.length || document.activeElement !== this.input){
+            this.close();
+            return;
+        }
+
+        this.list.innerHTML = options.map((option, index) => `
+            <li role="option" id="${this.list.id}-${index}" data-index="${index}" aria-selected="false">
+                <a class="flex items-center gap-2">
+                    <span aria-hidden="true" class="w-4 text-center opacity-60">${KIND_ICONS[option.kind] || ''}</span>
+                    <span class="truncate flex-1">${escapeHtml(option.label)}</span>
+                    ${option.kind === 'recent'
+                        ? `<button type="button" class="btn btn-ghost btn-xs" data-remove-recent="${escapeHtml(option.url)}" aria-label="Remove from recent searches">&times;</button>`
+                        : `<span class="text-xs opacity-50">${escapeHtml(option.kind)}</span>`}
+                </a>
+            </li>
+        `).join('');
+        this.list.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    close(){
+        this.list.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.activeIndex = -1;
+    }
+
+    setActive(index){
+        const items = this.list.querySelectorAll('[role="option"]');
+        if(!items.length) return;
+        this.activeIndex = (index + items.length) % items.length;
+        items.forEach((item, i) => {
+            const active = i === this.activeIndex;
+            item.setAttribute('aria-selected', String(active));
+            item.firstElementChild.classList.toggle('menu-active', active);
+        });
+        const activeItem = items[this.activeIndex];
+        this.input.setAttribute('aria-activedescendant', activeItem.id);
+        activeItem.scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeydown(e){
+        const open = !this.list.classList.contains('hidden');
+        if(e.key === 'ArrowDown' || e.key === 'ArrowUp'){
+            e.preventDefault();
+            if(!open){
+                this.scheduleSuggestions({ now: true });
+                return;
+            }
+            this.setActive(this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if(e.key === 'Enter' && open && this.activeIndex >= 0){
+            e.preventDefault();
+            this.pick(this.options[this.activeIndex]);
+        } else if(e.key === 'Escape' && open){
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * ====================================
+     * GOING SOMEWHERE
+     * ====================================
+     */
+
+    pick(option){
+        if(!option) return;
+        this.close();
+
+        if(option.kind === 'recent'){
+            navigateTo(option.url);
+        } else if(option.kind === 'folder'){
+            navigateTo(getFolderUrl(option.folderPath || [option.id]));
+        } else if(option.kind === 'tag'){
+            navigateTo(getSearchUrl({ tags: [option.label] }));
+        } else {
+            navigateTo(getSearchUrl({ q: option.label }));
+        }
+        this.input.blur();
+    }
+
+    /**
+     * Search for what's in the box, keeping the filters of the current search
+     */
+    submit(){
+        const q = this.input.value.trim();
+        const route = getCurrentRoute();
+        const current = route?.path === SEARCH_PATH ? parseSearchQuery(route.search) : {};
+        this.close();
+        navigateTo(getSearchUrl({ ...current, q }));
+    }
+}
+
+customElements.define('search-bar', SearchBar);
@@ -0,0 +1,191 @@
+import { SHARE_SCOPES, createShare, getShareUrl } from '../api/sharesApi.js';
+import { escapeHtml } from '../utils/format.js';
+
+// Expiry choices in the dialog (days, null = never)
+const EXPIRY_OPTIONS = [
+  { label: '1 day', days: 1 },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: 'Custom date…', days: 'custom' },
+  { label: 'Never', days: null },
+];
+
+const MIN_PASSWORD_LENGTH = 4;
+
+/**
+ * Turn the expiry fields into an ISO date (or null for "never")
+ */
+function readExpiry(form) {
+  const choice = form.elements.expiry.value;
+  if (choice === '') return null;
+  if (choice === 'custom') {
+    const date = form.elements.expiryDate.valueAsDate;
+    if (!date) return undefined;
+    date.setHours(23, 59, 59, 999); // the link works until the end of that day
+    return date.toISOString();
+  }
+  return new Date(Date.now() + Number(choice) * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Check the form, returns an error message or null
+ */
+function validateShareForm(form) {
+  const expiresAt = readExpiry(form);
+  if (expiresAt === undefined) return 'Pick the date the link expires';
+  if (expiresAt && new Date(expiresAt) <= new Date()) return 'The expiry date must be in the future';
+
+  const password = form.elements.password.value;
+  if (password && password.length < MIN_PASSWORD_LENGTH) {
+    return `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  const limit = form.elements.maxDownloads.value;
+  if (limit && (!Number.isInteger(Number(limit)) || Number(limit) < 1)) {
+    return 'The download limit must be a whole number above 0';
+  }
+  return null;
+}
+
+/**
+ * openShareDialog
+ *  - Opens a DaisyUI modal to create a share link for one file or folder.
+ *  - Options: view-only or download scope, expiry, optional password, optional download limit.
+ *  - After creating, shows the link with a Copy button.
+ *  - Resolves with the created share, or null if cancelled.
+ *
+ * Usage:
+ *   const share = await openShareDialog(item);
+ */
+export function openShareDialog(item) {
+  return new Promise((resolve) => {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'modal';
+    dialog.innerHTML = `
+      <div class="modal-box space-y-4">
+        <h3 class="font-bold text-lg truncate">Share ${escapeHtml(item.name)}</h3>
+
+        <form class="space-y-3" data-form novalidate>
+          <fieldset class="space-y-1">
+            <legend class="text-sm font-medium">People with the link can</legend>
+            <label class="label cursor-pointer justify-start gap-2">
+              <input type="radio" class="radio radio-sm" name="scope" value="${SHARE_SCOPES.VIEW}" checked />
+              <span>View only</span>
+            </label>
+            <label class="label cursor-pointer justify-start gap-2">
+              <input type="radio" class="radio radio-sm" name="scope" value="${SHARE_SCOPES.DOWNLOAD}" />
+              <span>View and download</span>
+            </label>
+          </fieldset>
+
+          <div class="flex flex-wrap gap-2">
+            <label class="form-control">
+              <span class="label-text text-sm">Expires after</span>
+              <select class="select select-bordered select-sm" name="expiry">
+                ${EXPIRY_OPTIONS.map(({ label, days }) => `
+                  <option value="${days ?? ''}" ${days === 7 ? 'selected' : ''}>${label}</option>`).join('')}
+              </select>
+            </label>
+            <label class="form-control hidden" data-expiry-date>
+              <span class="label-text text-sm">Expiry date</span>
+              <input type="date" class="input input-bordered input-sm" name="expiryDate" />
+            </label>
+          </div>
+
+          <label class="form-control">
+            <span class="label-text text-sm">Password (optional)</span>
+            <input type="password" class="input input-bordered input-sm" name="password" autocomplete="new-password" />
+          </label>
+
+          <label class="form-control" data-download-limit>
+            <span class="label-text text-sm">Download limit (optional)</span>
+            <input type="number" min="1" step="1" class="input input-bordered input-sm w-32" name="maxDownloads" disabled />
+          </label>
+
+          <p class="text-sm text-error" data-error></p>
+
+          <div class="modal-action">
+            <button type="button" class="btn" data-cancel>Cancel</button>
+            <button type="submit" class="btn btn-primary" data-create>Create link</button>
+          </div>
+        </form>
+
+        <div class="space-y-3 hidden" data-result>
+          <p class="text-sm">Anyone with this link can open it:</p>
+          <div class="join w-full">
+            <input class="input input-bordered input-sm join-item flex-1" readonly data-link />
+            <button class="btn btn-sm join-item" data-copy>Copy</button>
+          </div>
+          <div class="modal-action">
+            <button class="btn btn-primary" data-done>Done</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(dialog);
+
+    const form = dialog.querySelector('[data-form]');
+    let result = null;
+
+    // Show the date picker for "Custom date…", the download limit only for downloadable links
+    form.addEventListener('change', () => {
+      dialog.querySelector('[data-expiry-date]').classList.toggle('hidden', form.elements.expiry.value !== 'custom');
+      form.elements.maxDownloads.disabled = form.elements.scope.value !== SHARE_SCOPES.DOWNLOAD;
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const errorEl = dialog.querySelector('[data-error]');
+      const error = validateShareForm(form);
+      errorEl.textContent = error || '';
+      if (error) return;
+
+      const scope = form.elements.scope.value;
+      const createBtn = dialog.querySelector('[data-create]');
+      createBtn.disabled = true;
+      try {
+        result = await createShare(item, {
+          scope,
+          expiresAt: readExpiry(form),
+          password: form.elements.password.value,
+          maxDownloads: scope === SHARE_SCOPES.DOWNLOAD && form.elements.maxDownloads.value
+            ? Number(form.elements.maxDownloads.value)
+            : null
+        });
+      } catch (error) {
+        console.error('Failed to create share link:', error);
+        errorEl.textContent = error.response?.data?.message || 'Could not create the link, please try again';
+        createBtn.disabled = false;
+        return;
+      }
+
+      form.classList.add('hidden');
+      dialog.querySelector('[data-result]').classList.remove('hidden');
+      const linkInput = dialog.querySelector('[data-link]');
+      linkInput.value = getShareUrl(result.token);
+      linkInput.select();
+    });
+
+    dialog.querySelector('[data-copy]').addEventListener('click', async (e) => {
+      const copyBtn = e.currentTarget;
+      const linkInput = dialog.querySelector('[data-link]');
+      try {
+        await navigator.clipboard.writeText(linkInput.value);
+        copyBtn.textContent = 'Copied';
+      } catch (error) {
+        // Clipboard blocked (e.g. no HTTPS) - leave the link selected for Ctrl+C
+        linkInput.select();
+      }
+    });
+
+    dialog.querySelector('[data-cancel]').addEventListener('click', () => dialog.close());
+    dialog.querySelector('[data-done]').addEventListener('click', () => dialog.close());
+
+    dialog.addEventListener('close', () => {
+      dialog.remove();
+      resolve(result);
+    });
+
+    dialog.showModal();
+  });
+}
@@ -0,0 +1,223 @@
+import { normalizeTag, suggestTags } from '../services/tags.js';
+import { escapeHtml } from '../utils/format.js';
+
+/**
+ * <tag-input>
+ *  - Edits a list of tags: chips with a remove button, plus a text box.
+ *  - Suggests tags already in use as the user types (autocomplete).
+ *  - Enter, comma or Tab adds the typed tag; Backspace in an empty box removes the last one.
+ *  - ArrowUp/ArrowDown pick a suggestion, Escape closes the list.
+ *  - Fires a bubbling `change` event (detail.tags) whenever the list changes.
+ *
+ * Usage:
+ *   import '../components/TagInput.js';
+ *   <tag-input placeholder="Add tags"></tag-input>
+ *   tagInput.value = ['client-x'];
+ *   tagInput.addEventListener('change', e => console.log(e.detail.tags));
+ */
+
+const SUGGEST_DELAY = 150;
+const MAX_SUGGESTIONS = 8;
+
+let nextId = 0;
+
+class TagInput extends HTMLElement {
+    constructor(){
+        super();
+        this.tags = [];
+        this.suggestions = [];
+        this.activeIndex = -1;
+    }
+
+    get value(){
+        return [...this.tags];
+    }
+
+    set value(tags){
+        this.tags = [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+        this.renderChips();
+    }
+
+    connectedCallback(){
+        if(this.rendered) return;
+        this.rendered = true;
+
+        const listId = `tag-suggestions-${nextId++}`;
+        this.classList.add('block', 'relative');
+        this.innerHTML = `
+            <div class="input input-bordered input-sm flex flex-wrap items-center gap-1 h-auto min-h-8 py-1 w-full">
+                <span class="contents" data-chips></span>
+                <input type="text" class="flex-1 min-w-24 bg-transparent outline-none" autocomplete="off"
+                    placeholder="${escapeHtml(this.getAttribute('placeholder') || 'Add a tag')}"
+                    aria-label="${escapeHtml(this.getAttribute('aria-label') || 'Tags')}"
+                    role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="${listId}" />
+            </div>
+            <ul id="${listId}" role="listbox"
+                class="menu menu-sm bg-base-100 rounded-box shadow-lg absolute left-0 right-0 top-full mt-1 z-30 p-1 hidden" data-suggestions></ul>
+        `;
+
+        this.input = this.querySelector('input');
+        this.list = this.querySelector('[data-suggestions]');
+
+        this.input.addEventListener('input', () => this.scheduleSuggestions());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        // Our own change event is the one that counts
+        this.input.addEventListener('change', (e) => e.stopPropagation());
+        this.input.addEventListener('blur', () => {
+            this.addTag(this.input.value);
+            this.closeSuggestions();
+        });
+
+        this.querySelector('[data-chips]').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-tag]');
+            if(removeBtn) this.removeTag(removeBtn.dataset.removeTag);
+        });
+
+        // mousedown, so the input doesn't blur (and add half a tag) first
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[role="option"]');
+            e.preventDefault();
+            if(option) this.pickSuggestion(Number(option.dataset.index));
+        });
+
+        this.renderChips();
+    }
+
+    disconnectedCallback(){
+        clearTimeout(this.suggestTimer);
+    }
+
+    /**
+     * ====================================
+     * TAGS
+     * ====================================
+     */
+
+    addTag(text){
+        const tag = normalizeTag(text);
+        this.input.value = '';
+        if(!tag || this.tags.includes(tag)) return;
+        this.tags.push(tag);
+        this.renderChips();
+        this.emitChange();
+    }
+
+    removeTag(tag){
+        this.tags = this.tags.filter(existing => existing !== tag);
+        this.renderChips();
+        this.emitChange();
+        this.input.focus();
+    }
+
+    emitChange(){
+        this.dispatchEvent(new CustomEvent('change', { bubbles: true, detail: { tags: this.value } }));
+    }
+
+    renderChips(){
+        const chips = this.querySelector('[data-chips]');
+        if(!chips) return;
+        chips.innerHTML = this.tags.map(tag => `
+            <span class="badge badge-sm badge-neutral gap-1">
+                ${escapeHtml(tag)}
+                <button type="button" class="leading-none" data-remove-tag="${escapeHtml(tag)}" aria-label="Remove tag ${escapeHtml(tag)}">&times;</button>
+            </span>
+        `).join('');
+    }
+
+    /**
+     * ====================================
+     * AUTOCOMPLETE
+     * ====================================
+     */
+
+    scheduleSuggestions(){
+        clearTimeout(this.suggestTimer);
+        const text = this.input.value;
+
+        // Typing a comma finishes the tag
+        if(text.includes(',')){
+            text.split(',').forEach(part => this.addTag(part));
+            this.closeSuggestions();
+            return;
+        }
+        if(!normalizeTag(text)){
+            this.closeSuggestions();
+            return;
+        }
+        this.suggestTimer = setTimeout(() => this.loadSuggestions(text), SUGGEST_DELAY);
+    }
+
+    async loadSuggestions(text){
+        try{
+            const tags = await suggestTags(text);
+            if(this.input.value !== text) return; // typed on meanwhile
+            this.showSuggestions(tags.filter(tag => !this.tags.includes(tag)).slice(0, MAX_SUGGESTIONS));
+        } catch (error){
+            // Autocomplete is a nicety - typing the tag still works
+            console.error('Failed to load tag suggestions:', error);
+        }
+    }
+
+    showSuggestions(tags){
+        this.suggestions = tags;
+        this.activeIndex = -1;
+        if(!tags.length || document.activeElement !== this.input){
+            this.closeSuggestions();
+            return;
+        }
+
+        this.list.innerHTML = tags.map((tag, index) => `
+            <li role="option" id="${this.list.id}-${index}" data-index="${index}" aria-selected="false"><a>${escapeHtml(tag)}</a></li>
+        `).join('');
+        this.list.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    closeSuggestions(){
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.list.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    setActive(index){
+        const options = this.list.querySelectorAll('[role="option"]');
+        if(!options.length) return;
+        this.activeIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === this.activeIndex));
+            option.firstElementChild.classList.toggle('menu-active', i === this.activeIndex);
+        });
+        this.input.setAttribute('aria-activedescendant', options[this.activeIndex].id);
+    }
+
+    pickSuggestion(index){
+        const tag = this.suggestions[index];
+        if(tag) this.addTag(tag);
+        this.closeSuggestions();
+    }
+
+    handleKeydown(e){
+        const open = this.suggestions.length > 0;
+
+        if((e.key === 'ArrowDown' || e.key === 'ArrowUp') && open){
+            e.preventDefault();
+            this.setActive(this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if(e.key === 'Enter' || (e.key === 'Tab' && this.input.value.trim())){
+            // Enter never submits the surrounding form from here
+            if(e.key === 'Enter' || normalizeTag(this.input.value)) e.preventDefault();
+            if(open && this.activeIndex >= 0) this.pickSuggestion(this.activeIndex);
+            else this.addTag(this.input.value);
+            this.closeSuggestions();
+        } else if(e.key === 'Escape' && open){
+            e.preventDefault();
+            e.stopPropagation(); // don't close the dialog we're in
+            this.closeSuggestions();
+        } else if(e.key === 'Backspace' && !this.input.value && this.tags.length){
+            this.removeTag(this.tags[this.tags.length - 1]);
+        }
+    }
+}
+
+customElements.define('tag-input', TagInput);
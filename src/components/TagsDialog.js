@@ -0,0 +1,59 @@
+import { saveTags } from '../services/tags.js';
+import { escapeHtml } from '../utils/format.js';
+import './TagInput.js';
+
+/**
+ * openTagsDialog
+ *  - Opens a DaisyUI modal to edit the tags of one file.
+ *  - Autocompletes tags already in use (<tag-input>).
+ *  - Resolves with the updated file, or null if cancelled.
+ *
+ * Usage:
+ *   const updated = await openTagsDialog(file);
+ */
+export function openTagsDialog(item) {
+  return new Promise((resolve) => {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'modal';
+    dialog.innerHTML = `
+      <form class="modal-box space-y-3" data-form>
+        <h3 class="font-bold text-lg truncate">Tags for ${escapeHtml(item.name)}</h3>
+        <tag-input placeholder="Type a tag and press Enter"></tag-input>
+        <p class="text-xs opacity-70">Tags help you find files and build smart collections.</p>
+        <p class="text-sm text-error" data-error></p>
+        <div class="modal-action">
+          <button type="button" class="btn" data-cancel>Cancel</button>
+          <button type="submit" class="btn btn-primary" data-save>Save</button>
+        </div>
+      </form>
+    `;
+    document.body.appendChild(dialog);
+
+    const tagInput = dialog.querySelector('tag-input');
+    tagInput.value = item.tags || [];
+    let result = null;
+
+    dialog.querySelector('[data-form]').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const saveBtn = dialog.querySelector('[data-save]');
+      saveBtn.disabled = true;
+      try {
+        result = await saveTags(item, tagInput.value);
+        dialog.close();
+      } catch (error) {
+        // saveTags showed the toast
+        saveBtn.disabled = false;
+      }
+    });
+
+    dialog.querySelector('[data-cancel]').addEventListener('click', () => dialog.close());
+
+    dialog.addEventListener('close', () => {
+      dialog.remove();
+      resolve(result);
+    });
+
+    dialog.showModal();
+    tagInput.querySelector('input').focus();
+  });
+}
@@ -0,0 +1,125 @@
+import { diffLines } from '../utils/textDiff.js';
+import { escapeHtml } from '../utils/format.js';
+
+/**
+ * <text-diff>
+ *  - Side-by-side diff of two texts: old on the left, new on the right.
+ *  - Removed lines are red, added lines green, changed lines both.
+ *  - Long unchanged stretches are folded to a few lines of context;
+ *    clicking the fold shows them.
+ *
+ * Usage:
+ *   import '../components/TextDiff.js';
+ *   const diff = document.createElement('text-diff');
+ *   diff.compare({ before: oldText, after: newText, beforeLabel: 'Version 2', afterLabel: 'Version 3' });
+ */
+
+const CONTEXT_LINES = 3; // unchanged lines kept around each change
+
+const ROW_CLASSES = {
+    same: ['', ''],
+    changed: ['bg-error/15', 'bg-success/15'],
+    removed: ['bg-error/15', 'bg-base-200'],
+    added: ['bg-base-200', 'bg-success/15']
+};
+
+class TextDiff extends HTMLElement {
+    /**
+     * @param {Object} texts
+     * @param {string} texts.before
+     * @param {string} texts.after
+     * @param {string} [texts.beforeLabel='Before']
+     * @param {string} [texts.afterLabel='After']
+     */
+    compare({ before, after, beforeLabel = 'Before', afterLabel = 'After' }){
+        this.rows = diffLines(before, after);
+        this.labels = [beforeLabel, afterLabel];
+        this.expanded = new Set(); // folds the user opened (index of their first row)
+        this.render();
+    }
+
+    connectedCallback(){
+        this.addEventListener('click', (e) => {
+            const fold = e.target.closest('[data-fold]');
+            if(!fold) return;
+            this.expanded.add(Number(fold.dataset.fold));
+            this.render();
+        });
+    }
+
+    /**
+     * Rows to show, with long unchanged runs replaced by a fold
+     */
+    getVisibleRows(){
+        const rows = this.rows;
+        const isChange = (row) => row && row.type !== 'same';
+        const visible = [];
+
+        for(let i = 0; i < rows.length;){
+            if(isChange(rows[i])){
+                visible.push(rows[i++]);
+                continue;
+            }
+            let end = i;
+            while(end < rows.length && !isChange(rows[end])) end++;
+
+            // Keep context after the previous change and before the next one
+            const keepStart = i === 0 ? 0 : CONTEXT_LINES;
+            const keepEnd = end === rows.length ? 0 : CONTEXT_LINES;
+            const hidden = end - i - keepStart - keepEnd;
+
+            if(hidden > 1 && !this.expanded.has(i)){
+                visible.push(...rows.slice(i, i + keepStart));
+                visible.push({ type: 'fold', start: i, count: hidden });
+                visible.push(...rows.slice(end - keepEnd, end));
+            } else {
+                visible.push(...rows.slice(i, end));
+            }
+            i = end;
+        }
+        return visible;
+    }
+
+    render(){
+        const changes = this.rows.filter(row => row.type !== 'same').length;
+        if(!changes){
+            this.innerHTML = '<p class="p-4 opacity-70">These versions have the same text.</p>';
+            return;
+        }
+
+        const cell = (line, className) => `
+            <td class="w-10 text-right pr-2 select-none opacity-50 align-top ${className}">${line ? line.number : ''}</td>
+            <td class="whitespace-pre-wrap break-all align-top ${className}">${line ? escapeHtml(line.text) : ''}</td>
+        `;
+
+        const body = this.getVisibleRows().map(row => {
+            if(row.type === 'fold'){
+                return `
+                    <tr><td colspan="4" class="text-center">
+                        <button type="button" class="btn btn-ghost btn-xs" data-fold="${row.start}">&#8942; ${row.count} unchanged lines</button>
+                    </td></tr>
+                `;
+            }
+            const [leftClass, rightClass] = ROW_CLASSES[row.type];
+            return `<tr>${cell(row.left, leftClass)}${cell(row.right, rightClass)}</tr>`;
+        }).join('');
+
+        this.innerHTML = `
+            <div class="overflow-auto max-h-[60vh] rounded-box border border-base-300">
+                <table class="w-full table-fixed font-mono text-xs">
+                    <colgroup><col class="w-10" /><col /><col class="w-10" /><col /></colgroup>
+                    <thead class="sticky top-0 bg-base-200">
+                        <tr>
+                            <th colspan="2" class="text-left p-2">${escapeHtml(this.labels[0])}</th>
+                            <th colspan="2" class="text-left p-2">${escapeHtml(this.labels[1])}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>
+            <p class="text-xs opacity-70 mt-1">${changes} changed line${changes === 1 ? '' : 's'}</p>
+        `;
+    }
+}
+
+customElements.define('text-diff', TextDiff);
@@ -0,0 +1,244 @@
+import { startTwoFactorSetup, confirmTwoFactorSetup, regenerateRecoveryCodes, disableTwoFactor } from '../api/accountApi.js';
+import { subscribe, getCurrentUser, updateUser } from '../store/index.js';
+import { bindForm } from '../utils/formBinder.js';
+import { required, pattern } from '../utils/validators.js';
+import { createQrCode, qrCodeToSvg } from '../utils/qrCode.js';
+import { escapeHtml } from '../utils/format.js';
+import { showAlert } from './Alert.js';
+
+/**
+ * <two-factor-settings>
+ *  - Turns two-step verification (TOTP) on and off for the logged-in user.
+ *  - Setup: a QR code to scan with an authenticator app (drawn in the
+ *    browser, the secret isn't sent anywhere), the secret for typing in by
+ *    hand, then a first code to prove it works.
+ *  - Shows the recovery codes once, right after setup or when new ones are
+ *    made - with copy and download buttons.
+ *  - Changes go through updateUser(), so `user.twoFactorEnabled` is always current.
+ *
+ * Usage:
+ *   import '../components/TwoFactorSettings.js';
+ *   <two-factor-settings></two-factor-settings>
+ */
+
+const SIX_DIGITS = /^\s*\d{3}\s?\d{3}\s*$/;
+
+const digitsOnly = (code) => code.replace(/\s/g, '');
+
+// "JBSWY3DPEHPK3PXP" -> "JBSW Y3DP EHPK 3PXP" (easier to type)
+const groupSecret = (secret) => secret.replace(/(.{4})(?=.)/g, '$1 ');
+
+class TwoFactorSettings extends HTMLElement {
+    connectedCallback(){
+        // Turned on/off in another tab, or the profile was just reloaded
+        this.unsubscribe = subscribe(state => {
+            if(this.statusShown && Boolean(state.user?.twoFactorEnabled) !== this.statusShown.enabled) this.showStatus();
+        });
+        if(this.rendered) return;
+        this.rendered = true;
+        this.showStatus();
+    }
+
+    disconnectedCallback(){
+        if(this.unsubscribe) this.unsubscribe();
+        this.binder?.destroy();
+    }
+
+    /**
+     * Swap the content, binding its form (if any) with the given options
+     */
+    setView(html, formOptions){
+        this.binder?.destroy();
+        this.binder = null;
+        this.statusShown = null;
+        this.innerHTML = html;
+        const form = this.querySelector('form');
+        if(form && formOptions) this.binder = bindForm(form, formOptions);
+        this.querySelector('[autofocus]')?.focus();
+    }
+
+    showError(error, fallback){
+        console.error('Two-factor settings failed:', error);
+        const message = error.response?.data?.code === 'INVALID_CODE'
+            ? 'That code is not valid. Check your app and try again.'
+            : error.response?.data?.message || fallback;
+        showAlert({ type: 'error', message });
+    }
+
+    /**
+     * ====================================
+     * VIEWS
+     * ====================================
+     */
+
+    showStatus(){
+        const enabled = Boolean(getCurrentUser()?.twoFactorEnabled);
+        this.setView(`
+            <div class="space-y-2">
+                <p class="text-sm">
+                    ${enabled
+                        ? '<span class="badge badge-success badge-sm">On</span> Logging in needs your password and a code from your authenticator app.'
+                        : '<span class="badge badge-ghost badge-sm">Off</span> Add a code from an authenticator app to your login, so a stolen password isn\'t enough.'}
+                </p>
+                <div class="flex flex-wrap gap-2">
+                    ${enabled
+                        ? `<button class="btn btn-sm" data-regenerate>New recovery codes</button>
+                           <button class="btn btn-sm btn-error btn-outline" data-disable>Turn off</button>`
+                        : '<button class="btn btn-sm btn-primary" data-setup>Set up two-step verification</button>'}
+                </div>
+            </div>
+        `);
+
+        this.statusShown = { enabled };
+        this.querySelector('[data-setup]')?.addEventListener('click', (e) => this.startSetup(e.currentTarget));
+        this.querySelector('[data-regenerate]')?.addEventListener('click', () => this.showRegenerate());
+        this.querySelector('[data-disable]')?.addEventListener('click', () => this.showDisable());
+    }
+
+    async startSetup(button){
+        button.disabled = true;
+        let setup;
+        try{
+            setup = await startTwoFactorSetup();
+        } catch (error){
+            this.showError(error, 'Could not start the setup, please try again');
+            button.disabled = false;
+            return;
+        }
+
+        let qrSvg;
+        try{
+            qrSvg = qrCodeToSvg(createQrCode(setup.otpauthUrl), { label: 'QR code for your authenticator app' });
+        } catch (error){
+            // Too long to draw - typing the secret still works
+            console.error('Could not draw the 2FA QR code:', error);
+            qrSvg = '<p class="text-sm opacity-70">Enter the key below in your app.</p>';
+        }
+
+        this.setView(`
+            <form class="space-y-3" id="two-factor-setup-form">
+                <ol class="list-decimal list-inside text-sm space-y-1">
+                    <li>Scan this QR code with an authenticator app (e.g. Google Authenticator, 1Password, Authy).</li>
+                    <li>Enter the 6-digit code the app shows.</li>
+                </ol>
+                <div class="flex flex-wrap items-center gap-4">
+                    <div class="w-44 h-44 shrink-0 rounded-box overflow-hidden border border-base-300">${qrSvg}</div>
+                    <div class="text-sm space-y-1 min-w-0">
+                        <p class="opacity-70">Can't scan it? Enter this key instead:</p>
+                        <code class="block font-mono break-all select-all">${escapeHtml(groupSecret(setup.secret))}</code>
+                    </div>
+                </div>
+                <label class="form-control w-full max-w-xs">
+                    <span class="label-text">Code from the app</span>
+                    <input name="code" class="input input-bordered w-full tracking-widest" inputmode="numeric"
+                        autocomplete="one-time-code" maxlength="7" autofocus />
+                </label>
+                <div class="flex gap-2">
+                    <button type="submit" class="btn btn-primary btn-sm">Turn on</button>
+                    <button type="button" class="btn btn-ghost btn-sm" data-back>Cancel</button>
+                </div>
+            </form>
+        `, {
+            rules: { code: [required('Enter the code from your app'), pattern(SIX_DIGITS, 'The code has 6 digits')] },
+            onSubmit: async ({ code }) => {
+                const { user, recoveryCodes } = await confirmTwoFactorSetup(digitsOnly(code));
+                updateUser(user);
+                showAlert({ type: 'success', message: 'Two-step verification is on' });
+                this.showRecoveryCodes(recoveryCodes);
+            },
+            onError: (error) => this.showError(error, 'Could not turn on two-step verification, please try again')
+        });
+        this.querySelector('[data-back]').addEventListener('click', () => this.showStatus());
+    }
+
+    showRecoveryCodes(codes){
+        this.setView(`
+            <div class="space-y-3">
+                <div role="alert" class="alert alert-warning alert-soft text-sm">
+                    Save these recovery codes somewhere safe. Each one logs you in once if you lose your phone.
+                    They won't be shown again.
+                </div>
+                <ul class="grid grid-cols-2 gap-1 font-mono text-sm bg-base-200 rounded-box p-3 max-w-sm">
+                    ${codes.map(code => `<li>${escapeHtml(code)}</li>`).join('')}
+                </ul>
+                <div class="flex flex-wrap gap-2">
+                    <button class="btn btn-sm" data-copy>Copy</button>
+                    <button class="btn btn-sm" data-download>Download</button>
+                    <button class="btn btn-sm btn-primary" data-done>I saved them</button>
+                </div>
+            </div>
+        `);
+
+        const text = `FileFlow recovery codes for ${getCurrentUser()?.email || 'your account'}\n\n${codes.join('\n')}\n`;
+
+        this.querySelector('[data-copy]').addEventListener('click', async () => {
+            try{
+                await navigator.clipboard.writeText(text);
+                showAlert({ type: 'success', message: 'Recovery codes copied' });
+            } catch (error){
+                showAlert({ type: 'error', message: 'Could not copy - select the codes and copy them by hand' });
+            }
+        });
+        this.querySelector('[data-download]').addEventListener('click', () => {
+            const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'fileflow-recovery-codes.txt';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        });
+        this.querySelector('[data-done]').addEventListener('click', () => this.showStatus());
+    }
+
+    showRegenerate(){
+        this.setView(`
+            <form class="space-y-2" id="two-factor-regenerate-form">
+                <p class="text-sm">New recovery codes replace the old ones. Enter a code from your app to continue.</p>
+                <label class="form-control w-full max-w-xs">
+                    <span class="label-text">Code from the app</span>
+                    <input name="code" class="input input-bordered w-full tracking-widest" inputmode="numeric"
+                        autocomplete="one-time-code" maxlength="7" autofocus />
+                </label>
+                <div class="flex gap-2">
+                    <button type="submit" class="btn btn-primary btn-sm">Create new codes</button>
+                    <button type="button" class="btn btn-ghost btn-sm" data-back>Cancel</button>
+                </div>
+            </form>
+        `, {
+            rules: { code: [required('Enter the code from your app'), pattern(SIX_DIGITS, 'The code has 6 digits')] },
+            onSubmit: async ({ code }) => {
+                const { recoveryCodes } = await regenerateRecoveryCodes(digitsOnly(code));
+                this.showRecoveryCodes(recoveryCodes);
+            },
+            onError: (error) => this.showError(error, 'Could not create new recovery codes, please try again')
+        });
+        this.querySelector('[data-back]').addEventListener('click', () => this.showStatus());
+    }
+
+    showDisable(){
+        this.setView(`
+            <form class="space-y-2" id="two-factor-disable-form">
+                <p class="text-sm">Without two-step verification your password alone logs you in. Enter your password to turn it off.</p>
+                <label class="form-control w-full max-w-xs">
+                    <span class="label-text">Current password</span>
+                    <input type="password" name="currentPassword" class="input input-bordered w-full" autocomplete="current-password" autofocus />
+                </label>
+                <div class="flex gap-2">
+                    <button type="submit" class="btn btn-error btn-sm">Turn off</button>
+                    <button type="button" class="btn btn-ghost btn-sm" data-back>Cancel</button>
+                </div>
+            </form>
+        `, {
+            rules: { currentPassword: [required('Enter your password')] },
+            onSubmit: async ({ currentPassword }) => {
+                updateUser(await disableTwoFactor(currentPassword));
+                showAlert({ type: 'info', message: 'Two-step verification is off' });
+                this.showStatus();
+            },
+            onError: (error) => this.showError(error, 'Could not turn off two-step verification, please try again')
+        });
+        this.querySelector('[data-back]').addEventListener('click', () => this.showStatus());
+    }
+}
+
+customElements.define('two-factor-settings', TwoFactorSettings);
@@ -0,0 +1,45 @@
+import { subscribe, getUploadQueue } from '../store/index.js';
+import { navigateTo } from '../router/Router.js';
+
+/**
+ * <upload-indicator>
+ *  - Small badge that shows "N uploads in progress" from anywhere in the app.
+ *  - Reads the upload queue summary from the store, so it updates on its own.
+ *  - Hidden when nothing is uploading; clicking it opens the upload page.
+ *
+ * Usage:
+ *   import '../components/UploadIndicator.js';
+ *   <upload-indicator></upload-indicator>
+ */
+class UploadIndicator extends HTMLElement {
+    connectedCallback(){
+        this.unsubscribe = subscribe(state => this.render(state.uploadQueue));
+        this.render(getUploadQueue());
+
+        this.addEventListener('click', () => navigateTo('/upload'));
+    }
+
+    disconnectedCallback(){
+        if(this.unsubscribe) this.unsubscribe();
+    }
+
+    render({ activeCount, pendingCount }){
+        if(!pendingCount){
+            this.innerHTML = '';
+            return;
+        }
+
+        const label = activeCount
+            ? `${activeCount} upload${activeCount === 1 ? '' : 's'} in progress`
+            : `${pendingCount} upload${pendingCount === 1 ? '' : 's'} waiting`;
+
+        this.innerHTML = `
+            <button class="btn btn-sm btn-ghost gap-2" title="Show uploads">
+                ${activeCount ? '<span class="loading loading-spinner loading-xs"></span>' : ''}
+                <span>${label}</span>
+            </button>
+        `;
+    }
+}
+
+customElements.define('upload-indicator', UploadIndicator);
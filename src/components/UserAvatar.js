@@ -0,0 +1,77 @@
+import { subscribe, getCurrentUser } from '../store/index.js';
+import { escapeHtml } from '../utils/format.js';
+
+/**
+ * <user-avatar>
+ *  - The logged-in user's picture, or their initials when there is none.
+ *  - Reads the user from the store and re-renders on every change, so a new
+ *    avatar or name shows up everywhere as soon as updateUser() runs.
+ *  - `class` sets the size (defaults to w-8).
+ *  - Set the `user` property to show someone else instead (comment
+ *    authors, profiles) - then the store is ignored.
+ *
+ * Usage:
+ *   import '../components/UserAvatar.js';
+ *   <user-avatar class="w-24"></user-avatar>
+ *   avatarElement.user = { displayName, avatarUrl };
+ */
+
+/**
+ * Name to show for a user (display name, else username, else email)
+ *
+ * @param {Object|null} user
+ * @returns {string}
+ */
+export function getUserDisplayName(user){
+    return user ? (user.displayName || user.username || user.email || '') : '';
+}
+
+/**
+ * "Ada Lovelace" -> "AL", "ada" -> "A"
+ */
+function getInitials(user){
+    const words = getUserDisplayName(user).trim().split(/[\s._@-]+/).filter(Boolean);
+    return words.slice(0, 2).map(word => word[0].toUpperCase()).join('') || '?';
+}
+
+class UserAvatar extends HTMLElement {
+    set user(value){
+        this._user = value;
+        if(this.isConnected) this.render(value);
+    }
+
+    get user(){
+        return this._user;
+    }
+
+    connectedCallback(){
+        if(!this.className.match(/\bw-\d/)) this.classList.add('w-8');
+        this.classList.add('avatar', 'shrink-0');
+
+        this.unsubscribe = subscribe(state => {
+            if(!this._user) this.render(state.user);
+        });
+        this.render(this._user || getCurrentUser());
+    }
+
+    disconnectedCallback(){
+        if(this.unsubscribe) this.unsubscribe();
+    }
+
+    render(user){
+        // Same picture as last time - don't reload the image
+        const key = `${user?.avatarUrl || ''}|${getUserDisplayName(user)}`;
+        if(key === this.renderedKey) return;
+        this.renderedKey = key;
+
+        this.classList.toggle('avatar-placeholder', !user?.avatarUrl);
+        const name = escapeHtml(getUserDisplayName(user));
+        this.innerHTML = user?.avatarUrl
+            ? `<div class="w-full rounded-full"><img src="${escapeHtml(user.avatarUrl)}" alt="${name}" /></div>`
+            : `<div class="@container w-full rounded-full bg-neutral text-neutral-content" role="img" aria-label="${name}">
+                   <span class="text-[length:40cqw]" aria-hidden="true">${escapeHtml(getInitials(user))}</span>
+               </div>`;
+    }
+}
+
+customElements.define('user-avatar', UserAvatar);
@@ -0,0 +1,265 @@
+import { listVersions, restoreVersion } from '../api/versionsApi.js';
+import { createRemoteSource } from '../services/preview/sources.js';
+import { detectFileType } from '../services/preview/detectType.js';
+import { showAlert } from './Alert.js';
+import { escapeHtml, formatBytes, formatDate } from '../utils/format.js';
+import './TextDiff.js';
+import './ImageCompare.js';
+
+/**
+ * <version-history>
+ *  - Every version of one file: number, who uploaded it, when, size and checksum.
+ *  - Download any version, or restore an older one (it becomes the newest version).
+ *  - Tick two versions to compare them: text files get a side-by-side diff,
+ *    images a before/after slider.
+ *  - Fires `version-restored` (detail.file = the updated file) after a restore.
+ *  - `readOnly = true` hides the restore buttons (e.g. for viewers of a shared folder).
+ *
+ * Usage:
+ *   import '../components/VersionHistory.js';
+ *   const history = document.createElement('version-history');
+ *   history.file = file;
+ *   history.addEventListener('version-restored', e => browser.updateItem(e.detail.file));
+ */
+
+// Bigger text files aren't diffed in the browser
+const MAX_DIFF_SIZE = 1024 * 1024;
+
+// Checksum characters shown in the table (the full one is in the tooltip)
+const CHECKSUM_PREVIEW_LENGTH = 12;
+
+/**
+ * Preview source for one version of a file
+ */
+function createVersionSource(file, version){
+    return createRemoteSource({
+        id: file.id,
+        name: file.name,
+        size: version.size,
+        mimeType: version.mimeType || file.mimeType,
+        version: { id: version.id }
+    });
+}
+
+async function readText(source){
+    if(!source.size) return '';
+    const buffer = await source.readBytes(0, source.size);
+    return new TextDecoder().decode(buffer);
+}
+
+class VersionHistory extends HTMLElement {
+    set file(file){
+        this.currentFile = file;
+        this.versions = [];
+        this.compareIds = [];
+        this.loadVersions();
+    }
+
+    connectedCallback(){
+        if(this.rendered) return;
+        this.rendered = true;
+
+        this.addEventListener('click', (e) => {
+            const downloadBtn = e.target.closest('[data-download]');
+            const restoreBtn = e.target.closest('[data-restore]');
+            if(downloadBtn) this.download(downloadBtn);
+            if(restoreBtn) this.confirmRestore(restoreBtn.dataset.restore);
+            if(e.target.closest('[data-compare-selected]')) this.compare();
+        });
+        this.addEventListener('change', (e) => {
+            if(!e.target.matches('[data-compare-pick]')) return;
+            const id = e.target.dataset.comparePick;
+            this.compareIds = e.target.checked
+                ? [...this.compareIds, id].slice(-2) // two at most - drop the oldest pick
+                : this.compareIds.filter(existing => existing !== id);
+            this.renderTable();
+        });
+    }
+
+    async loadVersions(){
+        const file = this.currentFile;
+        this.innerHTML = '<span class="loading loading-spinner loading-md"></span>';
+        try{
+            const versions = await listVersions(file.id);
+            if(this.currentFile !== file) return; // another file was opened meanwhile
+            this.versions = versions;
+            // Newest two are what people usually want to compare
+            this.compareIds = versions.slice(0, 2).map(version => version.id);
+            this.innerHTML = `
+                <div class="space-y-3">
+                    <div class="overflow-x-auto" data-table></div>
+                    <div data-compare></div>
+                </div>
+            `;
+            this.renderTable();
+        } catch (error){
+            console.error('Failed to load versions:', error);
+            this.innerHTML = '<div role="alert" class="alert alert-error">Could not load the version history.</div>';
+        }
+    }
+
+    renderTable(){
+        const table = this.querySelector('[data-table]');
+        if(!table) return;
+
+        if(this.versions.length < 2){
+            table.innerHTML = `
+                <p class="text-sm opacity-70 mb-2">There is only one version so far. Uploading a file with the same name into this folder adds a new one.</p>
+                ${this.renderRows()}
+            `;
+            return;
+        }
+
+        table.innerHTML = `
+            ${this.renderRows()}
+            <button class="btn btn-sm mt-2" data-compare-selected ${this.compareIds.length === 2 ? '' : 'disabled'}>
+                Compare selected
+            </button>
+        `;
+    }
+
+    renderRows(){
+        const rows = this.versions.map(version => {
+            const id = escapeHtml(version.id);
+            const checksum = version.checksum || '';
+            return `
+                <tr>
+                    <td>
+                        <input type="checkbox" class="checkbox checkbox-xs" data-compare-pick="${id}"
+                            aria-label="Compare version ${version.number}" ${this.compareIds.includes(version.id) ? 'checked' : ''}
+                            ${this.versions.length < 2 ? 'disabled' : ''} />
+                    </td>
+                    <td class="whitespace-nowrap">
+                        v${version.number}
+                        ${version.isCurrent ? '<span class="badge badge-primary badge-xs">current</span>' : ''}
+                    </td>
+                    <td class="max-w-40 truncate">${escapeHtml(version.uploadedBy?.name || 'Unknown')}</td>
+                    <td class="whitespace-nowrap">${formatDate(version.createdAt)}</td>
+                    <td class="whitespace-nowrap">${formatBytes(version.size)}</td>
+                    <td class="font-mono text-xs" title="${escapeHtml(`${version.checksumAlgorithm || 'checksum'}: ${checksum}`)}">
+                        ${escapeHtml(checksum.slice(0, CHECKSUM_PREVIEW_LENGTH))}${checksum.length > CHECKSUM_PREVIEW_LENGTH ? '…' : ''}
+                    </td>
+                    <td class="text-right whitespace-nowrap">
+                        <button class="btn btn-xs" data-download="${id}">Download</button>
+                        ${version.isCurrent || this.readOnly ? '' : `<button class="btn btn-xs btn-primary btn-outline" data-restore="${id}">Restore</button>`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="table table-sm">
+                <thead>
+                    <tr><th></th><th>Version</th><th>Uploaded by</th><th>Date</th><th>Size</th><th>Checksum</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    findVersion(versionId){
+        return this.versions.find(version => version.id === versionId);
+    }
+
+    /**
+     * ====================================
+     * ACTIONS
+     * ====================================
+     */
+
+    async download(button){
+        const version = this.findVersion(button.dataset.download);
+        if(!version) return;
+        button.disabled = true;
+        try{
+            const url = await createVersionSource(this.currentFile, version).getUrl();
+            window.location.assign(url);
+        } catch (error){
+            console.error('Failed to download version:', error);
+            showAlert({ type: 'error', message: 'Could not download this version, please try again' });
+        } finally{
+            button.disabled = false;
+        }
+    }
+
+    confirmRestore(versionId){
+        const version = this.findVersion(versionId);
+        if(!version) return;
+
+        const toast = showAlert({
+            type: 'warning',
+            message: `Restore version ${version.number}? It becomes the newest version - the current one is kept in the history.`,
+            duration: 10000,
+            actions: [
+                { label: 'Cancel', onClick: () => toast.dismiss() },
+                { label: 'Restore', primary: true, onClick: () => {
+                    toast.dismiss();
+                    this.restore(version);
+                } }
+            ]
+        });
+    }
+
+    async restore(version){
+        try{
+            const file = await restoreVersion(this.currentFile.id, version.id);
+            showAlert({ type: 'success', message: `Version ${version.number} restored` });
+            this.dispatchEvent(new CustomEvent('version-restored', { bubbles: true, detail: { file } }));
+            this.file = { ...this.currentFile, ...file };
+        } catch (error){
+            console.error('Failed to restore version:', error);
+            showAlert({ type: 'error', message: error.response?.data?.message || 'Could not restore this version, please try again' });
+        }
+    }
+
+    /**
+     * ====================================
+     * COMPARING
+     * ====================================
+     */
+
+    async compare(){
+        const area = this.querySelector('[data-compare]');
+        // Older one on the left
+        const [before, after] = this.compareIds
+            .map(id => this.findVersion(id))
+            .filter(Boolean)
+            .sort((a, b) => a.number - b.number);
+        if(!before || !after) return;
+
+        const beforeSource = createVersionSource(this.currentFile, before);
+        const afterSource = createVersionSource(this.currentFile, after);
+        const labels = { beforeLabel: `Version ${before.number}`, afterLabel: `Version ${after.number}` };
+        const message = (text) => { area.innerHTML = `<p class="text-sm opacity-70">${text}</p>`; };
+
+        area.innerHTML = '<span class="loading loading-spinner loading-md"></span>';
+        try{
+            const { kind } = await detectFileType(afterSource);
+
+            if(kind === 'text'){
+                if(before.size > MAX_DIFF_SIZE || after.size > MAX_DIFF_SIZE){
+                    message(`These versions are too big to compare here (over ${formatBytes(MAX_DIFF_SIZE)}). Download them to compare.`);
+                    return;
+                }
+                const [beforeText, afterText] = await Promise.all([readText(beforeSource), readText(afterSource)]);
+                const diff = document.createElement('text-diff');
+                area.replaceChildren(diff);
+                diff.compare({ before: beforeText, after: afterText, ...labels });
+            } else if(kind === 'image'){
+                const [beforeUrl, afterUrl] = await Promise.all([beforeSource.getUrl(), afterSource.getUrl()]);
+                const slider = document.createElement('image-compare');
+                slider.images = { before: beforeUrl, after: afterUrl, ...labels };
+                area.replaceChildren(slider);
+            } else if(before.checksum && before.checksum === after.checksum){
+                message('These versions have exactly the same content.');
+            } else {
+                message('Only text files and images can be compared here. The checksums show whether the content differs.');
+            }
+        } catch (error){
+            console.error('Failed to compare versions:', error);
+            area.innerHTML = '<div role="alert" class="alert alert-error">Could not load these versions to compare them.</div>';
+        }
+    }
+}
+
+customElements.define('version-history', VersionHistory);
@@ -0,0 +1,161 @@
+import { subscribe, getCurrentUser, logoutUser } from '../store/index.js';
+import { isRouteActive, navigateTo } from '../router/Router.js';
+import { STARRED_COLLECTION, loadCollections, getCollectionUrl } from '../services/collections.js';
+import { openCollectionDialog } from '../components/CollectionDialog.js';
+import { escapeHtml } from '../utils/format.js';
+import { getUserDisplayName } from '../components/UserAvatar.js';
+import '../components/FolderTree.js';
+import '../components/UploadIndicator.js';
+import '../components/NotificationBell.js';
+import '../components/OfflineBanner.js';
+import '../components/SearchBar.js';
+
+/**
+ * <dashboard-layout>
+ *
+ * Shared frame for every logged-in page: header with the global search
+ * bar and the notification bell, sidebar with navigation, smart collections and the folder tree. Pages are nested routes, so Vaadin Router appends
+ * the current page as the last child of this element - the CSS grid puts
+ * it next to the sidebar. The layout itself stays on the page while the
+ * user moves between pages, so the tree keeps its state.
+ */
+
+// Sidebar navigation links
+const NAV_LINKS = [
+    { path: '/dashboard', label: 'Dashboard' },
+    { path: '/feed', label: 'Feed' },
+    { path: '/my-files', label: 'My Files' },
+    { path: '/upload', label: 'Upload' },
+    { path: '/shared', label: 'Shared by me' },
+    { path: '/shared-with-me', label: 'Shared with me' },
+    { path: '/trash', label: 'Trash' },
+    { path: '/profile', label: 'Profile' }
+];
+
+class DashboardLayout extends HTMLElement {
+    connectedCallback(){
+        // The router may re-attach us - only build the frame once
+        if(!this.rendered){
+            this.render();
+            this.rendered = true;
+        }
+
+        this.unsubscribe = subscribe(() => this.renderUser());
+        this.onLocationChanged = () => {
+            this.renderNav();
+            this.renderCollections();
+        };
+        window.addEventListener('vaadin-router-location-changed', this.onLocationChanged);
+
+        this.onCollectionsChanged = () => this.loadCollections();
+        window.addEventListener('collections-changed', this.onCollectionsChanged);
+        this.loadCollections();
+    }
+
+    disconnectedCallback(){
+        if(this.unsubscribe) this.unsubscribe();
+        window.removeEventListener('vaadin-router-location-changed', this.onLocationChanged);
+        window.removeEventListener('collections-changed', this.onCollectionsChanged);
+    }
+
+    render(){
+        this.className = 'grid min-h-screen grid-cols-1 grid-rows-[auto_1fr] md:grid-cols-[16rem_1fr] bg-base-200';
+
+        // Prepend so we don't wipe a page the router already appended
+        this.insertAdjacentHTML('afterbegin', `
+            <header class="navbar bg-base-100 shadow-sm col-span-full gap-2">
+                <button class="btn btn-ghost btn-square md:hidden" data-sidebar-toggle aria-label="Toggle sidebar" aria-expanded="false">&#9776;</button>
+                <a href="/dashboard" class="flex items-center gap-2">
+                    <img src="/file-flow-high-resolution-logo-transparent.png" alt="FileFlow" class="h-8" />
+                </a>
+                <div class="flex-1 min-w-0 flex justify-center">
+                    <search-bar class="block w-full max-w-xl"></search-bar>
+                </div>
+                <upload-indicator></upload-indicator>
+                <notification-bell></notification-bell>
+                <a href="/profile" class="flex items-center gap-2" title="Your profile">
+                    <user-avatar class="w-8"></user-avatar>
+                    <span class="text-sm hidden sm:inline" data-user-name></span>
+                </a>
+                <button class="btn btn-sm btn-ghost" data-logout>Log out</button>
+            </header>
+
+            <aside class="bg-base-100 border-r border-base-300 p-3 space-y-4 hidden md:block overflow-y-auto" data-sidebar>
+                <ul class="menu w-full p-0" data-nav></ul>
+                <div>
+                    <div class="flex items-center justify-between px-2">
+                        <h2 class="menu-title p-0 text-xs uppercase opacity-60">Collections</h2>
+                        <button class="btn btn-ghost btn-xs" data-new-collection aria-label="New smart collection" title="New smart collection">+</button>
+                    </div>
+                    <ul class="menu w-full p-0" data-collections></ul>
+                </div>
+                <div>
+                    <h2 class="menu-title px-2 text-xs uppercase opacity-60">Folders</h2>
+                    <folder-tree></folder-tree>
+                </div>
+            </aside>
+
+            <offline-banner class="contents"></offline-banner>
+        `);
+
+        this.querySelector('[data-logout]').addEventListener('click', () => {
+            logoutUser();
+            window.dispatchEvent(new CustomEvent('user-logout'));
+        });
+
+        // Collapse/expand the sidebar on small screens
+        this.querySelector('[data-sidebar-toggle]').addEventListener('click', (e) => {
+            const hidden = this.querySelector('[data-sidebar]').classList.toggle('hidden');
+            e.currentTarget.setAttribute('aria-expanded', String(!hidden));
+        });
+
+        this.querySelector('[data-new-collection]').addEventListener('click', async () => {
+            const collection = await openCollectionDialog();
+            if(collection) navigateTo(getCollectionUrl(collection));
+        });
+
+        this.renderNav();
+        this.renderUser();
+    }
+
+    async loadCollections(){
+        try{
+            this.collections = await loadCollections();
+        } catch (error){
+            // The sidebar still works without them (e.g. offline)
+            console.error('Failed to load collections:', error);
+            this.collections = [];
+        }
+        this.renderCollections();
+    }
+
+    renderCollections(){
+        const list = this.querySelector('[data-collections]');
+        if(!list) return;
+        list.innerHTML = [STARRED_COLLECTION, ...(this.collections || [])].map(collection => {
+            const url = getCollectionUrl(collection);
+            return `
+                <li><a href="${escapeHtml(url)}" class="${isRouteActive(url) ? 'menu-active' : ''}">
+                    <span aria-hidden="true">${collection.builtIn ? '&#9733;' : '&#10022;'}</span>
+                    <span class="truncate">${escapeHtml(collection.name)}</span>
+                </a></li>
+            `;
+        }).join('');
+    }
+
+    renderNav(){
+        const nav = this.querySelector('[data-nav]');
+        if(!nav) return;
+        nav.innerHTML = NAV_LINKS.map(({ path, label }) => `
+            <li><a href="${path}" class="${isRouteActive(path) ? 'menu-active' : ''}">${label}</a></li>
+        `).join('');
+    }
+
+    renderUser(){
+        const nameEl = this.querySelector('[data-user-name]');
+        if(!nameEl) return;
+        nameEl.textContent = getUserDisplayName(getCurrentUser());
+    }
+}
+
+customElements.define('dashboard-layout', DashboardLayout);
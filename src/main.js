@@ -1,4 +1,20 @@
-import './main.css';
-// your other imports below…
-import { Router } from '@vaadin/router';
-import axios from 'axios';
+import { initializeSession } from './services/session.js';
+import { initializeOffline } from './services/offline.js';
+import { initializeStorageQuota } from './services/storageQuota.js';
+import { initializeRealtime } from './services/realtime.js';
+import { initializeRouter } from './router/Router.js';
+
+// Restore login state first so route guards see it
+initializeSession().then(() => {
+    // Service worker, online/offline tracking and the outbox of offline changes
+    initializeOffline();
+
+    // Used space vs quota, for the upload check and the "almost full" warnings
+    initializeStorageQuota();
+
+    // Live updates pushed by the server (teammates' changes, shared link visits...)
+    initializeRealtime();
+
+    // Pages are rendered into #app
+    initializeRouter(document.getElementById('app'));
+});
@@ -0,0 +1,185 @@
+import { queryFiles } from '../api/filesApi.js';
+import { navigateTo } from '../router/Router.js';
+import { getFolderUrl, MY_FILES_PATH } from '../services/folders.js';
+import { STARRED_COLLECTION, findCollection, ruleToListParams, describeRule, deleteCollection } from '../services/collections.js';
+import { toggleStar } from '../services/tags.js';
+import { openCollectionDialog } from '../components/CollectionDialog.js';
+import { showAlert } from '../components/Alert.js';
+import '../components/FileBrowser.js';
+import '../components/FilePreview.js';
+
+/**
+ * Collection Page - /collections/:collectionId and /starred
+ *
+ * Shows the files matching a smart collection's rule. The rule is turned
+ * into listing filters every time the page loads (see services/collections.js),
+ * so "modified in the last 30 days" always means the last 30 days from now.
+ * /starred is the built-in "Starred" collection.
+ */
+class CollectionPage extends HTMLElement {
+    connectedCallback(){
+        this.innerHTML = `
+            <section class="p-6 space-y-4">
+                <div class="flex flex-wrap items-start gap-2">
+                    <div class="flex-1 min-w-0">
+                        <h1 class="text-2xl font-bold truncate" data-title>Collection</h1>
+                        <p class="text-sm opacity-70" data-description></p>
+                    </div>
+                    <div class="flex gap-2 hidden" data-collection-actions>
+                        <button class="btn btn-sm" data-edit>Edit rule</button>
+                        <button class="btn btn-sm btn-error btn-outline" data-delete>Delete</button>
+                    </div>
+                </div>
+                <div data-error></div>
+                <file-browser id="collection-browser"></file-browser>
+            </section>
+
+            <dialog class="modal" data-preview-dialog>
+                <div class="modal-box max-w-3xl space-y-3">
+                    <h3 class="font-bold truncate" data-preview-title></h3>
+                    <file-preview class="min-h-48"></file-preview>
+                    <div class="modal-action">
+                        <button class="btn btn-ghost" data-show-in-folder>Show in folder</button>
+                        <form method="dialog"><button class="btn">Close</button></form>
+                    </div>
+                </div>
+                <form method="dialog" class="modal-backdrop"><button>close</button></form>
+            </dialog>
+        `;
+
+        this.browser = this.querySelector('file-browser');
+        this.browser.addEventListener('item-open', (e) => this.openItem(e.detail.item));
+        this.browser.addEventListener('item-star', (e) => this.star(e.detail.item));
+
+        this.querySelector('[data-edit]').addEventListener('click', () => this.edit());
+        this.querySelector('[data-delete]').addEventListener('click', () => this.confirmDelete());
+        this.querySelector('[data-show-in-folder]').addEventListener('click', () => {
+            const item = this.previewItem;
+            this.querySelector('[data-preview-dialog]').close();
+            if(item) navigateTo(getFolderUrl(item.folderPath || []));
+        });
+
+        // Edited in the dialog (here or elsewhere) - show the new rule
+        this.onCollectionsChanged = () => {
+            if(this.collectionId) this.showCollection(this.collectionId, { force: true });
+        };
+        window.addEventListener('collections-changed', this.onCollectionsChanged);
+
+        // Files were moved, renamed or deleted - they may (not) match any more
+        this.onFilesChanged = () => this.browser.refresh();
+        window.addEventListener('files-changed', this.onFilesChanged);
+
+        this.collectionId = null;
+        if(this.location) this.onAfterEnter(this.location);
+    }
+
+    disconnectedCallback(){
+        window.removeEventListener('collections-changed', this.onCollectionsChanged);
+        window.removeEventListener('files-changed', this.onFilesChanged);
+    }
+
+    /**
+     * Called by Vaadin Router after every navigation to this route
+     * (e.g. from one collection to the next in the sidebar)
+     */
+    onAfterEnter(location){
+        this.showCollection(location.params.collectionId || STARRED_COLLECTION.id);
+    }
+
+    async showCollection(collectionId, { force = false } = {}){
+        // Same collection again (connectedCallback + onAfterEnter both fire)
+        if(this.collectionId === collectionId && !force) return;
+        this.collectionId = collectionId;
+
+        const errorBox = this.querySelector('[data-error]');
+        errorBox.innerHTML = '';
+
+        let collection;
+        try{
+            collection = await findCollection(collectionId);
+        } catch (error){
+            console.error('Failed to load collections:', error);
+            errorBox.innerHTML = '<div role="alert" class="alert alert-error">Could not load this collection.</div>';
+            return;
+        }
+        if(this.collectionId !== collectionId) return; // user moved on
+
+        if(!collection){
+            this.collection = null;
+            this.querySelector('[data-title]').textContent = 'Collection not found';
+            this.querySelector('[data-description]').textContent = 'It may have been deleted.';
+            this.querySelector('[data-collection-actions]').classList.add('hidden');
+            this.browser.classList.add('hidden');
+            return;
+        }
+
+        this.collection = collection;
+        this.querySelector('[data-title]').textContent = collection.name;
+        this.querySelector('[data-description]').textContent = describeRule(collection.rule);
+        this.querySelector('[data-collection-actions]').classList.toggle('hidden', Boolean(collection.builtIn));
+        this.browser.classList.remove('hidden');
+
+        this.browser.source = {
+            folders: [],
+            fetchPage: (page, size, sort) => queryFiles({
+                ...ruleToListParams(collection.rule),
+                page,
+                size,
+                sort: `${sort.key},${sort.direction}`
+            })
+        };
+    }
+
+    async star(item){
+        try{
+            const updated = await toggleStar(item);
+            // Unstarred in a "starred only" collection - it doesn't belong here any more
+            if(this.collection?.rule.starred && !updated.starred) this.browser.refresh();
+            else this.browser.updateItem(updated);
+        } catch (error){
+            // toggleStar already showed the error toast
+        }
+    }
+
+    async edit(){
+        if(this.collection) await openCollectionDialog(this.collection);
+    }
+
+    /**
+     * Deleting a collection never touches the files in it, but ask anyway
+     */
+    confirmDelete(){
+        const collection = this.collection;
+        if(!collection) return;
+
+        const toast = showAlert({
+            type: 'warning',
+            message: `Delete the collection "${collection.name}"? The files in it are not deleted.`,
+            duration: 10000,
+            actions: [
+                { label: 'Cancel', onClick: () => toast.dismiss() },
+                { label: 'Delete', primary: true, onClick: async () => {
+                    toast.dismiss();
+                    try{
+                        await deleteCollection(collection.id);
+                        showAlert({ type: 'success', message: 'Collection deleted' });
+                        navigateTo(MY_FILES_PATH);
+                    } catch (error){
+                        console.error('Failed to delete collection:', error);
+                        showAlert({ type: 'error', message: 'Could not delete the collection, please try again' });
+                    }
+                } }
+            ]
+        });
+    }
+
+    openItem(item){
+        this.previewItem = item;
+        this.querySelector('[data-preview-title]').textContent = item.name;
+        this.querySelector('[data-show-in-folder]').hidden = !item.folderPath;
+        this.querySelector('file-preview').file = item;
+        this.querySelector('[data-preview-dialog]').showModal();
+    }
+}
+
+customElements.define('collection-page', CollectionPage);
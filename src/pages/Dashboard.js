@@ -0,0 +1,235 @@
+import { getUploadActivity } from '../api/storageApi.js';
+import { FILE_TYPES } from '../api/searchApi.js';
+import { loadStorageUsage, getUsageRatio, getWarningLevel, WARNING_LEVELS } from '../services/storageQuota.js';
+import { getFolderUrl } from '../services/folders.js';
+import { donutChartSvg, barListSvg, columnChartSvg, getChartColor } from '../utils/svgCharts.js';
+import { escapeHtml, formatBytes, formatDate } from '../utils/format.js';
+
+/**
+ * Dashboard Page - /dashboard
+ *
+ * Where the storage goes: used space against the quota, split up by file
+ * type and by top-level folder, the largest files, and how much was
+ * uploaded per day over the last ACTIVITY_DAYS days. Charts are plain SVG
+ * (utils/svgCharts.js). Reloads when files are deleted or restored.
+ */
+
+const ACTIVITY_DAYS = 30;
+
+// Folders after these are added up as one "Other folders" bar
+const MAX_FOLDER_BARS = 6;
+
+// Label every Nth day under the activity chart
+const ACTIVITY_TICK_EVERY = 7;
+
+const TYPE_LABELS = Object.fromEntries(FILE_TYPES.map(type => [type.value, type.label]));
+
+/**
+ * "2024-05-01" as a local date (new Date() would read it as UTC midnight)
+ */
+function parseDay(day){
+    return new Date(`${day}T00:00:00`);
+}
+
+/**
+ * Progress bar colour for how full the storage is
+ */
+function getUsageClass(usedBytes, quotaBytes){
+    const level = getWarningLevel(usedBytes, quotaBytes);
+    if(!level) return 'progress-primary';
+    return level >= WARNING_LEVELS[WARNING_LEVELS.length - 1] ? 'progress-error' : 'progress-warning';
+}
+
+/**
+ * Top folders, the rest added up
+ */
+function groupFolders(byFolder){
+    const sorted = [...byFolder].sort((a, b) => b.bytes - a.bytes);
+    const rows = sorted.slice(0, MAX_FOLDER_BARS).map(folder => ({
+        label: folder.id ? folder.name : 'Files in My Files',
+        value: folder.bytes,
+        valueText: formatBytes(folder.bytes)
+    }));
+
+    const rest = sorted.slice(MAX_FOLDER_BARS);
+    if(rest.length){
+        const bytes = rest.reduce((sum, folder) => sum + folder.bytes, 0);
+        rows.push({ label: `${rest.length} other folder${rest.length === 1 ? '' : 's'}`, value: bytes, valueText: formatBytes(bytes) });
+    }
+    return rows;
+}
+
+class DashboardPage extends HTMLElement {
+    connectedCallback(){
+        this.innerHTML = `
+            <section class="p-6 space-y-4">
+                <div class="flex flex-wrap items-center gap-2">
+                    <h1 class="text-2xl font-bold flex-1">Dashboard</h1>
+                    <a href="/upload" class="btn btn-sm btn-primary">Upload files</a>
+                </div>
+                <div data-content>
+                    <span class="loading loading-spinner loading-md"></span>
+                </div>
+            </section>
+        `;
+
+        // Something was deleted, restored or the trash emptied - the numbers changed
+        this.onFilesChanged = () => this.load();
+        window.addEventListener('files-changed', this.onFilesChanged);
+
+        this.load();
+    }
+
+    disconnectedCallback(){
+        window.removeEventListener('files-changed', this.onFilesChanged);
+    }
+
+    async load(){
+        try{
+            const [usage, activity] = await Promise.all([loadStorageUsage(), getUploadActivity(ACTIVITY_DAYS)]);
+            this.render(usage, activity);
+        } catch (error){
+            console.error('Failed to load storage usage:', error);
+            this.querySelector('[data-content]').innerHTML = '<div role="alert" class="alert alert-error">Could not load your storage usage.</div>';
+        }
+    }
+
+    render(usage, activity){
+        this.querySelector('[data-content]').innerHTML = `
+            <div class="grid gap-4 lg:grid-cols-2">
+                <div class="card bg-base-100 shadow-sm lg:col-span-2">
+                    <div class="card-body">${this.renderUsage(usage)}</div>
+                </div>
+                <div class="card bg-base-100 shadow-sm">
+                    <div class="card-body">
+                        <h2 class="card-title text-base">By file type</h2>
+                        ${this.renderTypes(usage.byType || [], usage.usedBytes)}
+                    </div>
+                </div>
+                <div class="card bg-base-100 shadow-sm">
+                    <div class="card-body">
+                        <h2 class="card-title text-base">By folder</h2>
+                        ${usage.byFolder?.length
+                            ? barListSvg(groupFolders(usage.byFolder), { label: 'Storage used per top-level folder' })
+                            : '<p class="text-sm opacity-70">No folders yet.</p>'}
+                    </div>
+                </div>
+                <div class="card bg-base-100 shadow-sm lg:col-span-2">
+                    <div class="card-body">${this.renderActivity(activity)}</div>
+                </div>
+                <div class="card bg-base-100 shadow-sm lg:col-span-2">
+                    <div class="card-body">
+                        <h2 class="card-title text-base">Largest files</h2>
+                        ${this.renderLargestFiles(usage.largestFiles || [])}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderUsage({ usedBytes, quotaBytes }){
+        if(!(quotaBytes > 0)){
+            return `
+                <h2 class="card-title text-base">Storage</h2>
+                <p><span class="text-2xl font-bold">${formatBytes(usedBytes)}</span> used</p>
+            `;
+        }
+
+        const ratio = getUsageRatio(usedBytes, quotaBytes);
+        const percent = Math.min(100, Math.round(ratio * 100));
+        const level = getWarningLevel(usedBytes, quotaBytes);
+        return `
+            <div class="flex flex-wrap items-baseline gap-2">
+                <h2 class="card-title text-base flex-1">Storage</h2>
+                <span class="text-sm opacity-70">${formatBytes(Math.max(0, quotaBytes - usedBytes))} free</span>
+            </div>
+            <p>
+                <span class="text-2xl font-bold">${formatBytes(usedBytes)}</span>
+                <span class="opacity-70">of ${formatBytes(quotaBytes)} used (${percent}%)</span>
+            </p>
+            <progress class="progress ${getUsageClass(usedBytes, quotaBytes)} w-full" value="${percent}" max="100"
+                aria-label="Storage used: ${percent}%"></progress>
+            ${level ? `
+                <p class="text-sm">
+                    Your storage is almost full - uploads that don't fit are refused.
+                    Deleted files count until the <a href="/trash" class="link">trash</a> is emptied.
+                </p>` : ''}
+        `;
+    }
+
+    renderTypes(byType, usedBytes){
+        const types = byType.filter(type => type.bytes > 0).sort((a, b) => b.bytes - a.bytes);
+        if(!types.length) return '<p class="text-sm opacity-70">No files yet.</p>';
+
+        const label = (type) => TYPE_LABELS[type.type] || type.type;
+        const chart = donutChartSvg(
+            types.map(type => ({ value: type.bytes, title: `${label(type)}: ${formatBytes(type.bytes)}` })),
+            { label: 'Storage used per file type', centerText: formatBytes(usedBytes) }
+        );
+        const legend = types.map((type, index) => `
+            <li class="flex items-center gap-2">
+                <span class="w-3 h-3 rounded-full shrink-0 ${getChartColor(index).bg}"></span>
+                <span class="flex-1">${escapeHtml(label(type))}</span>
+                <span class="opacity-70">${formatBytes(type.bytes)} &middot; ${type.count} file${type.count === 1 ? '' : 's'}</span>
+            </li>
+        `).join('');
+
+        return `
+            <div class="flex flex-wrap items-center gap-6">
+                <div class="w-36 shrink-0">${chart}</div>
+                <ul class="text-sm space-y-1 flex-1 min-w-48">${legend}</ul>
+            </div>
+        `;
+    }
+
+    renderActivity(activity){
+        const totalBytes = activity.reduce((sum, day) => sum + day.bytes, 0);
+        const totalCount = activity.reduce((sum, day) => sum + day.count, 0);
+        const maxBytes = Math.max(0, ...activity.map(day => day.bytes));
+
+        // Tick under the newest day and every Nth day before it
+        const bars = activity.map((day, index) => {
+            const date = formatDate(parseDay(day.date), { month: 'short', day: 'numeric' });
+            return {
+                value: day.bytes,
+                title: `${date}: ${day.count} file${day.count === 1 ? '' : 's'}, ${formatBytes(day.bytes)}`,
+                tick: (activity.length - 1 - index) % ACTIVITY_TICK_EVERY === 0 ? date : ''
+            };
+        });
+
+        return `
+            <div class="flex flex-wrap items-baseline gap-2">
+                <h2 class="card-title text-base flex-1">Uploads in the last ${ACTIVITY_DAYS} days</h2>
+                <span class="text-sm opacity-70">${totalCount} file${totalCount === 1 ? '' : 's'}, ${formatBytes(totalBytes)}</span>
+            </div>
+            ${totalCount
+                ? columnChartSvg(bars, { label: `Uploaded bytes per day over the last ${ACTIVITY_DAYS} days`, maxText: formatBytes(maxBytes) })
+                : '<p class="text-sm opacity-70">Nothing uploaded lately.</p>'}
+        `;
+    }
+
+    renderLargestFiles(files){
+        if(!files.length) return '<p class="text-sm opacity-70">No files yet.</p>';
+
+        const rows = files.map(file => `
+            <tr>
+                <td class="max-w-xs"><div class="truncate font-medium">${escapeHtml(file.name)}</div></td>
+                <td class="whitespace-nowrap">${formatBytes(file.size)}</td>
+                <td class="text-right">
+                    <a class="btn btn-xs" href="${escapeHtml(getFolderUrl(file.folderPath || []))}">Show in folder</a>
+                </td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="overflow-x-auto">
+                <table class="table table-sm">
+                    <thead><tr><th>Name</th><th>Size</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+customElements.define('dashboard-page', DashboardPage);
@@ -0,0 +1,200 @@
+import { getFeed, likePost, unlikePost } from '../api/socialApi.js';
+import { openLightbox } from '../components/MediaLightbox.js';
+import { showAlert } from '../components/Alert.js';
+import { escapeHtml, formatDate } from '../utils/format.js';
+import '../components/CommentThread.js';
+import '../components/UserAvatar.js';
+
+/**
+ * Feed Page - /feed
+ *
+ * What the people the user follows have shared, newest first. Each post
+ * can be liked, opened full size (the lightbox steps through every post
+ * loaded so far) and commented on - the comments load when opened.
+ * "Load more" fetches the next page.
+ */
+
+class FeedPage extends HTMLElement {
+    connectedCallback(){
+        this.posts = [];
+        this.nextCursor = null;
+
+        this.innerHTML = `
+            <section class="p-6 space-y-4 max-w-2xl mx-auto">
+                <h1 class="text-2xl font-bold">Feed</h1>
+                <div class="space-y-4" data-posts>
+                    <span class="loading loading-spinner loading-md"></span>
+                </div>
+                <div class="text-center">
+                    <button class="btn" data-more hidden>Load more</button>
+                </div>
+            </section>
+        `;
+
+        this.list = this.querySelector('[data-posts]');
+        this.moreBtn = this.querySelector('[data-more]');
+
+        this.list.addEventListener('click', (e) => this.handleClick(e));
+        this.list.addEventListener('comments-changed', (e) => {
+            const card = e.target.closest('[data-post]');
+            const post = this.findPost(card.dataset.post);
+            post.commentCount = e.detail.count;
+            card.querySelector('[data-comment-count]').textContent = e.detail.count;
+        });
+        this.moreBtn.addEventListener('click', () => this.load());
+
+        this.load();
+    }
+
+    async load(){
+        this.moreBtn.disabled = true;
+        try{
+            const { items, nextCursor } = await getFeed({ cursor: this.nextCursor });
+            const first = !this.posts.length;
+            this.posts = [...this.posts, ...items];
+            this.nextCursor = nextCursor;
+
+            if(first) this.list.innerHTML = '';
+            if(!this.posts.length){
+                this.list.innerHTML = '<p class="opacity-70">Nothing here yet. When people you follow share photos and videos, they show up here.</p>';
+            } else {
+                this.list.insertAdjacentHTML('beforeend', items.map(post => this.postHtml(post)).join(''));
+                items.forEach(post => {
+                    this.list.querySelector(`[data-post="${CSS.escape(post.id)}"] user-avatar`).user = post.owner;
+                });
+            }
+            this.moreBtn.hidden = !nextCursor;
+        } catch (error){
+            console.error('Failed to load the feed:', error);
+            if(this.posts.length){
+                showAlert({ type: 'error', message: 'Could not load more posts, please try again' });
+            } else {
+                this.list.innerHTML = '<div role="alert" class="alert alert-error">Could not load your feed.</div>';
+            }
+        }
+        this.moreBtn.disabled = false;
+    }
+
+    findPost(id){
+        return this.posts.find(post => post.id === id);
+    }
+
+    /**
+     * ====================================
+     * RENDERING
+     * ====================================
+     */
+
+    postHtml(post){
+        const owner = post.owner || {};
+        const id = escapeHtml(post.id);
+        const name = escapeHtml(owner.displayName || owner.username || '');
+        const isVideo = post.file.mimeType?.startsWith('video/');
+
+        return `
+            <article class="card bg-base-100 shadow-sm" data-post="${id}">
+                <div class="card-body p-4 space-y-3">
+                    <header class="flex items-center gap-2">
+                        <user-avatar class="w-8"></user-avatar>
+                        <div class="min-w-0">
+                            <a href="/u/${encodeURIComponent(owner.username || '')}" class="link link-hover font-medium">${name}</a>
+                            <div class="text-xs opacity-60">${formatDate(post.sharedAt)}</div>
+                        </div>
+                    </header>
+                    <button type="button" class="relative block w-full bg-base-200 rounded-box overflow-hidden" data-open="${id}" aria-label="View ${escapeHtml(post.file.name)} full size">
+                        <img src="${escapeHtml(post.file.thumbnailUrl || post.file.mediaUrl)}" alt="${escapeHtml(post.caption || post.file.name)}" class="w-full max-h-[32rem] object-contain" loading="lazy" />
+                        ${isVideo ? '<span class="badge badge-neutral absolute bottom-2 right-2">&#9654; Video</span>' : ''}
+                    </button>
+                    ${post.caption ? `<p class="whitespace-pre-line break-words">${escapeHtml(post.caption)}</p>` : ''}
+                    <div class="flex items-center gap-2">
+                        ${this.likeButtonHtml(post)}
+                        <button type="button" class="btn btn-ghost btn-sm" data-comments="${id}" aria-expanded="false">
+                            &#128172; <span data-comment-count>${post.commentCount || 0}</span>
+                            <span class="sr-only">comments</span>
+                        </button>
+                    </div>
+                    <div data-thread hidden></div>
+                </div>
+            </article>
+        `;
+    }
+
+    likeButtonHtml(post){
+        return `
+            <button type="button" class="btn btn-ghost btn-sm ${post.likedByMe ? 'text-error' : ''}" data-like="${escapeHtml(post.id)}" aria-pressed="${post.likedByMe ? 'true' : 'false'}">
+                ${this.likeLabelHtml(post)}
+            </button>
+        `;
+    }
+
+    likeLabelHtml(post){
+        return `${post.likedByMe ? '&#9829;' : '&#9825;'} <span>${post.likeCount || 0}</span> <span class="sr-only">likes</span>`;
+    }
+
+    /**
+     * ====================================
+     * ACTIONS
+     * ====================================
+     */
+
+    handleClick(e){
+        const openBtn = e.target.closest('[data-open]');
+        const likeBtn = e.target.closest('[data-like]');
+        const commentsBtn = e.target.closest('[data-comments]');
+
+        if(openBtn){
+            const index = this.posts.findIndex(post => post.id === openBtn.dataset.open);
+            openLightbox(this.posts, index).then(last => {
+                this.list.querySelector(`[data-post="${CSS.escape(this.posts[last].id)}"]`)?.scrollIntoView({ block: 'nearest' });
+            });
+        } else if(likeBtn){
+            this.toggleLike(this.findPost(likeBtn.dataset.like));
+        } else if(commentsBtn){
+            this.toggleComments(commentsBtn);
+        }
+    }
+
+    /**
+     * Like/unlike straight away and put it back if the server says no
+     */
+    async toggleLike(post){
+        const before = { likedByMe: post.likedByMe, likeCount: post.likeCount || 0 };
+        // Updated in place so the button keeps focus
+        const button = this.list.querySelector(`[data-like="${CSS.escape(post.id)}"]`);
+        const update = (values) => {
+            Object.assign(post, values);
+            button.classList.toggle('text-error', post.likedByMe);
+            button.setAttribute('aria-pressed', String(post.likedByMe));
+            button.innerHTML = this.likeLabelHtml(post);
+        };
+
+        update({ likedByMe: !before.likedByMe, likeCount: before.likeCount + (before.likedByMe ? -1 : 1) });
+        button.disabled = true;
+        try{
+            update(before.likedByMe ? await unlikePost(post.id) : await likePost(post.id));
+        } catch (error){
+            console.error('Like failed:', error);
+            update(before);
+            showAlert({ type: 'error', message: 'Could not update your like, please try again' });
+        }
+        button.disabled = false;
+    }
+
+    toggleComments(button){
+        const card = button.closest('[data-post]');
+        const container = card.querySelector('[data-thread]');
+        const open = container.hidden;
+
+        container.hidden = !open;
+        button.setAttribute('aria-expanded', String(open));
+
+        // Created on first open, then kept so a half-written comment survives closing
+        if(open && !container.firstElementChild){
+            const thread = document.createElement('comment-thread');
+            thread.post = this.findPost(card.dataset.post);
+            container.append(thread);
+        }
+    }
+}
+
+customElements.define('feed-page', FeedPage);
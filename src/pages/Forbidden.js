@@ -0,0 +1,42 @@
+import { isAuthenticated } from '../store/index.js';
+
+/**
+ * 403 Page - <forbidden-page>
+ *
+ * Shown in place of a page the user is logged in for but not allowed to
+ * see: a missing role, or (with `reason = 'folder'`, set by the router)
+ * a folder that wasn't shared with them. The URL stays the same, so
+ * reloading after getting access just works.
+ */
+
+const MESSAGES = {
+    page: {
+        title: 'You don\'t have access to this page',
+        text: 'Your account doesn\'t have permission to open it. If you think it should, ask an administrator.'
+    },
+    folder: {
+        title: 'You don\'t have access to this folder',
+        text: 'It hasn\'t been shared with you, or your access was removed. Ask the folder\'s owner to invite you.'
+    }
+};
+
+class ForbiddenPage extends HTMLElement {
+    connectedCallback(){
+        const { title, text } = MESSAGES[this.reason] || MESSAGES.page;
+        this.innerHTML = `
+            <section class="p-6 min-h-[60vh] flex items-center justify-center">
+                <div class="text-center space-y-3 max-w-md">
+                    <p class="text-6xl font-bold opacity-30">403</p>
+                    <h1 class="text-2xl font-bold">${title}</h1>
+                    <p class="opacity-70">${text}</p>
+                    <div class="flex flex-wrap justify-center gap-2">
+                        ${this.reason === 'folder' ? '<a href="/shared-with-me" class="btn">Shared with me</a>' : ''}
+                        <a href="${isAuthenticated() ? '/dashboard' : '/'}" class="btn btn-primary">Go back home</a>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+}
+
+customElements.define('forbidden-page', ForbiddenPage);
@@ -0,0 +1,83 @@
+import { login } from '../api/authApi.js';
+import { loginUser, startTwoFactorChallenge } from '../store/index.js';
+import { navigateTo, getTwoFactorUrl } from '../router/Router.js';
+import { bindForm } from '../utils/formBinder.js';
+import { required, email } from '../utils/validators.js';
+import { escapeHtml } from '../utils/format.js';
+
+/**
+ * Login Page - /login
+ *
+ * Email + password form with live validation. After logging in, the router
+ * (on `user-login`) sends the user back to the page they wanted, or to the dashboard.
+ *
+ * Accounts with two-factor authentication get a challenge instead of
+ * tokens - the user continues on /login/verify (TwoFactorPage.js) and only
+ * that page calls loginUser().
+ */
+class LoginPage extends HTMLElement {
+    connectedCallback(){
+        this.innerHTML = `
+            <div class="min-h-screen bg-base-200 flex items-center justify-center p-4">
+                <form class="card bg-base-100 shadow-sm w-full max-w-sm" id="login-form">
+                    <div class="card-body space-y-2">
+                        <a href="/" class="mx-auto">
+                            <img src="/file-flow-high-resolution-logo-transparent.png" alt="FileFlow" class="h-10" />
+                        </a>
+                        <h1 class="card-title justify-center">Log in</h1>
+
+                        <div data-form-error></div>
+
+                        <label class="form-control w-full">
+                            <span class="label-text">Email</span>
+                            <input type="email" name="email" class="input input-bordered w-full" autocomplete="email" autofocus />
+                        </label>
+
+                        <label class="form-control w-full">
+                            <span class="label-text">Password</span>
+                            <input type="password" name="password" class="input input-bordered w-full" autocomplete="current-password" />
+                        </label>
+
+                        <button type="submit" class="btn btn-primary w-full">Log in</button>
+                        <p class="text-sm text-center">No account yet? <a href="/register" class="link link-primary">Sign up</a></p>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const formError = this.querySelector('[data-form-error]');
+
+        this.binder = bindForm(this.querySelector('form'), {
+            rules: {
+                email: [required('Enter your email'), email()],
+                password: [required('Enter your password')]
+            },
+            onSubmit: async ({ email, password }) => {
+                formError.innerHTML = '';
+                const result = await login(email.trim(), password);
+                if(result.twoFactorRequired){
+                    const { challengeToken, methods, expiresAt } = result;
+                    startTwoFactorChallenge({ challengeToken, methods, expiresAt, email: email.trim() });
+                    navigateTo(getTwoFactorUrl(window.location.search));
+                    return;
+                }
+                const { user, accessToken, refreshToken } = result;
+                loginUser(user, accessToken, refreshToken);
+                window.dispatchEvent(new CustomEvent('user-login'));
+            },
+            onError: (error) => {
+                const message = error.response?.status === 401
+                    ? 'Email or password is incorrect'
+                    : error.response?.data?.message || 'Could not log in, please try again';
+                if(error.response?.status !== 401) console.error('Login failed:', error);
+                formError.innerHTML = `<div role="alert" class="alert alert-error text-sm">${escapeHtml(message)}</div>`;
+            }
+        });
+    }
+
+    disconnectedCallback(){
+        if(this.binder) this.binder.destroy();
+    }
+}
+
+customElements.define('login-page', LoginPage);
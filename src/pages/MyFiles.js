@@ -0,0 +1,352 @@
+import { listFiles } from '../api/filesApi.js';
+import { loadChildFolders, getFolderInfo, getFolderUrl, getCurrentFolderId, ROOT_FOLDER_ID } from '../services/folders.js';
+import { navigateTo } from '../router/Router.js';
+import { subscribe, isOnline } from '../store/index.js';
+import { moveItems, copyItems, renameItems, trashItems, setDragData, dropItemsOnFolder } from '../services/bulkOperations.js';
+import { pickFolder } from '../components/FolderPicker.js';
+import { promptRename } from '../components/RenameDialog.js';
+import { openShareDialog } from '../components/ShareDialog.js';
+import { openTagsDialog } from '../components/TagsDialog.js';
+import { toggleStar } from '../services/tags.js';
+import { subscribeToEvents, getEventFolderId, REALTIME_EVENTS } from '../services/realtime.js';
+import { getItemRole, can, canAll } from '../services/permissions.js';
+import { showAlert } from '../components/Alert.js';
+import { openMembersDialog } from '../components/MembersDialog.js';
+import { openImageEditor } from '../components/ImageEditorDialog.js';
+import { isEditableImage } from '../services/imageEditor.js';
+import '../components/Breadcrumbs.js';
+import '../components/FileBrowser.js';
+import '../components/FilePreview.js';
+import '../components/VersionHistory.js';
+
+/**
+ * My Files Page - /my-files/:folderId*
+ *
+ * The URL holds the folder path (/my-files/abc/def), so deep links,
+ * reloads and back/forward all land in the right folder.
+ * Folder contents are shown in the <file-browser> (grid/list, sorting,
+ * multi-select); opening a file shows its preview. Selected items can be
+ * moved, copied, renamed or deleted in one batch, or dragged onto a folder.
+ * A single selected item can be shared with a link; a single file can be
+ * tagged or have its version history opened. Files are starred with the
+ * star in their row. A single folder's members (people it's shared with)
+ * can be seen and, by its owners, managed. A single photo can be edited
+ * (crop, rotate, colours...) and saved as a new version or a new file.
+ *
+ * In a folder shared with the user, buttons their role doesn't allow
+ * (services/permissions.js) are disabled.
+ *
+ * Offline, recently opened folders still load (service worker cache) and
+ * renames/deletes are queued; actions that need the server are disabled.
+ *
+ * Changes pushed by the server (services/realtime.js) - a teammate adding,
+ * renaming or deleting something in this folder - update the list in place.
+ */
+class MyFilesPage extends HTMLElement {
+    connectedCallback(){
+        this.innerHTML = `
+            <section class="p-6 space-y-4">
+                <folder-breadcrumbs></folder-breadcrumbs>
+                <div data-error></div>
+                <div class="flex flex-wrap items-center gap-2 invisible" data-bulk-actions>
+                    <span class="text-sm font-medium" data-selection-count></span>
+                    <button class="btn btn-sm" data-bulk="move" data-online-only>Move to…</button>
+                    <button class="btn btn-sm" data-bulk="copy" data-online-only>Copy to…</button>
+                    <button class="btn btn-sm" data-bulk="rename">Rename…</button>
+                    <button class="btn btn-sm" data-bulk="share" data-online-only>Share…</button>
+                    <button class="btn btn-sm" data-bulk="members" data-online-only>People…</button>
+                    <button class="btn btn-sm" data-bulk="tags" data-online-only>Tags…</button>
+                    <button class="btn btn-sm" data-bulk="versions" data-online-only>Versions…</button>
+                    <button class="btn btn-sm" data-bulk="edit-image" data-online-only>Edit image…</button>
+                    <button class="btn btn-sm btn-error btn-outline" data-bulk="trash">Delete</button>
+                </div>
+                <file-browser id="my-files-browser"></file-browser>
+            </section>
+
+            <dialog class="modal" data-preview-dialog>
+                <div class="modal-box max-w-3xl space-y-3">
+                    <h3 class="font-bold truncate" data-preview-title></h3>
+                    <file-preview class="min-h-48"></file-preview>
+                    <div class="modal-action">
+                        <button class="btn" data-preview-edit hidden>Edit image…</button>
+                        <form method="dialog"><button class="btn">Close</button></form>
+                    </div>
+                </div>
+                <form method="dialog" class="modal-backdrop"><button>close</button></form>
+            </dialog>
+
+            <dialog class="modal" data-versions-dialog>
+                <div class="modal-box max-w-5xl space-y-3">
+                    <h3 class="font-bold truncate" data-versions-title></h3>
+                    <version-history></version-history>
+                    <div class="modal-action">
+                        <form method="dialog"><button class="btn">Close</button></form>
+                    </div>
+                </div>
+                <form method="dialog" class="modal-backdrop"><button>close</button></form>
+            </dialog>
+        `;
+
+        this.browser = this.querySelector('file-browser');
+        this.browser.addEventListener('item-open', (e) => this.openItem(e.detail.item));
+        this.browser.addEventListener('selection-change', (e) => this.updateBulkActions(e.detail.items));
+        this.browser.addEventListener('item-star', (e) => {
+            toggleStar(e.detail.item).then(updated => this.browser.updateItem(updated), () => {});
+        });
+        this.browser.addEventListener('items-dragstart', (e) => {
+            // Dropping moves - not for items the user can only view
+            if(!canAll(e.detail.items, 'edit', this.folderRole)){
+                e.detail.event.preventDefault();
+                return;
+            }
+            setDragData(e.detail.event, e.detail.items, this.folderId);
+        });
+        this.browser.addEventListener('items-drop', (e) => {
+            if(!can(e.detail.folder, 'edit', this.folderRole)){
+                showAlert({ type: 'error', message: `You can't add items to ${e.detail.folder.name} - you can only view it` });
+                return;
+            }
+            dropItemsOnFolder(e.detail.event, e.detail.folder.id).catch(() => {});
+        });
+
+        this.querySelector('[data-preview-edit]').addEventListener('click', () => {
+            this.querySelector('[data-preview-dialog]').close();
+            this.editImage(this.previewItem);
+        });
+
+        this.querySelector('version-history').addEventListener('version-restored', (e) => {
+            this.browser.updateItem(e.detail.file);
+        });
+
+        this.querySelector('[data-bulk-actions]').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-bulk]');
+            if(btn) this.runBulkAction(btn.dataset.bulk);
+        });
+
+        // Reload when a batch (here, in the sidebar or elsewhere) changed this folder
+        this.onFilesChanged = (e) => {
+            if(e.detail.folderIds.includes(this.folderId)) this.reload();
+        };
+        window.addEventListener('files-changed', this.onFilesChanged);
+
+        this.unsubscribeEvents = [
+            subscribeToEvents(REALTIME_EVENTS.FILE_CREATED, (e) => this.onItemCreated(e.data.item)),
+            subscribeToEvents(REALTIME_EVENTS.FILE_UPDATED, (e) => this.onItemUpdated(e.data.item)),
+            subscribeToEvents(REALTIME_EVENTS.UPLOAD_PROCESSED, (e) => this.onItemUpdated(e.data.item)),
+            subscribeToEvents(REALTIME_EVENTS.FILE_DELETED, (e) => this.browser.removeItem(e.data.id))
+        ];
+
+        // Back online: the cached listing may be stale
+        this.online = isOnline();
+        this.unsubscribe = subscribe(state => {
+            if(state.isOnline === this.online) return;
+            this.online = state.isOnline;
+            this.updateBulkActions(this.selectedItems || []);
+            if(this.online) this.reload({ refresh: true });
+        });
+
+        this.path = null;
+        if(this.location) this.showFolder(this.location.params.folderId || []);
+    }
+
+    disconnectedCallback(){
+        window.removeEventListener('files-changed', this.onFilesChanged);
+        if(this.unsubscribe) this.unsubscribe();
+        this.unsubscribeEvents.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Called by Vaadin Router after every navigation to this route
+     * (including back/forward between folders)
+     */
+    onAfterEnter(location){
+        this.showFolder(location.params.folderId || []);
+    }
+
+    async showFolder(path){
+        // Same folder again (connectedCallback + onAfterEnter both fire)
+        if(this.path && getFolderUrl(this.path) === getFolderUrl(path)) return;
+        this.path = path;
+
+        const crumbs = this.querySelector('folder-breadcrumbs');
+        const errorBox = this.querySelector('[data-error]');
+        if(!crumbs || !this.browser) return;
+
+        crumbs.path = path;
+        errorBox.innerHTML = '';
+
+        this.folderId = getCurrentFolderId(path);
+        await this.reload();
+    }
+
+    /**
+     * (Re)load the current folder into the browser
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Ask the server again for the subfolders
+     */
+    async reload({ refresh = false } = {}){
+        const { path, folderId } = this;
+        const errorBox = this.querySelector('[data-error]');
+        try{
+            const [folders, folder] = await Promise.all([
+                loadChildFolders(folderId, { refresh }),
+                // Only needed for the role - offline it may not be cached
+                getFolderInfo(folderId).catch(() => null)
+            ]);
+            if(this.path !== path) return; // user moved on
+            errorBox.innerHTML = '';
+            this.folderRole = getItemRole(folder);
+
+            this.browser.source = {
+                folders,
+                fetchPage: (page, size, sort) => listFiles(folderId, {
+                    page,
+                    size,
+                    sort: `${sort.key},${sort.direction}`
+                })
+            };
+        } catch (error){
+            console.error('Failed to load folder:', error);
+            if(error.response?.status === 403){
+                // Taken off the folder while looking at it
+                errorBox.innerHTML = '<div role="alert" class="alert alert-warning">You no longer have access to this folder.</div>';
+                this.browser.source = { folders: [], fetchPage: null };
+                return;
+            }
+            errorBox.innerHTML = isOnline()
+                ? '<div role="alert" class="alert alert-error">Could not load this folder.</div>'
+                : '<div role="alert" class="alert alert-warning">This folder isn\'t available offline. Folders you opened recently can still be browsed.</div>';
+        }
+    }
+
+    updateBulkActions(items){
+        const bar = this.querySelector('[data-bulk-actions]');
+        bar.classList.toggle('invisible', !items.length);
+        bar.querySelector('[data-selection-count]').textContent = `${items.length} selected`;
+        // Moving, copying and sharing need the server; renames/deletes wait in the outbox
+        bar.querySelectorAll('[data-online-only]').forEach(btn => {
+            btn.disabled = !isOnline();
+        });
+        // Links are made for one file or folder at a time, tags are edited per file
+        if(items.length !== 1) bar.querySelector('[data-bulk="share"]').disabled = true;
+        if(items.length !== 1 || items[0].isFolder){
+            bar.querySelector('[data-bulk="tags"]').disabled = true;
+            bar.querySelector('[data-bulk="versions"]').disabled = true;
+        }
+        if(items.length !== 1 || !items[0].isFolder) bar.querySelector('[data-bulk="members"]').disabled = true;
+        if(items.length !== 1 || !isEditableImage(items[0])) bar.querySelector('[data-bulk="edit-image"]').disabled = true;
+
+        // What the user's role on these items allows (versions stay open read-only)
+        const readOnlyTitle = 'You can only view this';
+        const canEdit = canAll(items, 'edit', this.folderRole);
+        ['move', 'rename', 'tags', 'edit-image', 'trash'].forEach(action => {
+            const btn = bar.querySelector(`[data-bulk="${action}"]`);
+            if(!canEdit) btn.disabled = true;
+            btn.title = canEdit ? '' : readOnlyTitle;
+        });
+        const shareBtn = bar.querySelector('[data-bulk="share"]');
+        const canShare = canAll(items, 'manage', this.folderRole);
+        if(!canShare) shareBtn.disabled = true;
+        shareBtn.title = canShare ? '' : 'Only owners can create links';
+
+        this.selectedItems = items;
+    }
+
+    /**
+     * Run a batch action on the selected items
+     */
+    async runBulkAction(action){
+        const items = this.selectedItems || [];
+        if(!items.length) return;
+
+        const count = `${items.length} item${items.length === 1 ? '' : 's'}`;
+        const movingFolderIds = items.filter(item => item.isFolder).map(item => item.id);
+
+        try{
+            if(action === 'move' || action === 'copy'){
+                const target = await pickFolder({
+                    title: `${action === 'move' ? 'Move' : 'Copy'} ${count} to…`,
+                    confirmLabel: action === 'move' ? 'Move here' : 'Copy here',
+                    disabledIds: movingFolderIds
+                });
+                if(!target) return;
+                if(action === 'move') await moveItems(items, target.id, this.folderId);
+                else await copyItems(items, target.id);
+            } else if(action === 'rename'){
+                const pattern = await promptRename(items);
+                if(pattern) await renameItems(items, pattern, this.folderId);
+            } else if(action === 'share'){
+                await openShareDialog(items[0]);
+            } else if(action === 'members'){
+                const { left } = await openMembersDialog({ ...items[0], myRole: getItemRole(items[0], this.folderRole) });
+                if(left) this.reload({ refresh: true });
+            } else if(action === 'versions'){
+                this.openVersions(items[0]);
+            } else if(action === 'edit-image'){
+                this.editImage(items[0]);
+            } else if(action === 'tags'){
+                const updated = await openTagsDialog(items[0]);
+                if(updated) this.browser.updateItem(updated);
+            } else if(action === 'trash'){
+                await trashItems(items, this.folderId);
+            }
+        } catch (error){
+            // bulkOperations already showed the error toast
+        }
+    }
+
+    openVersions(file){
+        this.querySelector('[data-versions-title]').textContent = `Versions of ${file.name}`;
+        const history = this.querySelector('version-history');
+        history.readOnly = !can(file, 'edit', this.folderRole);
+        history.file = file;
+        this.querySelector('[data-versions-dialog]').showModal();
+    }
+
+    /**
+     * Folders open in place (new URL), files open in the preview dialog
+     */
+    openItem(item){
+        if(item.isFolder){
+            navigateTo(getFolderUrl([...this.path, item.id]));
+            return;
+        }
+
+        const dialog = this.querySelector('[data-preview-dialog]');
+        this.querySelector('[data-preview-title]').textContent = item.name;
+        this.querySelector('file-preview').file = item;
+        this.previewItem = item;
+        this.querySelector('[data-preview-edit]').hidden = !isEditableImage(item) || !can(item, 'edit', this.folderRole) || !isOnline();
+        dialog.showModal();
+    }
+
+    /**
+     * Open a photo in the image editor - the result is uploaded into this folder
+     */
+    editImage(file){
+        openImageEditor(file, {
+            // Uploads to the top level go without a folder, like on the upload page
+            folderId: this.folderId === ROOT_FOLDER_ID ? null : this.folderId,
+            takenNames: this.browser.getLoadedItems().map(item => item.name)
+        });
+    }
+
+    /**
+     * Pushed by the server: something new in this folder
+     */
+    onItemCreated(item){
+        if(item && getEventFolderId(item.folderId) === this.folderId) this.browser.addItem(item);
+    }
+
+    /**
+     * Pushed by the server: renamed, tagged, processed... or moved in or out of this folder
+     */
+    onItemUpdated(item){
+        if(!item) return;
+        if(getEventFolderId(item.folderId) === this.folderId) this.browser.addItem(item);
+        else this.browser.removeItem(item.id);
+    }
+}
+
+customElements.define('my-files-page', MyFilesPage);
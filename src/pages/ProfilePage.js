@@ -0,0 +1,430 @@
+import { getProfile, updateProfile, requestEmailChange, resendEmailVerification, cancelEmailChange, uploadAvatar, removeAvatar, changePassword, listSessions, revokeSession } from '../api/accountApi.js';
+import { subscribe, getCurrentUser, updateUser } from '../store/index.js';
+import { bindForm } from '../utils/formBinder.js';
+import { required, email, maxLength, minLength, passwordStrength, matchesField } from '../utils/validators.js';
+import { escapeHtml, formatDate } from '../utils/format.js';
+import { showAlert } from '../components/Alert.js';
+import { openAvatarDialog } from '../components/AvatarDialog.js';
+import '../components/UserAvatar.js';
+import '../components/PasswordStrength.js';
+import '../components/TwoFactorSettings.js';
+
+/**
+ * Profile Page - /profile
+ *
+ * The user's own account: picture (cropped and resized in the browser),
+ * display name, email, password, two-step verification and the devices
+ * they're logged in on.
+ * Every change that comes back from the server goes through updateUser(),
+ * so the header (and other tabs) show the new name and picture at once.
+ *
+ * A new email address only replaces the old one once the link mailed to it
+ * is opened - until then it's shown as pending here.
+ */
+
+// Password is asked for again before the email can change
+function emailPasswordRule(message = 'Enter your password to change your email'){
+    const rule = (value, values = {}) => {
+        const changed = (values.email || '').trim().toLowerCase() !== (getCurrentUser()?.email || '').toLowerCase();
+        return changed && !value ? message : null;
+    };
+    rule.dependsOn = 'email';
+    return rule;
+}
+
+/**
+ * "Firefox on Windows"
+ */
+function describeSession(session){
+    const parts = [session.browser, session.os && `on ${session.os}`].filter(Boolean);
+    return parts.length ? parts.join(' ') : (session.device || 'Unknown device');
+}
+
+class ProfilePage extends HTMLElement {
+    connectedCallback(){
+        this.innerHTML = `
+            <section class="max-w-3xl mx-auto p-6 space-y-6">
+                <h1 class="text-2xl font-bold">Profile</h1>
+
+                <div class="card bg-base-100 shadow-sm">
+                    <div class="card-body flex-row flex-wrap items-center gap-4">
+                        <user-avatar class="w-24"></user-avatar>
+                        <div class="space-y-2">
+                            <h2 class="card-title">Picture</h2>
+                            <div class="flex flex-wrap gap-2">
+                                <label class="btn btn-sm">
+                                    Change picture
+                                    <input type="file" accept="image/*" class="hidden" data-avatar-input />
+                                </label>
+                                <button class="btn btn-sm btn-ghost" data-remove-avatar>Remove</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <form class="card bg-base-100 shadow-sm" id="profile-form">
+                    <div class="card-body space-y-2">
+                        <h2 class="card-title">Account details</h2>
+                        <label class="form-control w-full">
+                            <span class="label-text">Display name</span>
+                            <input name="displayName" class="input input-bordered w-full" autocomplete="name" />
+                        </label>
+                        <label class="form-control w-full">
+                            <span class="label-text">Email</span>
+                            <input type="email" name="email" class="input input-bordered w-full" autocomplete="email" />
+                        </label>
+                        <div data-pending-email></div>
+                        <label class="form-control w-full hidden" data-email-password>
+                            <span class="label-text">Current password (needed to change your email)</span>
+                            <input type="password" name="currentPassword" class="input input-bordered w-full" autocomplete="current-password" />
+                        </label>
+                        <div class="card-actions justify-end">
+                            <button type="submit" class="btn btn-primary btn-sm">Save changes</button>
+                        </div>
+                    </div>
+                </form>
+
+                <form class="card bg-base-100 shadow-sm" id="password-form">
+                    <div class="card-body space-y-2">
+                        <h2 class="card-title">Password</h2>
+                        <input type="text" name="username" autocomplete="username" class="hidden" aria-hidden="true" tabindex="-1" />
+                        <label class="form-control w-full">
+                            <span class="label-text">Current password</span>
+                            <input type="password" name="currentPassword" class="input input-bordered w-full" autocomplete="current-password" />
+                        </label>
+                        <label class="form-control w-full">
+                            <span class="label-text">New password</span>
+                            <input type="password" name="newPassword" class="input input-bordered w-full" autocomplete="new-password" />
+                        </label>
+                        <password-strength for="newPassword"></password-strength>
+                        <label class="form-control w-full">
+                            <span class="label-text">Confirm new password</span>
+                            <input type="password" name="confirmPassword" class="input input-bordered w-full" autocomplete="new-password" />
+                        </label>
+                        <div class="card-actions justify-end">
+                            <button type="submit" class="btn btn-primary btn-sm">Change password</button>
+                        </div>
+                    </div>
+                </form>
+
+                <div class="card bg-base-100 shadow-sm">
+                    <div class="card-body space-y-2">
+                        <h2 class="card-title">Two-step verification</h2>
+                        <two-factor-settings></two-factor-settings>
+                    </div>
+                </div>
+
+                <div class="card bg-base-100 shadow-sm">
+                    <div class="card-body space-y-2">
+                        <h2 class="card-title">Where you're logged in</h2>
+                        <p class="text-sm opacity-70">Don't recognise a device? Log it out and change your password.</p>
+                        <div data-sessions>
+                            <span class="loading loading-spinner loading-md"></span>
+                        </div>
+                    </div>
+                </div>
+            </section>
+        `;
+
+        this.setupAvatar();
+        this.setupProfileForm();
+        this.bindPasswordForm();
+
+        this.querySelector('[data-sessions]').addEventListener('click', (e) => {
+            const revokeBtn = e.target.closest('[data-revoke]');
+            if(revokeBtn) this.confirmRevoke(revokeBtn.dataset.revoke);
+        });
+
+        this.unsubscribe = subscribe(state => this.renderUser(state.user));
+        this.fillProfileForm(getCurrentUser());
+        this.renderUser(getCurrentUser());
+
+        this.loadProfile();
+        this.loadSessions();
+    }
+
+    disconnectedCallback(){
+        if(this.unsubscribe) this.unsubscribe();
+        this.profileBinder?.destroy();
+        this.passwordBinder?.destroy();
+    }
+
+    /**
+     * Fresh copy from the server - picks up an email verified in the meantime
+     */
+    async loadProfile(){
+        try{
+            const user = await getProfile();
+            updateUser(user);
+            if(!this.profileEdited) this.fillProfileForm(getCurrentUser());
+        } catch (error){
+            // The stored copy is still fine to show
+            console.error('Failed to load profile:', error);
+        }
+    }
+
+    /**
+     * Parts that follow the store (the form inputs don't - the user may be typing)
+     */
+    renderUser(user){
+        if(!user) return;
+        this.querySelector('[data-remove-avatar]').hidden = !user.avatarUrl;
+
+        const pending = this.querySelector('[data-pending-email]');
+        pending.innerHTML = user.pendingEmail ? `
+            <div role="status" class="alert alert-info alert-soft text-sm items-start">
+                <div class="flex-1">
+                    We sent a link to <strong>${escapeHtml(user.pendingEmail)}</strong>. Your email changes once you open it -
+                    until then you keep using ${escapeHtml(user.email)}.
+                </div>
+                <div class="flex gap-1">
+                    <button type="button" class="btn btn-xs" data-resend-email>Resend link</button>
+                    <button type="button" class="btn btn-xs btn-ghost" data-cancel-email>Cancel change</button>
+                </div>
+            </div>
+        ` : '';
+    }
+
+    /**
+     * ====================================
+     * PICTURE
+     * ====================================
+     */
+
+    setupAvatar(){
+        const input = this.querySelector('[data-avatar-input]');
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            input.value = '';
+            if(!file) return;
+            if(!file.type.startsWith('image/')){
+                showAlert({ type: 'error', message: 'Pick an image file (JPEG, PNG or WebP)' });
+                return;
+            }
+
+            const image = await openAvatarDialog(file);
+            if(!image) return;
+            try{
+                updateUser(await uploadAvatar(image));
+                showAlert({ type: 'success', message: 'Picture updated' });
+            } catch (error){
+                console.error('Failed to upload avatar:', error);
+                showAlert({ type: 'error', message: error.response?.data?.message || 'Could not save your picture, please try again' });
+            }
+        });
+
+        this.querySelector('[data-remove-avatar]').addEventListener('click', async (e) => {
+            const btn = e.currentTarget;
+            btn.disabled = true;
+            try{
+                updateUser(await removeAvatar());
+                showAlert({ type: 'success', message: 'Picture removed' });
+            } catch (error){
+                console.error('Failed to remove avatar:', error);
+                showAlert({ type: 'error', message: 'Could not remove your picture, please try again' });
+            } finally{
+                btn.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * ====================================
+     * NAME + EMAIL
+     * ====================================
+     */
+
+    setupProfileForm(){
+        const form = this.querySelector('#profile-form');
+        const passwordField = this.querySelector('[data-email-password]');
+
+        this.profileBinder = bindForm(form, {
+            rules: {
+                displayName: [required('Enter your name'), maxLength(60)],
+                email: [required('Enter your email'), email()],
+                currentPassword: [emailPasswordRule()]
+            },
+            onSubmit: (values) => this.saveProfile(values),
+            onError: (error) => {
+                console.error('Failed to save profile:', error);
+                showAlert({ type: 'error', message: error.response?.data?.message || 'Could not save your details, please try again' });
+            }
+        });
+
+        form.addEventListener('input', (e) => {
+            this.profileEdited = true;
+            // Only ask for the password when the email is actually changing
+            if(e.target.name === 'email'){
+                const changed = e.target.value.trim().toLowerCase() !== (getCurrentUser()?.email || '').toLowerCase();
+                passwordField.classList.toggle('hidden', !changed);
+            }
+        });
+
+        form.addEventListener('click', async (e) => {
+            const resendBtn = e.target.closest('[data-resend-email]');
+            const cancelBtn = e.target.closest('[data-cancel-email]');
+            if(!resendBtn && !cancelBtn) return;
+            const btn = resendBtn || cancelBtn;
+            btn.disabled = true;
+            try{
+                if(resendBtn){
+                    await resendEmailVerification();
+                    showAlert({ type: 'success', message: `Link sent to ${getCurrentUser().pendingEmail} again` });
+                } else {
+                    updateUser(await cancelEmailChange());
+                    showAlert({ type: 'info', message: 'Email change cancelled' });
+                }
+            } catch (error){
+                console.error('Pending email action failed:', error);
+                showAlert({ type: 'error', message: 'Something went wrong, please try again' });
+                btn.disabled = false;
+            }
+        });
+    }
+
+    fillProfileForm(user){
+        if(!user) return;
+        const form = this.querySelector('#profile-form');
+        form.elements.displayName.value = user.displayName || user.username || '';
+        form.elements.email.value = user.email || '';
+        form.elements.currentPassword.value = '';
+        this.querySelector('[data-email-password]').classList.add('hidden');
+        this.profileEdited = false;
+    }
+
+    async saveProfile({ displayName, email: newEmail, currentPassword }){
+        const user = getCurrentUser();
+        const name = displayName.trim();
+        const address = newEmail.trim();
+        const nameChanged = name !== (user.displayName || user.username || '');
+        const emailChanged = address.toLowerCase() !== (user.email || '').toLowerCase();
+
+        if(!nameChanged && !emailChanged){
+            showAlert({ type: 'info', message: 'Nothing to save - your details are unchanged' });
+            return;
+        }
+
+        if(nameChanged) updateUser(await updateProfile({ displayName: name }));
+        if(emailChanged){
+            updateUser(await requestEmailChange(address, currentPassword));
+            showAlert({ type: 'info', message: `Check ${address} for a link to confirm your new email`, duration: 8000 });
+        } else {
+            showAlert({ type: 'success', message: 'Your details were saved' });
+        }
+        this.fillProfileForm(getCurrentUser());
+    }
+
+    /**
+     * ====================================
+     * PASSWORD
+     * ====================================
+     */
+
+    bindPasswordForm(){
+        const form = this.querySelector('#password-form');
+        form.elements.username.value = getCurrentUser()?.email || '';
+
+        this.passwordBinder = bindForm(form, {
+            rules: {
+                currentPassword: [required('Enter your current password')],
+                newPassword: [required('Choose a new password'), minLength(8), passwordStrength({ minScore: 2 })],
+                confirmPassword: [required('Repeat your new password'), matchesField('newPassword', 'Passwords do not match')]
+            },
+            onSubmit: async ({ currentPassword, newPassword }) => {
+                await changePassword(currentPassword, newPassword);
+                showAlert({ type: 'success', message: 'Password changed' });
+
+                // Start over with an empty form (and a fresh binder, so nothing counts as touched)
+                this.passwordBinder.destroy();
+                form.reset();
+                form.querySelector('password-strength').update('');
+                this.bindPasswordForm();
+
+                // The server may have logged other devices out
+                this.loadSessions();
+            },
+            onError: (error) => {
+                console.error('Failed to change password:', error);
+                showAlert({ type: 'error', message: error.response?.data?.message || 'Could not change your password, please try again' });
+            }
+        });
+    }
+
+    /**
+     * ====================================
+     * SESSIONS
+     * ====================================
+     */
+
+    async loadSessions(){
+        const container = this.querySelector('[data-sessions]');
+        try{
+            this.sessions = await listSessions();
+            this.renderSessions();
+        } catch (error){
+            console.error('Failed to load sessions:', error);
+            container.innerHTML = '<div role="alert" class="alert alert-error">Could not load your devices.</div>';
+        }
+    }
+
+    renderSessions(){
+        const container = this.querySelector('[data-sessions]');
+        // This device first, then the most recently active
+        const sessions = [...this.sessions].sort((a, b) =>
+            (b.current - a.current) || (new Date(b.lastActiveAt) - new Date(a.lastActiveAt)));
+
+        const rows = sessions.map(session => `
+            <tr>
+                <td>
+                    <div class="font-medium">
+                        ${escapeHtml(describeSession(session))}
+                        ${session.current ? '<span class="badge badge-success badge-xs">This device</span>' : ''}
+                    </div>
+                    <div class="text-xs opacity-70">${escapeHtml([session.location, session.ipAddress].filter(Boolean).join(' · '))}</div>
+                </td>
+                <td class="whitespace-nowrap">${formatDate(session.createdAt)}</td>
+                <td class="whitespace-nowrap">${formatDate(session.lastActiveAt)}</td>
+                <td class="text-right">
+                    ${session.current ? '' : `<button class="btn btn-xs btn-error btn-outline" data-revoke="${escapeHtml(session.id)}">Log out</button>`}
+                </td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="overflow-x-auto">
+                <table class="table table-sm">
+                    <thead><tr><th>Device</th><th>Logged in</th><th>Last active</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    confirmRevoke(sessionId){
+        const session = this.sessions.find(s => s.id === sessionId);
+        if(!session) return;
+
+        const toast = showAlert({
+            type: 'warning',
+            message: `Log out ${describeSession(session)}? It will have to log in again.`,
+            duration: 10000,
+            actions: [
+                { label: 'Cancel', onClick: () => toast.dismiss() },
+                { label: 'Log out', primary: true, onClick: async () => {
+                    toast.dismiss();
+                    try{
+                        await revokeSession(session.id);
+                        this.sessions = this.sessions.filter(s => s.id !== session.id);
+                        this.renderSessions();
+                        showAlert({ type: 'success', message: `${describeSession(session)} was logged out` });
+                    } catch (error){
+                        console.error('Failed to revoke session:', error);
+                        showAlert({ type: 'error', message: 'Could not log that device out, please try again' });
+                    }
+                } }
+            ]
+        });
+    }
+}
+
+customElements.define('profile-page', ProfilePage);
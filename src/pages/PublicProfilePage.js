@@ -0,0 +1,173 @@
+import { getPublicProfile, listUserMedia, followUser, unfollowUser } from '../api/socialApi.js';
+import { openLightbox } from '../components/MediaLightbox.js';
+import { showAlert } from '../components/Alert.js';
+import { getLoginUrl } from '../router/Router.js';
+import { isAuthenticated } from '../store/index.js';
+import { escapeHtml } from '../utils/format.js';
+import '../components/UserAvatar.js';
+
+/**
+ * Public Profile Page - /u/:username
+ *
+ * Anyone can open it, logged in or not (like share links, it has its own
+ * header instead of the dashboard layout). Shows who the user is and a
+ * grid of the media they made public; a tile opens the lightbox.
+ * Logged-in visitors can follow / unfollow - that's what fills the feed.
+ */
+
+class PublicProfilePage extends HTMLElement {
+    connectedCallback(){
+        this.username = this.location?.params.username;
+        this.posts = [];
+        this.nextCursor = null;
+
+        this.innerHTML = `
+            <div class="min-h-screen bg-base-200">
+                <header class="navbar bg-base-100 shadow-sm">
+                    <a href="${isAuthenticated() ? '/dashboard' : '/'}" class="flex-1">
+                        <img src="/file-flow-high-resolution-logo-transparent.png" alt="FileFlow" class="h-8" />
+                    </a>
+                    ${isAuthenticated()
+                        ? '<a href="/feed" class="btn btn-ghost btn-sm">Feed</a>'
+                        : `<a href="${escapeHtml(getLoginUrl(window.location.pathname))}" class="btn btn-primary btn-sm">Log in</a>`}
+                </header>
+                <main class="max-w-4xl mx-auto p-6 space-y-6" data-content>
+                    <span class="loading loading-spinner loading-lg"></span>
+                </main>
+            </div>
+        `;
+
+        this.content = this.querySelector('[data-content]');
+        this.content.addEventListener('click', (e) => this.handleClick(e));
+
+        this.load();
+    }
+
+    async load(){
+        try{
+            this.profile = await getPublicProfile(this.username);
+            this.render();
+            await this.loadMedia();
+        } catch (error){
+            if(error.response?.status !== 404) console.error('Failed to load profile:', error);
+            const message = error.response?.status === 404
+                ? 'There is nobody with that username.'
+                : 'Could not load this profile. Please try again later.';
+            this.content.innerHTML = `<div role="alert" class="alert">${message}</div>`;
+        }
+    }
+
+    async loadMedia(){
+        const grid = this.content.querySelector('[data-grid]');
+        const moreBtn = this.content.querySelector('[data-more]');
+        moreBtn.disabled = true;
+        try{
+            const { items, nextCursor } = await listUserMedia(this.username, { cursor: this.nextCursor });
+            const start = this.posts.length;
+            this.posts = [...this.posts, ...items];
+            this.nextCursor = nextCursor;
+
+            if(!this.posts.length){
+                grid.outerHTML = '<p class="opacity-70" data-grid>Nothing shared yet.</p>';
+            } else {
+                grid.insertAdjacentHTML('beforeend', items.map((post, i) => this.tileHtml(post, start + i)).join(''));
+            }
+            moreBtn.hidden = !nextCursor;
+        } catch (error){
+            console.error('Failed to load media:', error);
+            showAlert({ type: 'error', message: 'Could not load the media, please try again' });
+        }
+        moreBtn.disabled = false;
+    }
+
+    /**
+     * ====================================
+     * RENDERING
+     * ====================================
+     */
+
+    render(){
+        const { profile } = this;
+
+        this.content.innerHTML = `
+            <section class="flex flex-wrap items-center gap-6">
+                <user-avatar class="w-24"></user-avatar>
+                <div class="min-w-0 flex-1 space-y-1">
+                    <h1 class="text-2xl font-bold truncate">${escapeHtml(profile.displayName || profile.username)}</h1>
+                    <p class="opacity-70">@${escapeHtml(profile.username)}</p>
+                    ${profile.bio ? `<p class="whitespace-pre-line break-words">${escapeHtml(profile.bio)}</p>` : ''}
+                    <p class="text-sm flex flex-wrap gap-4">
+                        <span><strong>${profile.postCount || 0}</strong> shared</span>
+                        <span><strong data-followers>${profile.followerCount || 0}</strong> followers</span>
+                        <span><strong>${profile.followingCount || 0}</strong> following</span>
+                    </p>
+                </div>
+                <div data-follow>${this.followButtonHtml()}</div>
+            </section>
+            <section class="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-2" data-grid aria-label="Shared media"></section>
+            <div class="text-center">
+                <button class="btn" data-more hidden>Load more</button>
+            </div>
+        `;
+
+        this.content.querySelector('user-avatar').user = profile;
+    }
+
+    followButtonHtml(){
+        const { profile } = this;
+        if(profile.isMe) return '<a href="/profile" class="btn btn-sm">Edit profile</a>';
+        if(!isAuthenticated()){
+            return `<a href="${escapeHtml(getLoginUrl(window.location.pathname))}" class="btn btn-primary btn-sm">Log in to follow</a>`;
+        }
+        return profile.followedByMe
+            ? '<button type="button" class="btn btn-sm" data-unfollow>Following</button>'
+            : '<button type="button" class="btn btn-primary btn-sm" data-follow-btn>Follow</button>';
+    }
+
+    tileHtml(post, index){
+        const isVideo = post.file.mimeType?.startsWith('video/');
+        return `
+            <button type="button" class="relative aspect-square bg-base-100 rounded-box overflow-hidden" data-open="${index}" aria-label="View ${escapeHtml(post.caption || post.file.name)}">
+                <img src="${escapeHtml(post.file.thumbnailUrl || post.file.mediaUrl)}" alt="" class="w-full h-full object-cover" loading="lazy" />
+                ${isVideo ? '<span class="badge badge-neutral badge-sm absolute bottom-1 right-1">&#9654;</span>' : ''}
+            </button>
+        `;
+    }
+
+    /**
+     * ====================================
+     * ACTIONS
+     * ====================================
+     */
+
+    handleClick(e){
+        const tile = e.target.closest('[data-open]');
+        if(tile){
+            openLightbox(this.posts, Number(tile.dataset.open)).then(last => {
+                this.content.querySelector(`[data-open="${last}"]`)?.focus();
+            });
+        } else if(e.target.closest('[data-more]')){
+            this.loadMedia();
+        } else if(e.target.closest('[data-follow-btn]')){
+            this.setFollowing(true);
+        } else if(e.target.closest('[data-unfollow]')){
+            this.setFollowing(false);
+        }
+    }
+
+    async setFollowing(follow){
+        const container = this.content.querySelector('[data-follow]');
+        container.querySelector('button').disabled = true;
+        try{
+            this.profile = follow ? await followUser(this.username) : await unfollowUser(this.username);
+            this.content.querySelector('[data-followers]').textContent = this.profile.followerCount || 0;
+        } catch (error){
+            console.error('Follow change failed:', error);
+            showAlert({ type: 'error', message: follow ? 'Could not follow them, please try again' : 'Could not unfollow them, please try again' });
+        }
+        container.innerHTML = this.followButtonHtml();
+        container.querySelector('button')?.focus();
+    }
+}
+
+customElements.define('public-profile-page', PublicProfilePage);
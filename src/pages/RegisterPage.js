@@ -0,0 +1,90 @@
+import { register, isUsernameAvailable } from '../api/authApi.js';
+import { loginUser } from '../store/index.js';
+import { bindForm } from '../utils/formBinder.js';
+import { required, email, minLength, maxLength, pattern, passwordStrength, matchesField, asyncRule } from '../utils/validators.js';
+import { escapeHtml } from '../utils/format.js';
+import '../components/PasswordStrength.js';
+
+/**
+ * Register Page - /register
+ *
+ * Sign-up form with live validation: the username is checked against the
+ * API while typing, the password gets a strength meter. Server-side field
+ * errors (422, e.g. "email already registered") land on their inputs.
+ */
+class RegisterPage extends HTMLElement {
+    connectedCallback(){
+        this.innerHTML = `
+            <div class="min-h-screen bg-base-200 flex items-center justify-center p-4">
+                <form class="card bg-base-100 shadow-sm w-full max-w-sm" id="register-form">
+                    <div class="card-body space-y-2">
+                        <a href="/" class="mx-auto">
+                            <img src="/file-flow-high-resolution-logo-transparent.png" alt="FileFlow" class="h-10" />
+                        </a>
+                        <h1 class="card-title justify-center">Create your account</h1>
+
+                        <div data-form-error></div>
+
+                        <label class="form-control w-full">
+                            <span class="label-text">Username</span>
+                            <input name="username" class="input input-bordered w-full" autocomplete="username" autofocus />
+                        </label>
+
+                        <label class="form-control w-full">
+                            <span class="label-text">Email</span>
+                            <input type="email" name="email" class="input input-bordered w-full" autocomplete="email" />
+                        </label>
+
+                        <label class="form-control w-full">
+                            <span class="label-text">Password</span>
+                            <input type="password" name="password" class="input input-bordered w-full" autocomplete="new-password" />
+                        </label>
+                        <password-strength for="password"></password-strength>
+
+                        <label class="form-control w-full">
+                            <span class="label-text">Confirm password</span>
+                            <input type="password" name="confirmPassword" class="input input-bordered w-full" autocomplete="new-password" />
+                        </label>
+
+                        <button type="submit" class="btn btn-primary w-full">Sign up</button>
+                        <p class="text-sm text-center">Already have an account? <a href="/login" class="link link-primary">Log in</a></p>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const formError = this.querySelector('[data-form-error]');
+
+        this.binder = bindForm(this.querySelector('form'), {
+            rules: {
+                username: [
+                    required('Pick a username'),
+                    minLength(3),
+                    maxLength(30),
+                    pattern(/^[a-zA-Z0-9_.-]+$/, 'Use letters, numbers, dots, dashes or underscores'),
+                    asyncRule(async (username) => (await isUsernameAvailable(username)) ? null : 'That username is taken')
+                ],
+                email: [required('Enter your email'), email()],
+                password: [required('Choose a password'), minLength(8), passwordStrength({ minScore: 2 })],
+                confirmPassword: [required('Repeat your password'), matchesField('password', 'Passwords do not match')]
+            },
+            onSubmit: async ({ username, email, password }) => {
+                formError.innerHTML = '';
+                const { user, accessToken, refreshToken } = await register({ username: username.trim(), email: email.trim(), password });
+                loginUser(user, accessToken, refreshToken);
+                window.dispatchEvent(new CustomEvent('user-login'));
+            },
+            onError: (error) => {
+                console.error('Registration failed:', error);
+                const message = error.response?.data?.message || 'Could not create your account, please try again';
+                formError.innerHTML = `<div role="alert" class="alert alert-error text-sm">${escapeHtml(message)}</div>`;
+            }
+        });
+    }
+
+    disconnectedCallback(){
+        if(this.binder) this.binder.destroy();
+    }
+}
+
+customElements.define('register-page', RegisterPage);
@@ -0,0 +1,256 @@
+import { FILE_TYPES, searchFiles } from '../api/searchApi.js';
+import { navigateTo, getCurrentRoute } from '../router/Router.js';
+import { getFolderUrl } from '../services/folders.js';
+import {
+    parseSearchQuery, getSearchUrl, hasSearchCriteria, toApiParams,
+    getRecentSearches, addRecentSearch, clearRecentSearches
+} from '../services/search.js';
+import { toggleStar } from '../services/tags.js';
+import { isOnline } from '../store/index.js';
+import { escapeHtml } from '../utils/format.js';
+import '../components/FileBrowser.js';
+import '../components/FilePreview.js';
+import '../components/TagInput.js';
+
+/**
+ * Search Page - /search?q=...&type=...
+ *
+ * Results of a full-text search, narrowed down by type, size range, date
+ * range, owner and tags. The URL holds the whole query (see services/search.js),
+ * so changing a filter navigates to a new URL - that's what makes searches
+ * bookmarkable, shareable and back/forward friendly. Results are shown in
+ * the <file-browser> (paged, sortable); opening one shows its preview.
+ *
+ * Without a query the page lists the user's recent searches.
+ */
+class SearchPage extends HTMLElement {
+    connectedCallback(){
+        const typeOptions = FILE_TYPES.map(({ value, label }) => `
+            <label class="label cursor-pointer justify-start gap-2 py-0.5">
+                <input type="checkbox" class="checkbox checkbox-xs" name="type" value="${value}" />
+                <span class="label-text">${label}</span>
+            </label>
+        `).join('');
+
+        this.innerHTML = `
+            <section class="p-6 grid gap-6 lg:grid-cols-[14rem_1fr] items-start">
+                <form class="bg-base-100 rounded-box shadow-sm p-4 space-y-4 text-sm" data-filters>
+                    <fieldset>
+                        <legend class="font-semibold mb-1">Type</legend>
+                        ${typeOptions}
+                    </fieldset>
+
+                    <fieldset>
+                        <legend class="font-semibold mb-1">Size (MB)</legend>
+                        <div class="flex items-center gap-2">
+                            <input type="number" name="minSize" min="0" step="any" placeholder="Min" aria-label="Minimum size in MB" class="input input-xs input-bordered w-full" />
+                            <span>&ndash;</span>
+                            <input type="number" name="maxSize" min="0" step="any" placeholder="Max" aria-label="Maximum size in MB" class="input input-xs input-bordered w-full" />
+                        </div>
+                    </fieldset>
+
+                    <fieldset class="space-y-1">
+                        <legend class="font-semibold mb-1">Modified</legend>
+                        <input type="date" name="from" aria-label="Modified from" class="input input-xs input-bordered w-full" />
+                        <input type="date" name="to" aria-label="Modified until" class="input input-xs input-bordered w-full" />
+                    </fieldset>
+
+                    <fieldset>
+                        <legend class="font-semibold mb-1">Owner</legend>
+                        <input type="text" name="owner" placeholder="Anyone (or &quot;me&quot;)" aria-label="Owner" class="input input-xs input-bordered w-full" />
+                    </fieldset>
+
+                    <fieldset>
+                        <legend class="font-semibold mb-1">Tags</legend>
+                        <tag-input placeholder="e.g. tax" aria-label="Tags"></tag-input>
+                    </fieldset>
+
+                    <button type="button" class="btn btn-xs btn-ghost" data-clear-filters>Clear filters</button>
+                </form>
+
+                <div class="space-y-4 min-w-0">
+                    <h1 class="text-2xl font-bold truncate" data-title>Search</h1>
+                    <p class="text-sm opacity-70" data-summary></p>
+                    <div data-error></div>
+                    <div data-recent></div>
+                    <file-browser id="search-results" class="hidden"></file-browser>
+                </div>
+            </section>
+
+            <dialog class="modal" data-preview-dialog>
+                <div class="modal-box max-w-3xl space-y-3">
+                    <h3 class="font-bold truncate" data-preview-title></h3>
+                    <file-preview class="min-h-48"></file-preview>
+                    <div class="modal-action">
+                        <button class="btn btn-ghost" data-show-in-folder>Show in folder</button>
+                        <form method="dialog"><button class="btn">Close</button></form>
+                    </div>
+                </div>
+                <form method="dialog" class="modal-backdrop"><button>close</button></form>
+            </dialog>
+        `;
+
+        this.form = this.querySelector('[data-filters]');
+        this.browser = this.querySelector('file-browser');
+        this.browser.addEventListener('item-open', (e) => this.openItem(e.detail.item));
+        this.browser.addEventListener('item-star', (e) => {
+            toggleStar(e.detail.item).then(updated => this.browser.updateItem(updated), () => {});
+        });
+
+        // Text inputs apply on change (blur/Enter), not on every keystroke
+        this.form.addEventListener('change', () => this.applyFilters());
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyFilters();
+        });
+        this.querySelector('[data-clear-filters]').addEventListener('click', () => {
+            navigateTo(getSearchUrl({ q: this.query?.q }));
+        });
+
+        this.querySelector('[data-recent]').addEventListener('click', (e) => {
+            if(e.target.closest('[data-clear-recent]')){
+                clearRecentSearches();
+                this.renderRecent();
+            }
+        });
+
+        this.querySelector('[data-show-in-folder]').addEventListener('click', () => {
+            const item = this.previewItem;
+            this.querySelector('[data-preview-dialog]').close();
+            if(item) navigateTo(getFolderUrl(item.folderPath || []));
+        });
+
+        this.search = null;
+        this.showSearch(getCurrentRoute()?.search || '');
+    }
+
+    /**
+     * Called by Vaadin Router after every navigation to this route -
+     * a new query or filter is a new URL
+     */
+    onAfterEnter(location){
+        this.showSearch(location.search);
+    }
+
+    showSearch(search){
+        // Same search again (connectedCallback + onAfterEnter both fire)
+        if(this.search === search) return;
+        this.search = search;
+        this.query = parseSearchQuery(search);
+
+        this.fillForm(this.query);
+        this.querySelector('[data-error]').innerHTML = '';
+
+        const title = this.querySelector('[data-title]');
+        title.textContent = this.query.q ? `Results for “${this.query.q}”` : 'Search';
+
+        if(!hasSearchCriteria(this.query)){
+            this.browser.classList.add('hidden');
+            this.querySelector('[data-summary]').textContent = 'Type in the search bar or pick a filter.';
+            this.renderRecent();
+            return;
+        }
+
+        this.querySelector('[data-recent]').innerHTML = '';
+        addRecentSearch(this.query);
+
+        if(!isOnline()){
+            this.browser.classList.add('hidden');
+            this.querySelector('[data-summary]').textContent = '';
+            this.querySelector('[data-error]').innerHTML = '<div role="alert" class="alert alert-warning">Search needs a connection. Try again when you\'re back online.</div>';
+            return;
+        }
+
+        const params = toApiParams(this.query);
+        this.browser.classList.remove('hidden');
+        this.querySelector('[data-summary]').textContent = 'Searching…';
+        this.browser.source = {
+            folders: [],
+            fetchPage: async (page, size, sort) => {
+                try{
+                    const result = await searchFiles({ ...params, page, size, sort: `${sort.key},${sort.direction}` });
+                    if(this.search === search) this.renderSummary(result.total);
+                    return result;
+                } catch (error){
+                    console.error('Search failed:', error);
+                    if(this.search === search){
+                        this.querySelector('[data-summary]').textContent = '';
+                        this.querySelector('[data-error]').innerHTML = '<div role="alert" class="alert alert-error">Search failed. Please try again.</div>';
+                    }
+                    throw error;
+                }
+            }
+        };
+    }
+
+    renderSummary(total){
+        this.querySelector('[data-summary]').textContent = total
+            ? `${total} file${total === 1 ? '' : 's'} found`
+            : 'No files match this search. Try fewer words or clear some filters.';
+    }
+
+    renderRecent(){
+        const recent = getRecentSearches();
+        const box = this.querySelector('[data-recent]');
+        if(!recent.length){
+            box.innerHTML = '';
+            return;
+        }
+
+        box.innerHTML = `
+            <div class="bg-base-100 rounded-box shadow-sm p-4 space-y-2">
+                <div class="flex items-center justify-between">
+                    <h2 class="font-semibold">Recent searches</h2>
+                    <button class="btn btn-xs btn-ghost" data-clear-recent>Clear</button>
+                </div>
+                <ul class="menu menu-sm p-0">
+                    ${recent.map(entry => `<li><a href="${escapeHtml(entry.url)}">${escapeHtml(entry.label)}</a></li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Put the URL's query into the filter inputs
+     */
+    fillForm(query){
+        const { elements } = this.form;
+        this.form.querySelectorAll('[name="type"]').forEach(box => {
+            box.checked = query.types.includes(box.value);
+        });
+        elements.minSize.value = query.minSize ?? '';
+        elements.maxSize.value = query.maxSize ?? '';
+        elements.from.value = query.from;
+        elements.to.value = query.to;
+        elements.owner.value = query.owner;
+        this.querySelector('tag-input').value = query.tags;
+    }
+
+    /**
+     * Read the filter inputs into a new URL (the text query stays)
+     */
+    applyFilters(){
+        const { elements } = this.form;
+        const search = new URLSearchParams({
+            type: [...this.form.querySelectorAll('[name="type"]:checked')].map(box => box.value).join(','),
+            minSize: elements.minSize.value,
+            maxSize: elements.maxSize.value,
+            from: elements.from.value,
+            to: elements.to.value,
+            owner: elements.owner.value,
+            tags: this.querySelector('tag-input').value.join(',')
+        });
+        const filters = parseSearchQuery(search.toString());
+        navigateTo(getSearchUrl({ ...filters, q: this.query?.q }));
+    }
+
+    openItem(item){
+        this.previewItem = item;
+        this.querySelector('[data-preview-title]').textContent = item.name;
+        this.querySelector('[data-show-in-folder]').hidden = !item.folderPath;
+        this.querySelector('file-preview').file = item;
+        this.querySelector('[data-preview-dialog]').showModal();
+    }
+}
+
+customElements.define('search-page', SearchPage);
@@ -0,0 +1,154 @@
+import { SHARE_SCOPES, listShares, revokeShare, getShareUrl } from '../api/sharesApi.js';
+import { showAlert } from '../components/Alert.js';
+import { escapeHtml, formatDate } from '../utils/format.js';
+
+/**
+ * Shared by me Page - /shared
+ *
+ * Every share link the user created, with its scope, expiry, password and
+ * download usage. Links can be copied again or revoked.
+ */
+
+/**
+ * Where a link stands right now
+ *
+ * @returns {{label: string, badge: string, active: boolean}}
+ */
+function getShareStatus(share){
+    if(share.revokedAt) return { label: 'Revoked', badge: 'badge-ghost', active: false };
+    if(share.expiresAt && new Date(share.expiresAt) <= new Date()){
+        return { label: 'Expired', badge: 'badge-ghost', active: false };
+    }
+    if(share.maxDownloads && share.downloadCount >= share.maxDownloads){
+        return { label: 'Limit reached', badge: 'badge-warning', active: false };
+    }
+    return { label: 'Active', badge: 'badge-success', active: true };
+}
+
+class SharedByMePage extends HTMLElement {
+    connectedCallback(){
+        this.innerHTML = `
+            <section class="p-6 space-y-4">
+                <h1 class="text-2xl font-bold">Shared by me</h1>
+                <div data-content>
+                    <span class="loading loading-spinner loading-md"></span>
+                </div>
+            </section>
+        `;
+
+        this.querySelector('[data-content]').addEventListener('click', (e) => {
+            const copyBtn = e.target.closest('[data-copy]');
+            const revokeBtn = e.target.closest('[data-revoke]');
+            if(copyBtn) this.copyLink(copyBtn);
+            if(revokeBtn) this.confirmRevoke(revokeBtn.dataset.revoke);
+        });
+
+        this.load();
+    }
+
+    async load(){
+        const content = this.querySelector('[data-content]');
+        try{
+            this.shares = await listShares();
+            this.render();
+        } catch (error){
+            console.error('Failed to load share links:', error);
+            content.innerHTML = '<div role="alert" class="alert alert-error">Could not load your share links.</div>';
+        }
+    }
+
+    render(){
+        const content = this.querySelector('[data-content]');
+        if(!this.shares.length){
+            content.innerHTML = '<p class="opacity-70">You haven\'t shared anything yet. Select a file in My Files and choose Share.</p>';
+            return;
+        }
+
+        const rows = this.shares.map(share => {
+            const status = getShareStatus(share);
+            const downloads = share.scope === SHARE_SCOPES.DOWNLOAD
+                ? `${share.downloadCount}${share.maxDownloads ? ` / ${share.maxDownloads}` : ''}`
+                : '&ndash;';
+
+            return `
+                <tr class="${status.active ? '' : 'opacity-60'}">
+                    <td class="max-w-xs">
+                        <div class="truncate font-medium">${share.itemType === 'folder' ? '&#128193; ' : ''}${escapeHtml(share.itemName)}</div>
+                        <div class="text-xs opacity-70">Created ${formatDate(share.createdAt)}</div>
+                    </td>
+                    <td>${share.scope === SHARE_SCOPES.DOWNLOAD ? 'View &amp; download' : 'View only'}</td>
+                    <td>${share.expiresAt ? formatDate(share.expiresAt) : 'Never'}</td>
+                    <td>${share.hasPassword ? 'Yes' : 'No'}</td>
+                    <td>${share.viewCount ?? 0}</td>
+                    <td>${downloads}</td>
+                    <td><span class="badge badge-sm ${status.badge}">${status.label}</span></td>
+                    <td class="text-right whitespace-nowrap">
+                        ${status.active ? `
+                            <button class="btn btn-xs" data-copy="${escapeHtml(share.token)}">Copy link</button>
+                            <button class="btn btn-xs btn-error btn-outline" data-revoke="${escapeHtml(share.id)}">Revoke</button>
+                        ` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        content.innerHTML = `
+            <div class="overflow-x-auto bg-base-100 rounded-box shadow-sm">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Item</th><th>Access</th><th>Expires</th><th>Password</th>
+                            <th>Views</th><th>Downloads</th><th>Status</th><th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    async copyLink(button){
+        try{
+            await navigator.clipboard.writeText(getShareUrl(button.dataset.copy));
+            showAlert({ type: 'success', message: 'Link copied' });
+        } catch (error){
+            console.error('Clipboard not available:', error);
+            showAlert({ type: 'error', message: 'Could not copy the link' });
+        }
+    }
+
+    /**
+     * Revoking can't be undone, so ask first
+     */
+    confirmRevoke(shareId){
+        const share = this.shares.find(s => s.id === shareId);
+        if(!share) return;
+
+        const toast = showAlert({
+            type: 'warning',
+            message: 'Revoke this link? Anyone using it will lose access.',
+            duration: 10000,
+            actions: [
+                { label: 'Cancel', onClick: () => toast.dismiss() },
+                { label: 'Revoke', primary: true, onClick: () => {
+                    toast.dismiss();
+                    this.revoke(share);
+                } }
+            ]
+        });
+    }
+
+    async revoke(share){
+        try{
+            await revokeShare(share.id);
+            this.shares = this.shares.map(s => s.id === share.id ? { ...s, revokedAt: new Date().toISOString() } : s);
+            this.render();
+            showAlert({ type: 'success', message: 'Link revoked' });
+        } catch (error){
+            console.error('Failed to revoke share link:', error);
+            showAlert({ type: 'error', message: 'Could not revoke the link, please try again' });
+        }
+    }
+}
+
+customElements.define('shared-by-me-page', SharedByMePage);
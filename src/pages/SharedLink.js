@@ -0,0 +1,224 @@
+import { SHARE_SCOPES, getPublicShare, getPublicDownloadUrl } from '../api/sharesApi.js';
+import { escapeHtml, formatBytes, formatDate } from '../utils/format.js';
+import '../components/FilePreview.js';
+
+/**
+ * Shared Link Page - /s/:token (public, no login needed)
+ *
+ * Opens a share link: asks for the password when the link has one, then
+ * shows the shared file (preview) or folder (browsable list). Download
+ * buttons only appear for links with the download scope.
+ */
+
+// What to tell the visitor for each "link no longer works" response
+const UNAVAILABLE_MESSAGES = {
+    EXPIRED: 'This link has expired.',
+    REVOKED: 'This link has been turned off by its owner.',
+    DOWNLOAD_LIMIT_REACHED: 'This link has reached its download limit.'
+};
+
+class SharedLinkPage extends HTMLElement {
+    connectedCallback(){
+        this.token = this.location?.params.token;
+        this.password = '';
+        // Folders opened inside a shared folder, from the top down
+        this.trail = [];
+
+        this.innerHTML = `
+            <div class="min-h-screen bg-base-200">
+                <header class="navbar bg-base-100 shadow-sm">
+                    <a href="/" class="flex-1">
+                        <img src="/file-flow-high-resolution-logo-transparent.png" alt="FileFlow" class="h-8" />
+                    </a>
+                </header>
+                <main class="max-w-4xl mx-auto p-6" data-content></main>
+            </div>
+        `;
+
+        this.content = this.querySelector('[data-content]');
+        this.content.addEventListener('click', (e) => this.handleClick(e));
+        this.content.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.password = e.target.elements.password.value;
+            this.load();
+        });
+
+        this.load();
+    }
+
+    async load(){
+        this.content.innerHTML = '<span class="loading loading-spinner loading-lg"></span>';
+        const folderId = this.trail[this.trail.length - 1]?.id;
+
+        try{
+            this.share = await getPublicShare(this.token, { password: this.password, folderId });
+            this.render();
+        } catch (error){
+            this.renderError(error);
+        }
+    }
+
+    renderError(error){
+        const { status, data } = error.response || {};
+
+        if(status === 403 && (data?.code === 'PASSWORD_REQUIRED' || data?.code === 'WRONG_PASSWORD')){
+            this.renderPasswordForm(data.code === 'WRONG_PASSWORD');
+            return;
+        }
+
+        let message = 'Something went wrong while opening this link. Please try again later.';
+        if(status === 404) message = 'This link doesn\'t exist. Check that you copied all of it.';
+        if(status === 410) message = UNAVAILABLE_MESSAGES[data?.code] || 'This link is no longer available.';
+        if(status !== 404 && status !== 410) console.error('Failed to open share link:', error);
+
+        this.content.innerHTML = `<div role="alert" class="alert">${escapeHtml(message)}</div>`;
+    }
+
+    renderPasswordForm(wrongPassword){
+        this.content.innerHTML = `
+            <form class="card bg-base-100 shadow-sm max-w-sm mx-auto">
+                <div class="card-body space-y-2">
+                    <h1 class="card-title">This link is password protected</h1>
+                    <input type="password" name="password" class="input input-bordered w-full ${wrongPassword ? 'input-error' : ''}"
+                        placeholder="Password" autocomplete="off" required autofocus />
+                    ${wrongPassword ? '<p class="text-sm text-error">Wrong password, try again.</p>' : ''}
+                    <button class="btn btn-primary">Open</button>
+                </div>
+            </form>
+        `;
+        this.content.querySelector('input').focus();
+    }
+
+    get canDownload(){
+        return this.share.scope === SHARE_SCOPES.DOWNLOAD && this.share.downloadsRemaining !== 0;
+    }
+
+    render(){
+        const { item, ownerName, expiresAt, downloadsRemaining } = this.share;
+        const details = [
+            ownerName ? `Shared by ${escapeHtml(ownerName)}` : '',
+            expiresAt ? `available until ${formatDate(expiresAt)}` : '',
+            this.canDownload && downloadsRemaining ? `${downloadsRemaining} download${downloadsRemaining === 1 ? '' : 's'} left` : ''
+        ].filter(Boolean).join(' · ');
+
+        this.content.innerHTML = `
+            <div class="card bg-base-100 shadow-sm">
+                <div class="card-body space-y-4">
+                    <div>
+                        <h1 class="card-title break-all">${escapeHtml(item.name)}</h1>
+                        <p class="text-sm opacity-70">${details}</p>
+                    </div>
+                    <div data-body></div>
+                </div>
+            </div>
+        `;
+
+        if(item.isFolder){
+            this.renderFolder();
+        } else {
+            this.renderFile(item);
+        }
+    }
+
+    renderFile(file){
+        const body = this.content.querySelector('[data-body]');
+        body.innerHTML = `
+            <file-preview class="min-h-48"></file-preview>
+            <div class="flex items-center justify-between gap-2 mt-4">
+                <span class="text-sm opacity-70">${formatBytes(file.size)}</span>
+                ${this.canDownload ? `<button class="btn btn-primary btn-sm" data-download="${escapeHtml(file.id)}">Download</button>` : ''}
+            </div>
+        `;
+        body.querySelector('file-preview').file = { ...file, share: { token: this.token, password: this.password } };
+    }
+
+    renderFolder(){
+        const body = this.content.querySelector('[data-body]');
+        const { folders = [], files = [] } = this.share;
+
+        const crumbs = [{ name: this.share.item.name }, ...this.trail].map((folder, i) =>
+            `<li><a data-crumb="${i}">${escapeHtml(folder.name)}</a></li>`
+        ).join('');
+
+        const rows = [
+            ...folders.map(folder => `
+                <li>
+                    <a data-open-folder="${escapeHtml(folder.id)}" data-name="${escapeHtml(folder.name)}">
+                        <span>&#128193;</span>
+                        <span class="flex-1 truncate">${escapeHtml(folder.name)}</span>
+                    </a>
+                </li>`),
+            ...files.map(file => `
+                <li>
+                    <div class="flex gap-2">
+                        <span>&#128196;</span>
+                        <a class="flex-1 truncate" data-preview-file="${escapeHtml(file.id)}">${escapeHtml(file.name)}</a>
+                        <span class="text-xs opacity-70">${formatBytes(file.size)}</span>
+                        ${this.canDownload ? `<button class="btn btn-xs" data-download="${escapeHtml(file.id)}">Download</button>` : ''}
+                    </div>
+                </li>`)
+        ].join('');
+
+        body.innerHTML = `
+            <div class="breadcrumbs text-sm"><ul>${crumbs}</ul></div>
+            <ul class="menu w-full p-0">${rows || '<li class="menu-disabled"><span>This folder is empty</span></li>'}</ul>
+            <dialog class="modal" data-preview-dialog>
+                <div class="modal-box max-w-3xl space-y-3">
+                    <h3 class="font-bold truncate" data-preview-title></h3>
+                    <file-preview class="min-h-48"></file-preview>
+                    <div class="modal-action">
+                        <form method="dialog"><button class="btn">Close</button></form>
+                    </div>
+                </div>
+                <form method="dialog" class="modal-backdrop"><button>close</button></form>
+            </dialog>
+        `;
+    }
+
+    handleClick(e){
+        const folderLink = e.target.closest('[data-open-folder]');
+        const crumb = e.target.closest('[data-crumb]');
+        const previewLink = e.target.closest('[data-preview-file]');
+        const downloadBtn = e.target.closest('[data-download]');
+
+        if(folderLink){
+            this.trail.push({ id: folderLink.dataset.openFolder, name: folderLink.dataset.name });
+            this.load();
+        } else if(crumb){
+            this.trail = this.trail.slice(0, Number(crumb.dataset.crumb));
+            this.load();
+        } else if(previewLink){
+            this.previewFile(previewLink.dataset.previewFile);
+        } else if(downloadBtn){
+            this.download(downloadBtn);
+        }
+    }
+
+    previewFile(fileId){
+        const file = this.share.files.find(f => f.id === fileId);
+        if(!file) return;
+
+        const dialog = this.content.querySelector('[data-preview-dialog]');
+        dialog.querySelector('[data-preview-title]').textContent = file.name;
+        dialog.querySelector('file-preview').file = { ...file, share: { token: this.token, password: this.password } };
+        dialog.showModal();
+    }
+
+    async download(button){
+        button.disabled = true;
+        try{
+            const url = await getPublicDownloadUrl(this.token, button.dataset.download, this.password);
+            window.location.assign(url);
+            if(this.share.downloadsRemaining){
+                this.share.downloadsRemaining -= 1;
+                if(this.share.downloadsRemaining === 0) this.render();
+            }
+        } catch (error){
+            this.renderError(error);
+        } finally{
+            button.disabled = false;
+        }
+    }
+}
+
+customElements.define('shared-link-page', SharedLinkPage);
@@ -0,0 +1,90 @@
+import { listSharedWithMe } from '../api/membersApi.js';
+import { ROLE_LABELS } from '../services/permissions.js';
+import { getFolderUrl } from '../services/folders.js';
+import { openMembersDialog } from '../components/MembersDialog.js';
+import { escapeHtml, formatDate } from '../utils/format.js';
+
+/**
+ * Shared with me Page - /shared-with-me
+ *
+ * Folders other people made the user a member of, with the owner and the
+ * user's role. Opening one browses it in My Files (with the buttons the
+ * role allows); "People" shows who else has access and lets the user leave.
+ */
+
+// Badge colour per role
+const ROLE_BADGES = {
+    viewer: 'badge-ghost',
+    editor: 'badge-info',
+    owner: 'badge-primary'
+};
+
+class SharedWithMePage extends HTMLElement {
+    connectedCallback(){
+        this.innerHTML = `
+            <section class="p-6 space-y-4">
+                <h1 class="text-2xl font-bold">Shared with me</h1>
+                <div data-content>
+                    <span class="loading loading-spinner loading-md"></span>
+                </div>
+            </section>
+        `;
+
+        this.querySelector('[data-content]').addEventListener('click', (e) => {
+            const membersBtn = e.target.closest('[data-members]');
+            if(membersBtn) this.openMembers(membersBtn.dataset.members);
+        });
+
+        this.load();
+    }
+
+    async load(){
+        try{
+            this.shared = await listSharedWithMe();
+            this.render();
+        } catch (error){
+            console.error('Failed to load shared folders:', error);
+            this.querySelector('[data-content]').innerHTML = '<div role="alert" class="alert alert-error">Could not load the folders shared with you.</div>';
+        }
+    }
+
+    render(){
+        const content = this.querySelector('[data-content]');
+        if(!this.shared.length){
+            content.innerHTML = '<p class="opacity-70">Nobody has shared a folder with you yet.</p>';
+            return;
+        }
+
+        const rows = this.shared.map(({ folder, role, owner, sharedAt }) => `
+            <tr>
+                <td class="max-w-xs">
+                    <a class="link link-hover font-medium truncate block" href="${escapeHtml(getFolderUrl([folder.id]))}">&#128193; ${escapeHtml(folder.name)}</a>
+                </td>
+                <td class="max-w-xs truncate">${escapeHtml(owner?.displayName || owner?.email || '')}</td>
+                <td><span class="badge badge-sm ${ROLE_BADGES[role] || 'badge-ghost'}">${escapeHtml(ROLE_LABELS[role] || role)}</span></td>
+                <td class="whitespace-nowrap">${formatDate(sharedAt)}</td>
+                <td class="text-right">
+                    <button class="btn btn-xs" data-members="${escapeHtml(folder.id)}">People</button>
+                </td>
+            </tr>
+        `).join('');
+
+        content.innerHTML = `
+            <div class="overflow-x-auto bg-base-100 rounded-box shadow-sm">
+                <table class="table table-sm">
+                    <thead><tr><th>Folder</th><th>Owner</th><th>Your role</th><th>Shared</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    async openMembers(folderId){
+        const entry = this.shared.find(({ folder }) => folder.id === folderId);
+        if(!entry) return;
+        const { left } = await openMembersDialog({ ...entry.folder, myRole: entry.role });
+        if(left) this.load();
+    }
+}
+
+customElements.define('shared-with-me-page', SharedWithMePage);
@@ -0,0 +1,264 @@
+import { listTrash, emptyTrash } from '../api/trashApi.js';
+import { ROOT_FOLDER_ID } from '../api/filesApi.js';
+import { restoreItems, TRASH_FOLDER_ID } from '../services/bulkOperations.js';
+import { getFolderUrl } from '../services/folders.js';
+import { showAlert } from '../components/Alert.js';
+import { escapeHtml, formatBytes, formatDate } from '../utils/format.js';
+
+/**
+ * Trash Page - /trash
+ *
+ * Deleted files and folders, where they were, when they were deleted and
+ * how many days are left before the server purges them. Items can be
+ * restored one by one or in bulk; when an item's folder no longer exists
+ * the user picks between re-creating that folder and restoring into
+ * My Files. "Empty trash" deletes everything for good, after a confirm.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Highlight items this close to being purged
+const PURGE_WARNING_DAYS = 3;
+
+/**
+ * Whole days until an item is purged (0 = today)
+ */
+function getDaysLeft(item, retentionDays, now = Date.now()){
+    const purgeAt = item.purgeAt
+        ? new Date(item.purgeAt).getTime()
+        : new Date(item.deletedAt).getTime() + retentionDays * DAY;
+    return Math.max(0, Math.ceil((purgeAt - now) / DAY));
+}
+
+/**
+ * "My Files / Photos / 2023"
+ */
+function formatOriginalPath(item){
+    return ['My Files', ...(item.originalPath || []).map(folder => folder.name)].join(' / ');
+}
+
+class TrashPage extends HTMLElement {
+    connectedCallback(){
+        this.innerHTML = `
+            <section class="p-6 space-y-4">
+                <div class="flex flex-wrap items-center gap-2">
+                    <h1 class="text-2xl font-bold flex-1">Trash</h1>
+                    <button class="btn btn-sm btn-error btn-outline" data-empty-trash disabled>Empty trash</button>
+                </div>
+                <p class="text-sm opacity-70" data-retention></p>
+                <div class="flex flex-wrap items-center gap-2 invisible" data-bulk-actions>
+                    <span class="text-sm font-medium" data-selection-count></span>
+                    <button class="btn btn-sm btn-primary" data-restore-selected>Restore</button>
+                </div>
+                <div data-content>
+                    <span class="loading loading-spinner loading-md"></span>
+                </div>
+            </section>
+        `;
+
+        this.items = [];
+        this.selected = new Set();
+
+        const content = this.querySelector('[data-content]');
+        content.addEventListener('click', (e) => {
+            const restoreBtn = e.target.closest('[data-restore]');
+            if(restoreBtn) this.restore(this.items.filter(item => item.id === restoreBtn.dataset.restore));
+        });
+        content.addEventListener('change', (e) => {
+            if(e.target.matches('[data-select-all]')){
+                this.selected = new Set(e.target.checked ? this.items.map(item => item.id) : []);
+                this.render();
+            } else if(e.target.matches('[data-select]')){
+                if(e.target.checked) this.selected.add(e.target.dataset.select);
+                else this.selected.delete(e.target.dataset.select);
+                this.updateBulkActions();
+            }
+        });
+
+        this.querySelector('[data-restore-selected]').addEventListener('click', () => {
+            this.restore(this.items.filter(item => this.selected.has(item.id)));
+        });
+        this.querySelector('[data-empty-trash]').addEventListener('click', () => this.confirmEmpty());
+
+        // Deleted from My Files, restored here (or undone) - reload
+        this.onFilesChanged = (e) => {
+            if(e.detail.folderIds.includes(TRASH_FOLDER_ID)) this.load();
+        };
+        window.addEventListener('files-changed', this.onFilesChanged);
+
+        this.load();
+    }
+
+    disconnectedCallback(){
+        window.removeEventListener('files-changed', this.onFilesChanged);
+    }
+
+    async load(){
+        try{
+            const { items = [], retentionDays = 30 } = await listTrash();
+            this.items = items;
+            this.retentionDays = retentionDays;
+            // Keep the selection of items that are still here
+            this.selected = new Set(items.filter(item => this.selected.has(item.id)).map(item => item.id));
+            this.render();
+        } catch (error){
+            console.error('Failed to load trash:', error);
+            this.querySelector('[data-content]').innerHTML = '<div role="alert" class="alert alert-error">Could not load the trash.</div>';
+        }
+    }
+
+    render(){
+        const content = this.querySelector('[data-content]');
+        this.querySelector('[data-retention]').textContent =
+            `Items are deleted for good ${this.retentionDays} days after they were moved to the trash.`;
+        this.querySelector('[data-empty-trash]').disabled = !this.items.length;
+        this.updateBulkActions();
+
+        if(!this.items.length){
+            content.innerHTML = '<p class="opacity-70">The trash is empty.</p>';
+            return;
+        }
+
+        const allSelected = this.selected.size === this.items.length;
+        const rows = this.items.map(item => {
+            const daysLeft = getDaysLeft(item, this.retentionDays);
+            const soon = daysLeft <= PURGE_WARNING_DAYS;
+            const pathIds = (item.originalPath || []).map(folder => folder.id);
+            const path = escapeHtml(formatOriginalPath(item));
+
+            return `
+                <tr>
+                    <td>
+                        <input type="checkbox" class="checkbox checkbox-sm" data-select="${escapeHtml(item.id)}"
+                            aria-label="Select ${escapeHtml(item.name)}" ${this.selected.has(item.id) ? 'checked' : ''} />
+                    </td>
+                    <td class="max-w-xs">
+                        <div class="truncate font-medium">${item.isFolder ? '&#128193; ' : ''}${escapeHtml(item.name)}</div>
+                        <div class="text-xs opacity-70">${item.isFolder ? 'Folder' : formatBytes(item.size)}</div>
+                    </td>
+                    <td class="max-w-xs">
+                        <div class="truncate text-sm">
+                            ${item.parentExists === false ? path : `<a class="link link-hover" href="${escapeHtml(getFolderUrl(pathIds))}">${path}</a>`}
+                        </div>
+                        ${item.parentExists === false ? '<span class="badge badge-xs badge-warning">folder no longer exists</span>' : ''}
+                    </td>
+                    <td class="whitespace-nowrap">${formatDate(item.deletedAt)}</td>
+                    <td>
+                        <span class="badge badge-sm ${soon ? 'badge-error' : 'badge-ghost'}">
+                            ${daysLeft === 0 ? 'Today' : `${daysLeft} day${daysLeft === 1 ? '' : 's'}`}
+                        </span>
+                    </td>
+                    <td class="text-right">
+                        <button class="btn btn-xs" data-restore="${escapeHtml(item.id)}">Restore</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        content.innerHTML = `
+            <div class="overflow-x-auto bg-base-100 rounded-box shadow-sm">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th><input type="checkbox" class="checkbox checkbox-sm" data-select-all aria-label="Select all" ${allSelected ? 'checked' : ''} /></th>
+                            <th>Name</th><th>Original location</th><th>Deleted</th><th>Purged in</th><th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    updateBulkActions(){
+        const bar = this.querySelector('[data-bulk-actions]');
+        bar.classList.toggle('invisible', !this.selected.size);
+        bar.querySelector('[data-selection-count]').textContent = `${this.selected.size} selected`;
+
+        const selectAll = this.querySelector('[data-select-all]');
+        if(selectAll){
+            selectAll.checked = this.selected.size === this.items.length;
+            selectAll.indeterminate = this.selected.size > 0 && this.selected.size < this.items.length;
+        }
+    }
+
+    /**
+     * Restore items - if some of their folders are gone, ask where they should go first
+     */
+    restore(items){
+        if(!items.length) return;
+        const orphaned = items.filter(item => item.parentExists === false);
+        if(!orphaned.length){
+            this.runRestore(items);
+            return;
+        }
+
+        const message = orphaned.length === 1
+            ? `The folder "${formatOriginalPath(orphaned[0])}" no longer exists. Re-create it, or restore ${orphaned[0].name} to My Files?`
+            : `${orphaned.length} items were in folders that no longer exist. Re-create those folders, or restore the items to My Files?`;
+
+        const toast = showAlert({
+            type: 'warning',
+            message,
+            duration: 15000,
+            actions: [
+                { label: 'Cancel', onClick: () => toast.dismiss() },
+                { label: 'Restore to My Files', onClick: () => {
+                    toast.dismiss();
+                    this.runRestore(items, { targetFolderId: ROOT_FOLDER_ID });
+                } },
+                { label: orphaned.length === 1 ? 'Re-create folder' : 'Re-create folders', primary: true, onClick: () => {
+                    toast.dismiss();
+                    this.runRestore(items, { recreateMissingParents: true });
+                } }
+            ]
+        });
+    }
+
+    async runRestore(items, options){
+        try{
+            await restoreItems(items, options);
+            // files-changed reloads the list
+        } catch (error){
+            // restoreItems already showed the error toast
+        }
+    }
+
+    /**
+     * Emptying the trash can't be undone, so ask first
+     */
+    confirmEmpty(){
+        const count = this.items.length;
+        if(!count) return;
+
+        const toast = showAlert({
+            type: 'warning',
+            message: `Delete ${count} item${count === 1 ? '' : 's'} in the trash forever? This can't be undone.`,
+            duration: 10000,
+            actions: [
+                { label: 'Cancel', onClick: () => toast.dismiss() },
+                { label: 'Empty trash', primary: true, onClick: () => {
+                    toast.dismiss();
+                    this.empty();
+                } }
+            ]
+        });
+    }
+
+    async empty(){
+        const emptyBtn = this.querySelector('[data-empty-trash]');
+        emptyBtn.disabled = true;
+        try{
+            const { deleted = this.items.length } = (await emptyTrash()) || {};
+            this.selected.clear();
+            showAlert({ type: 'success', message: `Deleted ${deleted} item${deleted === 1 ? '' : 's'} forever` });
+            await this.load();
+        } catch (error){
+            console.error('Failed to empty trash:', error);
+            showAlert({ type: 'error', message: 'Could not empty the trash, please try again' });
+            emptyBtn.disabled = !this.items.length;
+        }
+    }
+}
+
+customElements.define('trash-page', TrashPage);
@@ -0,0 +1,149 @@
+import { verifyTwoFactor } from '../api/authApi.js';
+import { loginUser, getTwoFactorChallenge, clearTwoFactorChallenge } from '../store/index.js';
+import { navigateTo } from '../router/Router.js';
+import { bindForm } from '../utils/formBinder.js';
+import { required, pattern } from '../utils/validators.js';
+import { escapeHtml } from '../utils/format.js';
+import { showAlert } from '../components/Alert.js';
+
+/**
+ * Two-factor Page - /login/verify
+ *
+ * Second login step for accounts with 2FA: the password was right, now
+ * the 6-digit code from the authenticator app (or one of the recovery
+ * codes) is needed. Only when that's accepted are the tokens handed to
+ * loginUser() - until then the router keeps protected pages closed.
+ *
+ * The challenge lives in memory only, so a reload goes back to /login.
+ */
+
+// Warn when the user is about to run out of recovery codes
+const FEW_RECOVERY_CODES = 3;
+
+class TwoFactorPage extends HTMLElement {
+    connectedCallback(){
+        const challenge = getTwoFactorChallenge();
+
+        this.innerHTML = `
+            <div class="min-h-screen bg-base-200 flex items-center justify-center p-4">
+                <div class="card bg-base-100 shadow-sm w-full max-w-sm">
+                    <div class="card-body space-y-2">
+                        <a href="/" class="mx-auto">
+                            <img src="/file-flow-high-resolution-logo-transparent.png" alt="FileFlow" class="h-10" />
+                        </a>
+                        <h1 class="card-title justify-center">Two-step verification</h1>
+
+                        <div data-form-error></div>
+
+                        <form id="totp-form" class="space-y-2">
+                            <p class="text-sm opacity-70">
+                                Enter the 6-digit code from your authenticator app for ${escapeHtml(challenge?.email || 'your account')}.
+                            </p>
+                            <label class="form-control w-full">
+                                <span class="label-text">Code</span>
+                                <input name="code" class="input input-bordered w-full tracking-widest text-center text-lg"
+                                    inputmode="numeric" autocomplete="one-time-code" maxlength="7" autofocus />
+                            </label>
+                            <button type="submit" class="btn btn-primary w-full">Verify</button>
+                        </form>
+
+                        <form id="recovery-form" class="space-y-2 hidden">
+                            <p class="text-sm opacity-70">
+                                Lost your phone? Enter one of the recovery codes you saved when you set up two-step verification.
+                                Each code works once.
+                            </p>
+                            <label class="form-control w-full">
+                                <span class="label-text">Recovery code</span>
+                                <input name="recoveryCode" class="input input-bordered w-full font-mono" autocomplete="off" spellcheck="false" />
+                            </label>
+                            <button type="submit" class="btn btn-primary w-full">Verify</button>
+                        </form>
+
+                        <button type="button" class="btn btn-link btn-sm" data-switch-mode>Use a recovery code instead</button>
+                        <p class="text-sm text-center"><a href="/login" class="link" data-cancel>Cancel and log in again</a></p>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.formError = this.querySelector('[data-form-error]');
+        const onError = (error) => this.handleError(error);
+
+        this.totpBinder = bindForm(this.querySelector('#totp-form'), {
+            rules: {
+                code: [required('Enter the code from your app'), pattern(/^\s*\d{3}\s?\d{3}\s*$/, 'The code has 6 digits')]
+            },
+            onSubmit: ({ code }) => this.verify({ code: code.replace(/\s/g, '') }),
+            onError
+        });
+        this.recoveryBinder = bindForm(this.querySelector('#recovery-form'), {
+            rules: {
+                recoveryCode: [required('Enter a recovery code')]
+            },
+            onSubmit: ({ recoveryCode }) => this.verify({ recoveryCode: recoveryCode.trim() }),
+            onError
+        });
+
+        this.querySelector('[data-switch-mode]').addEventListener('click', (e) => {
+            const showCode = this.querySelector('#recovery-form').classList.toggle('hidden');
+            this.querySelector('#totp-form').classList.toggle('hidden', !showCode);
+            e.currentTarget.textContent = showCode ? 'Use a recovery code instead' : 'Use the code from your app';
+            this.formError.innerHTML = '';
+            this.querySelector(showCode ? '[name="code"]' : '[name="recoveryCode"]').focus();
+        });
+
+        // The router link does the navigating - just drop the half-done login
+        this.querySelector('[data-cancel]').addEventListener('click', () => clearTwoFactorChallenge());
+    }
+
+    disconnectedCallback(){
+        this.totpBinder?.destroy();
+        this.recoveryBinder?.destroy();
+    }
+
+    async verify(proof){
+        const challenge = getTwoFactorChallenge();
+        if(!challenge){
+            this.expired();
+            return;
+        }
+
+        this.formError.innerHTML = '';
+        const { user, accessToken, refreshToken, recoveryCodesLeft } = await verifyTwoFactor(challenge.challengeToken, proof);
+        loginUser(user, accessToken, refreshToken);
+        window.dispatchEvent(new CustomEvent('user-login'));
+
+        if(proof.recoveryCode && recoveryCodesLeft !== undefined && recoveryCodesLeft <= FEW_RECOVERY_CODES){
+            showAlert({
+                type: 'warning',
+                message: `You have ${recoveryCodesLeft} recovery code${recoveryCodesLeft === 1 ? '' : 's'} left. Create new ones on your profile page.`,
+                duration: 10000
+            });
+        }
+    }
+
+    handleError(error){
+        const code = error.response?.data?.code;
+        if(code === 'CHALLENGE_EXPIRED'){
+            this.expired();
+            return;
+        }
+
+        const message = code === 'INVALID_CODE'
+            ? 'That code is not valid. Check your app and try again.'
+            : error.response?.data?.message || 'Could not verify the code, please try again';
+        if(code !== 'INVALID_CODE') console.error('Two-factor verification failed:', error);
+        this.formError.innerHTML = `<div role="alert" class="alert alert-error text-sm">${escapeHtml(message)}</div>`;
+    }
+
+    /**
+     * Took too long - start the login over
+     */
+    expired(){
+        clearTwoFactorChallenge();
+        showAlert({ type: 'info', message: 'The verification took too long. Please log in again.' });
+        navigateTo(`/login${window.location.search}`);
+    }
+}
+
+customElements.define('two-factor-page', TwoFactorPage);
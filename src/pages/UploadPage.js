@@ -0,0 +1,320 @@
+import { getPendingUploads, discardPendingUpload, getFileFingerprint } from '../services/uploadManager.js';
+import { enqueueFiles, pauseUpload, resumeUpload, cancelUpload, prioritiseUpload, pauseAllUploads, resumeAllUploads, clearFinished, UPLOAD_STATUS, MAX_CONCURRENT } from '../services/uploadQueue.js';
+import { subscribe, getUploadQueue } from '../store/index.js';
+import { formatBytes, escapeHtml } from '../utils/format.js';
+import { showAlert } from '../components/Alert.js';
+import { openImageEditor } from '../components/ImageEditorDialog.js';
+import { isEditableImage } from '../services/imageEditor.js';
+import '../components/FilePreview.js';
+
+// Only the first few chosen files get a preview (each one reads and decodes data)
+const MAX_PREVIEWS = 12;
+
+/**
+ * Upload Page - /upload
+ *
+ * Lets the user pick files and shows a preview of each one, then the
+ * upload queue with a progress bar per file plus an overall one. Each
+ * item can be paused, resumed, cancelled or moved to the front. Interrupted uploads are listed so the
+ * user can pick the same file again to resume.
+ *
+ * Each file is hashed before it's sent (in a worker, so the page stays
+ * responsive) - the hashing progress shows above its upload bar, and
+ * files the server already has complete instantly.
+ *
+ * Photos can be opened in the image editor from their preview card; the
+ * edited image is uploaded next to the original, or over it as a new version.
+ * The original's upload is paused while it's being edited, and dropped if
+ * the edit replaces it before it was sent.
+ */
+class UploadPage extends HTMLElement {
+    connectedCallback(){
+        // Remember each item's last status so we only toast on changes
+        this.lastStatuses = new Map(getUploadQueue().items.map(item => [item.id, item.status]));
+
+        this.render();
+
+        // Every store change notifies - only the queue's matter here
+        this.unsubscribe = subscribe(state => {
+            if(state.uploadQueue !== this.queue) this.renderQueue(state.uploadQueue);
+        });
+        this.renderQueue(getUploadQueue());
+        this.renderPending();
+    }
+
+    disconnectedCallback(){
+        if(this.unsubscribe) this.unsubscribe();
+    }
+
+    render(){
+        this.innerHTML = `
+            <section class="max-w-3xl mx-auto p-6 space-y-6">
+                <h1 class="text-2xl font-bold">Upload files</h1>
+
+                <label class="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-base-300 rounded-box p-10 cursor-pointer hover:bg-base-200">
+                    <span class="font-medium">Choose files to upload</span>
+                    <span class="text-sm opacity-70">Up to ${MAX_CONCURRENT} files upload at once. Large files are sent in chunks and can be resumed; files already stored are not sent again.</span>
+                    <input type="file" multiple class="hidden" data-file-input />
+                </label>
+
+                <div data-previews class="grid grid-cols-2 sm:grid-cols-3 gap-4"></div>
+
+                <div data-pending class="space-y-2"></div>
+
+                <div class="space-y-1">
+                    <div class="flex justify-between text-sm">
+                        <span>Overall progress</span>
+                        <span data-overall-label>0%</span>
+                    </div>
+                    <progress class="progress progress-primary w-full" value="0" max="100" data-overall></progress>
+                </div>
+
+                <div class="flex gap-2">
+                    <button class="btn btn-sm" data-pause-all>Pause all</button>
+                    <button class="btn btn-sm" data-resume-all>Resume all</button>
+                    <button class="btn btn-sm btn-ghost" data-clear>Clear finished</button>
+                </div>
+
+                <ul data-upload-list class="space-y-3"></ul>
+            </section>
+        `;
+
+        this.querySelector('[data-file-input]').addEventListener('change', (e) => {
+            this.renderPreviews(Array.from(e.target.files));
+            enqueueFiles(e.target.files);
+            e.target.value = '';
+        });
+
+        this.querySelector('[data-pause-all]').addEventListener('click', () => pauseAllUploads());
+        this.querySelector('[data-resume-all]').addEventListener('click', () => resumeAllUploads());
+        this.querySelector('[data-clear]').addEventListener('click', () => clearFinished());
+
+        // One listener for every item button (rows come and go with the queue)
+        this.querySelector('[data-upload-list]').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if(!btn) return;
+            const actions = {
+                pause: pauseUpload,
+                resume: resumeUpload,
+                cancel: cancelUpload,
+                prioritise: prioritiseUpload
+            };
+            actions[btn.dataset.action]?.(btn.dataset.id);
+        });
+    }
+
+    /**
+     * Show a preview card for each chosen file (replaces the previous batch)
+     */
+    renderPreviews(files){
+        const container = this.querySelector('[data-previews]');
+        container.replaceChildren(...files.slice(0, MAX_PREVIEWS).map(file => {
+            const card = document.createElement('figure');
+            card.className = 'card bg-base-100 shadow-sm p-2 gap-2';
+
+            const preview = document.createElement('file-preview');
+            preview.className = 'min-h-24';
+            preview.file = file;
+
+            const caption = document.createElement('figcaption');
+            caption.className = 'flex items-center gap-1 text-xs';
+            const name = document.createElement('span');
+            name.className = 'truncate flex-1';
+            name.textContent = file.name;
+            caption.append(name);
+
+            if(isEditableImage(file)){
+                const editBtn = document.createElement('button');
+                editBtn.type = 'button';
+                editBtn.className = 'btn btn-ghost btn-xs';
+                editBtn.textContent = 'Edit';
+                editBtn.setAttribute('aria-label', `Edit ${file.name}`);
+                editBtn.addEventListener('click', () => this.editPhoto(file, files.map(other => other.name)));
+                caption.append(editBtn);
+            }
+
+            card.append(preview, caption);
+            return card;
+        }));
+    }
+
+    /**
+     * Edit a picked photo - the edited image goes through the queue like any other file
+     */
+    async editPhoto(file, takenNames){
+        // Hold the original back meanwhile: a new version replaces it if it hasn't been sent yet
+        const id = getFileFingerprint(file);
+        const item = getUploadQueue().items.find(other => other.id === id);
+        const heldBack = [UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.UPLOADING].includes(item?.status);
+        if(heldBack) pauseUpload(id);
+
+        const { saved } = await openImageEditor(file, { takenNames });
+        if(!heldBack) return;
+        if(saved === 'version') cancelUpload(id);
+        else resumeUpload(id);
+    }
+
+    renderQueue(queue){
+        const list = this.querySelector('[data-upload-list]');
+        if(!list) return;
+
+        this.queue = queue;
+        const { items } = queue;
+        this.announceChanges(items);
+
+        // Overall progress over everything not cancelled
+        const counted = items.filter(item => item.status !== UPLOAD_STATUS.CANCELLED);
+        const totalBytes = counted.reduce((sum, item) => sum + item.size, 0);
+        const uploadedBytes = counted.reduce((sum, item) => sum + item.uploadedBytes, 0);
+        const percent = totalBytes ? Math.round((uploadedBytes / totalBytes) * 100) : 0;
+
+        this.querySelector('[data-overall]').value = percent;
+        this.querySelector('[data-overall-label]').textContent =
+            `${percent}% (${formatBytes(uploadedBytes)} of ${formatBytes(totalBytes)})`;
+
+        // Patch the rows in place - progress updates many times a second, and
+        // replacing the buttons under the pointer would swallow the click
+        const rows = new Map(Array.from(list.children).map(row => [row.dataset.id, row]));
+        items.forEach((item, index) => {
+            const row = rows.get(item.id) || this.createRow(item);
+            rows.delete(item.id);
+            this.updateRow(row, item);
+            if(list.children[index] !== row) list.insertBefore(row, list.children[index] || null);
+        });
+        rows.forEach(row => row.remove());
+    }
+
+    createRow(item){
+        const row = document.createElement('li');
+        row.className = 'space-y-1';
+        row.dataset.id = item.id;
+        row.innerHTML = `
+            <div class="flex items-center justify-between text-sm gap-4">
+                <span class="truncate" data-name></span>
+                <span class="shrink-0 flex items-center gap-1">
+                    <span class="badge badge-sm" data-status></span>
+                    <span data-percent></span>
+                    <span class="contents" data-controls></span>
+                </span>
+            </div>
+            <div class="flex items-center gap-2 text-xs opacity-70" data-hashing hidden>
+                <span class="shrink-0">Computing checksum</span>
+                <progress class="progress progress-info w-full" value="0" max="100" data-hash-progress></progress>
+            </div>
+            <progress class="progress w-full" value="0" max="100" data-progress></progress>
+            <p class="text-xs text-error" data-error hidden></p>
+        `;
+        row.querySelector('[data-name]').textContent = item.fileName;
+        return row;
+    }
+
+    updateRow(row, item){
+        const barClass = {
+            [UPLOAD_STATUS.FAILED]: 'progress-error',
+            [UPLOAD_STATUS.COMPLETED]: 'progress-success',
+            [UPLOAD_STATUS.PAUSED]: 'progress-warning',
+            [UPLOAD_STATUS.CANCELLED]: ''
+        }[item.status] ?? 'progress-primary';
+
+        row.querySelector('[data-status]').textContent = item.hashing ? 'checking' : item.status;
+        row.querySelector('[data-percent]').textContent = `${item.hashing ? item.hashPercent : item.percent}%`;
+        row.querySelector('[data-hashing]').hidden = !item.hashing;
+        row.querySelector('[data-hash-progress]').value = item.hashPercent;
+
+        const progress = row.querySelector('[data-progress]');
+        progress.className = `progress ${barClass} w-full`;
+        progress.value = item.percent;
+
+        const error = row.querySelector('[data-error]');
+        error.hidden = !item.error;
+        error.textContent = item.error || '';
+
+        // The buttons only change with the status
+        if(row.dataset.status !== item.status){
+            row.dataset.status = item.status;
+            row.querySelector('[data-controls]').innerHTML = this.renderControls(item);
+        }
+    }
+
+    renderControls(item){
+        const id = escapeHtml(item.id);
+        const button = (action, label) =>
+            `<button class="btn btn-xs btn-ghost" data-action="${action}" data-id="${id}">${label}</button>`;
+
+        const controls = [];
+        if(item.status === UPLOAD_STATUS.QUEUED) controls.push(button('prioritise', 'Upload next'));
+        if([UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.UPLOADING].includes(item.status)) controls.push(button('pause', 'Pause'));
+        if(item.status === UPLOAD_STATUS.PAUSED) controls.push(button('resume', 'Resume'));
+        if(item.status === UPLOAD_STATUS.FAILED) controls.push(button('resume', 'Retry'));
+        if(![UPLOAD_STATUS.COMPLETED, UPLOAD_STATUS.CANCELLED].includes(item.status)) controls.push(button('cancel', 'Cancel'));
+        return controls.join('');
+    }
+
+    /**
+     * Toast when an upload finishes or fails
+     */
+    announceChanges(items){
+        items.forEach(item => {
+            const previous = this.lastStatuses.get(item.id);
+            if(previous !== item.status){
+                if(item.status === UPLOAD_STATUS.COMPLETED){
+                    const versionNumber = item.result?.versionNumber;
+                    const how = item.result?.deduplicated ? ' instantly (its content was already stored)' : '';
+                    showAlert({
+                        type: 'success',
+                        message: versionNumber > 1
+                            ? `${item.fileName} uploaded${how} as version ${versionNumber} (older versions are kept)`
+                            : `${item.fileName} uploaded${how}`
+                    });
+                    this.renderPending();
+                } else if(item.status === UPLOAD_STATUS.FAILED){
+                    showAlert({ type: 'error', message: `Upload of ${item.fileName} failed` });
+                }
+            }
+            this.lastStatuses.set(item.id, item.status);
+        });
+    }
+
+    /**
+     * Show uploads that were interrupted so the user knows they can resume
+     */
+    async renderPending(){
+        const pending = await getPendingUploads();
+        const queued = new Set(getUploadQueue().items.map(item => item.id));
+        const interrupted = pending.filter(session => !queued.has(session.id));
+
+        const container = this.querySelector('[data-pending]');
+        if(!container) return;
+        if(!interrupted.length){
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="alert alert-info alert-vertical sm:alert-horizontal items-start">
+                <div class="flex-1">
+                    <h3 class="font-bold">Interrupted uploads</h3>
+                    <p class="text-sm">Choose the same file again to continue where it stopped.</p>
+                    <ul class="mt-2 space-y-1">
+                        ${interrupted.map(session => `
+                            <li class="flex items-center gap-2 text-sm">
+                                <span class="truncate">${escapeHtml(session.fileName)}</span>
+                                <span class="opacity-70">${session.completedChunks.length}/${session.totalChunks} chunks</span>
+                                <button class="btn btn-xs btn-ghost" data-discard="${escapeHtml(session.id)}">Discard</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            </div>
+        `;
+
+        container.querySelectorAll('[data-discard]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                await discardPendingUpload(btn.dataset.discard);
+                this.renderPending();
+            });
+        });
+    }
+}
+
+customElements.define('upload-page', UploadPage);
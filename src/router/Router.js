@@ -1,5 +1,6 @@
 import {Router} from '@vaadin/router';
-import { isAuthenticated } from '../store/index.js';
+import { isAuthenticated, getCurrentUser, getTwoFactorChallenge } from '../store/index.js';
+import { getFolderInfo, getFolderPathFromUrl } from '../services/folders.js';
 
 /**
  * Client-side Router configuration for FileFlow APP
@@ -24,7 +25,14 @@ import { isAuthenticated } from '../store/index.js';
  * Each route object has:
  * - path: The URL pattern to match
  * - component: Which page component to load
- * - action: Optional function to run before showing the page (for auth checks)
+ * - load: Function that imports the page (lazy loading)
+ * - meta: Who may open the route - the guard pipeline below reads it:
+ *     { auth: true }              only logged-in users
+ *     { auth: true, roles: [...] } logged-in users with one of these roles (others get the 403 page)
+ *     { guestOnly: true }         only logged-out users (login, register, ...)
+ *     { twoFactor: true }         only while a two-factor login is waiting for its code
+ *     no meta                     anyone
+ *   Child routes inherit their parent's meta.
  */
 const routes = [
     /**
@@ -36,106 +44,125 @@ const routes = [
     {
         path: '/',
         component: 'landing-page',
-        action: () => {
-            // if user is already logged in, redirect to dashboard
-            if(isAuthenticated()){
-                console.log('User already authenticated, redirecting to dashboard');
-                Router.go('/dashboard');
-                return;
-            }
-            // Otherwise, import and show Landing page
-            return import('../pages/LandingPage.js');
-        }
+        meta: { guestOnly: true },
+        load: () => import('../pages/LandingPage.js')
     },
 
     {
         path: '/login',
         component: 'login-page',
-        action: () =>{
-            // If user is already logged in, redirect to dashboard
-            if(isAuthenticated()){
-                console.log('User already Authenticated, redirecting to dashboard');
-                Router.go('/dashboard');
-                return;
-            }
-            // Otherwise, import and show login page
-            return import('../pages/Loginpage.js');
-        }
+        meta: { guestOnly: true },
+        load: () => import('../pages/Loginpage.js')
     },
 
     {
-        path: '/register',
-        component: 'register-page',
-        action: () => {
-            // If user is already logged in, redirect to dashboard
-            if(isAuthenticated()){
-                console.log('User already authenticated, redirecting to dashboard');
-                Router.go('/dashboard');
-                return;
-            }
-            // Otherwise, import and show registration page
-            return import('../pages/RegisterPage.js');
-        }
+        path: '/login/verify', // second login step - the 2FA code
+        component: 'two-factor-page',
+        meta: { guestOnly: true, twoFactor: true },
+        load: () => import('../pages/TwoFactorPage.js')
     },
 
-    /**
-     * =================================================
-     * PROTECTED ROUTES - Need authentication
-     * =================================================
-     */
-
     {
-        path: '/dashboard',
-        component: 'dashboard-page',
-        action: async () => {
-            // Check if user is Authenticated
-            if(!isAuthenticated()){
-                console.log('Access denied - not Authenticated. Redirecting to login');
-                Router.go('/login');
-                return;
-            }
-            console.log('Loading dashboard for authenticated user');
-            return import('../pages/Dashboard.js');
-        }
+        path: '/register',
+        component: 'register-page',
+        meta: { guestOnly: true },
+        load: () => import('../pages/RegisterPage.js')
     },
 
     {
-        path: '/my-files',
-        component: 'my-files-page',
-        action: async ()=> {
-            if(!isAuthenticated()){
-                console.log('Access denied - not authenticated. Redirecting to login');
-                Router.go('/login');
-                return;
-            }
-            return import('../pages/MyFiles.js');
-        }
+        path: '/s/:token', // share links - work with or without login
+        component: 'shared-link-page',
+        load: () => import('../pages/SharedLink.js')
     },
 
     {
-        path: '/upload',
-        component: 'upload-page',
-        action: async ()=>{
-            if(!isAuthenticated()){
-                console.log('Access denied - not authenticated. Redirecting to login');
-                Router.go('/login');
-                return;
-            }
-            return import('../pages/UploadPage.js');
-        }
+        path: '/u/:username', // public profiles - work with or without login
+        component: 'public-profile-page',
+        load: () => import('../pages/PublicProfilePage.js')
     },
 
+    /**
+     * =================================================
+     * PROTECTED ROUTES - Need authentication
+     * =================================================
+     *
+     * These are nested inside the dashboard layout (header + sidebar),
+     * so the layout stays on the page while moving between them.
+     */
+
     {
-        path: '/profile',
-        component: 'profile-page',
-        action: async () =>{
-            if(!isAuthenticated()){
-                console.log('Access denied - not authenticated. Redirecting to login');
-                Router.go('/login');
-                return;
+        path: '/',
+        component: 'dashboard-layout',
+        meta: { auth: true },
+        load: () => import('../layouts/Dashboard.js'),
+        children: [
+            {
+                path: '/dashboard',
+                component: 'dashboard-page',
+                load: () => import('../pages/Dashboard.js')
+            },
+
+            {
+                path: '/my-files/:folderId*', // folder path, e.g. /my-files/abc/def
+                component: 'my-files-page',
+                meta: { folderAccess: true },
+                load: () => import('../pages/MyFiles.js')
+            },
+
+            {
+                path: '/upload',
+                component: 'upload-page',
+                load: () => import('../pages/UploadPage.js')
+            },
+
+            {
+                path: '/search', // query and filters live in the URL, e.g. /search?q=invoice&type=image
+                component: 'search-page',
+                load: () => import('../pages/SearchPage.js')
+            },
+
+            {
+                path: '/starred', // the built-in "Starred" collection
+                component: 'collection-page',
+                load: () => import('../pages/CollectionPage.js')
+            },
+
+            {
+                path: '/collections/:collectionId', // smart collections - saved rules, evaluated on every visit
+                component: 'collection-page',
+                load: () => import('../pages/CollectionPage.js')
+            },
+
+            {
+                path: '/trash',
+                component: 'trash-page',
+                load: () => import('../pages/TrashPage.js')
+            },
+
+            {
+                path: '/shared',
+                component: 'shared-by-me-page',
+                load: () => import('../pages/SharedByMe.js')
+            },
+
+            {
+                path: '/feed', // what the people the user follows shared
+                component: 'feed-page',
+                load: () => import('../pages/FeedPage.js')
+            },
+
+            {
+                path: '/shared-with-me', // folders other people made us a member of
+                component: 'shared-with-me-page',
+                load: () => import('../pages/SharedWithMe.js')
+            },
+
+            {
+                path: '/profile',
+                component: 'profile-page',
+                load: () => import('../pages/ProfilePage.js')
             }
-            return import('../pages/ProfilePage.js');
-        }
+        ]
     },
 
     /**
@@ -148,7 +175,7 @@ const routes = [
     {
         path: '(.*)', // This matches any path not matched above
         component: 'not-found',
-        action: () => {
+        load: () => {
             console.log('Route not found, displaying 404 page');
             return import('../pages/NotFound.js');
         }
@@ -156,6 +183,205 @@ const routes = [
     
 ];
 
+/**
+ * =====================================================
+ * GUARD PIPELINE - One place that decides who sees what
+ * =====================================================
+ */
+
+// Where logged-in users land when there is nowhere better to go
+const DEFAULT_AUTHENTICATED_PATH = '/dashboard';
+
+// sessionStorage key for the page to open after logging in
+const REDIRECT_STORAGE_KEY = 'fileflow:redirect';
+
+/**
+ * Does the current user have one of these roles?
+ *
+ * The backend sends either `roles: ['admin', ...]` or a single `role: 'admin'`
+ */
+function hasAnyRole(roles){
+    const user = getCurrentUser();
+    const userRoles = user?.roles || (user?.role ? [user.role] : []);
+    return roles.some(role => userRoles.includes(role));
+}
+
+/**
+ * Login URL that brings the user back to where they wanted to go
+ */
+function getLoginUrl(pathname, search = ''){
+    return `/login?redirect=${encodeURIComponent(pathname + search)}`;
+}
+
+/**
+ * Remember where the user was going, for after the login
+ *
+ * Guards can't put it in the login URL the way getLoginUrl() does:
+ * commands.redirect() runs its target through path-to-regexp, where a "?"
+ * throws "Unexpected MODIFIER" (and the query would be dropped anyway).
+ * So guards redirect to the bare page and keep the target here.
+ */
+function rememberRedirect(url){
+    try{
+        sessionStorage.setItem(REDIRECT_STORAGE_KEY, url);
+    } catch (error){
+        // Storage disabled - the user lands on the dashboard instead
+    }
+}
+
+function getRememberedRedirect(){
+    try{
+        return sessionStorage.getItem(REDIRECT_STORAGE_KEY);
+    } catch (error){
+        return null;
+    }
+}
+
+function forgetRedirect(){
+    try{
+        sessionStorage.removeItem(REDIRECT_STORAGE_KEY);
+    } catch (error){
+        // Nothing was saved
+    }
+}
+
+/**
+ * The 2FA code page, keeping the ?redirect= of the login page
+ */
+function getTwoFactorUrl(search = ''){
+    const redirect = new URLSearchParams(search).get('redirect');
+    return `/login/verify${redirect ? `?redirect=${encodeURIComponent(redirect)}` : ''}`;
+}
+
+/**
+ * Guards run in order; the first one that returns something wins.
+ * Each gets (meta, context, commands) and returns nothing to let the user through.
+ */
+const GUARDS = [
+    // Logged-in users don't need the landing/login/register pages
+    (meta, context, commands) => {
+        if(meta.guestOnly && isAuthenticated()){
+            console.log('User already authenticated, redirecting');
+            const target = getPostLoginRedirect();
+            forgetRedirect();
+            // commands.redirect() takes a route path only - a query on the target is lost
+            return commands.redirect(target.split(/[?#]/)[0]);
+        }
+    },
+
+    // The code page makes no sense without a pending two-factor login (e.g. after a reload)
+    (meta, context, commands) => {
+        if(meta.twoFactor && !getTwoFactorChallenge()){
+            console.log('No two-factor login in progress, back to login');
+            const redirect = new URLSearchParams(context.search).get('redirect');
+            if(redirect) rememberRedirect(redirect);
+            return commands.redirect('/login');
+        }
+    },
+
+    // Password accepted but no code yet - that's not logged in, finish the second step first
+    (meta, context, commands) => {
+        if(meta.auth && getTwoFactorChallenge()){
+            console.log('Two-factor code missing, redirecting to the code page');
+            rememberRedirect(context.pathname + (context.search || ''));
+            return commands.redirect('/login/verify');
+        }
+    },
+
+    // Protected pages need a login - remember where the user was going
+    (meta, context, commands) => {
+        if(meta.auth && !isAuthenticated()){
+            console.log('Access denied - not authenticated. Redirecting to login');
+            rememberRedirect(context.pathname + (context.search || ''));
+            return commands.redirect('/login');
+        }
+    },
+
+    // Logged in, but not allowed here - show the 403 page (the URL stays the same)
+    async (meta, context, commands) => {
+        if(meta.roles?.length && !hasAnyRole(meta.roles)){
+            console.log('Access denied - missing role. Showing 403 page');
+            await import('../pages/Forbidden.js');
+            return commands.component('forbidden-page');
+        }
+    },
+
+    // A deep link to a folder the user isn't a member of - 403 instead of a broken My Files page
+    async (meta, context, commands) => {
+        if(!meta.folderAccess) return;
+        const path = getFolderPathFromUrl(context.pathname) || [];
+        if(!path.length) return;
+
+        try{
+            // Always ask the server - the user may have been removed since it was cached
+            await getFolderInfo(path[path.length - 1], { refresh: true });
+        } catch (error){
+            // Not found, offline... My Files shows those itself
+            if(error.response?.status !== 403) return;
+            console.log('Access denied - no role on this folder. Showing 403 page');
+            await import('../pages/Forbidden.js');
+            const page = commands.component('forbidden-page');
+            page.reason = 'folder';
+            return page;
+        }
+    }
+];
+
+/**
+ * Turn `load` + `meta` into the `action` Vaadin Router runs
+ *
+ * Only leaf routes are guarded: a parent like the dashboard layout also
+ * matches unknown URLs on its way to the 404 route, so guarding it would
+ * send logged-out users to /login instead of "not found". Leaves inherit
+ * their parent's meta instead.
+ */
+function applyGuards(routeList, parentMeta = {}){
+    routeList.forEach(route => {
+        const meta = { ...parentMeta, ...route.meta };
+        route.meta = meta;
+
+        if(route.children){
+            route.action = route.load;
+            applyGuards(route.children, meta);
+            return;
+        }
+
+        route.action = async (context, commands) => {
+            for(const guard of GUARDS){
+                const result = await guard(meta, context, commands);
+                if(result) return result;
+            }
+            return route.load();
+        };
+    });
+}
+
+/**
+ * Turn a route path into a RegExp (enough for the patterns we use:
+ * static segments, `:param`, `:param*` and the `(.*)` fallback)
+ */
+function pathToPattern(path){
+    const source = path
+        .replace(/\/:\w+\*/g, '(?:/[^/]+)*')
+        .replace(/:\w+/g, '[^/]+');
+    return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Flatten the route table into [{ pattern, meta }] for the leaf routes,
+ * so helpers can check a path without asking the router
+ */
+function flattenRoutes(routeList, parentPath = ''){
+    return routeList.flatMap(route => {
+        const fullPath = `${parentPath}/${route.path}`.replace(/\/+/g, '/');
+        if(route.children) return flattenRoutes(route.children, fullPath);
+        return [{ pattern: pathToPattern(fullPath === '/' ? '/' : fullPath.replace(/\/$/, '')), meta: route.meta }];
+    });
+}
+
+applyGuards(routes);
+const ROUTE_TABLE = flattenRoutes(routes);
+
 /**
  * =================================
  * ROUTER INSTANCE AND SETUP
@@ -200,16 +426,32 @@ function initializeRouter(outlet){
  */
 function setUpNavigationListeners(){
     // Listen for authentication state changes
-    // If user logs out, redirect to home
-    window.addEventListener('user-logout', () =>{
+    // If user logs out, redirect to home - or, when the session ended by
+    // itself (expired/idle), to the login page and back here afterwards
+    window.addEventListener('user-logout', (e) =>{
+        const { reason } = e.detail || {};
+        if(reason && requiresAuth(window.location.pathname)){
+            console.log(`Session ended (${reason}), redirecting to login`);
+            navigateTo(getLoginUrl(window.location.pathname, window.location.search));
+            return;
+        }
+        if(e.detail?.remote && !requiresAuth(window.location.pathname)){
+            return; // logged out in another tab - a public page can stay
+        }
         console.log('User logged out, redirecting to home');
         navigateTo('/');
     });
 
-    // Listen for successful login
-    window.addEventListener('user-login', () => {
-        console.log('User logged in, redirecting to dashboard');
-        navigateTo('/dashboard');
+    // Listen for successful login - go back to the page that asked for it
+    window.addEventListener('user-login', (e) => {
+        // Logged in from another tab: only leave pages meant for guests
+        if(e.detail?.remote && !findRoute(window.location.pathname)?.meta.guestOnly){
+            return;
+        }
+        const target = getPostLoginRedirect();
+        forgetRedirect();
+        console.log('User logged in, redirecting to', target);
+        navigateTo(target);
     });
 }
 
@@ -272,8 +514,8 @@ function isRouteActive(path){
         return true;
     }
 
-    // For dashboard routes, check if current path starts with the path
-    if(path !== '/' && currentPath.startsWith(path)){
+    // For dashboard routes, check if current path is below the path (/shared is not /shared-with-me)
+    if(path !== '/' && currentPath.startsWith(`${path}/`)){
         return true;
     }
     return false;
@@ -286,20 +528,61 @@ function isRouteActive(path){
  * 
  */
 
+/**
+ * Find the route a path leads to
+ *
+ * @param {string} path
+ * @returns {{pattern: RegExp, meta: Object}|undefined}
+ */
+function findRoute(path){
+    return ROUTE_TABLE.find(route => route.pattern.test(path));
+}
+
+/**
+ * Check if a route requires authentication
+ * 
+ * @param {string} path - Path to check
+ * @returns {boolean} True if only logged-in users can open it
+ */
 function requiresAuth(path){
-    const protectedRoutes = ['/dashboard', '/my-files', '/upload', '/profile'];
-    return protectedRoutes.some(route => path.startsWith(route));
+    return Boolean(findRoute(path)?.meta.auth);
 }
 
 /**
- * Check if current route requires authentication
+ * Check if a route can be opened without logging in
  * 
- * @param {string} Path - Path to check
+ * @param {string} path - Path to check
  * @returns {boolean} True if route is public
  */
-function isPublicRoute(Path){
-    const publicRoutes = ['/', '/login', '/register'];
-    return publicRoutes.includes(path);
+function isPublicRoute(path){
+    return !requiresAuth(path);
+}
+
+/**
+ * Where to go after logging in
+ *
+ * Links send users to /login?redirect=<where they wanted to go> (see
+ * getLoginUrl), the auth guard remembers it in sessionStorage instead.
+ * Only same-origin paths are accepted (no //evil.com), and never a guest-only
+ * page like /login itself.
+ *
+ * @returns {string}
+ */
+function getPostLoginRedirect(){
+    const target = new URLSearchParams(window.location.search).get('redirect') || getRememberedRedirect();
+    if(!target?.startsWith('/')) return DEFAULT_AUTHENTICATED_PATH;
+
+    // Let the browser resolve it - "//evil.com" and "/\evil.com" both end up on another origin
+    let url;
+    try{
+        url = new URL(target, window.location.origin);
+    } catch (error){
+        return DEFAULT_AUTHENTICATED_PATH;
+    }
+    if(url.origin !== window.location.origin || findRoute(url.pathname)?.meta.guestOnly){
+        return DEFAULT_AUTHENTICATED_PATH;
+    }
+    return url.pathname + url.search + url.hash;
 }
 
 /**
@@ -317,7 +600,7 @@ function handleAuthRedirect(){
     if (!userIsAuthenticated && requiresAuth(currentPath)){
         // User is not logged in but trying  to access protected route
         console.log('Redirecting unauthenticated user to login');
-        navigateTo('/login');
+        navigateTo(getLoginUrl(currentPath, window.location.search));
         return true;
     }
     return false; // No redirection needed
@@ -372,6 +655,7 @@ export {
     // core router functions
     initializeRouter,
     navigateTo,
+    routes, // route table - scripts/checkRouterGuards.js walks it
 
     // Route info
     getCurrentRoute,
@@ -380,6 +664,9 @@ export {
     // Authentication helpers
     requiresAuth,
     isPublicRoute,
+    getLoginUrl,
+    getPostLoginRedirect,
+    getTwoFactorUrl,
     handleAuthRedirect,
 
     // Utility functions
@@ -0,0 +1,403 @@
+import { runBatch, ROOT_FOLDER_ID } from '../api/filesApi.js';
+import { invalidateFolder } from './folders.js';
+import { showAlert } from '../components/Alert.js';
+import { applyRenamePattern } from '../utils/renamePattern.js';
+import { isOnline } from '../store/index.js';
+import { addToOutbox, registerOutboxHandler } from './offline.js';
+
+/**
+ * Bulk file operations for FileFlow App
+ *
+ * Move, copy, rename, delete (to trash) and restore many items with one API call.
+ * After each batch a toast reports how many items worked and which failed,
+ * with an "Undo" button that reverses the successful part while the toast
+ * is on screen.
+ *
+ * Every operation fires a `files-changed` window event with the ids of the
+ * folders whose contents changed, so open views can refresh.
+ *
+ * Offline, renames and deletes go to the outbox (services/offline.js) and are
+ * sent when the connection is back; moves and copies need the server.
+ */
+
+// Toast duration (ms) - Undo is offered until the toast goes away, which can
+// be later (hovered, or waiting for a free spot)
+const UNDO_WINDOW = 8000;
+
+// Failed items listed by name in the toast (the rest are counted)
+const MAX_LISTED_FAILURES = 3;
+
+// Stand-in folder id for the trash in `files-changed` events, so the trash page can listen too
+const TRASH_FOLDER_ID = 'trash';
+
+/**
+ * ====================================
+ * HELPERS
+ * ====================================
+ */
+
+/**
+ * Match per-item results back to the items we sent
+ *
+ * @returns {{ succeeded: Array<Object>, failed: Array<{item: Object, error: string}>, resultsById: Map }}
+ */
+function buildReport(items, results = []){
+    const resultsById = new Map(results.map(result => [result.id, result]));
+    const succeeded = [];
+    const failed = [];
+
+    items.forEach(item => {
+        const result = resultsById.get(item.id);
+        if(result?.success){
+            succeeded.push(item);
+        } else {
+            failed.push({ item, error: result?.error || 'No response from server' });
+        }
+    });
+
+    return { succeeded, failed, resultsById };
+}
+
+/**
+ * Tell open views (and the folder tree) that folder contents changed
+ */
+function notifyFilesChanged(folderIds, items){
+    const ids = [...new Set(folderIds.filter(Boolean))];
+
+    // Folders moved/renamed/deleted -> the sidebar tree needs fresh data too
+    const changedFolderIds = items.filter(item => item.isFolder).map(item => item.id);
+    if(changedFolderIds.length){
+        ids.forEach(id => invalidateFolder(id, changedFolderIds));
+    }
+
+    window.dispatchEvent(new CustomEvent('files-changed', { detail: { folderIds: ids } }));
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Describe the failures, e.g. "2 failed: a.jpg (Permission denied), b.png (Not found)"
+ */
+function describeFailures(failed){
+    const listed = failed.slice(0, MAX_LISTED_FAILURES)
+        .map(({ item, error }) => `${item.name} (${error})`)
+        .join(', ');
+    const more = failed.length > MAX_LISTED_FAILURES ? ` and ${failed.length - MAX_LISTED_FAILURES} more` : '';
+    return `${failed.length} failed: ${listed}${more}`;
+}
+
+/**
+ * Run a batch, report the result and offer Undo
+ *
+ * @param {Object} operation
+ * @param {string} operation.pastTense - e.g. 'Moved'
+ * @param {Array<Object>} operation.items - Items the batch is about
+ * @param {Function} operation.run - () => Promise<{results}>
+ * @param {Function} [operation.undo] - (report) => Promise<{results}>, reverses the succeeded items
+ * @param {string[]} operation.affectedFolders - Folder ids whose contents change
+ * @param {Object} [operation.offlineBatch] - { action, items, options } to queue when offline
+ * @returns {Promise<Object|null>} The report ({ succeeded, failed, resultsById }), null if queued offline
+ */
+async function runOperation({ pastTense, items, run, undo, affectedFolders, offlineBatch }){
+    if(!isOnline()){
+        return queueOffline(pastTense, items, affectedFolders, offlineBatch);
+    }
+
+    let report;
+    try{
+        const { results } = await run();
+        report = buildReport(items, results);
+    } catch (error){
+        console.error(`Batch "${pastTense}" failed:`, error);
+        showAlert({ type: 'error', message: `Nothing was changed: ${error.response?.data?.message || error.message}` });
+        throw error;
+    }
+
+    if(report.succeeded.length){
+        notifyFilesChanged(affectedFolders, report.succeeded);
+    }
+
+    const { succeeded, failed } = report;
+    const parts = [];
+    if(succeeded.length) parts.push(`${pastTense} ${plural(succeeded.length, 'item')}.`);
+    if(failed.length) parts.push(describeFailures(failed));
+
+    const canUndo = typeof undo === 'function' && succeeded.length > 0;
+    const type = !failed.length ? 'success' : succeeded.length ? 'warning' : 'error';
+
+    // The Undo button only works once, and only while the toast is showing
+    let undoAvailable = canUndo;
+
+    const toast = showAlert({
+        type,
+        message: parts.join(' '),
+        duration: UNDO_WINDOW,
+        onDismiss: () => { undoAvailable = false; },
+        actions: canUndo ? [{
+            label: 'Undo',
+            onClick: async () => {
+                if(!undoAvailable) return;
+                undoAvailable = false;
+                toast.dismiss();
+                await undoOperation(pastTense, report, undo, affectedFolders);
+            }
+        }] : []
+    });
+
+    return report;
+}
+
+/**
+ * Save a batch for later, or refuse if it can't wait
+ */
+async function queueOffline(pastTense, items, affectedFolders, offlineBatch){
+    if(!offlineBatch){
+        showAlert({ type: 'error', message: 'You\'re offline. This needs a connection - try again when you\'re back online.' });
+        throw new Error('Offline');
+    }
+
+    const { action, options = {} } = offlineBatch;
+    await addToOutbox('batch', {
+        action,
+        // Only plain data goes to IndexedDB
+        items: offlineBatch.items.map(({ id, name, isFolder, newName }) => ({ id, name, isFolder: Boolean(isFolder), newName })),
+        options,
+        affectedFolders
+    }, `${pastTense} ${plural(items.length, 'item')}`);
+
+    showAlert({ type: 'info', message: `You're offline. ${pastTense} ${plural(items.length, 'item')} will be saved when you're back online.` });
+    return null;
+}
+
+/**
+ * Replay a batch saved offline
+ *
+ * `ifUnmodifiedSince` lets the server refuse items that changed after the
+ * user made the change - those are reported as conflicts.
+ */
+registerOutboxHandler('batch', async ({ action, items, options, affectedFolders }, entry) => {
+    const { results } = await runBatch(action, items, { ...options, ifUnmodifiedSince: new Date(entry.createdAt).toISOString() });
+    const { succeeded, failed } = buildReport(items, results);
+
+    if(succeeded.length) notifyFilesChanged(affectedFolders, succeeded);
+    return {
+        conflicts: failed.map(({ item, error }) => `${item.name} (${error})`)
+    };
+});
+
+/**
+ * Reverse the successful part of an operation
+ */
+async function undoOperation(pastTense, report, undo, affectedFolders){
+    try{
+        const { results } = await undo(report);
+        const undoReport = buildReport(report.succeeded, results);
+        notifyFilesChanged(affectedFolders, report.succeeded);
+
+        if(undoReport.failed.length){
+            showAlert({ type: 'warning', message: `Undo was partial. ${describeFailures(undoReport.failed)}` });
+        } else {
+            showAlert({ type: 'info', message: `Undone: ${pastTense.toLowerCase()} ${plural(report.succeeded.length, 'item')}` });
+        }
+    } catch (error){
+        console.error('Undo failed:', error);
+        showAlert({ type: 'error', message: 'Could not undo the last action' });
+    }
+}
+
+/**
+ * ====================================
+ * OPERATIONS
+ * ====================================
+ */
+
+/**
+ * Move items to another folder
+ *
+ * @param {Array<Object>} items - [{ id, name, isFolder }]
+ * @param {string} targetFolderId - Where they go
+ * @param {string} sourceFolderId - Where they are now (for Undo)
+ */
+function moveItems(items, targetFolderId, sourceFolderId){
+    // A folder can't be moved into itself
+    const movable = items.filter(item => item.id !== targetFolderId);
+    if(!movable.length || targetFolderId === sourceFolderId) return Promise.resolve(null);
+
+    return runOperation({
+        pastTense: 'Moved',
+        items: movable,
+        run: () => runBatch('move', movable, { targetFolderId }),
+        undo: ({ succeeded }) => runBatch('move', succeeded, { targetFolderId: sourceFolderId }),
+        affectedFolders: [sourceFolderId, targetFolderId]
+    });
+}
+
+/**
+ * Copy items into another folder
+ *
+ * Undo deletes the copies for good (they never existed before).
+ */
+function copyItems(items, targetFolderId){
+    if(!items.length) return Promise.resolve(null);
+
+    return runOperation({
+        pastTense: 'Copied',
+        items,
+        run: () => runBatch('copy', items, { targetFolderId }),
+        undo: async ({ succeeded, resultsById }) => {
+            // Without the copy's id there's nothing to delete - report those as not undone
+            const copied = succeeded.filter(item => resultsById.get(item.id)?.newId);
+            const copies = copied.map(item => ({ id: resultsById.get(item.id).newId, isFolder: item.isFolder }));
+            const { results = [] } = copies.length ? await runBatch('delete', copies, { permanent: true }) : {};
+            // Report against the original ids so the undo summary lines up
+            const byCopyId = new Map(results.map(result => [result.id, result]));
+            return {
+                results: succeeded.map(item => {
+                    const copyId = resultsById.get(item.id)?.newId;
+                    return copyId
+                        ? { ...byCopyId.get(copyId), id: item.id }
+                        : { id: item.id, success: false, error: 'Copy not found' };
+                })
+            };
+        },
+        affectedFolders: [targetFolderId]
+    });
+}
+
+/**
+ * Rename items with a pattern, e.g. 'holiday-{n}'
+ *
+ * @param {Array<Object>} items - In the order they should be numbered
+ * @param {string} pattern - See utils/renamePattern.js
+ * @param {string} folderId - Folder the items are in
+ */
+function renameItems(items, pattern, folderId){
+    const renamed = items
+        .map((item, index) => ({ ...item, newName: applyRenamePattern(pattern, item, index) }))
+        .filter(item => item.newName !== item.name);
+    if(!renamed.length) return Promise.resolve(null);
+
+    return runOperation({
+        pastTense: 'Renamed',
+        items: renamed,
+        run: () => runBatch('rename', renamed),
+        undo: ({ succeeded }) => runBatch('rename', succeeded.map(item => ({ ...item, newName: item.name }))),
+        affectedFolders: [folderId],
+        offlineBatch: { action: 'rename', items: renamed }
+    });
+}
+
+/**
+ * Move items to the trash
+ */
+function trashItems(items, folderId){
+    if(!items.length) return Promise.resolve(null);
+
+    return runOperation({
+        pastTense: 'Moved to trash',
+        items,
+        run: () => runBatch('trash', items),
+        undo: ({ succeeded }) => runBatch('restore', succeeded),
+        affectedFolders: [folderId, TRASH_FOLDER_ID],
+        offlineBatch: { action: 'trash', items }
+    });
+}
+
+/**
+ * Bring items back from the trash
+ *
+ * Items go back to the folder they were deleted from. For items whose
+ * folder is gone, the caller decides (the others ignore these options):
+ *   { recreateMissingParents: true }   re-create the folder path they were in
+ *   { targetFolderId }                 restore into this folder instead
+ *
+ * @param {Array<Object>} items - Trash items ({ id, name, isFolder, originalPath })
+ * @param {Object} [options]
+ */
+function restoreItems(items, options = {}){
+    if(!items.length) return Promise.resolve(null);
+
+    // Every folder on the way back may change (re-created ones appear in their parent)
+    const pathFolderIds = items.flatMap(item => [ROOT_FOLDER_ID, ...(item.originalPath || []).map(folder => folder.id)]);
+
+    return runOperation({
+        pastTense: 'Restored',
+        items,
+        run: () => runBatch('restore', items, options),
+        undo: ({ succeeded }) => runBatch('trash', succeeded),
+        affectedFolders: [...pathFolderIds, options.targetFolderId, TRASH_FOLDER_ID]
+    }).then(report => {
+        // Re-created folders are new to the sidebar tree even when only files came back
+        if(options.recreateMissingParents && report?.succeeded.length){
+            new Set(pathFolderIds).forEach(id => invalidateFolder(id));
+        }
+        return report;
+    });
+}
+
+/**
+ * ====================================
+ * DRAG & DROP
+ * ====================================
+ */
+
+// dataTransfer type for dragged FileFlow items
+const DRAG_TYPE = 'application/x-fileflow-items';
+
+/**
+ * Put dragged items on a drag event
+ *
+ * @param {DragEvent} e
+ * @param {Array<Object>} items - [{ id, name, isFolder }]
+ * @param {string} sourceFolderId
+ */
+function setDragData(e, items, sourceFolderId){
+    const payload = {
+        sourceFolderId,
+        items: items.map(({ id, name, isFolder }) => ({ id, name, isFolder: Boolean(isFolder) }))
+    };
+    e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(payload));
+    e.dataTransfer.setData('text/plain', items.map(item => item.name).join('\n'));
+    e.dataTransfer.effectAllowed = 'copyMove';
+}
+
+/**
+ * Is this drag carrying FileFlow items? (works during dragover, when data can't be read yet)
+ */
+function isItemDrag(e){
+    return Array.from(e.dataTransfer?.types || []).includes(DRAG_TYPE);
+}
+
+/**
+ * Handle a drop on a folder: move, or copy when Ctrl/Alt is held
+ *
+ * @param {DragEvent} e
+ * @param {string} targetFolderId
+ */
+function dropItemsOnFolder(e, targetFolderId){
+    const raw = e.dataTransfer.getData(DRAG_TYPE);
+    if(!raw) return Promise.resolve(null);
+
+    const { items, sourceFolderId } = JSON.parse(raw);
+    const copy = e.ctrlKey || e.altKey;
+    return copy
+        ? copyItems(items, targetFolderId)
+        : moveItems(items, targetFolderId, sourceFolderId);
+}
+
+export {
+    UNDO_WINDOW,
+    TRASH_FOLDER_ID,
+
+    // operations
+    moveItems,
+    copyItems,
+    renameItems,
+    trashItems,
+    restoreItems,
+
+    // drag & drop
+    setDragData,
+    isItemDrag,
+    dropItemsOnFolder
+};
@@ -0,0 +1,177 @@
+import { listCollections, createCollection, updateCollection, deleteCollection as deleteCollectionOnServer } from '../api/collectionsApi.js';
+import { FILE_TYPES } from '../api/searchApi.js';
+
+/**
+ * Smart collections
+ *
+ * A collection is a saved rule:
+ *
+ *   {
+ *     types: ['video'],            // file types (empty = any)
+ *     tags: ['client-x'],          // files need every one of these tags
+ *     modifiedWithinDays: 30,      // null = any date
+ *     starred: false               // true = starred files only
+ *   }
+ *
+ * Rules are stored by the backend but evaluated here: ruleToListParams()
+ * turns a rule into filters for the same /files listing My Files uses,
+ * with "the last 30 days" worked out at the moment the collection is
+ * opened - that's what keeps a collection up to date by itself.
+ *
+ * The list of collections is cached for the sidebar; changes fire a
+ * `collections-changed` window event.
+ */
+
+const COLLECTIONS_PATH = '/collections';
+const STARRED_PATH = '/starred';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Always there, can't be edited - the home of the star toggle
+const STARRED_COLLECTION = {
+    id: 'starred',
+    name: 'Starred',
+    rule: { types: [], tags: [], modifiedWithinDays: null, starred: true },
+    builtIn: true
+};
+
+let collectionsRequest = null;
+
+/**
+ * ====================================
+ * RULES
+ * ====================================
+ */
+
+/**
+ * Fill in missing rule fields
+ */
+function normalizeRule(rule = {}){
+    return {
+        types: rule.types || [],
+        tags: rule.tags || [],
+        modifiedWithinDays: rule.modifiedWithinDays || null,
+        starred: Boolean(rule.starred)
+    };
+}
+
+/**
+ * Does the rule narrow anything down? (an empty rule would list every file)
+ */
+function isRuleEmpty(rule){
+    const { types, tags, modifiedWithinDays, starred } = normalizeRule(rule);
+    return !types.length && !tags.length && !modifiedWithinDays && !starred;
+}
+
+/**
+ * Listing filters for a rule, as of `now`
+ *
+ * @param {Object} rule
+ * @param {number} [now=Date.now()]
+ * @returns {Object} Params for queryFiles()
+ */
+function ruleToListParams(rule, now = Date.now()){
+    const { types, tags, modifiedWithinDays, starred } = normalizeRule(rule);
+    const params = {};
+    if(types.length) params.type = types.join(',');
+    if(tags.length) params.tags = tags.join(',');
+    if(modifiedWithinDays) params.modifiedAfter = new Date(now - modifiedWithinDays * DAY).toISOString();
+    if(starred) params.starred = true;
+    return params;
+}
+
+/**
+ * The rule in words, e.g. 'Videos tagged client-x, modified in the last 30 days'
+ */
+function describeRule(rule){
+    const { types, tags, modifiedWithinDays, starred } = normalizeRule(rule);
+    const typeLabels = types.map(type => FILE_TYPES.find(option => option.value === type)?.label || type);
+
+    let text = `${starred ? 'Starred ' : ''}${typeLabels.length ? typeLabels.join(' or ').toLowerCase() : 'files'}`;
+    if(tags.length) text += ` tagged ${tags.join(' and ')}`;
+    if(modifiedWithinDays) text += `, modified in the last ${modifiedWithinDays} day${modifiedWithinDays === 1 ? '' : 's'}`;
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * ====================================
+ * COLLECTIONS
+ * ====================================
+ */
+
+function getCollectionUrl(collection){
+    return collection.builtIn ? STARRED_PATH : `${COLLECTIONS_PATH}/${encodeURIComponent(collection.id)}`;
+}
+
+function notifyChanged(){
+    window.dispatchEvent(new CustomEvent('collections-changed'));
+}
+
+/**
+ * The user's collections (cached)
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore the cache
+ * @returns {Promise<Array<Object>>}
+ */
+function loadCollections({ refresh = false } = {}){
+    if(refresh || !collectionsRequest){
+        collectionsRequest = listCollections();
+        // Don't cache failures - try again next time
+        collectionsRequest.catch(() => { collectionsRequest = null; });
+    }
+    return collectionsRequest;
+}
+
+/**
+ * Find a collection by id ('starred' is the built-in one)
+ *
+ * @returns {Promise<Object|null>}
+ */
+async function findCollection(collectionId){
+    if(collectionId === STARRED_COLLECTION.id) return STARRED_COLLECTION;
+    const collections = await loadCollections();
+    return collections.find(collection => String(collection.id) === String(collectionId)) || null;
+}
+
+/**
+ * Create or update a collection
+ *
+ * @param {{id?: string, name: string, rule: Object}} collection
+ * @returns {Promise<Object>} The saved collection
+ */
+async function saveCollection({ id, name, rule }){
+    const payload = { name: name.trim(), rule: normalizeRule(rule) };
+    const saved = id ? await updateCollection(id, payload) : await createCollection(payload);
+    await loadCollections({ refresh: true }).catch(() => {});
+    notifyChanged();
+    return saved;
+}
+
+async function deleteCollection(collectionId){
+    await deleteCollectionOnServer(collectionId);
+    await loadCollections({ refresh: true }).catch(() => {});
+    notifyChanged();
+}
+
+// A different user shouldn't see the last one's sidebar
+window.addEventListener('user-logout', () => { collectionsRequest = null; });
+
+export {
+    COLLECTIONS_PATH,
+    STARRED_PATH,
+    STARRED_COLLECTION,
+
+    // rules
+    normalizeRule,
+    isRuleEmpty,
+    ruleToListParams,
+    describeRule,
+
+    // collections
+    getCollectionUrl,
+    loadCollections,
+    findCollection,
+    saveCollection,
+    deleteCollection
+};
@@ -0,0 +1,98 @@
+import axios from 'axios';
+
+/**
+ * File hashing for FileFlow App
+ *
+ * SHA-256 of a file, computed in a Web Worker (services/fileHash.worker.js)
+ * so hashing a multi-GB video doesn't freeze the page. The upload manager
+ * uses it to skip content the server already has and to let the server
+ * check that what arrived is what was sent.
+ *
+ *   const hash = await hashFile(file, {
+ *       signal,
+ *       onProgress: hashedBytes => console.log(hashedBytes / file.size)
+ *   });
+ */
+
+const HASH_ALGORITHM = 'sha256';
+
+let worker = null;
+let nextJobId = 0;
+
+// Running jobs by id: { resolve, reject, onProgress }
+const jobs = new Map();
+
+/**
+ * Can this browser hash in a worker? (No worker -> uploads go ahead without a hash)
+ *
+ * @returns {boolean}
+ */
+function isHashingSupported(){
+    return typeof Worker !== 'undefined';
+}
+
+/**
+ * One worker for the whole app, started on first use
+ */
+function getWorker(){
+    if(worker) return worker;
+
+    worker = new Worker(new URL('./fileHash.worker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', ({ data }) => {
+        const job = jobs.get(data.id);
+        if(!job) return;
+        if(data.type === 'progress'){
+            job.onProgress?.(data.hashedBytes);
+        } else {
+            jobs.delete(data.id);
+            if(data.type === 'done') job.resolve(data.hash);
+            else job.reject(new Error(data.message));
+        }
+    });
+    // The worker itself broke (failed to load etc.) - fail what's running, start fresh next time
+    worker.addEventListener('error', (event) => {
+        console.error('Hashing worker failed:', event.message);
+        jobs.forEach(job => job.reject(new Error('Hashing failed')));
+        jobs.clear();
+        worker.terminate();
+        worker = null;
+    });
+    return worker;
+}
+
+/**
+ * SHA-256 of a file, as lowercase hex
+ *
+ * @param {File|Blob} file
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the number of bytes hashed so far
+ * @param {AbortSignal} [options.signal] - Stop hashing (rejects with a CanceledError, like an aborted request)
+ * @returns {Promise<string>}
+ */
+function hashFile(file, { onProgress, signal } = {}){
+    return new Promise((resolve, reject) => {
+        if(signal?.aborted){
+            reject(new axios.CanceledError('Upload aborted'));
+            return;
+        }
+
+        const id = nextJobId++;
+        const hashWorker = getWorker();
+        jobs.set(id, { resolve, reject, onProgress });
+
+        signal?.addEventListener('abort', () => {
+            if(!jobs.has(id)) return;
+            jobs.delete(id);
+            hashWorker.postMessage({ type: 'cancel', id });
+            reject(new axios.CanceledError('Upload aborted'));
+        }, { once: true });
+
+        hashWorker.postMessage({ type: 'hash', id, file });
+    });
+}
+
+export {
+    hashFile,
+    isHashingSupported,
+    HASH_ALGORITHM
+};
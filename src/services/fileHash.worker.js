@@ -0,0 +1,60 @@
+import { createSha256, toHex } from '../utils/sha256.js';
+
+/**
+ * Hashing worker - SHA-256 of a File off the main thread
+ *
+ * Messages in:
+ *   { type: 'hash', id, file }   -> start hashing
+ *   { type: 'cancel', id }       -> stop a running job
+ *
+ * Messages out:
+ *   { type: 'progress', id, hashedBytes }
+ *   { type: 'done', id, hash }
+ *   { type: 'error', id, message }
+ *
+ * Jobs interleave (each await lets the next message in), so one worker
+ * serves every upload. Use it through services/fileHash.js.
+ */
+
+// Files up to this size are digested natively in one go - faster than the
+// JS implementation, and quick enough that no progress is needed
+const NATIVE_DIGEST_MAX = 32 * 1024 * 1024;
+
+// Bigger files are read and hashed this much at a time
+const READ_SIZE = 4 * 1024 * 1024;
+
+const cancelled = new Set();
+
+async function hashFile(id, file){
+    if(file.size <= NATIVE_DIGEST_MAX && self.crypto?.subtle){
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return toHex(digest);
+    }
+
+    const hash = createSha256();
+    for(let offset = 0; offset < file.size; offset += READ_SIZE){
+        if(cancelled.has(id)) return null;
+        const bytes = new Uint8Array(await file.slice(offset, offset + READ_SIZE).arrayBuffer());
+        hash.update(bytes);
+        self.postMessage({ type: 'progress', id, hashedBytes: Math.min(offset + READ_SIZE, file.size) });
+    }
+    return hash.digest();
+}
+
+self.addEventListener('message', async ({ data }) => {
+    if(data.type === 'cancel'){
+        cancelled.add(data.id);
+        return;
+    }
+    if(data.type !== 'hash') return;
+
+    const { id, file } = data;
+    try{
+        const hash = await hashFile(id, file);
+        if(!cancelled.has(id)) self.postMessage({ type: 'done', id, hash });
+    } catch (error){
+        self.postMessage({ type: 'error', id, message: error.message || 'Could not read the file' });
+    } finally{
+        cancelled.delete(id);
+    }
+});
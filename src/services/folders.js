@@ -0,0 +1,150 @@
+import { getFolders, getFolder, ROOT_FOLDER_ID } from '../api/filesApi.js';
+
+/**
+ * Folder cache & URL helpers
+ *
+ * Folder URLs hold the whole path of folder ids, e.g.
+ *   /my-files                -> root
+ *   /my-files/abc/def        -> folder "def" inside folder "abc"
+ *
+ * so a deep link can rebuild breadcrumbs and expand the sidebar tree
+ * after a reload. Folder data is cached here so the tree, breadcrumbs
+ * and My Files page don't each fetch the same folders.
+ */
+
+const MY_FILES_PATH = '/my-files';
+
+// parentId -> Promise of child folders
+const childrenCache = new Map();
+
+// parentId -> child folders, once loaded (for synchronous rendering)
+const loadedChildren = new Map();
+
+// folderId -> folder ({ id, name, ... })
+const folderCache = new Map();
+
+/**
+ * Load the child folders of a folder (cached)
+ *
+ * @param {string} [parentId=ROOT_FOLDER_ID]
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore the cache
+ * @returns {Promise<Array<Object>>}
+ */
+function loadChildFolders(parentId = ROOT_FOLDER_ID, { refresh = false } = {}){
+    if(refresh || !childrenCache.has(parentId)){
+        const request = getFolders(parentId).then(folders => {
+            folders.forEach(folder => folderCache.set(folder.id, folder));
+            loadedChildren.set(parentId, folders);
+            return folders;
+        });
+        // Don't cache failures - try again next time
+        request.catch(() => childrenCache.delete(parentId));
+        childrenCache.set(parentId, request);
+    }
+    return childrenCache.get(parentId);
+}
+
+/**
+ * Get the children we already loaded for a folder (null if not loaded yet)
+ */
+function getCachedChildFolders(parentId = ROOT_FOLDER_ID){
+    return loadedChildren.get(parentId) || null;
+}
+
+/**
+ * Get a folder's info (cached)
+ *
+ * @param {string} folderId
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore the cache (e.g. to check access again)
+ * @returns {Promise<Object>}
+ */
+async function getFolderInfo(folderId, { refresh = false } = {}){
+    if(folderId === ROOT_FOLDER_ID){
+        return { id: ROOT_FOLDER_ID, name: 'My Files', parentId: null };
+    }
+    if(refresh || !folderCache.has(folderId)){
+        folderCache.set(folderId, await getFolder(folderId));
+    }
+    return folderCache.get(folderId);
+}
+
+/**
+ * Forget cached children of a folder (e.g. after creating/renaming a subfolder)
+ *
+ * Fires a `folders-changed` event so the sidebar tree can reload them.
+ *
+ * @param {string} [parentId=ROOT_FOLDER_ID]
+ * @param {string[]} [changedIds=[]] - Folders that were renamed/moved/deleted, so their cached info goes too
+ */
+function invalidateFolder(parentId = ROOT_FOLDER_ID, changedIds = []){
+    childrenCache.delete(parentId);
+    loadedChildren.delete(parentId);
+    changedIds.forEach(id => folderCache.delete(id));
+    window.dispatchEvent(new CustomEvent('folders-changed', { detail: { parentId } }));
+}
+
+// Another user's folders must not show up after the next login
+window.addEventListener('user-logout', () => {
+    childrenCache.clear();
+    loadedChildren.clear();
+    folderCache.clear();
+});
+
+/**
+ * ====================================
+ * URL HELPERS
+ * ====================================
+ */
+
+/**
+ * Build the URL for a folder path
+ *
+ * @param {string[]} [pathIds=[]] - Folder ids from the top down (empty = root)
+ * @returns {string}
+ */
+function getFolderUrl(pathIds = []){
+    if(!pathIds.length) return MY_FILES_PATH;
+    return `${MY_FILES_PATH}/${pathIds.map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Read the folder path out of a URL pathname
+ *
+ * @param {string} [pathname=window.location.pathname]
+ * @returns {string[]|null} Folder ids, or null if this isn't a My Files URL
+ */
+function getFolderPathFromUrl(pathname = window.location.pathname){
+    if(pathname !== MY_FILES_PATH && !pathname.startsWith(`${MY_FILES_PATH}/`)){
+        return null;
+    }
+    return pathname
+        .slice(MY_FILES_PATH.length)
+        .split('/')
+        .filter(Boolean)
+        .map(decodeURIComponent);
+}
+
+/**
+ * Id of the folder a path points to
+ */
+function getCurrentFolderId(pathIds = []){
+    return pathIds.length ? pathIds[pathIds.length - 1] : ROOT_FOLDER_ID;
+}
+
+export {
+    ROOT_FOLDER_ID,
+    MY_FILES_PATH,
+
+    // cache
+    loadChildFolders,
+    getCachedChildFolders,
+    getFolderInfo,
+    invalidateFolder,
+
+    // urls
+    getFolderUrl,
+    getFolderPathFromUrl,
+    getCurrentFolderId
+};
@@ -0,0 +1,275 @@
+/**
+ * Image editing for FileFlow App
+ *
+ * Crop, rotate/flip, resize and colour changes, done on an OffscreenCanvas
+ * in a worker (services/imageEditor.worker.js) so a 40-megapixel photo
+ * doesn't freeze the page. An image is opened once, previewed as often as
+ * the sliders move, then exported:
+ *
+ *   const image = await openImage(file);          // { id, width, height, orientation, hasGps }
+ *   const bitmap = await renderPreview(image.id, edits, 800);
+ *   const blob = await exportImage(image.id, edits, { mimeType: 'image/jpeg', stripGps: true });
+ *   closeImage(image.id);
+ *
+ * `edits` (see DEFAULT_EDITS):
+ *   rotate            0 | 90 | 180 | 270, clockwise
+ *   flipH, flipV      mirror as seen after rotating
+ *   crop              { x, y, width, height } as fractions of the rotated image, or null
+ *   width, height     output size in pixels, or null for the crop's own size
+ *   brightness, contrast   percent, 100 = unchanged
+ *   filter            a key of FILTERS (utils/imageFilters.js)
+ */
+
+// Types the editor opens - and saves back in the same format
+const EDITABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Longest side allowed when resizing (browsers cap canvas sizes)
+const MAX_OUTPUT_SIZE = 10000;
+
+// Quality for JPEG and WebP output
+const OUTPUT_QUALITY = 0.92;
+
+const DEFAULT_EDITS = Object.freeze({
+    rotate: 0,
+    flipH: false,
+    flipV: false,
+    crop: null,
+    width: null,
+    height: null,
+    brightness: 100,
+    contrast: 100,
+    filter: 'none'
+});
+
+// Crop aspect ratios offered in the editor (width / height, null = free)
+const CROP_PRESETS = [
+    { id: 'none', label: 'No crop' },
+    { id: 'free', label: 'Free', ratio: null },
+    { id: 'original', label: 'Original' },
+    { id: '1:1', label: 'Square 1:1', ratio: 1 },
+    { id: '4:3', label: '4:3', ratio: 4 / 3 },
+    { id: '3:2', label: '3:2', ratio: 3 / 2 },
+    { id: '16:9', label: '16:9', ratio: 16 / 9 },
+    { id: '4:5', label: 'Portrait 4:5', ratio: 4 / 5 },
+    { id: '9:16', label: 'Story 9:16', ratio: 9 / 16 }
+];
+
+// EXIF orientation values that mean the camera was held sideways / upside down
+const ORIENTATION_LABELS = {
+    2: 'mirrored',
+    3: 'upside down',
+    4: 'upside down and mirrored',
+    5: 'sideways and mirrored',
+    6: 'sideways',
+    7: 'sideways and mirrored',
+    8: 'sideways'
+};
+
+let worker = null;
+let nextJobId = 0;
+let nextImageId = 0;
+
+// Running jobs by id: { resolve, reject }
+const jobs = new Map();
+
+/**
+ * Can this browser edit images? (Needs OffscreenCanvas in workers)
+ *
+ * @returns {boolean}
+ */
+function isImageEditingSupported(){
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+}
+
+/**
+ * Can the editor open this file? Local File or file record from the API
+ *
+ * @param {File|Object} file
+ * @returns {boolean}
+ */
+function isEditableImage(file){
+    return isImageEditingSupported() && EDITABLE_TYPES.includes(file?.type || file?.mimeType);
+}
+
+/**
+ * One worker for the whole app, started on first use
+ */
+function getWorker(){
+    if(worker) return worker;
+
+    worker = new Worker(new URL('./imageEditor.worker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', ({ data }) => {
+        const job = jobs.get(data.id);
+        if(!job) return;
+        jobs.delete(data.id);
+        if(data.type === 'error') job.reject(new Error(data.message));
+        else job.resolve(data);
+    });
+    // The worker itself broke (failed to load, ran out of memory) - fail what's running, start fresh next time
+    worker.addEventListener('error', (event) => {
+        console.error('Image editor worker failed:', event.message);
+        jobs.forEach(job => job.reject(new Error('Image editing failed')));
+        jobs.clear();
+        worker.terminate();
+        worker = null;
+    });
+    return worker;
+}
+
+function request(message, transfer = []){
+    return new Promise((resolve, reject) => {
+        const id = nextJobId++;
+        jobs.set(id, { resolve, reject });
+        getWorker().postMessage({ ...message, id }, transfer);
+    });
+}
+
+/**
+ * ====================================
+ * EDITING
+ * ====================================
+ */
+
+/**
+ * Decode an image in the worker
+ *
+ * @param {Blob} file - JPEG, PNG or WebP
+ * @returns {Promise<{id: number, width: number, height: number, orientation: number, hasGps: boolean}>}
+ *   width/height are upright (EXIF orientation applied)
+ */
+async function openImage(file){
+    const imageId = nextImageId++;
+    const { width, height, orientation, hasGps } = await request({ type: 'open', imageId, file });
+    return { id: imageId, width, height, orientation, hasGps };
+}
+
+/**
+ * The image with the edits applied, except crop and resize, fitted in `maxSize`
+ *
+ * @param {number} imageId
+ * @param {Object} edits
+ * @param {number} maxSize - Longest side in pixels
+ * @returns {Promise<ImageBitmap>}
+ */
+async function renderPreview(imageId, edits, maxSize){
+    const { bitmap } = await request({ type: 'render', imageId, edits, maxSize });
+    return bitmap;
+}
+
+/**
+ * Encode the edited image at full size
+ *
+ * JPEGs keep their EXIF metadata (minus the orientation, which is applied,
+ * and the location when `stripGps` is set).
+ *
+ * @param {number} imageId
+ * @param {Object} edits
+ * @param {Object} options
+ * @param {string} options.mimeType - One of EDITABLE_TYPES
+ * @param {boolean} [options.stripGps=false]
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
+ */
+async function exportImage(imageId, edits, { mimeType, stripGps = false }){
+    const { blob, width, height } = await request({ type: 'export', imageId, edits, mimeType, quality: OUTPUT_QUALITY, stripGps });
+    return { blob, width, height };
+}
+
+/**
+ * Free an opened image
+ *
+ * @param {number} imageId
+ */
+function closeImage(imageId){
+    worker?.postMessage({ type: 'close', imageId });
+}
+
+/**
+ * ====================================
+ * HELPERS
+ * ====================================
+ */
+
+/**
+ * Size of the image after rotating it
+ *
+ * @param {{width: number, height: number}} image
+ * @param {number} rotate
+ */
+function getRotatedSize(image, rotate){
+    return rotate % 180 ? { width: image.height, height: image.width } : { width: image.width, height: image.height };
+}
+
+/**
+ * Pixel size of the crop - the output size before resizing
+ *
+ * @param {{width: number, height: number}} image
+ * @param {Object} edits
+ * @returns {{width: number, height: number}}
+ */
+function getCropSize(image, edits){
+    const rotated = getRotatedSize(image, edits.rotate);
+    if(!edits.crop) return rotated;
+    return {
+        width: Math.max(1, Math.round(edits.crop.width * rotated.width)),
+        height: Math.max(1, Math.round(edits.crop.height * rotated.height))
+    };
+}
+
+/**
+ * The biggest crop with this aspect ratio, centred
+ *
+ * @param {{width: number, height: number}} size - Rotated image size
+ * @param {number|null} ratio - width / height in pixels, null for the whole image
+ * @returns {{x: number, y: number, width: number, height: number}} Fractions of the image
+ */
+function getCenteredCrop(size, ratio){
+    if(!ratio) return { x: 0, y: 0, width: 1, height: 1 };
+    const imageRatio = size.width / size.height;
+    const width = ratio < imageRatio ? ratio / imageRatio : 1;
+    const height = ratio < imageRatio ? 1 : imageRatio / ratio;
+    return { x: (1 - width) / 2, y: (1 - height) / 2, width, height };
+}
+
+/**
+ * "photo.jpg" -> "photo-edited.jpg", avoiding names already taken
+ *
+ * @param {string} name
+ * @param {string[]} [takenNames]
+ * @returns {string}
+ */
+function getEditedFileName(name, takenNames = []){
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    const taken = new Set(takenNames.map(other => other.toLowerCase()));
+
+    let candidate = `${base}-edited${ext}`;
+    for(let n = 2; taken.has(candidate.toLowerCase()); n++){
+        candidate = `${base}-edited-${n}${ext}`;
+    }
+    return candidate;
+}
+
+export {
+    EDITABLE_TYPES,
+    MAX_OUTPUT_SIZE,
+    DEFAULT_EDITS,
+    CROP_PRESETS,
+    ORIENTATION_LABELS,
+
+    // support
+    isImageEditingSupported,
+    isEditableImage,
+
+    // editing
+    openImage,
+    renderPreview,
+    exportImage,
+    closeImage,
+
+    // helpers
+    getRotatedSize,
+    getCropSize,
+    getCenteredCrop,
+    getEditedFileName
+};
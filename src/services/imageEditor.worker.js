@@ -0,0 +1,152 @@
+import { readExif, cleanExif, insertExif } from '../utils/exif.js';
+import { hasAdjustments, applyAdjustments } from '../utils/imageFilters.js';
+
+/**
+ * Image editor worker - decodes, edits and encodes images off the main thread
+ *
+ * Messages in:
+ *   { type: 'open', id, imageId, file }            -> decode and keep the image
+ *   { type: 'render', id, imageId, edits, maxSize } -> preview, no crop or resize
+ *   { type: 'export', id, imageId, edits, mimeType, quality, stripGps }
+ *   { type: 'close', imageId }                     -> free the image
+ *
+ * Messages out:
+ *   { type: 'opened', id, width, height, orientation, hasGps }
+ *   { type: 'rendered', id, bitmap }               (transferred)
+ *   { type: 'exported', id, blob, width, height }
+ *   { type: 'error', id, message }
+ *
+ * Sizes are after the EXIF orientation is applied - createImageBitmap does
+ * that while decoding, so a sideways phone photo comes in upright. The
+ * `edits` are described in services/imageEditor.js. Use it through there.
+ */
+
+// Open images by id: { bitmap, exif }
+const images = new Map();
+
+/**
+ * Size of the image after rotating it
+ */
+function getRotatedSize(bitmap, rotate){
+    return rotate % 180 ? { width: bitmap.height, height: bitmap.width } : { width: bitmap.width, height: bitmap.height };
+}
+
+/**
+ * Draw the image with the edits applied
+ *
+ * @param {ImageBitmap} bitmap
+ * @param {Object} edits
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Preview: fit in this many pixels, skip crop and resize
+ * @returns {OffscreenCanvas}
+ */
+function renderEdits(bitmap, edits, { maxSize } = {}){
+    const rotated = getRotatedSize(bitmap, edits.rotate);
+
+    // Crop is stored as fractions of the rotated image
+    const crop = !maxSize && edits.crop
+        ? {
+            x: Math.round(edits.crop.x * rotated.width),
+            y: Math.round(edits.crop.y * rotated.height),
+            width: Math.max(1, Math.round(edits.crop.width * rotated.width)),
+            height: Math.max(1, Math.round(edits.crop.height * rotated.height))
+        }
+        : { x: 0, y: 0, ...rotated };
+
+    let width = crop.width;
+    let height = crop.height;
+    if(maxSize){
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        width = Math.max(1, Math.round(width * scale));
+        height = Math.max(1, Math.round(height * scale));
+    } else if(edits.width && edits.height){
+        width = edits.width;
+        height = edits.height;
+    }
+
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+
+    // Read from the bottom up: draw centred, rotate, flip (as seen on screen),
+    // move into the rotated image, cut out the crop, scale to the output size
+    context.scale(width / crop.width, height / crop.height);
+    context.translate(-crop.x, -crop.y);
+    context.translate(rotated.width / 2, rotated.height / 2);
+    context.scale(edits.flipH ? -1 : 1, edits.flipV ? -1 : 1);
+    context.rotate((edits.rotate * Math.PI) / 180);
+    context.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+
+    if(hasAdjustments(edits)){
+        const imageData = context.getImageData(0, 0, width, height);
+        applyAdjustments(imageData, edits);
+        context.putImageData(imageData, 0, 0);
+    }
+    return canvas;
+}
+
+/**
+ * ====================================
+ * MESSAGES
+ * ====================================
+ */
+
+async function openImage({ id, imageId, file }){
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const exif = file.type === 'image/jpeg'
+        ? readExif(new Uint8Array(await file.slice(0, 128 * 1024).arrayBuffer()))
+        : { orientation: 1, hasGps: false, segment: null };
+
+    images.set(imageId, { bitmap, exif });
+    self.postMessage({ type: 'opened', id, width: bitmap.width, height: bitmap.height, orientation: exif.orientation, hasGps: exif.hasGps });
+}
+
+function renderPreview({ id, imageId, edits, maxSize }){
+    const { bitmap } = getImage(imageId);
+    const preview = renderEdits(bitmap, edits, { maxSize }).transferToImageBitmap();
+    self.postMessage({ type: 'rendered', id, bitmap: preview }, [preview]);
+}
+
+async function exportImage({ id, imageId, edits, mimeType, quality, stripGps }){
+    const { bitmap, exif } = getImage(imageId);
+    const canvas = renderEdits(bitmap, edits);
+    let blob = await canvas.convertToBlob({ type: mimeType, quality });
+
+    // Carry the original metadata over (canvas output has none) - JPEG only
+    const segment = blob.type === 'image/jpeg' && exif.segment
+        ? cleanExif(exif.segment, { width: canvas.width, height: canvas.height, stripGps })
+        : null;
+    if(segment){
+        blob = new Blob([insertExif(new Uint8Array(await blob.arrayBuffer()), segment)], { type: blob.type });
+    }
+
+    self.postMessage({ type: 'exported', id, blob, width: canvas.width, height: canvas.height });
+}
+
+function getImage(imageId){
+    const image = images.get(imageId);
+    if(!image) throw new Error('The image is not open');
+    return image;
+}
+
+const HANDLERS = {
+    open: openImage,
+    render: renderPreview,
+    export: exportImage
+};
+
+self.addEventListener('message', async ({ data }) => {
+    if(data.type === 'close'){
+        images.get(data.imageId)?.bitmap.close();
+        images.delete(data.imageId);
+        return;
+    }
+
+    const handler = HANDLERS[data.type];
+    if(!handler) return;
+    try{
+        await handler(data);
+    } catch (error){
+        self.postMessage({ type: 'error', id: data.id, message: error.message || 'Could not edit the image' });
+    }
+});
@@ -0,0 +1,110 @@
+import { getUserPreference, setUserPreference } from '../utils/preferences.js';
+
+/**
+ * Notification history
+ *
+ * showAlert() (components/Alert.js) records what it showed here, so the
+ * bell in the header (<notification-bell>) can list past notifications
+ * after their toast is gone. The newest MAX_HISTORY entries are kept per
+ * user (utils/preferences.js), so they survive a reload.
+ *
+ * An entry looks like:
+ *
+ *   { id, type: 'info'|'success'|'warning'|'error', title, message, createdAt, read }
+ */
+
+const MAX_HISTORY = 50;
+
+const HISTORY_PREFERENCE = 'notifications.history';
+
+// Loaded on first use - null again after logout, so the next user gets theirs
+let history = null;
+let listeners = [];
+
+function getHistory(){
+    if(!history) history = getUserPreference(HISTORY_PREFERENCE, []);
+    return history;
+}
+
+function saveHistory(entries){
+    history = entries.slice(0, MAX_HISTORY);
+    setUserPreference(HISTORY_PREFERENCE, history);
+    listeners.forEach(listener => {
+        try{
+            listener(history);
+        } catch (error){
+            console.error('Error in notification listener:', error);
+        }
+    });
+}
+
+/**
+ * Past notifications, newest first
+ *
+ * @returns {Array<Object>}
+ */
+function getNotifications(){
+    return [...getHistory()];
+}
+
+/**
+ * How many haven't been seen in the history panel yet
+ */
+function getUnreadCount(){
+    return getHistory().filter(entry => !entry.read).length;
+}
+
+/**
+ * Add a notification to the history
+ *
+ * @param {Object} notification - { type, title, message }
+ * @returns {Object} The new entry
+ */
+function recordNotification({ type = 'info', title = '', message = '' }){
+    const entry = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        title,
+        message,
+        createdAt: new Date().toISOString(),
+        read: false
+    };
+    saveHistory([entry, ...getHistory()]);
+    return entry;
+}
+
+function markAllNotificationsRead(){
+    if(!getUnreadCount()) return;
+    saveHistory(getHistory().map(entry => ({ ...entry, read: true })));
+}
+
+function clearNotifications(){
+    saveHistory([]);
+}
+
+/**
+ * Be told when the history changes
+ *
+ * @param {Function} listener - Called with the entries, newest first
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToNotifications(listener){
+    listeners.push(listener);
+    return () => {
+        listeners = listeners.filter(l => l !== listener);
+    };
+}
+
+window.addEventListener('user-login', () => { history = null; });
+window.addEventListener('user-logout', () => { history = null; });
+
+export {
+    MAX_HISTORY,
+
+    getNotifications,
+    getUnreadCount,
+    recordNotification,
+    markAllNotificationsRead,
+    clearNotifications,
+    subscribeToNotifications
+};
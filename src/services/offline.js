@@ -0,0 +1,221 @@
+import { STORES, idbGetAll, idbPut, idbDelete } from '../utils/indexedDb.js';
+import { isOnline, isAuthenticated, getCurrentUser, setOnline, setPendingChanges } from '../store/index.js';
+import { showAlert } from '../components/Alert.js';
+
+/**
+ * Offline support for FileFlow App
+ *
+ * - Registers the service worker (public/sw.js) that caches the app shell
+ *   and recently viewed folder listings
+ * - Keeps `isOnline` in the store up to date
+ * - Outbox: changes made while offline are saved in IndexedDB and replayed
+ *   when the connection (and a login) is back
+ *
+ * The outbox doesn't know how to replay anything itself. Each kind of change
+ * registers a handler:
+ *
+ *   registerOutboxHandler('batch', async (payload, entry) => {
+ *       ...replay through the API...
+ *       return { conflicts: ['a.jpg was changed on the server'] };
+ *   });
+ *
+ *   await addToOutbox('batch', payload, 'Rename 3 items');
+ *
+ * Changes are replayed in the order they were made. A missing handler, or one
+ * that throws without a response (still no network), stops the replay - the
+ * entry stays for next time. Any other error is reported and
+ * the entry is dropped so one bad change can't block the rest forever.
+ */
+
+const outboxHandlers = new Map();
+
+// Modules that register each kind's handler - loaded when an entry needs one
+const HANDLER_MODULES = {
+    batch: () => import('./bulkOperations.js'),
+    upload: () => import('./uploadQueue.js')
+};
+
+let replaying = false;
+let replayAgain = false; // something changed while replaying (e.g. a new handler) - go once more
+
+/**
+ * ====================================
+ * OUTBOX
+ * ====================================
+ */
+
+/**
+ * Outbox entries of the logged-in user, oldest first
+ */
+async function getOutboxEntries(){
+    const userId = getCurrentUser()?.id;
+    const entries = await idbGetAll(STORES.OUTBOX);
+    return entries
+        .filter(entry => entry.userId === userId)
+        .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+async function updatePendingCount(){
+    try{
+        setPendingChanges((await getOutboxEntries()).length);
+    } catch (error){
+        console.error('Failed to count outbox entries:', error);
+    }
+}
+
+/**
+ * Say how to replay one kind of change
+ *
+ * Handlers live in lazily loaded modules, so registering one also retries
+ * the replay - entries of that kind may have been waiting for it.
+ *
+ * @param {string} kind - e.g. 'batch', 'upload'
+ * @param {Function} handler - async (payload, entry) => ({ conflicts?: string[] })
+ */
+function registerOutboxHandler(kind, handler){
+    outboxHandlers.set(kind, handler);
+    replayOutbox();
+}
+
+/**
+ * Save a change to replay later
+ *
+ * @param {string} kind - A kind with a registered handler
+ * @param {Object} payload - Anything IndexedDB can store (Files included)
+ * @param {string} description - For the sync report, e.g. 'Rename 3 items'
+ */
+async function addToOutbox(kind, payload, description){
+    await idbPut(STORES.OUTBOX, {
+        id: crypto.randomUUID(),
+        userId: getCurrentUser()?.id,
+        kind,
+        payload,
+        description,
+        createdAt: Date.now()
+    });
+    await updatePendingCount();
+}
+
+/**
+ * Replay the outbox, oldest change first, and report what happened
+ */
+async function replayOutbox(){
+    if(!isOnline() || !isAuthenticated()) return;
+    if(replaying){
+        replayAgain = true;
+        return;
+    }
+    replaying = true;
+    replayAgain = false;
+
+    const synced = [];
+    const problems = [];
+    try{
+        for(const entry of await getOutboxEntries()){
+            const handler = outboxHandlers.get(entry.kind);
+            if(!handler){
+                // Its module hasn't loaded yet - stop here so later changes don't
+                // overtake this one; registering the handler replays again
+                console.log(`Loading the outbox handler for "${entry.kind}", replay paused`);
+                HANDLER_MODULES[entry.kind]?.().catch(error => {
+                    console.error(`Failed to load the outbox handler for "${entry.kind}":`, error);
+                });
+                break;
+            }
+
+            try{
+                const { conflicts = [] } = (await handler(entry.payload, entry)) || {};
+                conflicts.forEach(conflict => problems.push(`${entry.description}: ${conflict}`));
+                synced.push(entry);
+            } catch (error){
+                if(!error.response){
+                    console.log('Still offline, outbox replay stopped');
+                    break;
+                }
+                console.error(`Replaying "${entry.description}" failed:`, error);
+                const reason = error.response.status === 409
+                    ? 'changed on the server in the meantime'
+                    : error.response.data?.message || 'failed';
+                problems.push(`${entry.description}: ${reason}`);
+                synced.push(entry);
+            }
+            await idbDelete(STORES.OUTBOX, entry.id);
+        }
+    } catch (error){
+        console.error('Outbox replay failed:', error);
+    } finally{
+        replaying = false;
+        updatePendingCount();
+        if(replayAgain) replayOutbox();
+    }
+
+    if(!synced.length) return;
+    if(problems.length){
+        showAlert({
+            type: 'warning',
+            title: 'Some offline changes could not be applied',
+            message: problems.join(' · '),
+            duration: 12000
+        });
+    } else {
+        showAlert({ type: 'success', message: `Synced ${synced.length} change${synced.length === 1 ? '' : 's'} made offline.` });
+    }
+}
+
+/**
+ * ====================================
+ * SERVICE WORKER & CONNECTIVITY
+ * ====================================
+ */
+
+function registerServiceWorker(){
+    // Vite's dev server serves modules that change all the time - don't cache those
+    if(!import.meta.env?.PROD || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Tell the service worker to forget cached listings (on logout)
+ */
+function clearOfflineCache(){
+    navigator.serviceWorker?.controller?.postMessage({ type: 'clear-api-cache' });
+}
+
+/**
+ * Start offline support - call once on startup
+ */
+function initializeOffline(){
+    registerServiceWorker();
+
+    window.addEventListener('online', () => {
+        setOnline(true);
+        replayOutbox();
+    });
+    window.addEventListener('offline', () => setOnline(false));
+
+    window.addEventListener('user-login', () => {
+        updatePendingCount();
+        replayOutbox();
+    });
+    window.addEventListener('user-logout', () => {
+        clearOfflineCache();
+        setPendingChanges(0);
+    });
+
+    if(isAuthenticated()){
+        updatePendingCount();
+        replayOutbox();
+    }
+}
+
+export {
+    initializeOffline,
+
+    // outbox
+    registerOutboxHandler,
+    addToOutbox,
+    replayOutbox
+};
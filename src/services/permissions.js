@@ -0,0 +1,82 @@
+import { FOLDER_ROLES } from '../api/membersApi.js';
+import { getCurrentUser } from '../store/index.js';
+
+/**
+ * Permissions on files and folders
+ *
+ * What the current user may do with an item follows from their role on it
+ * (api/membersApi.js): the item's `ownerId` when it's the user's own, else
+ * the `myRole` the server sent. Items without either are taken to have the
+ * role of the folder they're in (the `fallbackRole`).
+ *
+ * Pages use can() to hide or disable buttons - the server checks again.
+ */
+
+// Each action needs at least this role
+const ACTIONS = {
+    view: FOLDER_ROLES.VIEWER,      // open, download
+    edit: FOLDER_ROLES.EDITOR,      // upload, rename, move, tag, delete, restore versions
+    manage: FOLDER_ROLES.OWNER      // members, share links
+};
+
+const ROLE_RANK = {
+    [FOLDER_ROLES.VIEWER]: 1,
+    [FOLDER_ROLES.EDITOR]: 2,
+    [FOLDER_ROLES.OWNER]: 3
+};
+
+const ROLE_LABELS = {
+    [FOLDER_ROLES.VIEWER]: 'Viewer',
+    [FOLDER_ROLES.EDITOR]: 'Editor',
+    [FOLDER_ROLES.OWNER]: 'Owner'
+};
+
+/**
+ * The current user's role on an item
+ *
+ * @param {Object} item - File or folder
+ * @param {string} [fallbackRole=owner] - Role on the folder the item is in
+ * @returns {string} One of FOLDER_ROLES
+ */
+function getItemRole(item, fallbackRole = FOLDER_ROLES.OWNER){
+    const user = getCurrentUser();
+    if(item?.ownerId && user?.id && item.ownerId === user.id) return FOLDER_ROLES.OWNER;
+    return item?.myRole || fallbackRole;
+}
+
+/**
+ * Does a role allow an action?
+ *
+ * @param {string} role
+ * @param {'view'|'edit'|'manage'} action
+ */
+function roleCan(role, action){
+    return (ROLE_RANK[role] || 0) >= ROLE_RANK[ACTIONS[action]];
+}
+
+/**
+ * May the current user do this with an item?
+ *
+ * @param {Object} item
+ * @param {'view'|'edit'|'manage'} action
+ * @param {string} [fallbackRole]
+ */
+function can(item, action, fallbackRole){
+    return roleCan(getItemRole(item, fallbackRole), action);
+}
+
+/**
+ * ...with every one of these items?
+ */
+function canAll(items, action, fallbackRole){
+    return items.every(item => can(item, action, fallbackRole));
+}
+
+export {
+    ROLE_LABELS,
+
+    getItemRole,
+    roleCan,
+    can,
+    canAll
+};
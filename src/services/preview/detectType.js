@@ -0,0 +1,133 @@
+/**
+ * File type detection for previews
+ *
+ * The MIME type a browser (or the backend) gives us is based on the file
+ * extension, which can be wrong or missing. So we look at the first bytes
+ * of the file ("magic bytes") first, and only fall back to the MIME type
+ * and extension if nothing matches.
+ *
+ * Kinds: 'image' | 'video' | 'audio' | 'pdf' | 'text' | 'other'
+ */
+
+// How many bytes we need to read to check every signature below
+const SNIFF_LENGTH = 512;
+
+// Turn a short ASCII string into byte values (for readable signatures)
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+
+/**
+ * Known file signatures
+ *
+ * offset: where the bytes start, extra: a second check further into the file
+ */
+const SIGNATURES = [
+    { kind: 'image', mime: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47] },
+    { kind: 'image', mime: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { kind: 'image', mime: 'image/gif', bytes: ascii('GIF8') },
+    { kind: 'image', mime: 'image/webp', bytes: ascii('RIFF'), extra: { offset: 8, bytes: ascii('WEBP') } },
+    { kind: 'pdf', mime: 'application/pdf', bytes: ascii('%PDF') },
+    { kind: 'audio', mime: 'audio/wav', bytes: ascii('RIFF'), extra: { offset: 8, bytes: ascii('WAVE') } },
+    // ISO media files all start with "ftyp" - the brand after it says what's inside.
+    // HEIC/AVIF photos use the same container as MP4 video, so check those first.
+    { kind: 'image', mime: 'image/avif', offset: 4, bytes: ascii('ftyp'), extra: { offset: 8, bytes: ascii('avif') } },
+    { kind: 'image', mime: 'image/avif', offset: 4, bytes: ascii('ftyp'), extra: { offset: 8, bytes: ascii('avis') } },
+    { kind: 'image', mime: 'image/heic', offset: 4, bytes: ascii('ftyp'), extra: { offset: 8, bytes: ascii('heic') } },
+    { kind: 'image', mime: 'image/heic', offset: 4, bytes: ascii('ftyp'), extra: { offset: 8, bytes: ascii('heix') } },
+    { kind: 'image', mime: 'image/heic-sequence', offset: 4, bytes: ascii('ftyp'), extra: { offset: 8, bytes: ascii('hevc') } },
+    { kind: 'image', mime: 'image/heif', offset: 4, bytes: ascii('ftyp'), extra: { offset: 8, bytes: ascii('mif1') } },
+    { kind: 'image', mime: 'image/heif-sequence', offset: 4, bytes: ascii('ftyp'), extra: { offset: 8, bytes: ascii('msf1') } },
+    { kind: 'audio', mime: 'audio/mp4', offset: 4, bytes: ascii('ftyp'), extra: { offset: 8, bytes: ascii('M4A') } },
+    { kind: 'video', mime: 'video/quicktime', offset: 4, bytes: ascii('ftyp'), extra: { offset: 8, bytes: ascii('qt') } },
+    { kind: 'video', mime: 'video/mp4', offset: 4, bytes: ascii('ftyp') },
+    { kind: 'video', mime: 'video/webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+    { kind: 'audio', mime: 'audio/ogg', bytes: ascii('OggS') },
+    { kind: 'audio', mime: 'audio/flac', bytes: ascii('fLaC') },
+    { kind: 'audio', mime: 'audio/mpeg', bytes: ascii('ID3') },
+    { kind: 'audio', mime: 'audio/mpeg', bytes: [0xFF, 0xFB] }
+];
+
+// Extensions we treat as text/code even when the MIME type says otherwise
+const TEXT_EXTENSIONS = [
+    'txt', 'md', 'csv', 'log', 'json', 'xml', 'yml', 'yaml', 'ini', 'toml',
+    'js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx', 'css', 'scss', 'html', 'htm',
+    'py', 'java', 'kt', 'go', 'rs', 'rb', 'php', 'c', 'h', 'cpp', 'cs', 'sh', 'sql'
+];
+
+/**
+ * Get the lower-case extension of a file name ('' if none)
+ */
+function getExtension(name = ''){
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+function matchesAt(bytes, offset, expected){
+    return expected.every((value, i) => bytes[offset + i] === value);
+}
+
+/**
+ * Check the magic bytes against known signatures
+ *
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {{kind: string, mime: string}|null}
+ */
+function sniffSignature(bytes){
+    const match = SIGNATURES.find(sig =>
+        matchesAt(bytes, sig.offset || 0, sig.bytes) &&
+        (!sig.extra || matchesAt(bytes, sig.extra.offset, sig.extra.bytes))
+    );
+    return match ? { kind: match.kind, mime: match.mime } : null;
+}
+
+/**
+ * Does this look like text? (no NUL bytes and mostly printable characters)
+ */
+function looksLikeText(bytes){
+    if(!bytes.length) return true;
+    let printable = 0;
+    for(const byte of bytes){
+        if(byte === 0) return false;
+        // Tab, newline, carriage return, printable ASCII or UTF-8 bytes
+        if(byte === 9 || byte === 10 || byte === 13 || byte >= 32) printable++;
+    }
+    return printable / bytes.length > 0.95;
+}
+
+/**
+ * Work out what kind of file this is
+ *
+ * @param {Object} source - Preview source (see sources.js)
+ * @returns {Promise<{kind: string, mime: string}>}
+ */
+async function detectFileType(source){
+    let bytes = new Uint8Array(0);
+    try{
+        bytes = new Uint8Array(await source.readBytes(0, Math.min(SNIFF_LENGTH, source.size || SNIFF_LENGTH)));
+    } catch (error){
+        console.warn('Could not read file header for preview, using MIME type:', error);
+    }
+
+    // 1) Magic bytes
+    const sniffed = sniffSignature(bytes);
+    if(sniffed) return sniffed;
+
+    // 2) MIME type
+    const mime = source.type || '';
+    const [group] = mime.split('/');
+    if(['image', 'video', 'audio'].includes(group)) return { kind: group, mime };
+    if(mime === 'application/pdf') return { kind: 'pdf', mime };
+
+    // 3) Text (by MIME, extension or content)
+    const extension = getExtension(source.name);
+    if(group === 'text' || TEXT_EXTENSIONS.includes(extension) || (bytes.length && looksLikeText(bytes))){
+        return { kind: 'text', mime: mime || 'text/plain' };
+    }
+
+    return { kind: 'other', mime: mime || 'application/octet-stream' };
+}
+
+export {
+    detectFileType,
+    sniffSignature,
+    getExtension
+};
@@ -0,0 +1,56 @@
+import { createPreviewSource } from './sources.js';
+import { detectFileType } from './detectType.js';
+import { RENDERERS, renderOther } from './renderers.js';
+
+/**
+ * File preview pipeline
+ *
+ * 1) Wrap the input (local File or remote file record) in a preview source
+ * 2) Detect what kind of file it is (magic bytes first, then MIME type)
+ * 3) Run the matching renderer and put its element in the container
+ *
+ * Usage:
+ *   const preview = await renderPreview(file, container);
+ *   ...
+ *   preview.release(); // when the preview is removed from the page
+ */
+
+/**
+ * Render a preview of a file into a container
+ *
+ * @param {File|Blob|Object} input - Local File/Blob, or a remote file record { id, name, size, mimeType }
+ * @param {HTMLElement} container - Where the preview goes (its content is replaced)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stop rendering (e.g. the element was removed)
+ * @returns {Promise<{kind: string, mime: string, release: Function}>}
+ */
+async function renderPreview(input, container, { signal } = {}){
+    const source = createPreviewSource(input);
+    container.innerHTML = '<span class="loading loading-spinner loading-md"></span>';
+
+    let detected = { kind: 'other', mime: source.type };
+    let element;
+    try{
+        detected = await detectFileType(source);
+        const renderer = RENDERERS[detected.kind] || renderOther;
+        element = await renderer(source);
+    } catch (error){
+        console.warn(`Preview of ${source.name} failed, showing a plain card:`, error);
+        element = await renderOther(source);
+    }
+
+    if(signal?.aborted){
+        source.release();
+        return { ...detected, release: () => {} };
+    }
+
+    container.replaceChildren(element);
+    return { ...detected, release: source.release };
+}
+
+export {
+    renderPreview
+};
+
+export { detectFileType } from './detectType.js';
+export { createPreviewSource } from './sources.js';
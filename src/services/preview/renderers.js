@@ -0,0 +1,293 @@
+import { highlightCode } from './syntaxHighlight.js';
+import { getExtension } from './detectType.js';
+import { escapeHtml, formatBytes } from '../../utils/format.js';
+
+/**
+ * Preview renderers - one per file kind
+ *
+ * Each renderer takes a preview source (see sources.js) and returns a
+ * Promise of the DOM element to show. They never touch the page themselves;
+ * the pipeline in index.js puts the element where it belongs.
+ */
+
+// Longest side of generated thumbnails, in px
+const THUMBNAIL_SIZE = 320;
+
+// Biggest audio file we decode fully to draw a waveform
+const MAX_WAVEFORM_BYTES = 30 * 1024 * 1024;
+
+// How long a video may take to show its first frame before we give up, in ms
+const MEDIA_TIMEOUT = 15000;
+
+// Width PDF pages are drawn at, in px (CSS scales them down to fit)
+const PDF_PAGE_WIDTH = 640;
+
+// How much of a text file we read, and how many lines we show
+const TEXT_SNIPPET_BYTES = 64 * 1024;
+const TEXT_SNIPPET_LINES = 40;
+
+/**
+ * ====================================
+ * HELPERS
+ * ====================================
+ */
+
+/**
+ * Resolve when `eventName` fires on `target`, reject on 'error' or after `timeout` ms
+ */
+function waitForEvent(target, eventName, timeout = MEDIA_TIMEOUT){
+    return new Promise((resolve, reject) => {
+        const settle = (callback) => {
+            clearTimeout(timer);
+            target.removeEventListener(eventName, onEvent);
+            target.removeEventListener('error', onError);
+            callback();
+        };
+        const onEvent = () => settle(resolve);
+        const onError = () => settle(() => reject(new Error(`Could not load media (${eventName})`)));
+        const timer = setTimeout(() => settle(() => reject(new Error(`Media took too long to load (${eventName})`))), timeout);
+
+        target.addEventListener(eventName, onEvent);
+        target.addEventListener('error', onError);
+    });
+}
+
+let pdfjsLoading = null;
+
+/**
+ * pdf.js is big - load it (and tell it where its worker is) for the first PDF
+ */
+function loadPdfJs(){
+    if(!pdfjsLoading){
+        pdfjsLoading = Promise.all([
+            import('pdfjs-dist'),
+            import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+        ]).then(([pdfjs, worker]) => {
+            pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+            return pdfjs;
+        });
+        // Try again next time (e.g. the chunk failed to download)
+        pdfjsLoading.catch(() => { pdfjsLoading = null; });
+    }
+    return pdfjsLoading;
+}
+
+/**
+ * Draw an image/video frame into a canvas no bigger than THUMBNAIL_SIZE
+ */
+function drawThumbnail(drawable, width, height){
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.className = 'rounded-box max-w-full h-auto';
+    canvas.getContext('2d').drawImage(drawable, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * ====================================
+ * RENDERERS
+ * ====================================
+ */
+
+/**
+ * Image -> scaled-down canvas thumbnail
+ */
+async function renderImage(source){
+    const img = new Image();
+    if(source.remote) img.crossOrigin = 'anonymous';
+    img.src = await source.getUrl();
+    await img.decode();
+    return drawThumbnail(img, img.naturalWidth, img.naturalHeight);
+}
+
+/**
+ * Video -> poster frame grabbed with canvas; click it to play
+ */
+async function renderVideo(source){
+    const url = await source.getUrl();
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    if(source.remote) video.crossOrigin = 'anonymous';
+    video.src = url;
+
+    try{
+        await waitForEvent(video, 'loadeddata');
+        // Skip black intro frames: 10% in, but at most 1s
+        video.currentTime = Math.min(1, (video.duration || 0) / 10);
+        await waitForEvent(video, 'seeked');
+    } catch (error){
+        // Stop the download - the pipeline shows a plain card instead
+        video.removeAttribute('src');
+        video.load();
+        throw error;
+    }
+
+    const poster = drawThumbnail(video, video.videoWidth, video.videoHeight);
+
+    const wrapper = document.createElement('button');
+    wrapper.type = 'button';
+    wrapper.className = 'relative block';
+    wrapper.title = 'Play video';
+    wrapper.append(poster);
+    wrapper.insertAdjacentHTML('beforeend', `
+        <span class="absolute inset-0 flex items-center justify-center">
+            <span class="btn btn-circle btn-sm">&#9654;</span>
+        </span>
+    `);
+
+    // Swap the poster for a real player when clicked
+    wrapper.addEventListener('click', () => {
+        video.controls = true;
+        video.muted = false;
+        video.className = 'rounded-box max-w-full';
+        try{
+            video.poster = poster.toDataURL('image/jpeg', 0.8);
+        } catch (error){
+            // Cross-origin frame without CORS headers - play without a poster
+        }
+        wrapper.replaceWith(video);
+        video.play();
+    }, { once: true });
+
+    return wrapper;
+}
+
+/**
+ * Audio -> waveform drawn from the decoded samples, plus a player
+ */
+async function renderAudio(source){
+    const wrapper = document.createElement('div');
+    wrapper.className = 'flex flex-col gap-2 w-full';
+
+    if(source.size && source.size <= MAX_WAVEFORM_BYTES){
+        try{
+            wrapper.append(await drawWaveform(source));
+        } catch (error){
+            console.warn('Could not draw waveform:', error);
+        }
+    }
+
+    const audio = document.createElement('audio');
+    audio.controls = true;
+    audio.preload = 'none';
+    audio.className = 'w-full';
+    audio.src = await source.getUrl();
+    wrapper.append(audio);
+    return wrapper;
+}
+
+/**
+ * Decode audio and draw one bar per slice of samples
+ */
+async function drawWaveform(source, bars = 100){
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    try{
+        const buffer = await context.decodeAudioData(await source.readBytes(0, source.size));
+        const samples = buffer.getChannelData(0);
+        const step = Math.max(1, Math.floor(samples.length / bars));
+
+        // Peak of each slice
+        const peaks = [];
+        for(let i = 0; i < bars; i++){
+            let peak = 0;
+            for(let j = i * step; j < Math.min((i + 1) * step, samples.length); j++){
+                peak = Math.max(peak, Math.abs(samples[j]));
+            }
+            peaks.push(peak);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = THUMBNAIL_SIZE;
+        canvas.height = 64;
+        canvas.className = 'w-full h-16';
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--color-primary') || '#570df8';
+
+        const barWidth = canvas.width / bars;
+        peaks.forEach((peak, i) => {
+            const height = Math.max(2, peak * canvas.height);
+            ctx.fillRect(i * barWidth, (canvas.height - height) / 2, Math.max(1, barWidth - 1), height);
+        });
+        return canvas;
+    } finally {
+        context.close();
+    }
+}
+
+/**
+ * PDF -> first page drawn into a canvas with pdf.js
+ *
+ * pdf.js fetches the URL with range requests where it can, so a big remote
+ * PDF isn't downloaded in full just for its first page.
+ */
+async function renderPdf(source){
+    const pdfjs = await loadPdfJs();
+    const loadingTask = pdfjs.getDocument({ url: await source.getUrl(), disableAutoFetch: true, disableStream: true });
+    try{
+        const pdf = await loadingTask.promise;
+        const page = await pdf.getPage(1);
+        const viewport = page.getViewport({ scale: PDF_PAGE_WIDTH / page.getViewport({ scale: 1 }).width });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+        canvas.className = 'rounded-box max-w-full h-auto bg-white shadow-sm';
+        canvas.title = pdf.numPages > 1 ? `Page 1 of ${pdf.numPages}` : source.name;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        return canvas;
+    } finally {
+        loadingTask.destroy();
+    }
+}
+
+/**
+ * Text / code -> first lines with simple syntax highlighting
+ */
+async function renderText(source){
+    const bytes = await source.readBytes(0, Math.min(TEXT_SNIPPET_BYTES, source.size || TEXT_SNIPPET_BYTES));
+    const text = new TextDecoder('utf-8').decode(bytes);
+    const lines = text.split(/\r?\n/);
+    const snippet = lines.slice(0, TEXT_SNIPPET_LINES).join('\n');
+    const truncated = lines.length > TEXT_SNIPPET_LINES || source.size > TEXT_SNIPPET_BYTES;
+
+    const pre = document.createElement('pre');
+    pre.className = 'text-xs bg-base-200 rounded-box p-3 overflow-auto max-h-96 w-full';
+    pre.innerHTML = `<code>${highlightCode(snippet, source.name)}</code>${truncated ? '\n<span class="opacity-60">…</span>' : ''}`;
+    return pre;
+}
+
+/**
+ * Anything else -> a simple file card
+ */
+async function renderOther(source){
+    const card = document.createElement('div');
+    card.className = 'flex flex-col items-center justify-center gap-1 p-6 rounded-box bg-base-200 w-full';
+    const extension = getExtension(source.name);
+    card.innerHTML = `
+        <span class="badge badge-neutral">${escapeHtml(extension ? extension.toUpperCase() : 'FILE')}</span>
+        <span class="text-sm truncate max-w-full">${escapeHtml(source.name)}</span>
+        <span class="text-xs opacity-70">${formatBytes(source.size)}</span>
+    `;
+    return card;
+}
+
+// Renderer for each kind returned by detectFileType()
+const RENDERERS = {
+    image: renderImage,
+    video: renderVideo,
+    audio: renderAudio,
+    pdf: renderPdf,
+    text: renderText,
+    other: renderOther
+};
+
+export {
+    RENDERERS,
+    renderOther,
+    THUMBNAIL_SIZE
+};
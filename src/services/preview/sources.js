@@ -0,0 +1,102 @@
+import api from '../../api/axiosInstance.js';
+
+/**
+ * Preview sources
+ *
+ * Renderers don't care whether a file is a local `File` (picked for upload)
+ * or a remote file from the API (listed in My Files). Both are wrapped in
+ * the same small interface:
+ *
+ *   {
+ *     name, size, type,              // basic info
+ *     readBytes(start, end),         // -> Promise<ArrayBuffer> of that byte range
+ *     getUrl(),                      // -> Promise<string> usable in <img>/<video>/<audio>/<embed>
+ *     release()                      // free anything getUrl() created
+ *   }
+ */
+
+/**
+ * Wrap a local File/Blob
+ *
+ * @param {File|Blob} file
+ */
+function createLocalSource(file){
+    let objectUrl = null;
+
+    return {
+        name: file.name || 'file',
+        size: file.size,
+        type: file.type,
+        readBytes: (start, end) => file.slice(start, end).arrayBuffer(),
+        getUrl: async () => {
+            if(!objectUrl) objectUrl = URL.createObjectURL(file);
+            return objectUrl;
+        },
+        release: () => {
+            if(objectUrl) URL.revokeObjectURL(objectUrl);
+            objectUrl = null;
+        }
+    };
+}
+
+/**
+ * Wrap a remote file record from the API
+ *
+ * Byte ranges come from the content endpoint with a Range header, so we never
+ * download a whole video just to look at it. Media elements can't send our
+ * Authorization header, so getUrl() asks the backend for a short-lived signed URL.
+ *
+ * Files opened through a share link carry `share: { token, password }` and are
+ * read through the public share endpoints instead (viewing never counts as a download).
+ * Older versions of a file carry `version: { id }` and are read from that version.
+ *
+ * @param {Object} file - File record: { id, name, size, mimeType, share?, version? }
+ */
+function createRemoteSource(file){
+    let signedUrl = null;
+
+    let basePath = `/files/${file.id}`;
+    if(file.share) basePath = `/public/shares/${encodeURIComponent(file.share.token)}/files/${file.id}`;
+    else if(file.version) basePath = `/files/${file.id}/versions/${encodeURIComponent(file.version.id)}`;
+    const shareHeaders = file.share?.password ? { 'X-Share-Password': file.share.password } : {};
+
+    return {
+        name: file.name,
+        size: file.size,
+        type: file.mimeType || file.type || '',
+        readBytes: async (start, end) => {
+            const { data } = await api.get(`${basePath}/content`, {
+                responseType: 'arraybuffer',
+                headers: { ...shareHeaders, Range: `bytes=${start}-${end - 1}` }
+            });
+            // Servers that ignore Range send everything - only keep what we asked for
+            return data.byteLength > end - start ? data.slice(0, end - start) : data;
+        },
+        getUrl: async () => {
+            if(!signedUrl){
+                const { data } = await api.get(`${basePath}/${file.share ? 'preview-url' : 'download-url'}`, { headers: shareHeaders });
+                signedUrl = data.url;
+            }
+            return signedUrl;
+        },
+        release: () => {
+            signedUrl = null;
+        },
+        remote: true
+    };
+}
+
+/**
+ * Wrap anything we can preview
+ *
+ * @param {File|Blob|Object} input - A local File/Blob or a remote file record
+ */
+function createPreviewSource(input){
+    return input instanceof Blob ? createLocalSource(input) : createRemoteSource(input);
+}
+
+export {
+    createPreviewSource,
+    createLocalSource,
+    createRemoteSource
+};
@@ -0,0 +1,135 @@
+import { escapeHtml } from '../../utils/format.js';
+import { getExtension } from './detectType.js';
+
+/**
+ * Very small syntax highlighter for text previews
+ *
+ * This is NOT a full parser - it only colours comments, strings, numbers
+ * and keywords, which is enough to make a code snippet readable.
+ * Everything goes through escapeHtml, so file contents can't inject markup.
+ */
+
+const C_LIKE_KEYWORDS = 'if else for while do switch case break continue return new class try catch finally throw this true false null';
+
+// Per-language settings, keyed by file extension
+const LANGUAGES = {
+    js: {
+        keywords: `${C_LIKE_KEYWORDS} const let var function extends import export from default async await typeof instanceof in of undefined yield`,
+        lineComment: '//', blockComment: true, backticks: true
+    },
+    ts: {
+        keywords: `${C_LIKE_KEYWORDS} const let var function extends implements interface type enum import export from default async await typeof keyof instanceof in of undefined readonly public private protected`,
+        lineComment: '//', blockComment: true, backticks: true
+    },
+    java: {
+        keywords: `${C_LIKE_KEYWORDS} public private protected static final void int long double float boolean char byte short extends implements interface enum import package abstract synchronized`,
+        lineComment: '//', blockComment: true
+    },
+    c: {
+        keywords: `${C_LIKE_KEYWORDS} int long double float char void struct typedef static const unsigned signed sizeof include define`,
+        lineComment: '//', blockComment: true
+    },
+    go: {
+        keywords: `${C_LIKE_KEYWORDS} func package import var const type struct interface map chan go defer range nil`,
+        lineComment: '//', blockComment: true, backticks: true
+    },
+    py: {
+        keywords: 'def class return if elif else for while in is import from as with try except finally raise lambda None True False and or not pass yield async await global',
+        lineComment: '#'
+    },
+    sh: {
+        keywords: 'if then else elif fi for in do done while case esac function return export local echo',
+        lineComment: '#'
+    },
+    sql: {
+        keywords: 'select from where and or not insert into values update set delete create table drop alter join left right inner outer on group by order having limit as null',
+        lineComment: '--', blockComment: true, ignoreCase: true
+    },
+    css: { keywords: 'important', blockComment: true },
+    json: { keywords: 'true false null' }
+};
+
+// Extensions that share another language's rules
+const ALIASES = {
+    mjs: 'js', cjs: 'js', jsx: 'js', tsx: 'ts', kt: 'java', cs: 'java', h: 'c', cpp: 'c',
+    rs: 'c', php: 'js', rb: 'py', yml: 'py', yaml: 'py', toml: 'py', scss: 'css'
+};
+
+// Tailwind/DaisyUI classes for each token type
+const TOKEN_CLASSES = {
+    comment: 'opacity-60 italic',
+    string: 'text-success',
+    number: 'text-warning',
+    keyword: 'text-primary font-semibold'
+};
+
+/**
+ * Get highlighting rules for a file name (null = plain text)
+ */
+function getLanguage(fileName){
+    const extension = getExtension(fileName);
+    return LANGUAGES[ALIASES[extension] || extension] || null;
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build one regex that finds every token type for a language
+ *
+ * Capture groups: 1 = comment, 2 = string, 3 = number, 4 = word
+ */
+function buildTokenPattern(language){
+    const comments = [];
+    if(language.blockComment) comments.push('\\/\\*[\\s\\S]*?(?:\\*\\/|$)');
+    if(language.lineComment) comments.push(`${escapeRegExp(language.lineComment)}.*`);
+
+    const strings = ['"(?:\\\\.|[^"\\\\\\n])*"', "'(?:\\\\.|[^'\\\\\\n])*'"];
+    if(language.backticks) strings.push('`(?:\\\\.|[^`\\\\])*`');
+
+    return new RegExp([
+        comments.length ? `(${comments.join('|')})` : '(?!)',
+        `(${strings.join('|')})`,
+        '(\\b\\d+(?:\\.\\d+)?\\b)',
+        '([A-Za-z_$][\\w$]*)'
+    ].join('|'), 'g');
+}
+
+/**
+ * Highlight a code snippet
+ *
+ * @param {string} code - Raw text
+ * @param {string} fileName - Used to pick the language
+ * @returns {string} Safe HTML
+ */
+function highlightCode(code, fileName){
+    const language = getLanguage(fileName);
+    if(!language){
+        return escapeHtml(code);
+    }
+
+    const keywords = new Set(language.keywords.split(' '));
+    const isKeyword = word => keywords.has(language.ignoreCase ? word.toLowerCase() : word);
+    const wrap = (type, text) => `<span class="${TOKEN_CLASSES[type]}">${escapeHtml(text)}</span>`;
+
+    let html = '';
+    let lastIndex = 0;
+
+    for(const match of code.matchAll(buildTokenPattern(language))){
+        const [text, comment, string, number, word] = match;
+        html += escapeHtml(code.slice(lastIndex, match.index));
+        lastIndex = match.index + text.length;
+
+        if(comment) html += wrap('comment', text);
+        else if(string) html += wrap('string', text);
+        else if(number) html += wrap('number', text);
+        else if(word && isKeyword(word)) html += wrap('keyword', text);
+        else html += escapeHtml(text);
+    }
+
+    return html + escapeHtml(code.slice(lastIndex));
+}
+
+export {
+    highlightCode,
+    getLanguage
+};
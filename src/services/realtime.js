@@ -0,0 +1,279 @@
+import api, { refreshTokens } from '../api/axiosInstance.js';
+import { ROOT_FOLDER_ID } from '../api/filesApi.js';
+import { subscribe, getAccessToken, getCurrentUser, isAuthenticated, isOnline } from '../store/index.js';
+import { invalidateFolder } from './folders.js';
+import { showAlert } from '../components/Alert.js';
+
+/**
+ * Realtime updates for FileFlow App
+ *
+ * One WebSocket to the backend's /events endpoint while the user is logged
+ * in. The server pushes what happens to the user's files - including what
+ * teammates do in shared folders - and pages update in place instead of
+ * going stale until a reload.
+ *
+ * Protocol (JSON text frames):
+ *   client -> { type: 'auth', token }              first frame, and again after every token refresh
+ *   server -> { type: 'ready' }                    token accepted
+ *   server -> { type: 'event', event: {
+ *                 id, name, occurredAt,
+ *                 actor: { id, displayName },       who did it
+ *                 data                              depends on the event, see EVENTS
+ *             } }
+ *   close code 4001 = token rejected (we refresh it and reconnect)
+ *
+ * Browsers can't send an Authorization header with a WebSocket, and a token
+ * in the URL ends up in server logs - hence the auth frame.
+ *
+ * Dropped connections reconnect with exponential backoff (plus jitter, so a
+ * server restart isn't hit by every tab at once). Nothing connects while
+ * logged out or offline.
+ *
+ * Usage:
+ *   const unsubscribe = subscribeToEvents('file.created', event => ...);
+ *   subscribeToEvents('*', event => ...);   // everything
+ *
+ * Point it at another server (e.g. mock/realtimeServer.js) with
+ * VITE_REALTIME_URL=ws://localhost:8081/events in .env.local
+ */
+
+// Event names and their `data`
+const EVENTS = {
+    FILE_CREATED: 'file.created',         // { item }          - uploaded, copied or folder made (item.folderId null = root)
+    FILE_UPDATED: 'file.updated',         // { item, previousFolderId }  - renamed, moved, tagged...
+    FILE_DELETED: 'file.deleted',         // { id, folderId, isFolder, name }
+    SHARE_ACCESSED: 'share.accessed',     // { shareId, itemId, itemName, scope }
+    UPLOAD_PROCESSED: 'upload.processed'  // { item }          - thumbnails/preview/indexing done
+};
+
+const RECONNECT_MIN_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Close codes
+const NORMAL_CLOSE = 1000;
+const TOKEN_REJECTED = 4001;
+
+let socket = null;
+let reconnectTimer = null;
+let attempts = 0;
+let sentToken = null;
+const listeners = new Map(); // event name (or '*') -> Set of listeners
+
+/**
+ * ====================================
+ * CONNECTION
+ * ====================================
+ */
+
+function getEventsUrl(){
+    if(import.meta.env?.VITE_REALTIME_URL) return import.meta.env.VITE_REALTIME_URL;
+    return `${api.defaults.baseURL.replace(/^http/, 'ws')}/events`;
+}
+
+function shouldConnect(){
+    return isAuthenticated() && isOnline();
+}
+
+async function connect(){
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if(socket || !shouldConnect()) return;
+
+    // Memory session backend right after a reload: no access token until the first refresh
+    if(!getAccessToken()){
+        try{
+            await refreshTokens();
+        } catch (error){
+            scheduleReconnect();
+            return;
+        }
+        if(socket || !shouldConnect()) return;
+    }
+
+    const ws = new WebSocket(getEventsUrl());
+    socket = ws;
+
+    ws.addEventListener('open', () => sendToken());
+    ws.addEventListener('message', (e) => handleMessage(e.data));
+    ws.addEventListener('close', (e) => {
+        if(socket !== ws) return;
+        socket = null;
+        sentToken = null;
+        if(e.code === NORMAL_CLOSE || !shouldConnect()) return;
+
+        if(e.code === TOKEN_REJECTED){
+            // Expired while connected - a fresh token, then try again (session.js logs out if that fails).
+            // Through the backoff like any other retry: a server that keeps rejecting fresh tokens isn't hammered.
+            refreshTokens().catch(() => {}).finally(scheduleReconnect);
+            return;
+        }
+        scheduleReconnect();
+    });
+    // 'close' always follows an 'error', that's where we reconnect
+    ws.addEventListener('error', () => {});
+}
+
+function disconnect(){
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    attempts = 0;
+    if(!socket) return;
+    const ws = socket;
+    socket = null;
+    sentToken = null;
+    ws.close(NORMAL_CLOSE);
+}
+
+/**
+ * 1s, 2s, 4s... up to RECONNECT_MAX_DELAY, each somewhere between half and all of that
+ */
+function scheduleReconnect(){
+    if(reconnectTimer || !shouldConnect()) return;
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_MIN_DELAY * 2 ** attempts);
+    attempts++;
+    reconnectTimer = setTimeout(connect, delay / 2 + Math.random() * delay / 2);
+}
+
+function sendToken(){
+    const token = getAccessToken();
+    if(!socket || socket.readyState !== WebSocket.OPEN || !token || token === sentToken) return;
+    socket.send(JSON.stringify({ type: 'auth', token }));
+    sentToken = token;
+}
+
+function handleMessage(raw){
+    let message;
+    try{
+        message = JSON.parse(raw);
+    } catch (error){
+        console.warn('Ignoring realtime message that is not JSON:', raw);
+        return;
+    }
+
+    if(message.type === 'ready'){
+        attempts = 0;
+    } else if(message.type === 'event' && message.event?.name){
+        emit(message.event);
+    }
+}
+
+/**
+ * ====================================
+ * SUBSCRIBERS
+ * ====================================
+ */
+
+/**
+ * Be told about an event
+ *
+ * @param {string} name - One of EVENTS, or '*' for every event
+ * @param {Function} listener - Called with { id, name, occurredAt, actor, data }
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToEvents(name, listener){
+    if(!listeners.has(name)) listeners.set(name, new Set());
+    listeners.get(name).add(listener);
+    return () => listeners.get(name)?.delete(listener);
+}
+
+function emit(event){
+    [...(listeners.get(event.name) || []), ...(listeners.get('*') || [])].forEach(listener => {
+        try{
+            listener(event);
+        } catch (error){
+            console.error('Error in realtime listener:', error);
+        }
+    });
+}
+
+/**
+ * Folder id from an event, as the rest of the app names it (null there = the root)
+ */
+function getEventFolderId(folderId){
+    return folderId ?? ROOT_FOLDER_ID;
+}
+
+/**
+ * Did someone else cause this? (our own actions already updated the page)
+ */
+function isFromSomeoneElse(event){
+    const user = getCurrentUser();
+    return Boolean(event.actor?.id) && event.actor.id !== user?.id;
+}
+
+/**
+ * ====================================
+ * NOTIFICATIONS + CACHES
+ * ====================================
+ */
+
+function getActorName(event){
+    return event.actor?.displayName || 'Someone';
+}
+
+// Events may leave the name out (e.g. items we can't see the details of)
+function getItemName(name, isFolder){
+    return name || (isFolder ? 'a folder' : 'a file');
+}
+
+function notify(event){
+    const { name, data = {} } = event;
+
+    if(name === EVENTS.SHARE_ACCESSED){
+        showAlert({ type: 'info', message: `${getActorName(event)} opened your shared link${data.itemName ? ` to ${data.itemName}` : ''}` });
+    } else if(name === EVENTS.UPLOAD_PROCESSED && !isFromSomeoneElse(event)){
+        showAlert({ type: 'success', message: data.item?.name ? `${data.item.name} is ready` : 'Your upload is ready' });
+    } else if(name === EVENTS.FILE_CREATED && isFromSomeoneElse(event)){
+        showAlert({ type: 'info', message: `${getActorName(event)} added ${getItemName(data.item?.name, data.item?.isFolder)}` });
+    } else if(name === EVENTS.FILE_DELETED && isFromSomeoneElse(event)){
+        showAlert({ type: 'info', message: `${getActorName(event)} deleted ${getItemName(data.name, data.isFolder)}` });
+    }
+}
+
+/**
+ * Folder changes make the cached folder lists (sidebar tree, My Files) stale
+ */
+function invalidateFolders({ name, data = {} }){
+    if(name === EVENTS.FILE_CREATED && data.item?.isFolder){
+        invalidateFolder(getEventFolderId(data.item.folderId));
+    } else if(name === EVENTS.FILE_UPDATED && data.item?.isFolder){
+        invalidateFolder(getEventFolderId(data.item.folderId), [data.item.id]);
+        if(data.previousFolderId !== undefined && data.previousFolderId !== data.item.folderId){
+            invalidateFolder(getEventFolderId(data.previousFolderId), [data.item.id]);
+        }
+    } else if(name === EVENTS.FILE_DELETED && data.isFolder){
+        invalidateFolder(getEventFolderId(data.folderId), [data.id]);
+    }
+}
+
+/**
+ * Connect while logged in and online - call once on startup
+ */
+function initializeRealtime(){
+    subscribeToEvents('*', invalidateFolders);
+    subscribeToEvents('*', notify);
+
+    let wasConnectable = false;
+    subscribe(() => {
+        const connectable = shouldConnect();
+        if(connectable !== wasConnectable){
+            wasConnectable = connectable;
+            if(connectable) connect();
+            else disconnect();
+        } else if(connectable){
+            // Refreshed token - keep the server's session alive with it
+            sendToken();
+        }
+    });
+
+    wasConnectable = shouldConnect();
+    if(wasConnectable) connect();
+}
+
+export {
+    EVENTS as REALTIME_EVENTS,
+
+    initializeRealtime,
+    subscribeToEvents,
+    getEventFolderId
+};
@@ -0,0 +1,180 @@
+import { getUserPreference, setUserPreference } from '../utils/preferences.js';
+
+/**
+ * Search query helpers
+ *
+ * The URL is the single source of truth for a search, so results can be
+ * bookmarked, shared and walked through with back/forward:
+ *
+ *   /search?q=invoice&type=document,image&minSize=1&maxSize=50
+ *          &from=2024-01-01&to=2024-12-31&owner=me&tags=tax,2024
+ *
+ * Sizes are in MB in the URL (readable), dates are YYYY-MM-DD and
+ * lists are comma separated. Pages read the query with parseSearchQuery()
+ * and navigate to getSearchUrl() to change it.
+ *
+ * Recent searches are kept per user (utils/preferences.js).
+ */
+
+const SEARCH_PATH = '/search';
+
+const RECENT_SEARCHES_KEY = 'search.recent';
+const MAX_RECENT_SEARCHES = 8;
+
+const MB = 1024 * 1024;
+
+/**
+ * ====================================
+ * QUERY <-> URL
+ * ====================================
+ */
+
+const splitList = (value) => (value || '').split(',').map(part => part.trim()).filter(Boolean);
+
+function parseNumber(value){
+    if(value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function parseDate(value){
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '';
+}
+
+/**
+ * Read a query out of a URL search string
+ *
+ * Anything malformed is dropped rather than sent to the API.
+ *
+ * @param {string} [search] - e.g. '?q=invoice&type=image'
+ * @returns {{q: string, types: string[], minSize: number|null, maxSize: number|null, from: string, to: string, owner: string, tags: string[]}}
+ */
+function parseSearchQuery(search = ''){
+    const params = new URLSearchParams(search);
+    return {
+        q: (params.get('q') || '').trim(),
+        types: splitList(params.get('type')),
+        minSize: parseNumber(params.get('minSize')),
+        maxSize: parseNumber(params.get('maxSize')),
+        from: parseDate(params.get('from')),
+        to: parseDate(params.get('to')),
+        owner: (params.get('owner') || '').trim(),
+        tags: splitList(params.get('tags'))
+    };
+}
+
+/**
+ * Build the /search URL for a query (empty filters are left out)
+ *
+ * @param {Object} query - Same shape as parseSearchQuery() returns, any field optional
+ * @returns {string}
+ */
+function getSearchUrl(query = {}){
+    const params = new URLSearchParams();
+    if(query.q) params.set('q', query.q);
+    if(query.types?.length) params.set('type', query.types.join(','));
+    if(query.minSize !== null && query.minSize !== undefined) params.set('minSize', String(query.minSize));
+    if(query.maxSize !== null && query.maxSize !== undefined) params.set('maxSize', String(query.maxSize));
+    if(query.from) params.set('from', query.from);
+    if(query.to) params.set('to', query.to);
+    if(query.owner) params.set('owner', query.owner);
+    if(query.tags?.length) params.set('tags', query.tags.join(','));
+
+    const search = params.toString();
+    return search ? `${SEARCH_PATH}?${search}` : SEARCH_PATH;
+}
+
+/**
+ * Is there anything to search for?
+ */
+function hasSearchCriteria(query){
+    return Boolean(query.q || query.types.length || query.minSize !== null || query.maxSize !== null
+        || query.from || query.to || query.owner || query.tags.length);
+}
+
+/**
+ * Turn a query into the params the /search endpoint expects
+ * (sizes in bytes, dates as full ISO timestamps, the `to` day included)
+ */
+function toApiParams(query){
+    const params = {};
+    if(query.q) params.q = query.q;
+    if(query.types.length) params.type = query.types.join(',');
+    if(query.minSize !== null) params.minSize = Math.round(query.minSize * MB);
+    if(query.maxSize !== null) params.maxSize = Math.round(query.maxSize * MB);
+    if(query.from) params.from = new Date(`${query.from}T00:00:00`).toISOString();
+    if(query.to) params.to = new Date(`${query.to}T23:59:59.999`).toISOString();
+    if(query.owner) params.owner = query.owner;
+    if(query.tags.length) params.tags = query.tags.join(',');
+    return params;
+}
+
+/**
+ * Short human description of a query, e.g. 'invoice · Images · #tax'
+ */
+function describeSearchQuery(query){
+    const parts = [];
+    if(query.q) parts.push(query.q);
+    if(query.types.length) parts.push(query.types.join(', '));
+    if(query.minSize !== null || query.maxSize !== null){
+        parts.push(`${query.minSize ?? 0}–${query.maxSize ?? '∞'} MB`);
+    }
+    if(query.from || query.to) parts.push(`${query.from || '…'} to ${query.to || '…'}`);
+    if(query.owner) parts.push(`owner: ${query.owner}`);
+    query.tags.forEach(tag => parts.push(`#${tag}`));
+    return parts.join(' · ');
+}
+
+/**
+ * ====================================
+ * RECENT SEARCHES
+ * ====================================
+ */
+
+/**
+ * The current user's recent searches, newest first
+ *
+ * @returns {Array<{url: string, label: string}>}
+ */
+function getRecentSearches(){
+    const recent = getUserPreference(RECENT_SEARCHES_KEY, []);
+    return Array.isArray(recent) ? recent : [];
+}
+
+/**
+ * Remember a search (moves it to the top if it was there already)
+ *
+ * @param {Object} query - Same shape as parseSearchQuery() returns
+ */
+function addRecentSearch(query){
+    if(!hasSearchCriteria(query)) return;
+    const url = getSearchUrl(query);
+    const recent = getRecentSearches().filter(entry => entry.url !== url);
+    recent.unshift({ url, label: describeSearchQuery(query) });
+    setUserPreference(RECENT_SEARCHES_KEY, recent.slice(0, MAX_RECENT_SEARCHES));
+}
+
+function removeRecentSearch(url){
+    setUserPreference(RECENT_SEARCHES_KEY, getRecentSearches().filter(entry => entry.url !== url));
+}
+
+function clearRecentSearches(){
+    setUserPreference(RECENT_SEARCHES_KEY, []);
+}
+
+export {
+    SEARCH_PATH,
+
+    // query <-> URL
+    parseSearchQuery,
+    getSearchUrl,
+    hasSearchCriteria,
+    toApiParams,
+    describeSearchQuery,
+
+    // recent searches
+    getRecentSearches,
+    addRecentSearch,
+    removeRecentSearch,
+    clearRecentSearches
+};
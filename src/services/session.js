@@ -0,0 +1,330 @@
+import { initializeStore, restoreSession, subscribe, getState, isAuthenticated, logoutUser, updateUser, getUploadQueue } from '../store/index.js';
+import { getSessionBackend } from '../store/sessionBackends.js';
+import { refreshTokens } from '../api/axiosInstance.js';
+import { logout as logoutOnServer } from '../api/authApi.js';
+import { showAlert } from '../components/Alert.js';
+
+/**
+ * Session lifecycle for FileFlow App
+ *
+ * - Restores the login on startup (memory backend: silent refresh with the cookie)
+ * - Keeps tabs in sync: logging in/out in one tab does the same in the others,
+ *   profile changes (updateUser) show up in all of them
+ *   (BroadcastChannel, or the storage event where that's missing).
+ *   Logins and new tokens only travel when the backend's storage is shared -
+ *   with the sessionStorage backend each tab keeps its own login.
+ * - Renews the access token just before its `exp` (one tab at a time) and
+ *   logs out when that fails
+ * - Logs out after IDLE_TIMEOUT without activity, with a warning toast first
+ *
+ * Automatic logouts fire `user-logout` with `detail.reason` ('expired' | 'idle')
+ * so the router can send the user to the login page and back afterwards.
+ */
+
+// Log out after this long without any activity (in any tab)
+const IDLE_TIMEOUT = 30 * 60 * 1000;
+
+// Warn this long before the idle logout
+const IDLE_WARNING = 2 * 60 * 1000;
+
+// Don't reset the idle timers on every mouse move - once every few seconds is plenty
+const ACTIVITY_THROTTLE = 5000;
+
+// Tell other tabs about activity at most once a minute
+const ACTIVITY_BROADCAST_INTERVAL = 60 * 1000;
+
+// Events that count as "the user is here"
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+const CHANNEL_NAME = 'fileflow-session';
+
+// localStorage key used to signal other tabs when BroadcastChannel isn't available
+const STORAGE_EVENT_KEY = 'fileflow:session-event';
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Renew the access token up to this long before it expires, at a random moment,
+// so tabs sharing a login don't all refresh at once - the first one broadcasts
+// 'tokens' and the others reschedule (api/axiosInstance.js also takes turns)
+const EXPIRY_JITTER = 30 * 1000;
+
+let channel = null;
+let previousState = null;
+let applyingRemoteChange = false;
+
+let expiryTimer = null;
+let idleWarningTimer = null;
+let idleLogoutTimer = null;
+let idleWarningToast = null;
+let lastActivity = 0;
+let lastActivityBroadcast = 0;
+
+/**
+ * ====================================
+ * HELPERS
+ * ====================================
+ */
+
+/**
+ * Read the payload of a JWT (no signature check - that's the server's job)
+ *
+ * @param {string} token
+ * @returns {Object|null}
+ */
+function decodeJwt(token){
+    try{
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+    } catch (error){
+        return null;
+    }
+}
+
+/**
+ * Log out because of expiry/idleness and tell the user why
+ */
+function endSession(reason, message){
+    if(!isAuthenticated()) return;
+    logoutUser();
+    window.dispatchEvent(new CustomEvent('user-logout', { detail: { reason } }));
+    showAlert({ type: 'info', message, duration: 8000 });
+}
+
+/**
+ * ====================================
+ * CROSS-TAB SYNC
+ * ====================================
+ */
+
+function broadcast(message){
+    if(channel){
+        channel.postMessage(message);
+        return;
+    }
+    // Fallback: writing a key fires the storage event in every other tab
+    try{
+        localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify({ ...message, at: Date.now() }));
+        localStorage.removeItem(STORAGE_EVENT_KEY);
+    } catch (error){
+        console.error('Failed to notify other tabs:', error);
+    }
+}
+
+/**
+ * Apply something another tab did, without echoing it back
+ */
+async function handleRemoteMessage(message){
+    applyingRemoteChange = true;
+    try{
+        if(message.type === 'login' && !isAuthenticated()){
+            restoreSession();
+            // Memory backend: this tab needs its own access token (the refresh cookie is shared)
+            if(!getState().accessToken) await refreshTokens();
+            window.dispatchEvent(new CustomEvent('user-login', { detail: { remote: true } }));
+        } else if(message.type === 'logout' && (isAuthenticated() || getState().user)){
+            logoutUser();
+            window.dispatchEvent(new CustomEvent('user-logout', { detail: { remote: true } }));
+        } else if(message.type === 'tokens' && !getSessionBackend().usesRefreshCookie){
+            // The other tab may have rotated the refresh token - ours would be stale now
+            restoreSession();
+        } else if(message.type === 'profile' && isAuthenticated()){
+            updateUser(message.user);
+        } else if(message.type === 'activity'){
+            registerActivity({ fromOtherTab: true });
+        }
+    } catch (error){
+        console.error(`Failed to sync "${message.type}" from another tab:`, error);
+    } finally{
+        applyingRemoteChange = false;
+    }
+}
+
+function listenToOtherTabs(){
+    if('BroadcastChannel' in window){
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', (e) => handleRemoteMessage(e.data));
+        return;
+    }
+
+    window.addEventListener('storage', (e) => {
+        if(e.key !== STORAGE_EVENT_KEY || !e.newValue) return;
+        try{
+            handleRemoteMessage(JSON.parse(e.newValue));
+        } catch (error){
+            console.error('Bad session message from another tab:', error);
+        }
+    });
+}
+
+/**
+ * ====================================
+ * TOKEN EXPIRY
+ * ====================================
+ */
+
+/**
+ * When the access token is about to expire, try to renew it; log out if that fails
+ */
+function scheduleExpiry(accessToken){
+    clearTimeout(expiryTimer);
+    const exp = decodeJwt(accessToken)?.exp;
+    if(!exp) return;
+
+    const renewAt = exp * 1000 - Math.random() * EXPIRY_JITTER;
+    const delay = Math.min(Math.max(renewAt - Date.now(), 0), MAX_TIMER_DELAY);
+    expiryTimer = setTimeout(async () => {
+        try{
+            await refreshTokens();
+        } catch (error){
+            // Offline: keep the session, the next API call after reconnecting refreshes it
+            if(!error.response) return;
+            console.log('Access token expired and could not be refreshed');
+            endSession('expired', 'Your session has expired. Please log in again.');
+        }
+    }, delay);
+}
+
+/**
+ * ====================================
+ * IDLE TIMEOUT
+ * ====================================
+ */
+
+function clearIdleTimers(){
+    clearTimeout(idleWarningTimer);
+    clearTimeout(idleLogoutTimer);
+    if(idleWarningToast){
+        idleWarningToast.dismiss();
+        idleWarningToast = null;
+    }
+}
+
+function startIdleTimers(){
+    clearIdleTimers();
+    if(!isAuthenticated()) return;
+
+    idleWarningTimer = setTimeout(() => {
+        idleWarningToast = showAlert({
+            type: 'warning',
+            message: `You'll be logged out in ${IDLE_WARNING / 60000} minutes because you've been inactive.`,
+            duration: IDLE_WARNING,
+            actions: [{ label: 'Stay logged in', primary: true, onClick: () => registerActivity() }]
+        });
+    }, IDLE_TIMEOUT - IDLE_WARNING);
+
+    idleLogoutTimer = setTimeout(() => {
+        // A running upload counts as activity - don't pull the plug on it
+        if(getUploadQueue().activeCount > 0){
+            registerActivity();
+            return;
+        }
+        endSession('idle', `You were logged out after ${IDLE_TIMEOUT / 60000} minutes of inactivity.`);
+    }, IDLE_TIMEOUT);
+}
+
+function registerActivity({ fromOtherTab = false } = {}){
+    const now = Date.now();
+    if(!isAuthenticated() || now - lastActivity < ACTIVITY_THROTTLE) return;
+    lastActivity = now;
+    startIdleTimers();
+
+    if(!fromOtherTab && now - lastActivityBroadcast > ACTIVITY_BROADCAST_INTERVAL){
+        lastActivityBroadcast = now;
+        broadcast({ type: 'activity' });
+    }
+}
+
+/**
+ * ====================================
+ * WATCHING THE STORE
+ * ====================================
+ */
+
+function handleStateChange(state){
+    const wasAuthenticated = Boolean(previousState?.isAuthenticated);
+    const nowAuthenticated = isAuthenticated();
+    const tokenChanged = state.accessToken !== previousState?.accessToken;
+    const userChanged = state.user !== previousState?.user;
+    const previousRefreshToken = previousState?.refreshToken;
+    previousState = state;
+
+    // Other tabs pick a login/new tokens up from the backend's storage - pointless if they can't see it
+    const shareSession = getSessionBackend().sharedBetweenTabs && !applyingRemoteChange;
+
+    if(!wasAuthenticated && nowAuthenticated){
+        if(shareSession) broadcast({ type: 'login' });
+        lastActivity = 0;
+        registerActivity({ fromOtherTab: true });
+    }
+
+    if(wasAuthenticated && !nowAuthenticated){
+        clearTimeout(expiryTimer);
+        clearIdleTimers();
+        if(!applyingRemoteChange){
+            broadcast({ type: 'logout' });
+            // Revoke the refresh token / clear the cookie - best effort
+            logoutOnServer(previousRefreshToken).catch(error => console.warn('Server logout failed:', error));
+        }
+    }
+
+    // Name, email, avatar... changed here (a token refresh already syncs through 'tokens')
+    if(wasAuthenticated && nowAuthenticated && userChanged && !tokenChanged && !applyingRemoteChange){
+        broadcast({ type: 'profile', user: state.user });
+    }
+
+    if(nowAuthenticated && tokenChanged){
+        scheduleExpiry(state.accessToken);
+        if(wasAuthenticated && shareSession) broadcast({ type: 'tokens' });
+    }
+}
+
+/**
+ * ====================================
+ * INITIALIZATION
+ * ====================================
+ */
+
+/**
+ * Restore the session and start watching it
+ *
+ * Call once on startup, before the router starts (guards need to know
+ * whether the user is logged in).
+ */
+async function initializeSession(){
+    const session = initializeStore();
+
+    // Memory backend: we know who was logged in, but need a new access token
+    if(session && !session.accessToken){
+        try{
+            await refreshTokens();
+        } catch (error){
+            if(error.response){
+                console.log('No valid refresh cookie, starting logged out');
+                logoutUser();
+            } else {
+                // Offline (or server down): keep the session for offline browsing,
+                // the first API call after reconnecting refreshes the token
+                console.log('Could not reach the server, keeping the saved session');
+            }
+        }
+    }
+
+    previousState = getState();
+    subscribe(handleStateChange);
+    listenToOtherTabs();
+
+    ACTIVITY_EVENTS.forEach(eventName => {
+        window.addEventListener(eventName, () => registerActivity(), { passive: true, capture: true });
+    });
+
+    if(isAuthenticated()){
+        scheduleExpiry(getState().accessToken);
+        registerActivity({ fromOtherTab: true });
+    }
+}
+
+export {
+    IDLE_TIMEOUT,
+    initializeSession
+};
@@ -0,0 +1,225 @@
+import { getStorageUsage } from '../api/storageApi.js';
+import { isAuthenticated } from '../store/index.js';
+import { navigateTo } from '../router/Router.js';
+import { getUserPreference, setUserPreference } from '../utils/preferences.js';
+import { formatBytes } from '../utils/format.js';
+import { showAlert } from '../components/Alert.js';
+
+/**
+ * Storage quota
+ *
+ * Keeps the last known "used / quota" numbers in memory, so the upload
+ * queue can refuse files that won't fit before a single byte is sent
+ * (checkQuota()). The numbers are loaded on login, after files are
+ * deleted or restored and whenever the dashboard asks for the full usage;
+ * finished uploads are added straight away and then confirmed by a
+ * reload a moment later.
+ *
+ * When usage passes WARNING_LEVELS (80%, then 95%) a warning stays on
+ * screen until the user closes it. Each level warns once - the level
+ * already warned about is saved per user, and drops back when space is
+ * freed, so filling up again warns again.
+ */
+
+const WARNING_LEVELS = [0.8, 0.95];
+
+const WARNED_LEVEL_PREFERENCE = 'storage.warnedLevel';
+
+// Wait for a burst of finished uploads before asking the server again
+const REFRESH_DELAY = 2000;
+
+// { usedBytes, quotaBytes } - null until loaded
+let quota = null;
+let usageRequest = null;
+let refreshTimer = null;
+let warningToast = null;
+
+/**
+ * ====================================
+ * LOADING
+ * ====================================
+ */
+
+/**
+ * Full usage breakdown from the server (see getStorageUsage() in api/storageApi.js)
+ *
+ * Also updates the cached numbers and shows a warning if a new level was passed.
+ * Calls made while a request is running share it.
+ *
+ * @returns {Promise<Object>}
+ */
+function loadStorageUsage(){
+    if(!usageRequest){
+        usageRequest = getStorageUsage()
+            .then(usage => {
+                setQuota(usage.usedBytes, usage.quotaBytes);
+                return usage;
+            })
+            .finally(() => { usageRequest = null; });
+    }
+    return usageRequest;
+}
+
+/**
+ * Reload the numbers soon, without bothering anyone if that fails
+ */
+function scheduleRefresh(){
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => {
+        if(!isAuthenticated()) return;
+        loadStorageUsage().catch(error => console.warn('Failed to refresh storage usage:', error));
+    }, REFRESH_DELAY);
+}
+
+/**
+ * An upload finished - count it now, the server's numbers follow
+ *
+ * @param {number} bytes
+ */
+function addUsedBytes(bytes){
+    if(quota) setQuota(quota.usedBytes + bytes, quota.quotaBytes);
+    scheduleRefresh();
+}
+
+function setQuota(usedBytes, quotaBytes){
+    quota = { usedBytes, quotaBytes };
+    checkWarningLevel();
+}
+
+/**
+ * The last known numbers
+ *
+ * @returns {{usedBytes: number, quotaBytes: number}|null} null before the first load
+ */
+function getStorageQuota(){
+    return quota;
+}
+
+/**
+ * Share of the quota in use, 0..1 (0 when there is no quota)
+ */
+function getUsageRatio(usedBytes, quotaBytes){
+    return quotaBytes > 0 ? usedBytes / quotaBytes : 0;
+}
+
+/**
+ * ====================================
+ * UPLOAD CHECK
+ * ====================================
+ */
+
+/**
+ * Which files fit in the remaining space?
+ *
+ * Files are taken in order while they fit; ones that don't are refused
+ * (a smaller file after them may still fit). Without numbers yet, or
+ * without a quota, everything is accepted - the server has the last word.
+ *
+ * @param {File[]} files
+ * @param {number} [reservedBytes=0] - Space already promised to uploads that haven't finished
+ * @returns {{accepted: File[], refused: File[], freeBytes: number}} freeBytes is before these files
+ */
+function checkQuota(files, reservedBytes = 0){
+    if(!quota || !(quota.quotaBytes > 0)){
+        return { accepted: [...files], refused: [], freeBytes: Infinity };
+    }
+
+    const freeBytes = Math.max(0, quota.quotaBytes - quota.usedBytes - reservedBytes);
+    let left = freeBytes;
+    const accepted = [];
+    const refused = [];
+    files.forEach(file => {
+        if(file.size <= left){
+            accepted.push(file);
+            left -= file.size;
+        } else {
+            refused.push(file);
+        }
+    });
+    return { accepted, refused, freeBytes };
+}
+
+/**
+ * ====================================
+ * WARNINGS
+ * ====================================
+ */
+
+/**
+ * Highest warning level the usage has reached (0 = none)
+ */
+function getWarningLevel(usedBytes, quotaBytes){
+    const ratio = getUsageRatio(usedBytes, quotaBytes);
+    return WARNING_LEVELS.filter(level => ratio >= level).pop() || 0;
+}
+
+function checkWarningLevel(){
+    const level = getWarningLevel(quota.usedBytes, quota.quotaBytes);
+    const warned = getUserPreference(WARNED_LEVEL_PREFERENCE, 0);
+    if(level === warned) return;
+
+    setUserPreference(WARNED_LEVEL_PREFERENCE, level);
+    if(level > warned) showQuotaWarning(level);
+    else if(!level) warningToast?.dismiss();
+}
+
+/**
+ * Stays until closed - one warning at a time, the newest level replaces the old one
+ */
+function showQuotaWarning(level){
+    warningToast?.dismiss();
+
+    const { usedBytes, quotaBytes } = quota;
+    const percent = Math.floor(getUsageRatio(usedBytes, quotaBytes) * 100);
+    const toast = showAlert({
+        type: level >= WARNING_LEVELS[WARNING_LEVELS.length - 1] ? 'error' : 'warning',
+        message: `You've used ${percent}% of your storage (${formatBytes(usedBytes)} of ${formatBytes(quotaBytes)}). `
+            + 'Uploads that don\'t fit will be refused - empty the trash or delete files you no longer need.',
+        duration: 0,
+        history: true,
+        actions: [
+            { label: 'Dismiss', onClick: () => toast.dismiss() },
+            { label: 'See usage', primary: true, onClick: () => {
+                toast.dismiss();
+                navigateTo('/dashboard');
+            } }
+        ]
+    });
+    warningToast = toast;
+}
+
+/**
+ * ====================================
+ * SETUP
+ * ====================================
+ */
+
+/**
+ * Keep the numbers current - call once on startup
+ */
+function initializeStorageQuota(){
+    window.addEventListener('user-login', scheduleRefresh);
+    window.addEventListener('user-logout', () => {
+        clearTimeout(refreshTimer);
+        quota = null;
+        warningToast?.dismiss();
+        warningToast = null;
+    });
+
+    // Deleted, restored, trash emptied...
+    window.addEventListener('files-changed', scheduleRefresh);
+
+    if(isAuthenticated()) scheduleRefresh();
+}
+
+export {
+    WARNING_LEVELS,
+
+    initializeStorageQuota,
+    loadStorageUsage,
+    getStorageQuota,
+    getUsageRatio,
+    getWarningLevel,
+    addUsedBytes,
+    checkQuota
+};
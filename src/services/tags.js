@@ -0,0 +1,96 @@
+import { updateFile } from '../api/filesApi.js';
+import { getTags } from '../api/tagsApi.js';
+import { showAlert } from '../components/Alert.js';
+
+/**
+ * Tags & favourites
+ *
+ * - Starring/unstarring files and editing their tags, with error toasts
+ * - Tag suggestions for autocomplete (cached per prefix for a short while,
+ *   so typing back and forth doesn't hit the server every keystroke)
+ *
+ * Tags are stored lowercase with dashes (normalizeTag), so "Client X"
+ * and "client-x" are the same tag.
+ */
+
+const SUGGESTION_CACHE_TIME = 60 * 1000;
+const MAX_TAG_LENGTH = 40;
+
+// prefix -> { at, request }
+const suggestionCache = new Map();
+
+/**
+ * Clean up what the user typed into a tag ('' if nothing is left)
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeTag(text){
+    return String(text || '')
+        .trim()
+        .replace(/^#/, '')
+        .toLowerCase()
+        .replace(/[\s_]+/g, '-')
+        .replace(/[^\p{L}\p{N}-]/gu, '')
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Tags matching what was typed so far, most used first
+ *
+ * @param {string} text
+ * @returns {Promise<string[]>}
+ */
+async function suggestTags(text){
+    const prefix = normalizeTag(text);
+    const cached = suggestionCache.get(prefix);
+    if(!cached || Date.now() - cached.at > SUGGESTION_CACHE_TIME){
+        const request = getTags(prefix).then(tags => tags.map(tag => tag.name));
+        request.catch(() => suggestionCache.delete(prefix));
+        suggestionCache.set(prefix, { at: Date.now(), request });
+    }
+    return suggestionCache.get(prefix).request;
+}
+
+/**
+ * Star or unstar a file
+ *
+ * @param {Object} item - File with `starred`
+ * @returns {Promise<Object>} The updated file
+ */
+async function toggleStar(item){
+    try{
+        return await updateFile(item.id, { starred: !item.starred });
+    } catch (error){
+        console.error('Failed to change favourite:', error);
+        showAlert({ type: 'error', message: `Could not ${item.starred ? 'unstar' : 'star'} ${item.name}.` });
+        throw error;
+    }
+}
+
+/**
+ * Replace a file's tags
+ *
+ * @param {Object} item - File
+ * @param {string[]} tags
+ * @returns {Promise<Object>} The updated file
+ */
+async function saveTags(item, tags){
+    try{
+        const updated = await updateFile(item.id, { tags });
+        // New tags should show up in autocomplete straight away
+        suggestionCache.clear();
+        return updated;
+    } catch (error){
+        console.error('Failed to save tags:', error);
+        showAlert({ type: 'error', message: error.response?.data?.message || `Could not save the tags of ${item.name}.` });
+        throw error;
+    }
+}
+
+export {
+    normalizeTag,
+    suggestTags,
+    toggleStar,
+    saveTags
+};
@@ -0,0 +1,502 @@
+import axios from 'axios';
+import api from '../api/axiosInstance.js';
+import { STORES, idbGet, idbGetAll, idbPut, idbDelete } from '../utils/indexedDb.js';
+import { hashFile, isHashingSupported, HASH_ALGORITHM } from './fileHash.js';
+
+/**
+ * Upload Manager for FileFlow App
+ *
+ * Big files (multi-GB videos) can't go up in one POST, so this module:
+ * - Splits each file into chunks and sends them one by one through our axios instance
+ * - Reports progress per file and for all uploads together
+ * - Retries a failed chunk with exponential backoff
+ * - Keeps upload sessions in IndexedDB so an upload can resume after a page reload
+ * - Hashes each file first (SHA-256, in a worker - see fileHash.js): content the
+ *   server already has isn't sent again, and the server checks the hash of
+ *   what arrived when the upload completes
+ *
+ * Backend flow:
+ *   POST /uploads/dedupe                   -> { file } if the server already has this content
+ *                                             (the file is created from it), else { file: null }
+ *   POST /uploads                          -> start a session, returns { uploadId }
+ *   GET  /uploads/:uploadId                -> which chunks the server already has
+ *   PUT  /uploads/:uploadId/chunks/:index  -> send one chunk
+ *   POST /uploads/:uploadId/complete       -> stitch chunks together, returns the file
+ *                                             (422 CHECKSUM_MISMATCH if the content doesn't match the hash)
+ *
+ * A file with the same name in the same folder isn't overwritten: the upload
+ * becomes its newest version (the returned file's `versionNumber` is > 1).
+ */
+
+/**
+ * ====================================
+ * SETTINGS
+ * ====================================
+ */
+
+const CHUNK_SIZE = 8 * 1024 * 1024; // 8 MB per chunk
+const MAX_RETRIES = 5; // Attempts per chunk before giving up
+const BASE_RETRY_DELAY = 1000; // First retry waits ~1s, then 2s, 4s, ...
+const NAME_CONFLICT_POLICY = 'version'; // Same name in the same folder -> keep the old file as a version
+
+/**
+ * ====================================
+ * UPLOAD STATE + LISTENERS
+ * ====================================
+ */
+
+// Uploads started in this page session, keyed by file fingerprint
+const uploads = new Map();
+
+let listeners = [];
+
+/**
+ * Subscribe to upload progress changes
+ *
+ * @param {Function} listener - Called with the list of uploads and overall progress
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribeToUploads(listener){
+    listeners.push(listener);
+    return () => {
+        listeners = listeners.filter(l => l !== listener);
+    };
+}
+
+function notifyUploadListeners(){
+    const snapshot = getUploads();
+    const overall = getOverallProgress();
+    listeners.forEach(listener => {
+        try{
+            listener(snapshot, overall);
+        } catch (error){
+            console.error('Error in upload listener:', error);
+        }
+    });
+}
+
+/**
+ * Get a copy of every upload we know about in this page session
+ *
+ * @returns {Array<Object>}
+ */
+function getUploads(){
+    return Array.from(uploads.values()).map(entry => ({ ...entry }));
+}
+
+/**
+ * Progress of all uploads together
+ *
+ * @returns {{ totalBytes: number, uploadedBytes: number, percent: number }}
+ */
+function getOverallProgress(){
+    let totalBytes = 0;
+    let uploadedBytes = 0;
+    uploads.forEach(entry => {
+        if(entry.status === 'aborted') return;
+        totalBytes += entry.size;
+        uploadedBytes += entry.uploadedBytes;
+    });
+    const percent = totalBytes ? Math.round((uploadedBytes / totalBytes) * 100) : 0;
+    return { totalBytes, uploadedBytes, percent };
+}
+
+/**
+ * Update one upload entry and tell listeners
+ */
+function updateEntry(id, changes){
+    const entry = uploads.get(id);
+    if(!entry) return;
+    Object.assign(entry, changes);
+    entry.percent = entry.size ? Math.round((entry.uploadedBytes / entry.size) * 100) : 100;
+    entry.hashPercent = entry.size ? Math.round((entry.hashedBytes / entry.size) * 100) : 100;
+    notifyUploadListeners();
+}
+
+/**
+ * Forget uploads that are done (completed, failed or aborted)
+ */
+function clearFinishedUploads(){
+    uploads.forEach((entry, id) => {
+        if(['completed', 'failed', 'aborted'].includes(entry.status)){
+            uploads.delete(id);
+        }
+    });
+    notifyUploadListeners();
+}
+
+/**
+ * ====================================
+ * SESSION PERSISTENCE (IndexedDB)
+ * ====================================
+ */
+
+/**
+ * Build a stable id for a file so the same file picked again after a reload
+ * matches its saved session
+ *
+ * @param {File} file
+ * @param {string|null} folderId - Target folder
+ * @returns {string}
+ */
+function getFileFingerprint(file, folderId = null){
+    return [folderId || 'root', file.name, file.size, file.lastModified].join(':');
+}
+
+// IndexedDB can be unavailable (private mode etc.) - uploads still work, just can't resume
+async function saveSession(session){
+    try{
+        await idbPut(STORES.UPLOAD_SESSIONS, session);
+    } catch (error){
+        console.warn('Could not save upload session:', error);
+    }
+}
+
+async function loadSession(id){
+    try{
+        return await idbGet(STORES.UPLOAD_SESSIONS, id);
+    } catch (error){
+        console.warn('Could not load upload session:', error);
+        return null;
+    }
+}
+
+async function removeSession(id){
+    try{
+        await idbDelete(STORES.UPLOAD_SESSIONS, id);
+    } catch (error){
+        console.warn('Could not remove upload session:', error);
+    }
+}
+
+/**
+ * List uploads that were interrupted (e.g. by a page reload)
+ *
+ * The browser can't give us the file back, so the user has to pick the
+ * same file again - uploadFile() then continues from the last chunk.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function getPendingUploads(){
+    try{
+        return await idbGetAll(STORES.UPLOAD_SESSIONS);
+    } catch (error){
+        console.warn('Could not read pending uploads:', error);
+        return [];
+    }
+}
+
+/**
+ * Throw away an interrupted upload
+ *
+ * @param {string} id - Session id (file fingerprint)
+ */
+async function discardPendingUpload(id){
+    const session = await loadSession(id);
+    await removeSession(id);
+    if(session){
+        // Let the server free the chunks too (not critical if it fails)
+        api.delete(`/uploads/${session.uploadId}`).catch(() => {});
+    }
+}
+
+/**
+ * Get a session for this file - resume the saved one or start a new one
+ *
+ * @param {File} file
+ * @param {string|null} folderId
+ * @param {Object|null} saved - Session saved by an earlier attempt
+ * @param {string|null} sha256 - Content hash (null when it couldn't be computed)
+ */
+async function startSession(file, folderId, saved, sha256){
+    const id = getFileFingerprint(file, folderId);
+
+    if(saved){
+        try{
+            // The server is the source of truth for which chunks arrived
+            const { data } = await api.get(`/uploads/${saved.uploadId}`);
+            const session = { ...saved, completedChunks: data.receivedChunks || [] };
+            await saveSession(session);
+            console.log(`Resuming upload of ${file.name} (${session.completedChunks.length}/${session.totalChunks} chunks)`);
+            return session;
+        } catch (error){
+            // Session expired on the server - start over
+            console.warn('Saved upload session is no longer valid, starting over:', error);
+            await removeSession(id);
+        }
+    }
+
+    const totalChunks = Math.max(1, Math.ceil(file.size / CHUNK_SIZE));
+    const { data } = await api.post('/uploads', {
+        fileName: file.name,
+        size: file.size,
+        mimeType: file.type || 'application/octet-stream',
+        chunkSize: CHUNK_SIZE,
+        totalChunks,
+        folderId,
+        onNameConflict: NAME_CONFLICT_POLICY,
+        checksum: sha256,
+        checksumAlgorithm: sha256 ? HASH_ALGORITHM : null
+    });
+
+    const session = {
+        id,
+        uploadId: data.uploadId,
+        fileName: file.name,
+        size: file.size,
+        mimeType: file.type,
+        folderId,
+        chunkSize: CHUNK_SIZE,
+        totalChunks,
+        completedChunks: [],
+        sha256,
+        createdAt: new Date().toISOString()
+    };
+    await saveSession(session);
+    return session;
+}
+
+/**
+ * ====================================
+ * HASHING + DEDUPLICATION
+ * ====================================
+ */
+
+/**
+ * SHA-256 of the file, with hashing progress on the upload entry
+ *
+ * Hashing is what makes skipping and checking possible, not what makes the
+ * upload work - if it fails the file is uploaded without a hash.
+ *
+ * @returns {Promise<string|null>}
+ */
+async function computeHash(id, file, signal){
+    if(!isHashingSupported()) return null;
+    try{
+        return await hashFile(file, {
+            signal,
+            onProgress: hashedBytes => updateEntry(id, { hashedBytes })
+        });
+    } catch (error){
+        if(axios.isCancel(error)) throw error;
+        console.warn(`Could not hash ${file.name}, uploading without a checksum:`, error);
+        return null;
+    }
+}
+
+/**
+ * Ask the server whether it already stores this content
+ *
+ * @returns {Promise<Object|null>} The new file record when the content was known, else null
+ */
+async function findExistingContent(file, folderId, sha256, signal){
+    try{
+        const { data } = await api.post('/uploads/dedupe', {
+            checksum: sha256,
+            checksumAlgorithm: HASH_ALGORITHM,
+            fileName: file.name,
+            size: file.size,
+            mimeType: file.type || 'application/octet-stream',
+            folderId,
+            onNameConflict: NAME_CONFLICT_POLICY
+        }, { signal });
+        return data?.file || null;
+    } catch (error){
+        if(axios.isCancel(error)) throw error;
+        // Only an optimisation - send the bytes instead
+        console.warn('Deduplication check failed, uploading the file:', error);
+        return null;
+    }
+}
+
+function isChecksumMismatch(error){
+    return error.response?.status === 422 && error.response.data?.code === 'CHECKSUM_MISMATCH';
+}
+
+/**
+ * ====================================
+ * CHUNK UPLOADING
+ * ====================================
+ */
+
+/**
+ * Wait for `ms`, but stop early if the signal aborts
+ */
+function wait(ms, signal){
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new axios.CanceledError('Upload aborted'));
+        }, { once: true });
+    });
+}
+
+/**
+ * Should this error be retried?
+ *
+ * Network errors, timeouts, rate limits and 5xx are worth another try.
+ * Other 4xx mean the request itself is wrong, so retrying won't help.
+ */
+function isRetryable(error){
+    if(axios.isCancel(error)) return false;
+    if(!error.response) return true;
+    const status = error.response.status;
+    return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Send one chunk, retrying with exponential backoff
+ *
+ * @param {Object} session - Upload session
+ * @param {File} file - The file being uploaded
+ * @param {number} index - Chunk number
+ * @param {Function} onChunkProgress - Called with bytes of this chunk sent so far
+ * @param {AbortSignal} [signal]
+ */
+async function uploadChunk(session, file, index, onChunkProgress, signal){
+    const start = index * session.chunkSize;
+    const end = Math.min(start + session.chunkSize, file.size);
+    const chunk = file.slice(start, end);
+
+    for(let attempt = 0; ; attempt++){
+        try{
+            await api.put(`/uploads/${session.uploadId}/chunks/${index}`, chunk, {
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Range': `bytes ${start}-${end - 1}/${file.size}`
+                },
+                signal,
+                onUploadProgress: event => onChunkProgress(event.loaded)
+            });
+            return;
+        } catch (error){
+            if(!isRetryable(error) || attempt + 1 >= MAX_RETRIES){
+                throw error;
+            }
+            // 1s, 2s, 4s, ... plus some jitter so many clients don't retry in sync
+            const delay = BASE_RETRY_DELAY * Math.pow(2, attempt) + Math.random() * 250;
+            console.warn(`Chunk ${index} of ${file.name} failed, retrying in ${Math.round(delay)}ms`, error);
+            onChunkProgress(0);
+            await wait(delay, signal);
+        }
+    }
+}
+
+/**
+ * Upload a file in chunks
+ *
+ * The file is hashed first (status 'hashing', progress in hashedBytes /
+ * hashPercent). If the server already has the content, nothing is sent and
+ * the returned file has `deduplicated: true`.
+ *
+ * Picking the same file again (same name, size, last modified and folder)
+ * after an interruption continues where it stopped - without hashing again.
+ *
+ * @param {File} file - File to upload
+ * @param {Object} [options]
+ * @param {string|null} [options.folderId=null] - Target folder
+ * @param {AbortSignal} [options.signal] - Abort the upload (session is kept so it can resume)
+ * @returns {Promise<Object>} The file record from the backend
+ */
+async function uploadFile(file, { folderId = null, signal } = {}){
+    const id = getFileFingerprint(file, folderId);
+
+    uploads.set(id, {
+        id,
+        fileName: file.name,
+        size: file.size,
+        hashedBytes: 0,
+        hashPercent: 0,
+        uploadedBytes: 0,
+        percent: 0,
+        status: 'hashing',
+        error: null,
+        result: null
+    });
+    notifyUploadListeners();
+
+    try{
+        const saved = await loadSession(id);
+        const sha256 = saved ? saved.sha256 || null : await computeHash(id, file, signal);
+        updateEntry(id, { status: 'uploading', hashedBytes: file.size });
+
+        // A resumed session already has chunks on the server - just finish it
+        if(sha256 && !saved){
+            const existing = await findExistingContent(file, folderId, sha256, signal);
+            if(existing){
+                const result = { ...existing, deduplicated: true };
+                updateEntry(id, { status: 'completed', uploadedBytes: file.size, result });
+                console.log('Already stored, skipped upload:', file.name);
+                return result;
+            }
+        }
+
+        const session = await startSession(file, folderId, saved, sha256);
+        const completed = new Set(session.completedChunks);
+
+        // Bytes already on the server (from a previous attempt)
+        const chunkBytes = index => Math.min(session.chunkSize, file.size - index * session.chunkSize);
+        let confirmedBytes = 0;
+        completed.forEach(index => { confirmedBytes += chunkBytes(index); });
+        updateEntry(id, { uploadedBytes: confirmedBytes });
+
+        for(let index = 0; index < session.totalChunks; index++){
+            if(completed.has(index)) continue;
+            signal?.throwIfAborted();
+
+            await uploadChunk(session, file, index, loaded => {
+                updateEntry(id, { uploadedBytes: confirmedBytes + loaded });
+            }, signal);
+
+            confirmedBytes += chunkBytes(index);
+            completed.add(index);
+            session.completedChunks = Array.from(completed);
+            await saveSession(session);
+            updateEntry(id, { uploadedBytes: confirmedBytes });
+        }
+
+        let data;
+        try{
+            ({ data } = await api.post(`/uploads/${session.uploadId}/complete`, null, { signal }));
+        } catch (error){
+            // Corrupted on the way - the chunks are useless, so don't offer to resume them
+            if(isChecksumMismatch(error)){
+                await removeSession(id);
+                throw new Error('The uploaded data did not match the file (checksum mismatch). Please upload it again.');
+            }
+            throw error;
+        }
+        await removeSession(id);
+
+        updateEntry(id, { status: 'completed', uploadedBytes: file.size, result: data });
+        console.log('Upload complete:', file.name);
+        return data;
+    } catch (error){
+        const aborted = axios.isCancel(error) || error?.name === 'AbortError';
+        updateEntry(id, {
+            status: aborted ? 'aborted' : 'failed',
+            error: aborted ? null : (error.response?.data?.message || error.message)
+        });
+        throw error;
+    }
+}
+
+export {
+    // uploading
+    uploadFile,
+    getFileFingerprint,
+
+    // progress
+    getUploads,
+    getOverallProgress,
+    subscribeToUploads,
+    clearFinishedUploads,
+
+    // resuming
+    getPendingUploads,
+    discardPendingUpload,
+
+    // settings
+    CHUNK_SIZE
+};
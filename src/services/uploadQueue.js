@@ -0,0 +1,403 @@
+import { uploadFile, subscribeToUploads, discardPendingUpload, getFileFingerprint } from './uploadManager.js';
+import { setUploadQueue, isOnline } from '../store/index.js';
+import { addToOutbox, registerOutboxHandler } from './offline.js';
+import { checkQuota, addUsedBytes } from './storageQuota.js';
+import { showAlert } from '../components/Alert.js';
+import { formatBytes } from '../utils/format.js';
+
+/**
+ * Upload Queue for FileFlow App
+ *
+ * Sits on top of the upload manager and decides WHICH files upload WHEN:
+ * - Only MAX_CONCURRENT files upload at the same time, the rest wait
+ * - Each item can be paused, resumed, cancelled or given a higher priority
+ * - Pausing aborts the request (AbortController) but keeps the upload session,
+ *   so resuming continues from the last finished chunk
+ * - An uploading item is `hashing` while its content hash is computed
+ *   (progress in hashPercent) - that's part of its turn in the queue
+ *
+ * The queue summary is published to the store (`uploadQueue`), so any page
+ * can subscribe() and show "N uploads in progress".
+ *
+ * Files added while offline are kept in the outbox (services/offline.js)
+ * and join the queue when the connection is back.
+ *
+ * Files that won't fit in the storage quota (services/storageQuota.js),
+ * counting everything still waiting in the queue, are refused when they're
+ * added - the user is told which ones and nothing is sent for them.
+ */
+
+// How many files upload at once
+const MAX_CONCURRENT = 3;
+
+// Item statuses
+const STATUS = {
+    QUEUED: 'queued',
+    UPLOADING: 'uploading',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// Queue items in the order they were added
+let items = [];
+
+// Increments for each added item, used to keep FIFO order inside a priority
+let sequence = 0;
+
+/**
+ * ====================================
+ * PUBLISHING STATE
+ * ====================================
+ */
+
+/**
+ * Public copy of an item (no File / AbortController)
+ */
+function toSummary(item){
+    return {
+        id: item.id,
+        fileName: item.file.name,
+        size: item.file.size,
+        folderId: item.folderId,
+        priority: item.priority,
+        status: item.status,
+        hashing: item.hashing,
+        hashPercent: item.hashPercent,
+        uploadedBytes: item.uploadedBytes,
+        percent: item.percent,
+        error: item.error,
+        result: item.result
+    };
+}
+
+/**
+ * Push the current queue state into the store
+ */
+function publish(){
+    setUploadQueue({
+        items: sortByPriority(items).map(toSummary),
+        activeCount: items.filter(item => item.status === STATUS.UPLOADING).length,
+        pendingCount: items.filter(isPending).length
+    });
+}
+
+// Keep hashing and byte progress from the upload manager in sync with our items
+subscribeToUploads(uploads => {
+    let changed = false;
+    uploads.forEach(upload => {
+        const item = findItem(upload.id);
+        if(!item || item.status !== STATUS.UPLOADING) return;
+        const hashing = upload.status === 'hashing';
+        if(item.uploadedBytes !== upload.uploadedBytes || item.hashing !== hashing || item.hashPercent !== upload.hashPercent){
+            item.uploadedBytes = upload.uploadedBytes;
+            item.percent = upload.percent;
+            item.hashing = hashing;
+            item.hashPercent = upload.hashPercent;
+            changed = true;
+        }
+    });
+    if(changed) publish();
+});
+
+/**
+ * ====================================
+ * SCHEDULING
+ * ====================================
+ */
+
+/**
+ * Higher priority first, then the order items were added
+ */
+function sortByPriority(list){
+    return [...list].sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+}
+
+function findItem(id){
+    return items.find(item => item.id === id);
+}
+
+/**
+ * Still going to upload (not finished, failed or cancelled)
+ */
+function isPending(item){
+    return [STATUS.QUEUED, STATUS.UPLOADING, STATUS.PAUSED].includes(item.status);
+}
+
+/**
+ * Start queued items until we hit the concurrency limit
+ */
+function processQueue(){
+    const running = items.filter(item => item.status === STATUS.UPLOADING).length;
+    const slots = MAX_CONCURRENT - running;
+    if(slots <= 0) return;
+
+    sortByPriority(items)
+        .filter(item => item.status === STATUS.QUEUED)
+        .slice(0, slots)
+        .forEach(runItem);
+}
+
+/**
+ * Upload one item and update its status when it ends
+ */
+async function runItem(item){
+    const controller = new AbortController();
+    item.controller = controller;
+    item.status = STATUS.UPLOADING;
+    item.error = null;
+    publish();
+
+    let upload = null;
+    try{
+        // A quick pause + resume: let the previous run settle (and save its
+        // session) first, so two runs never upload the same file side by side
+        if(item.upload){
+            await item.upload.catch(() => {});
+            if(controller.signal.aborted) return;
+        }
+
+        upload = uploadFile(item.file, { folderId: item.folderId, signal: controller.signal });
+        item.upload = upload;
+        item.result = await upload;
+        item.hashing = false;
+        item.status = STATUS.COMPLETED;
+        item.uploadedBytes = item.file.size;
+        item.percent = 100;
+        addUsedBytes(item.file.size);
+    } catch (error){
+        item.hashing = false;
+        // Paused/cancelled items already have their new status set
+        if(!controller.signal.aborted){
+            item.status = STATUS.FAILED;
+            item.error = error.response?.data?.message || error.message;
+        }
+    } finally {
+        // A quick pause + resume may already have started a new run for this item
+        if(item.controller === controller) item.controller = null;
+        if(upload && item.upload === upload) item.upload = null;
+        publish();
+        processQueue();
+    }
+}
+
+/**
+ * ====================================
+ * QUEUE ACTIONS
+ * ====================================
+ */
+
+/**
+ * Add files to the queue
+ *
+ * A file that is already queued (same fingerprint) is not added twice.
+ * Files that don't fit in the remaining storage are left out (with a toast).
+ *
+ * @param {File[]} files - Files to upload
+ * @param {Object} [options]
+ * @param {string|null} [options.folderId=null] - Target folder
+ * @param {number} [options.priority=0] - Higher uploads sooner
+ * @returns {string[]} Ids of the queue items (empty when offline - the files wait in the outbox)
+ */
+function enqueueFiles(files, { folderId = null, priority = 0 } = {}){
+    if(!isOnline()){
+        saveUploadsForLater(Array.from(files), folderId);
+        return [];
+    }
+
+    // Already waiting in the queue = already counted
+    const newFiles = Array.from(files).filter(file => {
+        const existing = findItem(getFileFingerprint(file, folderId));
+        return !existing || !isPending(existing);
+    });
+    const reservedBytes = items.filter(isPending).reduce((sum, item) => sum + item.file.size, 0);
+    const { refused, freeBytes } = checkQuota(newFiles, reservedBytes);
+    if(refused.length) reportOverQuota(refused, freeBytes);
+
+    const ids = Array.from(files).filter(file => !refused.includes(file)).map(file => {
+        const id = getFileFingerprint(file, folderId);
+        const existing = findItem(id);
+
+        // Retry a finished/failed entry for the same file instead of duplicating it
+        if(existing){
+            if([STATUS.FAILED, STATUS.CANCELLED, STATUS.COMPLETED].includes(existing.status)){
+                Object.assign(existing, { file, status: STATUS.QUEUED, priority, hashing: false, hashPercent: 0, uploadedBytes: 0, percent: 0, error: null, result: null });
+            }
+            return id;
+        }
+
+        items.push({
+            id,
+            file,
+            folderId,
+            priority,
+            order: sequence++,
+            status: STATUS.QUEUED,
+            hashing: false,
+            hashPercent: 0,
+            uploadedBytes: 0,
+            percent: 0,
+            error: null,
+            result: null,
+            controller: null,
+            upload: null // uploadFile() promise while it runs
+        });
+        return id;
+    });
+
+    publish();
+    processQueue();
+    return ids;
+}
+
+/**
+ * Tell the user which files were left out for lack of space
+ */
+function reportOverQuota(files, freeBytes){
+    const free = `${formatBytes(freeBytes)} free`;
+    showAlert({
+        type: 'error',
+        message: files.length === 1
+            ? `${files[0].name} (${formatBytes(files[0].size)}) doesn't fit in your remaining storage (${free}) and was not uploaded.`
+            : `${files.length} files don't fit in your remaining storage (${free}) and were not uploaded: ${files.map(file => file.name).join(', ')}`,
+        duration: 10000
+    });
+}
+
+/**
+ * Keep files picked while offline in the outbox (IndexedDB can store File objects)
+ */
+async function saveUploadsForLater(files, folderId){
+    try{
+        await Promise.all(files.map(file => addToOutbox('upload', { file, folderId }, `Upload ${file.name}`)));
+        showAlert({
+            type: 'info',
+            message: `You're offline. ${files.length === 1 ? files[0].name : `${files.length} files`} will upload when you're back online.`
+        });
+    } catch (error){
+        console.error('Failed to save uploads for later:', error);
+        showAlert({ type: 'error', message: 'You\'re offline and the files could not be saved for later. Please try again when you\'re back online.' });
+    }
+}
+
+// Back online: offline picks join the queue like any other file (failures show up there)
+registerOutboxHandler('upload', async ({ file, folderId }) => {
+    enqueueFiles([file], { folderId });
+});
+
+/**
+ * Pause an item - stops sending, keeps progress so it can resume
+ */
+function pauseUpload(id){
+    const item = findItem(id);
+    if(!item || ![STATUS.QUEUED, STATUS.UPLOADING].includes(item.status)) return;
+
+    item.status = STATUS.PAUSED;
+    if(item.controller) item.controller.abort();
+    publish();
+    processQueue();
+}
+
+/**
+ * Put a paused or failed item back in the queue
+ */
+function resumeUpload(id){
+    const item = findItem(id);
+    if(!item || ![STATUS.PAUSED, STATUS.FAILED].includes(item.status)) return;
+
+    item.status = STATUS.QUEUED;
+    item.error = null;
+    publish();
+    processQueue();
+}
+
+/**
+ * Cancel an item and throw away its upload session
+ */
+function cancelUpload(id){
+    const item = findItem(id);
+    if(!item || [STATUS.COMPLETED, STATUS.CANCELLED].includes(item.status)) return;
+
+    item.status = STATUS.CANCELLED;
+    if(item.controller) item.controller.abort();
+    // An aborted upload may still be saving its session - discard it once the
+    // run has settled (unless the file was queued again meanwhile)
+    Promise.resolve(item.upload).catch(() => {}).then(() => {
+        if(item.status === STATUS.CANCELLED) discardPendingUpload(id);
+    });
+    publish();
+    processQueue();
+}
+
+/**
+ * Change an item's priority (higher uploads sooner)
+ *
+ * Only affects items that haven't started yet - running uploads keep going.
+ */
+function setUploadPriority(id, priority){
+    const item = findItem(id);
+    if(!item) return;
+
+    item.priority = priority;
+    publish();
+    processQueue();
+}
+
+/**
+ * Move an item to the front of the queue
+ */
+function prioritiseUpload(id){
+    const highest = Math.max(0, ...items.map(item => item.priority));
+    setUploadPriority(id, highest + 1);
+}
+
+/**
+ * Pause everything that is queued or uploading
+ */
+function pauseAllUploads(){
+    items.forEach(item => {
+        if([STATUS.QUEUED, STATUS.UPLOADING].includes(item.status)){
+            item.status = STATUS.PAUSED;
+            if(item.controller) item.controller.abort();
+        }
+    });
+    publish();
+}
+
+/**
+ * Resume everything that is paused
+ */
+function resumeAllUploads(){
+    items.forEach(item => {
+        if(item.status === STATUS.PAUSED) item.status = STATUS.QUEUED;
+    });
+    publish();
+    processQueue();
+}
+
+/**
+ * Remove completed and cancelled items from the list
+ */
+function clearFinished(){
+    items = items.filter(item => ![STATUS.COMPLETED, STATUS.CANCELLED].includes(item.status));
+    publish();
+}
+
+// Stop sending when the user logs out - the sessions stay resumable
+window.addEventListener('user-logout', pauseAllUploads);
+
+export {
+    STATUS as UPLOAD_STATUS,
+    MAX_CONCURRENT,
+
+    enqueueFiles,
+    pauseUpload,
+    resumeUpload,
+    cancelUpload,
+    setUploadPriority,
+    prioritiseUpload,
+    pauseAllUploads,
+    resumeAllUploads,
+    clearFinished
+};
@@ -1,11 +1,17 @@
+import { getSessionBackend } from './sessionBackends.js';
+
 /**
  * Simple state management Store for FileFlow App
  * 
  * This store handles:
- * - User authentication state (logged in/out)
- * - JWT tokens (access_token, refresh_token)
+ * - User authentication state (logged in/out, or halfway: password OK but
+ *   the two-factor code still missing)
+ * - JWT tokens (access token, refresh token) - persisted only through the
+ *   session backend (see sessionBackends.js), never read from storage elsewhere
  * - User profile infomation
  * - Loading states for better UX
+ * - Upload queue summary (for "N uploads in progress" indicators)
+ * - Connectivity (online/offline + changes waiting to sync)
  */
 
 /**
@@ -19,13 +25,28 @@ let state = {
     isAuthenticated: false, // is the user logged in
     user: null, // User profile data
 
+    // Password accepted, two-factor code still needed: { challengeToken, email, methods, expiresAt }
+    // Never persisted - a reload means logging in again
+    twoFactorChallenge: null,
+
     // Tokens for API authentication
     accessToken: null, // our short-lived token for API calls
     refreshToken: null, // Long-lived token to get new access tokens
 
     // UI states
     isLoading: false,
-    error: null
+    error: null,
+
+    // Upload queue (kept up to date by services/uploadQueue.js)
+    uploadQueue: {
+        items: [], // Every queued/running/paused/finished upload
+        activeCount: 0, // Uploading right now
+        pendingCount: 0 // Waiting, uploading or paused
+    },
+
+    // Connectivity (kept up to date by services/offline.js)
+    isOnline: navigator.onLine,
+    pendingChanges: 0 // Offline changes in the outbox, waiting to sync
 };
 
 
@@ -90,7 +111,11 @@ function getState(){
  * 
  */
 function isAuthenticated(){
-    return state.isAuthenticated && state.accessToken !== null;
+    // Halfway through a two-factor login is not logged in
+    if(state.twoFactorChallenge) return false;
+    // Memory session backend: after a reload the access token is fetched with the
+    // refresh cookie - until then (or while offline) the session still counts
+    return state.isAuthenticated && (state.accessToken !== null || getSessionBackend().usesRefreshCookie);
 }
 
 /**
@@ -100,6 +125,17 @@ function getCurrentUser(){
     return state.user;
 }
 
+/**
+ * Get the pending two-factor login, if there is one that hasn't expired
+ *
+ * @returns {Object|null} { challengeToken, email, methods, expiresAt }
+ */
+function getTwoFactorChallenge(){
+    const challenge = state.twoFactorChallenge;
+    if(challenge?.expiresAt && new Date(challenge.expiresAt) <= new Date()) return null;
+    return challenge;
+}
+
 /**
  * Get access token for API calls
  */
@@ -107,6 +143,27 @@ function getAccessToken(){
     return state.accessToken;
 }
 
+/**
+ * Get refresh token (used to get a new access token when it expires)
+ */
+function getRefreshToken(){
+    return state.refreshToken;
+}
+
+/**
+ * Get the upload queue summary
+ */
+function getUploadQueue(){
+    return state.uploadQueue;
+}
+
+/**
+ * Is the browser online? Pages use this to show an offline banner
+ */
+function isOnline(){
+    return state.isOnline;
+}
+
 /**
  * ======================================
  * STATE SETTERS - Ways to update state
@@ -134,6 +191,61 @@ function setError(error){
     notifyListeners();
 }
 
+/**
+ * Update the upload queue summary
+ *
+ * Called by the upload queue whenever an upload starts, moves or finishes
+ *
+ * @param {Object} uploadQueue - { items, activeCount, pendingCount }
+ */
+function setUploadQueue(uploadQueue){
+    state = { ...state, uploadQueue };
+    notifyListeners();
+}
+
+/**
+ * Update the connectivity state
+ *
+ * @param {boolean} online - navigator.onLine after an online/offline event
+ */
+function setOnline(online){
+    if(state.isOnline === online) return;
+    state = { ...state, isOnline: online };
+    notifyListeners();
+}
+
+/**
+ * Update how many offline changes wait in the outbox
+ *
+ * @param {number} count
+ */
+function setPendingChanges(count){
+    state = { ...state, pendingChanges: count };
+    notifyListeners();
+}
+
+/**
+ * First login step passed - remember the challenge until the code is entered
+ *
+ * No tokens yet, so isAuthenticated() stays false and guards keep
+ * protected pages closed.
+ *
+ * @param {Object} challenge - { challengeToken, email, methods, expiresAt }
+ */
+function startTwoFactorChallenge(challenge){
+    state = { ...state, twoFactorChallenge: challenge, error: null };
+    notifyListeners();
+}
+
+/**
+ * Forget the pending two-factor login (cancelled or expired)
+ */
+function clearTwoFactorChallenge(){
+    if(!state.twoFactorChallenge) return;
+    state = { ...state, twoFactorChallenge: null };
+    notifyListeners();
+}
+
 /**
  * Login user - save authentication information:
  * 
@@ -147,13 +259,14 @@ function loginUser(userData, accessToken, refreshToken){
         ...state,
         isAuthenticated: true,
         user: userData, accessToken, refreshToken,
+        twoFactorChallenge: null, // second step (if any) is done
         error: null // clear any previous errors
     };
 
-    // Save to localStorage so user stays logged in after page refresh
-    saveToLocalStorage();
+    // Save through the session backend so user stays logged in after page refresh
+    saveSession();
 
-    // Tell everyone that logout happened
+    // Tell everyone that login happened
     notifyListeners();
 
     console.log('User logged in');
@@ -167,13 +280,17 @@ function logoutUser(){
     state ={
         isAuthenticated: false,
         user: null,
+        twoFactorChallenge: null,
         accessToken: null,
         refreshToken: null,
         isLoading: false,
-        error: null
+        error: null,
+        uploadQueue: state.uploadQueue, // uploads are paused, not forgotten
+        isOnline: state.isOnline,
+        pendingChanges: state.pendingChanges
     };
-    // Clear local storage
-    clearLocalStorage();
+    // Forget the saved session
+    clearSession();
 
     // Tell everyone that logout happened
     notifyListeners();
@@ -197,8 +314,8 @@ function updateUser(userData){
         user: { ...state.user, ...userData } // Merge with existing user data
     };
 
-    // update localStorage
-    saveToLocalStorage();
+    // update the saved session
+    saveSession();
     notifyListeners();
 }
 
@@ -209,80 +326,61 @@ function updateUser(userData){
  */
 
 
-// Keys for localStorage
-const STORAGE_KEYS = {
-    ACCESS_TOKEN: 'access_token',
-    REFRESH_TOKEN: 'refresh_token',
-    USER_DATA: 'user_data',
-    IS_AUTHENTICATED: 'is_authenticated'
-};
-
 /**
- * Save authentication state to localStorage
- * 
- * This makes sure user stays logged in even after closing/refreshing browser
+ * Save the session through the configured backend
  * 
+ * Depending on the backend that's the tokens + user (sessionStorage/localStorage)
+ * or only the user profile (memory backend - tokens stay in memory)
  */
-function saveToLocalStorage(){
-    try{
-        if(state.accessToken){
-            localStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, state.accessToken);
-        }
-
-        if(state.refreshToken){
-            localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, state.refreshToken);
-        }
-
-        if(state.user){
-            localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(state.user));
-        }
-
-        localStorage.setItem(STORAGE_KEYS.IS_AUTHENTICATED, state.isAuthenticated.toString());
-    } catch (error){
-        console.error('Failed to save to localStorage:', error);
-    }
+function saveSession(){
+    getSessionBackend().save({
+        accessToken: state.accessToken,
+        refreshToken: state.refreshToken,
+        user: state.user
+    });
 }
 
 /**
- * Load authentication state from localStorage
+ * Load the saved session
  * 
  * This runs when the app starts to check if user was previously logged in
+ *
+ * @returns {Object|null} The saved { accessToken, refreshToken, user }
  */
-function loadFromLocalStorage(){
-    try{
-        const accessToken = localStorage.getItem(STORAGE_KEYS.ACCESS_TOKEN);
-        const refreshToken = localStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN);
-        const userDataString = localStorage.getItem(STORAGE_KEYS.USER_DATA);
-        const isAuthenticated = localStorage.getItem(STORAGE_KEYS.IS_AUTHENTICATED) === 'true';
-
-        // Only restore state if we have essential pieces
-        if(accessToken && isAuthenticated && userDataString){
-            state ={
-                ...state,
-                accessToken, refreshToken,
-                user: JSON.parse(userDataString),
-                isAuthenticated: true
-            };
-            console.log('Authentication state restored from localStorage');
-        }
-    } catch(error){
-        console.error('Failed to load from localStorage:', error);
-        // if there's an error, clear potentially corrupted data
-        clearLocalStorage();
-    }
+function loadSession(){
+    const session = getSessionBackend().load();
+    if(!session) return null;
+
+    state = {
+        ...state,
+        user: session.user,
+        accessToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        // Memory backend: no access token yet, the session service refreshes it
+        isAuthenticated: true
+    };
+    console.log(`Session restored from ${getSessionBackend().name} storage`);
+    return session;
 }
 
 /**
- * Clear all authentication data from localStorage
+ * Reload the saved session and tell listeners
+ *
+ * Used when another tab logged in or refreshed the tokens
+ *
+ * @returns {Object|null} The saved session
  */
-function clearLocalStorage(){
-    try{
-        Object.values(STORAGE_KEYS).forEach(key =>{
-            localStorage.removeItem(key);
-        });
-    }catch (error){
-        console.error('Failed to clear localStorage:', error);
-    }
+function restoreSession(){
+    const session = loadSession();
+    if(session) notifyListeners();
+    return session;
+}
+
+/**
+ * Forget the saved session
+ */
+function clearSession(){
+    getSessionBackend().clear();
 }
 
 /**
@@ -294,15 +392,18 @@ function clearLocalStorage(){
 /**
  * Initialize the store
  * 
- * this should be called when the app starts up
+ * this should be called when the app starts up (services/session.js does it)
+ *
+ * @returns {Object|null} The restored session, if there was one
  */
 function initializeStore(){
     console.log('Initializing state store...');
 
-    //Try to restore authentication state from localStorage
-    loadFromLocalStorage();
+    // Try to restore authentication state from the session backend
+    const session = loadSession();
 
     console.log('Store initialized. Authenticated:', state.isAuthenticated);
+    return session;
 }
 
 /**
@@ -317,13 +418,23 @@ export {
     isAuthenticated,
     getCurrentUser,
     getAccessToken,
+    getRefreshToken,
+    getUploadQueue,
+    getTwoFactorChallenge,
+    isOnline,
 
     // state updaters
     setLoading,
     setError,
+    setUploadQueue,
+    setOnline,
+    setPendingChanges,
+    startTwoFactorChallenge,
+    clearTwoFactorChallenge,
     loginUser,
     logoutUser,
     updateUser,
+    restoreSession,
 
     // subscription system
     subscribe,
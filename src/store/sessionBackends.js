@@ -0,0 +1,138 @@
+/**
+ * Session storage backends for FileFlow App
+ *
+ * Where the login survives a page reload. The store only talks to the
+ * backend picked here, through the same small interface:
+ *
+ *   {
+ *     name,
+ *     usesRefreshCookie,        // true: the refresh token is an httpOnly cookie the JS never sees
+ *     sharedBetweenTabs,        // true: every tab of the app sees the same login
+ *     load(),                   // -> { accessToken, refreshToken, user } or null
+ *     save(session),            // remember { accessToken, refreshToken, user }
+ *     clear()                   // forget everything
+ *   }
+ *
+ * Backends:
+ * - memory  (default) access token only in memory, refresh token in an httpOnly
+ *           cookie set by the backend. Only the (non-secret) user profile is kept
+ *           in localStorage so the app knows to try a silent refresh after reload.
+ *           An XSS bug can't read any token from storage.
+ * - session tokens in sessionStorage - survive reloads, gone when the tab closes.
+ *           sessionStorage is per tab, so each tab has its own login.
+ * - local   tokens in localStorage - survive closing the browser (least safe).
+ *
+ * Pick one with VITE_SESSION_STORAGE=memory|session|local in .env (see the
+ * README and .env.example)
+ */
+
+// Everything under one key
+const SESSION_KEY = 'fileflow:session';
+
+// The memory backend only keeps the user profile (its own key, so switching
+// backends never leaves tokens behind)
+const USER_KEY = 'fileflow:session-user';
+
+// Keys the store used before sessions were pluggable - removed on startup
+const LEGACY_KEYS = ['access_token', 'refresh_token', 'user_data', 'is_authenticated'];
+
+/**
+ * Read and parse a JSON value, null if it's missing or broken
+ */
+function readJson(storage, key){
+    try{
+        const raw = storage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error){
+        console.error(`Failed to read ${key}:`, error);
+        storage.removeItem(key);
+        return null;
+    }
+}
+
+function writeJson(storage, key, value){
+    try{
+        storage.setItem(key, JSON.stringify(value));
+    } catch (error){
+        console.error(`Failed to save ${key}:`, error);
+    }
+}
+
+/**
+ * Tokens in sessionStorage or localStorage
+ *
+ * @param {Storage} storage
+ * @param {string} name
+ */
+function createWebStorageBackend(storage, name){
+    return {
+        name,
+        usesRefreshCookie: false,
+        sharedBetweenTabs: storage === localStorage,
+        load(){
+            const session = readJson(storage, SESSION_KEY);
+            return session?.accessToken && session.user ? session : null;
+        },
+        save({ accessToken, refreshToken, user }){
+            writeJson(storage, SESSION_KEY, { accessToken, refreshToken, user });
+        },
+        clear(){
+            storage.removeItem(SESSION_KEY);
+        }
+    };
+}
+
+/**
+ * Access token in memory only, refresh token in an httpOnly cookie
+ *
+ * load() returns the user without tokens - the session service then asks
+ * /auth/refresh (with the cookie) for a fresh access token.
+ */
+function createMemoryBackend(){
+    return {
+        name: 'memory',
+        usesRefreshCookie: true,
+        sharedBetweenTabs: true, // the cookie and localStorage are
+        load(){
+            const user = readJson(localStorage, USER_KEY);
+            return user ? { accessToken: null, refreshToken: null, user } : null;
+        },
+        save({ user }){
+            writeJson(localStorage, USER_KEY, user);
+        },
+        clear(){
+            localStorage.removeItem(USER_KEY);
+        }
+    };
+}
+
+const BACKENDS = {
+    memory: () => createMemoryBackend(),
+    session: () => createWebStorageBackend(sessionStorage, 'session'),
+    local: () => createWebStorageBackend(localStorage, 'local')
+};
+
+let backend = null;
+
+/**
+ * The backend chosen in the config (created once)
+ */
+function getSessionBackend(){
+    if(!backend){
+        const name = import.meta.env?.VITE_SESSION_STORAGE || 'memory';
+        if(!BACKENDS[name]) console.warn(`Unknown VITE_SESSION_STORAGE "${name}", using memory`);
+        backend = (BACKENDS[name] || BACKENDS.memory)();
+
+        // Tokens from older versions (or a backend used before) shouldn't linger
+        LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+        if(backend.name !== 'local') localStorage.removeItem(SESSION_KEY);
+        if(backend.name !== 'session') sessionStorage.removeItem(SESSION_KEY);
+    }
+    return backend;
+}
+
+export {
+    getSessionBackend,
+    createMemoryBackend,
+    createWebStorageBackend
+};
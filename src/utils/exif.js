@@ -0,0 +1,256 @@
+/**
+ * Just enough EXIF for the image editor
+ *
+ * Reads and rewrites the EXIF block (the APP1 segment) of a JPEG without
+ * decoding the image:
+ *
+ *   readExif(bytes)          -> { orientation, hasGps, segment }
+ *   cleanExif(segment, opts) -> the segment ready to go on an edited image
+ *   insertExif(jpeg, segment) -> the JPEG with that segment put back
+ *
+ * Canvas output never carries metadata, so the editor copies the original
+ * block over. cleanExif() resets the orientation (the pixels are upright
+ * now), wipes the embedded thumbnail and its IFD1 (it shows the unedited
+ * picture - and whatever was cropped out), updates the pixel size and,
+ * when asked, wipes the GPS location. Wiped bytes are zeroed in place, so
+ * offsets elsewhere in the block stay valid.
+ *
+ * Anything unexpected in the data means "no EXIF": the edited image is
+ * simply saved without it, which never leaks anything.
+ */
+
+const JPEG_SOI = 0xffd8;
+const MARKER_APP1 = 0xffe1;
+const MARKER_SOS = 0xffda;
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_THUMBNAIL_OFFSET = 0x0201;
+const TAG_THUMBNAIL_LENGTH = 0x0202;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_PIXEL_X = 0xa002;
+const TAG_PIXEL_Y = 0xa003;
+
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+
+// Bytes per value, by TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// "Exif\0\0" before the TIFF data
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00];
+
+/**
+ * ====================================
+ * JPEG SEGMENTS
+ * ====================================
+ */
+
+/**
+ * Where the EXIF APP1 segment is in a JPEG
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{start: number, end: number}|null} Byte range including the marker
+ */
+function findExifSegment(bytes){
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if(bytes.length < 4 || view.getUint16(0) !== JPEG_SOI) return null;
+
+    let offset = 2;
+    while(offset + 4 <= bytes.length){
+        const marker = view.getUint16(offset);
+        if((marker & 0xff00) !== 0xff00 || marker === MARKER_SOS) return null;
+        const length = view.getUint16(offset + 2);
+        const end = offset + 2 + length;
+        if(end > bytes.length) return null;
+
+        if(marker === MARKER_APP1 && EXIF_HEADER.every((byte, i) => bytes[offset + 4 + i] === byte)){
+            return { start: offset, end };
+        }
+        offset = end;
+    }
+    return null;
+}
+
+/**
+ * Put an EXIF segment right after the start of a JPEG
+ *
+ * @param {Uint8Array} jpeg - A JPEG without EXIF (e.g. canvas output)
+ * @param {Uint8Array} segment - From cleanExif()
+ * @returns {Uint8Array}
+ */
+function insertExif(jpeg, segment){
+    const output = new Uint8Array(jpeg.length + segment.length);
+    output.set(jpeg.subarray(0, 2), 0);
+    output.set(segment, 2);
+    output.set(jpeg.subarray(2), 2 + segment.length);
+    return output;
+}
+
+/**
+ * ====================================
+ * TIFF STRUCTURE
+ * ====================================
+ */
+
+/**
+ * A little reader over the TIFF data inside a segment
+ *
+ * Offsets in TIFF are relative to its header, which starts 10 bytes into
+ * the segment (marker, length, "Exif\0\0").
+ */
+function createTiffReader(segment){
+    const tiffStart = 10;
+    const view = new DataView(segment.buffer, segment.byteOffset, segment.byteLength);
+    const order = view.getUint16(tiffStart);
+    if(order !== 0x4949 && order !== 0x4d4d) throw new Error('Not TIFF data');
+    const little = order === 0x4949;
+
+    const check = (offset, size) => {
+        if(offset < 0 || tiffStart + offset + size > segment.length) throw new Error('EXIF offset out of range');
+        return tiffStart + offset;
+    };
+
+    const reader = {
+        u16: (offset) => view.getUint16(check(offset, 2), little),
+        u32: (offset) => view.getUint32(check(offset, 4), little),
+        setU16: (offset, value) => view.setUint16(check(offset, 2), value, little),
+        setU32: (offset, value) => view.setUint32(check(offset, 4), value, little),
+        fill: (offset, size) => segment.fill(0, check(offset, size), tiffStart + offset + size),
+
+        // Entries of the IFD at `offset`: [{ tag, type, count, entryOffset }]
+        entries(offset){
+            const count = reader.u16(offset);
+            return Array.from({ length: count }, (item, i) => {
+                const entryOffset = offset + 2 + i * 12;
+                return { tag: reader.u16(entryOffset), type: reader.u16(entryOffset + 2), count: reader.u32(entryOffset + 4), entryOffset };
+            });
+        },
+
+        // Offset of the IFD after the one at `offset` (0 = none)
+        nextIfdOffset: (offset) => offset + 2 + reader.u16(offset) * 12,
+
+        firstIfd: () => reader.u32(4)
+    };
+    return reader;
+}
+
+/**
+ * What the editor needs to know about a JPEG's EXIF
+ *
+ * @param {Uint8Array} bytes - The whole file (only the start is looked at)
+ * @returns {{orientation: number, hasGps: boolean, segment: Uint8Array|null}}
+ *   orientation is the EXIF value 1-8 (1 = upright)
+ */
+function readExif(bytes){
+    const found = findExifSegment(bytes);
+    if(!found) return { orientation: 1, hasGps: false, segment: null };
+
+    const segment = bytes.slice(found.start, found.end);
+    try{
+        const tiff = createTiffReader(segment);
+        const entries = tiff.entries(tiff.firstIfd());
+        const orientationEntry = entries.find(entry => entry.tag === TAG_ORIENTATION);
+        const gpsEntry = entries.find(entry => entry.tag === TAG_GPS_IFD);
+        const orientation = orientationEntry ? tiff.u16(orientationEntry.entryOffset + 8) : 1;
+
+        return {
+            orientation: orientation >= 1 && orientation <= 8 ? orientation : 1,
+            hasGps: Boolean(gpsEntry && tiff.u16(tiff.u32(gpsEntry.entryOffset + 8))),
+            segment
+        };
+    } catch (error){
+        return { orientation: 1, hasGps: false, segment: null };
+    }
+}
+
+/**
+ * Wipe every GPS entry and the values they point to, leaving an empty GPS IFD
+ */
+function clearGps(tiff, gpsOffset){
+    tiff.entries(gpsOffset).forEach(entry => {
+        const size = (TYPE_SIZES[entry.type] || 1) * entry.count;
+        if(size > 4) tiff.fill(tiff.u32(entry.entryOffset + 8), size);
+    });
+    const count = tiff.u16(gpsOffset);
+    tiff.fill(gpsOffset + 2, count * 12);
+    tiff.setU16(gpsOffset, 0);
+}
+
+/**
+ * Wipe IFD1 - the thumbnail image, the values its entries point to and the
+ * entries themselves - and unlink it from IFD0
+ */
+function clearThumbnail(tiff, ifd0){
+    const link = tiff.nextIfdOffset(ifd0);
+    const ifd1 = tiff.u32(link);
+    if(ifd1){
+        const entries = tiff.entries(ifd1);
+        const offsetEntry = entries.find(entry => entry.tag === TAG_THUMBNAIL_OFFSET);
+        const lengthEntry = entries.find(entry => entry.tag === TAG_THUMBNAIL_LENGTH);
+        if(offsetEntry && lengthEntry){
+            tiff.fill(tiff.u32(offsetEntry.entryOffset + 8), tiff.u32(lengthEntry.entryOffset + 8));
+        }
+        entries.forEach(entry => {
+            const size = (TYPE_SIZES[entry.type] || 1) * entry.count;
+            if(size > 4) tiff.fill(tiff.u32(entry.entryOffset + 8), size);
+        });
+        // Count, entries and the link to a next IFD
+        tiff.fill(ifd1, 2 + entries.length * 12 + 4);
+    }
+    tiff.setU32(link, 0);
+}
+
+/**
+ * Set a SHORT or LONG entry, if it's there
+ */
+function setNumber(tiff, entry, value){
+    if(!entry || entry.count !== 1) return;
+    if(entry.type === TYPE_SHORT && value <= 0xffff) tiff.setU16(entry.entryOffset + 8, value);
+    else if(entry.type === TYPE_LONG) tiff.setU32(entry.entryOffset + 8, value);
+}
+
+/**
+ * Make an EXIF segment fit an edited image
+ *
+ * @param {Uint8Array} segment - From readExif()
+ * @param {Object} options
+ * @param {number} options.width - Pixel size of the edited image
+ * @param {number} options.height
+ * @param {boolean} [options.stripGps=false] - Remove the location
+ * @returns {Uint8Array|null} A new segment, or null if this EXIF couldn't be handled
+ */
+function cleanExif(segment, { width, height, stripGps = false }){
+    const copy = segment.slice();
+    try{
+        const tiff = createTiffReader(copy);
+        const ifd0 = tiff.firstIfd();
+        const entries = tiff.entries(ifd0);
+
+        // The pixels are upright now
+        setNumber(tiff, entries.find(entry => entry.tag === TAG_ORIENTATION), 1);
+
+        // IFD1 is the embedded thumbnail of the original picture
+        clearThumbnail(tiff, ifd0);
+
+        const exifEntry = entries.find(entry => entry.tag === TAG_EXIF_IFD);
+        if(exifEntry){
+            const exifEntries = tiff.entries(tiff.u32(exifEntry.entryOffset + 8));
+            setNumber(tiff, exifEntries.find(entry => entry.tag === TAG_PIXEL_X), width);
+            setNumber(tiff, exifEntries.find(entry => entry.tag === TAG_PIXEL_Y), height);
+        }
+
+        const gpsEntry = entries.find(entry => entry.tag === TAG_GPS_IFD);
+        if(stripGps && gpsEntry) clearGps(tiff, tiff.u32(gpsEntry.entryOffset + 8));
+
+        return copy;
+    } catch (error){
+        return null;
+    }
+}
+
+export {
+    readExif,
+    cleanExif,
+    insertExif
+};
@@ -0,0 +1,356 @@
+import { runSyncRules, validateValue } from './validators.js';
+
+/**
+ * Form binder - live validation for a <form>
+ *
+ * Connects rules from utils/validators.js to the inputs of a form:
+ * - shows DaisyUI error states (input-error + message) while the user types
+ * - runs async rules debounced, ignoring answers that arrive too late
+ * - keeps the submit button disabled until every field is valid
+ * - maps backend 422 field errors onto the matching inputs
+ *
+ * Usage:
+ *   const binder = bindForm(form, {
+ *       rules: { email: [required(), email()], password: [required()] },
+ *       onSubmit: async (values) => { ... },    // 422 field errors are handled for you
+ *       onError: (error) => showAlert({ ... })  // anything else
+ *   });
+ *   ...
+ *   binder.destroy(); // when the page goes away
+ *
+ * An element with `data-error-for="<field name>"` is used for the message
+ * if the form has one, otherwise a <p> is added after the input.
+ */
+
+// Error class per DaisyUI control type
+const ERROR_CLASSES = {
+    select: 'select-error',
+    textarea: 'textarea-error',
+    checkbox: 'checkbox-error',
+    toggle: 'toggle-error',
+    input: 'input-error'
+};
+
+// Shown when an async rule itself fails (network down etc.) - the field is re-checked on the next keystroke
+const CHECK_FAILED_MESSAGE = 'Could not check this right now';
+
+/**
+ * Pull field errors out of a failed request
+ *
+ * The backend answers 422 with `{ errors: { field: 'message' } }`
+ * (or a list of messages, or `[{ field, message }]`).
+ *
+ * @param {Error} error - axios error
+ * @returns {Object|null} { field: 'message' }, or null if this isn't a validation error
+ */
+function getFieldErrors(error){
+    const { status, data } = error?.response || {};
+    if(status !== 422) return null;
+
+    const raw = data?.errors || data?.fieldErrors;
+    if(!raw) return null;
+
+    const entries = Array.isArray(raw)
+        ? raw.map(({ field, message }) => [field, message])
+        : Object.entries(raw).map(([field, message]) => [field, Array.isArray(message) ? message[0] : message]);
+    return Object.fromEntries(entries.filter(([field, message]) => field && message));
+}
+
+/**
+ * Bind live validation to a form
+ *
+ * @param {HTMLFormElement} form
+ * @param {Object} options
+ * @param {Object<string, Function[]>} options.rules - Rules per field name
+ * @param {Function} options.onSubmit - async (values) => void, only called when valid
+ * @param {Function} [options.onError] - (error) => void, for errors that aren't field errors
+ * @returns {{validate: Function, setFieldErrors: Function, getValues: Function, destroy: Function}}
+ */
+function bindForm(form, { rules = {}, onSubmit, onError = (error) => console.error('Form submit failed:', error) }){
+    const submitButton = form.querySelector('[type="submit"]');
+    const fields = new Map();
+    let submitting = false;
+
+    /**
+     * ====================================
+     * FIELD STATE & DISPLAY
+     * ====================================
+     */
+
+    function getField(name){
+        if(!fields.has(name)){
+            fields.set(name, {
+                rules: rules[name] || [],
+                touched: false,
+                error: null,
+                pending: false,
+                serverError: null,
+                asyncValue: undefined,  // last value the async rules checked
+                asyncError: null,
+                timer: null,
+                version: 0
+            });
+        }
+        return fields.get(name);
+    }
+
+    function getValues(){
+        const values = {};
+        Object.keys(rules).forEach(name => {
+            const element = form.elements[name];
+            if(!element) return;
+            values[name] = element.type === 'checkbox' ? element.checked : element.value;
+        });
+        return values;
+    }
+
+    // The element to style (first radio of a group)
+    function getControl(name){
+        const element = form.elements[name];
+        return element instanceof RadioNodeList ? element[0] : element;
+    }
+
+    function getMessageElement(name){
+        let messageEl = form.querySelector(`[data-error-for="${name}"]`);
+        const control = getControl(name);
+        if(!messageEl && control){
+            messageEl = document.createElement('p');
+            messageEl.className = 'text-error text-xs mt-1';
+            messageEl.dataset.errorFor = name;
+            control.insertAdjacentElement('afterend', messageEl);
+        }
+        if(messageEl && !messageEl.id) messageEl.id = `${form.id || 'form'}-${name}-error`;
+        return messageEl;
+    }
+
+    function getErrorClass(control){
+        const type = Object.keys(ERROR_CLASSES).find(type => control.classList.contains(type));
+        return ERROR_CLASSES[type] || ERROR_CLASSES.input;
+    }
+
+    function render(name){
+        const field = getField(name);
+        const control = getControl(name);
+        if(!control) return;
+
+        const error = field.serverError || field.error;
+        const show = field.touched && Boolean(error);
+        const messageEl = getMessageElement(name);
+
+        control.classList.toggle(getErrorClass(control), show);
+        control.setAttribute('aria-invalid', String(show));
+        if(messageEl){
+            messageEl.textContent = show ? error : (field.touched && field.pending ? 'Checking…' : '');
+            messageEl.classList.toggle('text-error', show);
+            messageEl.classList.toggle('opacity-70', !show);
+            control.setAttribute('aria-describedby', messageEl.id);
+        }
+    }
+
+    function isValid(){
+        const values = getValues();
+        return Object.keys(rules).every(name => {
+            const field = getField(name);
+            const hasAsync = field.rules.some(rule => rule.async);
+            const asyncChecked = !hasAsync || !values[name] || field.asyncValue === values[name];
+            return !field.error && !field.serverError && !field.pending && asyncChecked;
+        });
+    }
+
+    function updateSubmitButton(){
+        if(submitButton) submitButton.disabled = submitting || !isValid();
+    }
+
+    /**
+     * ====================================
+     * CHECKING FIELDS
+     * ====================================
+     */
+
+    /**
+     * Check one field as the user types: sync rules now, async rules debounced
+     */
+    function checkField(name){
+        const field = getField(name);
+        const values = getValues();
+        const value = values[name];
+
+        clearTimeout(field.timer);
+        field.version++;
+        field.error = runSyncRules(field.rules, value, values);
+        field.pending = false;
+
+        const asyncRules = field.rules.filter(rule => rule.async);
+        if(!field.error && asyncRules.length && value){
+            if(field.asyncValue === value){
+                field.error = field.asyncError;
+            } else {
+                field.pending = true;
+                const version = field.version;
+                const delay = Math.max(...asyncRules.map(rule => rule.debounce || 0));
+                field.timer = setTimeout(() => runAsyncRules(name, value, version), delay);
+            }
+        }
+
+        render(name);
+        updateSubmitButton();
+    }
+
+    async function runAsyncRules(name, value, version){
+        const field = getField(name);
+        let error = null;
+        try{
+            error = await validateValue(field.rules, value, getValues());
+        } catch (err){
+            console.error(`Async validation of "${name}" failed:`, err);
+            error = CHECK_FAILED_MESSAGE;
+        }
+
+        // The user typed again while we were waiting - that answer is stale
+        if(version !== field.version) return;
+
+        field.asyncValue = error === CHECK_FAILED_MESSAGE ? undefined : value;
+        field.asyncError = error;
+        field.error = error;
+        field.pending = false;
+        render(name);
+        updateSubmitButton();
+    }
+
+    /**
+     * Check every field now (no debounce) and show all errors
+     *
+     * @returns {Promise<boolean>} True if the form is valid
+     */
+    async function validate(){
+        const values = getValues();
+        await Promise.all(Object.keys(rules).map(async name => {
+            const field = getField(name);
+            clearTimeout(field.timer);
+            const version = ++field.version;
+            field.touched = true;
+            field.pending = true;
+
+            const error = await validateValue(field.rules, values[name], values).catch(() => CHECK_FAILED_MESSAGE);
+            if(version !== field.version) return;
+
+            if(field.rules.some(rule => rule.async)){
+                field.asyncValue = values[name];
+                field.asyncError = error;
+            }
+            field.error = error;
+            field.pending = false;
+            render(name);
+        }));
+        updateSubmitButton();
+        return isValid();
+    }
+
+    /**
+     * Show errors from the server on their inputs
+     *
+     * Each one stays until the user edits that field.
+     *
+     * @param {Object} errors - { field: 'message' }
+     * @returns {Object} Errors for fields this form doesn't have
+     */
+    function setFieldErrors(errors = {}){
+        const unmatched = {};
+        Object.entries(errors).forEach(([name, message]) => {
+            if(!form.elements[name]){
+                unmatched[name] = message;
+                return;
+            }
+            const field = getField(name);
+            field.serverError = message;
+            field.touched = true;
+            render(name);
+        });
+        updateSubmitButton();
+
+        const firstInvalid = Object.keys(errors).find(name => form.elements[name]);
+        if(firstInvalid) getControl(firstInvalid).focus();
+        return unmatched;
+    }
+
+    /**
+     * ====================================
+     * EVENTS
+     * ====================================
+     */
+
+    function handleInput(e){
+        const name = e.target.name;
+        if(!name || !(name in rules)) return;
+
+        const field = getField(name);
+        field.touched = true;
+        field.serverError = null;
+        checkField(name);
+
+        // e.g. "confirm password" follows "password"
+        Object.keys(rules).forEach(other => {
+            const dependent = getField(other);
+            if(other !== name && dependent.touched && dependent.rules.some(rule => rule.dependsOn === name)){
+                checkField(other);
+            }
+        });
+    }
+
+    function handleBlur(e){
+        const name = e.target.name;
+        if(!name || !(name in rules) || !e.target.value) return;
+        const field = getField(name);
+        if(field.touched) return;
+        field.touched = true;
+        render(name);
+    }
+
+    async function handleSubmit(e){
+        e.preventDefault();
+        if(submitting) return;
+
+        submitting = true;
+        updateSubmitButton();
+        try{
+            if(!(await validate())){
+                const firstInvalid = Object.keys(rules).find(name => getField(name).error);
+                if(firstInvalid) getControl(firstInvalid)?.focus();
+                return;
+            }
+
+            await onSubmit(getValues());
+        } catch (error){
+            const fieldErrors = getFieldErrors(error);
+            const unmatched = fieldErrors ? setFieldErrors(fieldErrors) : null;
+            if(!fieldErrors || Object.keys(unmatched).length){
+                onError(error);
+            }
+        } finally{
+            submitting = false;
+            updateSubmitButton();
+        }
+    }
+
+    form.noValidate = true; // we show our own messages instead of the browser's bubbles
+    form.addEventListener('input', handleInput);
+    form.addEventListener('focusout', handleBlur);
+    form.addEventListener('submit', handleSubmit);
+
+    // Work out the initial state quietly (nothing is shown until the user types)
+    Object.keys(rules).forEach(name => checkField(name));
+
+    function destroy(){
+        fields.forEach(field => clearTimeout(field.timer));
+        form.removeEventListener('input', handleInput);
+        form.removeEventListener('focusout', handleBlur);
+        form.removeEventListener('submit', handleSubmit);
+    }
+
+    return { validate, setFieldErrors, getValues, destroy };
+}
+
+export {
+    bindForm,
+    getFieldErrors
+};
@@ -0,0 +1,57 @@
+/**
+ * Small formatting helpers shared by pages and components
+ */
+
+/**
+ * Turn a byte count into something readable (e.g. 1.5 MB)
+ *
+ * @param {number} bytes - Number of bytes
+ * @param {number} [decimals=1] - Digits after the decimal point
+ * @returns {string}
+ */
+function formatBytes(bytes, decimals = 1){
+    if(!bytes || bytes < 0){
+        return '0 B';
+    }
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, index);
+    return `${index === 0 ? value : value.toFixed(decimals)} ${units[index]}`;
+}
+
+/**
+ * Format a date (ISO string, timestamp or Date) for display
+ *
+ * @param {string|number|Date} value
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @returns {string} '' when there is no valid date
+ */
+function formatDate(value, options = { dateStyle: 'medium', timeStyle: 'short' }){
+    if(!value) return '';
+    const date = value instanceof Date ? value : new Date(value);
+    if(Number.isNaN(date.getTime())) return '';
+    return new Intl.DateTimeFormat(undefined, options).format(date);
+}
+
+/**
+ * Escape text so it can be put inside innerHTML safely
+ *
+ * Always use this for anything that came from a user or the API (file names etc.)
+ *
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeHtml(value){
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export {
+    formatBytes,
+    formatDate,
+    escapeHtml
+};
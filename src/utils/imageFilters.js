@@ -0,0 +1,96 @@
+/**
+ * Colour adjustments for the image editor
+ *
+ * Done on the pixels themselves rather than with `context.filter`, which
+ * not every browser supports on an OffscreenCanvas - this way the preview
+ * and the saved image look the same everywhere.
+ *
+ * A filter is a 3x3 colour matrix (rows = new R, G, B from the old R, G, B).
+ * Brightness and contrast are percentages (100 = unchanged) applied after
+ * it, through one lookup table.
+ */
+
+// Luminance weights (Rec. 709)
+const LUMA = [0.2126, 0.7152, 0.0722];
+
+/**
+ * Matrix that moves colours towards grey (amount 0) or away from it (> 1)
+ */
+function saturation(amount){
+    return [0, 1, 2].map(row => LUMA.map((weight, col) => weight * (1 - amount) + (row === col ? amount : 0)));
+}
+
+const FILTERS = {
+    none: { label: 'None', matrix: null },
+    grayscale: { label: 'Black & white', matrix: saturation(0) },
+    sepia: {
+        label: 'Sepia',
+        matrix: [
+            [0.393, 0.769, 0.189],
+            [0.349, 0.686, 0.168],
+            [0.272, 0.534, 0.131]
+        ]
+    },
+    vivid: { label: 'Vivid', matrix: saturation(1.4) },
+    muted: { label: 'Muted', matrix: saturation(0.6) },
+    warm: { label: 'Warm', matrix: [[1.08, 0, 0], [0, 1.02, 0], [0, 0, 0.9]] },
+    cool: { label: 'Cool', matrix: [[0.92, 0, 0], [0, 1, 0], [0, 0, 1.1]] }
+};
+
+/**
+ * Does this change anything?
+ *
+ * @param {{brightness: number, contrast: number, filter: string}} adjustments
+ */
+function hasAdjustments({ brightness = 100, contrast = 100, filter = 'none' }){
+    return brightness !== 100 || contrast !== 100 || Boolean(FILTERS[filter]?.matrix);
+}
+
+/**
+ * Brightness, then contrast around the middle grey, for every 0-255 value
+ */
+function createLookupTable(brightness, contrast){
+    const table = new Uint8ClampedArray(256);
+    const b = brightness / 100;
+    const c = contrast / 100;
+    for(let value = 0; value < 256; value++){
+        table[value] = (value * b - 128) * c + 128;
+    }
+    return table;
+}
+
+/**
+ * Apply the adjustments to image data, in place
+ *
+ * @param {ImageData} imageData
+ * @param {{brightness: number, contrast: number, filter: string}} adjustments
+ */
+function applyAdjustments(imageData, { brightness = 100, contrast = 100, filter = 'none' }){
+    const pixels = imageData.data;
+    const table = createLookupTable(brightness, contrast);
+    const matrix = FILTERS[filter]?.matrix;
+
+    for(let i = 0; i < pixels.length; i += 4){
+        let r = pixels[i];
+        let g = pixels[i + 1];
+        let b = pixels[i + 2];
+        if(matrix){
+            const [m0, m1, m2] = matrix;
+            const nr = m0[0] * r + m0[1] * g + m0[2] * b;
+            const ng = m1[0] * r + m1[1] * g + m1[2] * b;
+            b = m2[0] * r + m2[1] * g + m2[2] * b;
+            r = nr < 0 ? 0 : nr > 255 ? 255 : nr;
+            g = ng < 0 ? 0 : ng > 255 ? 255 : ng;
+            b = b < 0 ? 0 : b > 255 ? 255 : b;
+        }
+        pixels[i] = table[r | 0];
+        pixels[i + 1] = table[g | 0];
+        pixels[i + 2] = table[b | 0];
+    }
+}
+
+export {
+    FILTERS,
+    hasAdjustments,
+    applyAdjustments
+};
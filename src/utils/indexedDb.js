@@ -0,0 +1,116 @@
+/**
+ * Tiny IndexedDB helper for FileFlow App
+ *
+ * IndexedDB's API is event based and a bit awkward, so this wraps
+ * the few operations we need in Promises.
+ *
+ * All object stores live in one database. When you add a store,
+ * add it to STORES and bump DB_VERSION so the upgrade runs.
+ */
+
+const DB_NAME = 'fileflow';
+const DB_VERSION = 2;
+
+// Object store names (each one uses `id` as its key)
+const STORES = {
+    UPLOAD_SESSIONS: 'upload-sessions',
+    OUTBOX: 'outbox' // changes made offline, replayed by services/offline.js
+};
+
+// Opened database is cached after the first call
+let dbPromise = null;
+
+/**
+ * Open (and create/upgrade if needed) the FileFlow database
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(){
+    if(dbPromise){
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        if(!('indexedDB' in window)){
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        // Create any store that doesn't exist yet
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.values(STORES).forEach(name => {
+                if(!db.objectStoreNames.contains(name)){
+                    db.createObjectStore(name, { keyPath: 'id' });
+                }
+            });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry later if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against an object store
+ *
+ * @param {string} storeName - One of STORES
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<any>} The request result
+ */
+async function runRequest(storeName, mode, operation){
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Read one record by id
+ */
+function idbGet(storeName, id){
+    return runRequest(storeName, 'readonly', store => store.get(id));
+}
+
+/**
+ * Read every record in a store
+ */
+function idbGetAll(storeName){
+    return runRequest(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Insert or replace a record (must have an `id` field)
+ */
+function idbPut(storeName, value){
+    return runRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+/**
+ * Delete one record by id
+ */
+function idbDelete(storeName, id){
+    return runRequest(storeName, 'readwrite', store => store.delete(id));
+}
+
+export {
+    STORES,
+    idbGet,
+    idbGetAll,
+    idbPut,
+    idbDelete
+};
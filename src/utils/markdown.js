@@ -0,0 +1,92 @@
+import { escapeHtml } from './format.js';
+
+/**
+ * Tiny markdown renderer for comments
+ *
+ * Only the basics people type in a comment box:
+ *
+ *   **bold**  *italic* / _italic_  `code`  [text](https://link)
+ *   - list items   blank line = new paragraph   @username mentions
+ *
+ * Safe for innerHTML by construction: the whole text is escaped first and
+ * the rules only ever add their own tags around escaped text. Links keep
+ * http(s) and mailto URLs only, so `javascript:` and friends stay plain text.
+ * Anything else (headings, images, raw HTML) is shown as typed.
+ *
+ *   renderMarkdown('Nice shot @anna, **love** it')
+ *   -> '<p>Nice shot <a href="/u/anna" ...>@anna</a>, <strong>love</strong> it</p>'
+ */
+
+// Same rules as the username field on register: letters, digits, . _ -
+const MENTION_PATTERN = /(^|[^\w@/.-])@([a-zA-Z0-9_][a-zA-Z0-9._-]{0,29})/g;
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Inline rules for one line of already-escaped text
+ */
+function renderInline(text){
+    // Code spans first, parked as placeholders so nothing inside them is formatted
+    const codes = [];
+    let html = text.replace(/`([^`\n]+)`/g, (match, code) => {
+        codes.push(`<code class="px-1 rounded bg-base-200">${code}</code>`);
+        return `\u0000${codes.length - 1}\u0000`;
+    });
+
+    // Links - the URL is escaped text already, so quotes can't break out of href
+    const links = [];
+    html = html.replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        if(!SAFE_URL.test(url)) return match;
+        links.push(`<a href="${url}" class="link" target="_blank" rel="noopener noreferrer nofollow">${label}</a>`);
+        return `\u0001${links.length - 1}\u0001`;
+    });
+
+    html = html
+        .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?![*\w])/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?![_\w])/g, '$1<em>$2</em>')
+        .replace(MENTION_PATTERN, '$1<a href="/u/$2" class="link link-primary font-medium">@$2</a>');
+
+    return html
+        .replace(/\u0001(\d+)\u0001/g, (match, index) => links[index])
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => codes[index]);
+}
+
+/**
+ * Render comment markdown to HTML
+ *
+ * @param {string} text - What the user typed
+ * @returns {string} HTML, safe to put in innerHTML
+ */
+function renderMarkdown(text){
+    const blocks = escapeHtml(text)
+        .replace(/\r\n?/g, '\n')
+        .replace(/\u0000|\u0001/g, '')
+        .trim()
+        .split(/\n{2,}/);
+
+    return blocks.filter(Boolean).map(block => {
+        const lines = block.split('\n');
+        if(lines.every(line => /^\s*[-*] /.test(line))){
+            const items = lines.map(line => `<li>${renderInline(line.replace(/^\s*[-*] /, ''))}</li>`).join('');
+            return `<ul class="list-disc pl-5">${items}</ul>`;
+        }
+        return `<p>${lines.map(renderInline).join('<br>')}</p>`;
+    }).join('');
+}
+
+/**
+ * Usernames mentioned in a comment, without the @ and without duplicates
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractMentions(text){
+    const names = [...String(text ?? '').matchAll(MENTION_PATTERN)].map(match => match[2]);
+    return [...new Set(names)];
+}
+
+export {
+    renderMarkdown,
+    extractMentions
+};
@@ -0,0 +1,52 @@
+import { getCurrentUser } from '../store/index.js';
+
+/**
+ * Per-user UI preferences (view mode, sort order, ...)
+ *
+ * Saved in localStorage under a key that includes the user id, so two
+ * people sharing a browser each keep their own settings.
+ * These are only UI niceties - failures are logged and ignored.
+ */
+
+const PREFIX = 'fileflow:prefs';
+
+function getPreferenceKey(name){
+    const user = getCurrentUser();
+    const userId = user?.id ?? user?.username ?? 'guest';
+    return `${PREFIX}:${userId}:${name}`;
+}
+
+/**
+ * Read a preference for the current user
+ *
+ * @param {string} name - Preference name, e.g. 'fileBrowser.viewMode'
+ * @param {*} fallback - Returned when nothing is saved
+ */
+function getUserPreference(name, fallback = null){
+    try{
+        const raw = localStorage.getItem(getPreferenceKey(name));
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error){
+        console.warn('Failed to read preference:', name, error);
+        return fallback;
+    }
+}
+
+/**
+ * Save a preference for the current user
+ *
+ * @param {string} name - Preference name
+ * @param {*} value - Anything JSON can store
+ */
+function setUserPreference(name, value){
+    try{
+        localStorage.setItem(getPreferenceKey(name), JSON.stringify(value));
+    } catch (error){
+        console.warn('Failed to save preference:', name, error);
+    }
+}
+
+export {
+    getUserPreference,
+    setUserPreference
+};
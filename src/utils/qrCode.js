@@ -0,0 +1,409 @@
+/**
+ * QR code generator (for the 2FA setup screen)
+ *
+ * Just enough of the QR standard for an otpauth:// link: byte mode,
+ * error correction level M, versions 1-10 (up to 213 bytes). Nothing is
+ * sent anywhere to draw the code - the 2FA secret stays in the browser.
+ *
+ *   const qr = createQrCode('otpauth://totp/FileFlow:ada@example.com?secret=...');
+ *   qr.size;              // modules per side, e.g. 41
+ *   qr.isDark(x, y);      // true for a black module
+ *   qrCodeToSvg(qr);      // '<svg ...>...</svg>'
+ *
+ * Follows the structure of ISO/IEC 18004: data codewords, Reed-Solomon
+ * error correction per block, interleaving, function patterns, zigzag
+ * placement, then the mask with the lowest penalty.
+ */
+
+const MAX_VERSION = 10;
+
+// Level M, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+// Level M in the format information
+const ECC_FORMAT_BITS = 0;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * ====================================
+ * REED-SOLOMON (GF(2^8), polynomial 0x11D)
+ * ====================================
+ */
+
+function gfMultiply(x, y){
+    let z = 0;
+    for(let i = 7; i >= 0; i--){
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree){
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for(let i = 0; i < degree; i++){
+        for(let j = 0; j < degree; j++){
+            result[j] = gfMultiply(result[j], root);
+            if(j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor){
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor); });
+    });
+    return result;
+}
+
+/**
+ * ====================================
+ * CODEWORDS
+ * ====================================
+ */
+
+// Modules left for data + error correction once the function patterns are drawn
+function getNumRawDataModules(version){
+    let result = (16 * version + 128) * version + 64;
+    if(version >= 2){
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if(version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getNumDataCodewords(version){
+    return Math.floor(getNumRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+}
+
+/**
+ * Mode indicator, length and data, padded to the version's capacity
+ */
+function encodeData(bytes, version){
+    const bits = [];
+    const append = (value, length) => {
+        for(let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0b0100, 4); // byte mode
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacityBits = getNumDataCodewords(version) * 8;
+    append(0, Math.min(4, capacityBits - bits.length)); // terminator
+    append(0, (8 - bits.length % 8) % 8);
+    for(let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for(let i = 0; i < bits.length; i += 8){
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Split into blocks, add error correction to each, interleave
+ */
+function addErrorCorrection(data, version){
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonDivisor(blockEccLength);
+
+    const blocks = [];
+    for(let i = 0, k = 0; i < numBlocks; i++){
+        const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = reedSolomonRemainder(block, divisor);
+        if(i < numShortBlocks) block.push(0); // placeholder, skipped below
+        blocks.push([...block, ...ecc]);
+    }
+
+    const result = [];
+    for(let i = 0; i < blocks[0].length; i++){
+        blocks.forEach((block, j) => {
+            if(i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+/**
+ * ====================================
+ * MODULE GRID
+ * ====================================
+ */
+
+function getAlignmentPositions(version, size){
+    if(version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const positions = [6];
+    for(let pos = size - 7; positions.length < numAlign; pos -= step) positions.splice(1, 0, pos);
+    return positions;
+}
+
+function createGrid(version){
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+    return { version, size, modules, isFunction, setFunction };
+}
+
+function drawFormatBits(grid, mask){
+    const { size, setFunction } = grid;
+    const data = (ECC_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for(let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+
+    // Around the top-left finder
+    for(let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for(let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+
+    // Copy next to the other two finders
+    for(let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for(let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true); // always dark
+}
+
+function drawFunctionPatterns(grid){
+    const { version, size, setFunction } = grid;
+
+    // Timing patterns
+    for(let i = 0; i < size; i++){
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns (with their light separators)
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for(let dy = -4; dy <= 4; dy++){
+            for(let dx = -4; dx <= 4; dx++){
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if(x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, except where they'd hit a finder
+    const positions = getAlignmentPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => positions.forEach((cx, j) => {
+        if((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for(let dy = -2; dy <= 2; dy++){
+            for(let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }));
+
+    // Reserve the format areas (real bits come with the mask)
+    drawFormatBits(grid, 0);
+
+    // Version information (version 7 and up)
+    if(version >= 7){
+        let remainder = version;
+        for(let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (version << 12) | remainder;
+        for(let i = 0; i < 18; i++){
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+}
+
+/**
+ * Place the codewords in the zigzag pattern, two columns at a time from the bottom right
+ */
+function drawCodewords(grid, codewords){
+    const { size, modules, isFunction } = grid;
+    let i = 0;
+    for(let right = size - 1; right >= 1; right -= 2){
+        if(right === 6) right = 5; // skip the vertical timing pattern
+        const upward = ((right + 1) & 2) === 0;
+        for(let vertical = 0; vertical < size; vertical++){
+            const y = upward ? size - 1 - vertical : vertical;
+            for(let j = 0; j < 2; j++){
+                const x = right - j;
+                if(!isFunction[y][x] && i < codewords.length * 8){
+                    modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask(grid, mask){
+    const { size, modules, isFunction } = grid;
+    for(let y = 0; y < size; y++){
+        for(let x = 0; x < size; x++){
+            if(!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+/**
+ * ====================================
+ * MASK PENALTY
+ * ====================================
+ */
+
+function getPenaltyScore({ size, modules }){
+    let penalty = 0;
+    let dark = 0;
+
+    // Runs of 5+ same-colour modules in a row or column
+    const linePenalty = (get) => {
+        let score = 0;
+        for(let a = 0; a < size; a++){
+            let runLength = 1;
+            for(let b = 1; b <= size; b++){
+                if(b < size && get(a, b) === get(a, b - 1)){
+                    runLength++;
+                } else {
+                    if(runLength >= 5) score += runLength - 2;
+                    runLength = 1;
+                }
+            }
+        }
+        return score;
+    };
+    penalty += linePenalty((y, x) => modules[y][x]);
+    penalty += linePenalty((x, y) => modules[y][x]);
+
+    // 2x2 blocks of one colour
+    for(let y = 0; y < size - 1; y++){
+        for(let x = 0; x < size - 1; x++){
+            const colour = modules[y][x];
+            if(colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) penalty += 3;
+        }
+    }
+
+    // Finder-like 1:1:3:1:1 patterns with 4 light modules on one side
+    const finderLike = [true, false, true, true, true, false, true];
+    const matchesAt = (get, a, b) => {
+        if(!finderLike.every((value, k) => get(a, b + k) === value)) return false;
+        const lightRun = (from) => [0, 1, 2, 3].every(k => {
+            const position = from + k;
+            return position < 0 || position >= size || !get(a, position);
+        });
+        return lightRun(b - 4) || lightRun(b + 7);
+    };
+    for(let a = 0; a < size; a++){
+        for(let b = 0; b + 7 <= size; b++){
+            if(matchesAt((y, x) => modules[y][x], a, b)) penalty += 40;
+            if(matchesAt((x, y) => modules[y][x], a, b)) penalty += 40;
+        }
+    }
+
+    // Balance of dark and light
+    modules.forEach(row => row.forEach(module => { if(module) dark++; }));
+    const total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+
+    return penalty;
+}
+
+/**
+ * ====================================
+ * PUBLIC API
+ * ====================================
+ */
+
+/**
+ * Encode text as a QR code
+ *
+ * @param {string} text
+ * @returns {{size: number, isDark: (x: number, y: number) => boolean}}
+ * @throws {Error} When the text doesn't fit in version 10
+ */
+function createQrCode(text){
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    // 4 bits of mode + 8 or 16 bits of length
+    while(version <= MAX_VERSION && (4 + (version < 10 ? 8 : 16) + bytes.length * 8) > getNumDataCodewords(version) * 8) version++;
+    if(version > MAX_VERSION) throw new Error('Text is too long for a QR code');
+
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+    // Try every mask and keep the one that's easiest to scan
+    let best = null;
+    for(let mask = 0; mask < MASKS.length; mask++){
+        const grid = createGrid(version);
+        drawFunctionPatterns(grid);
+        drawCodewords(grid, codewords);
+        applyMask(grid, mask);
+        drawFormatBits(grid, mask);
+        const penalty = getPenaltyScore(grid);
+        if(!best || penalty < best.penalty) best = { grid, penalty };
+    }
+
+    const { size, modules } = best.grid;
+    return {
+        size,
+        isDark: (x, y) => x >= 0 && x < size && y >= 0 && y < size && modules[y][x]
+    };
+}
+
+/**
+ * Draw a QR code as an SVG string (one path, scales to any size)
+ *
+ * @param {{size: number, isDark: Function}} qr
+ * @param {Object} [options]
+ * @param {number} [options.margin=4] - Light modules around the code (scanners need at least 4)
+ * @param {string} [options.label='QR code'] - Accessible name
+ * @returns {string}
+ */
+function qrCodeToSvg(qr, { margin = 4, label = 'QR code' } = {}){
+    const parts = [];
+    for(let y = 0; y < qr.size; y++){
+        for(let x = 0; x < qr.size; x++){
+            if(qr.isDark(x, y)) parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+        }
+    }
+    const viewSize = qr.size + margin * 2;
+    const safeLabel = String(label).replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${viewSize} ${viewSize}" shape-rendering="crispEdges" role="img" aria-label="${safeLabel}">`
+        + `<rect width="100%" height="100%" fill="#fff"/><path d="${parts.join('')}" fill="#000"/></svg>`;
+}
+
+export {
+    createQrCode,
+    qrCodeToSvg
+};
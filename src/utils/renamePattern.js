@@ -0,0 +1,67 @@
+/**
+ * Rename patterns for bulk rename
+ *
+ * Tokens:
+ *   {n}     -> 1, 2, 3, ...
+ *   {n:3}   -> 001, 002, 003, ... (zero-padded to 3 digits)
+ *   {name}  -> original name without extension
+ *   {ext}   -> original extension (without the dot)
+ *
+ * File extensions are kept automatically unless the pattern uses {ext}:
+ *   'holiday-{n}' on 'IMG_2041.jpg' (first item) -> 'holiday-1.jpg'
+ */
+
+const TOKEN_PATTERN = /\{(n(?::(\d+))?|name|ext)\}/g;
+
+/**
+ * Split a file name into base name and extension
+ */
+function splitName(name){
+    const dot = name.lastIndexOf('.');
+    if(dot <= 0) return { base: name, ext: '' };
+    return { base: name.slice(0, dot), ext: name.slice(dot + 1) };
+}
+
+/**
+ * Build the new name for one item
+ *
+ * @param {string} pattern - e.g. 'holiday-{n}'
+ * @param {Object} item - { name, isFolder }
+ * @param {number} index - Position in the selection (0-based)
+ * @returns {string}
+ */
+function applyRenamePattern(pattern, item, index){
+    const { base, ext } = item.isFolder ? { base: item.name, ext: '' } : splitName(item.name);
+    let usesExt = false;
+
+    const name = pattern.replace(TOKEN_PATTERN, (match, token, padding) => {
+        if(token === 'name') return base;
+        if(token === 'ext'){
+            usesExt = true;
+            return ext;
+        }
+        const number = String(index + 1);
+        return padding ? number.padStart(Number(padding), '0') : number;
+    }).trim();
+
+    return ext && !usesExt ? `${name}.${ext}` : name;
+}
+
+/**
+ * Check a pattern before using it
+ *
+ * @param {string} pattern
+ * @param {number} count - How many items will be renamed
+ * @returns {string|null} Error message, or null when the pattern is fine
+ */
+function validateRenamePattern(pattern, count){
+    if(!pattern || !pattern.trim()) return 'Enter a name or pattern';
+    if(/[\\/]/.test(pattern)) return 'Names cannot contain / or \\';
+    if(count > 1 && !/\{n(?::\d+)?\}/.test(pattern)) return 'Use {n} so each item gets a different name';
+    return null;
+}
+
+export {
+    applyRenamePattern,
+    validateRenamePattern
+};
@@ -0,0 +1,137 @@
+/**
+ * Incremental SHA-256
+ *
+ * crypto.subtle.digest() only takes the whole input at once, which would
+ * mean holding a multi-GB file in memory. This one is fed piece by piece:
+ *
+ *   const hash = createSha256();
+ *   hash.update(bytesA);
+ *   hash.update(bytesB);
+ *   hash.digest(); // -> '9f86d081884c7d65...' (lowercase hex)
+ *
+ * Used by the hashing worker (services/fileHash.worker.js) for big files.
+ */
+
+// First 32 bits of the fractional parts of the cube roots of the first 64 primes
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const BLOCK_SIZE = 64;
+
+/**
+ * @returns {{ update: (bytes: Uint8Array) => void, digest: () => string }}
+ */
+function createSha256(){
+    const state = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const words = new Uint32Array(64);
+    // Bytes left over from the last update() that don't fill a block yet
+    const buffer = new Uint8Array(BLOCK_SIZE);
+    let buffered = 0;
+    let totalBytes = 0;
+
+    function processBlock(bytes, offset){
+        for(let i = 0; i < 16; i++){
+            const p = offset + i * 4;
+            words[i] = (bytes[p] << 24) | (bytes[p + 1] << 16) | (bytes[p + 2] << 8) | bytes[p + 3];
+        }
+        for(let i = 16; i < 64; i++){
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+            const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+            words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = state;
+        for(let i = 0; i < 64; i++){
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (h + S1 + ch + K[i] + words[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+
+    function update(bytes){
+        let offset = 0;
+        totalBytes += bytes.length;
+
+        // Top up a half-filled block first
+        if(buffered){
+            const take = Math.min(BLOCK_SIZE - buffered, bytes.length);
+            buffer.set(bytes.subarray(0, take), buffered);
+            buffered += take;
+            offset = take;
+            if(buffered < BLOCK_SIZE) return;
+            processBlock(buffer, 0);
+            buffered = 0;
+        }
+
+        while(offset + BLOCK_SIZE <= bytes.length){
+            processBlock(bytes, offset);
+            offset += BLOCK_SIZE;
+        }
+
+        buffer.set(bytes.subarray(offset), 0);
+        buffered = bytes.length - offset;
+    }
+
+    function digest(){
+        // Padding: a 1 bit, zeros, then the length in bits as a 64-bit number
+        const bitLength = totalBytes * 8;
+        const padLength = buffered < 56 ? 56 - buffered : 120 - buffered;
+        const padding = new Uint8Array(padLength + 8);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padLength, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padLength + 4, bitLength >>> 0);
+        update(padding);
+
+        return Array.from(state, word => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    return { update, digest };
+}
+
+/**
+ * Lowercase hex of a digest from crypto.subtle (same format as createSha256().digest())
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toHex(buffer){
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export {
+    createSha256,
+    toHex
+};
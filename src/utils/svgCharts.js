@@ -0,0 +1,152 @@
+import { escapeHtml } from './format.js';
+
+/**
+ * Small SVG charts - plain markup strings, no chart library
+ *
+ * Each function returns an <svg> that scales to the width of its parent
+ * (viewBox), ready for innerHTML. Colours are DaisyUI theme colours via
+ * Tailwind classes, so charts follow the light/dark theme. Labels are
+ * escaped here, callers pass plain text.
+ *
+ * Every part has a <title>, which browsers show as a tooltip.
+ */
+
+// Theme colours in the order charts use them (full class names, so Tailwind keeps them)
+const CHART_COLORS = [
+    { fill: 'fill-primary', stroke: 'stroke-primary', bg: 'bg-primary' },
+    { fill: 'fill-secondary', stroke: 'stroke-secondary', bg: 'bg-secondary' },
+    { fill: 'fill-accent', stroke: 'stroke-accent', bg: 'bg-accent' },
+    { fill: 'fill-info', stroke: 'stroke-info', bg: 'bg-info' },
+    { fill: 'fill-success', stroke: 'stroke-success', bg: 'bg-success' },
+    { fill: 'fill-warning', stroke: 'stroke-warning', bg: 'bg-warning' },
+    { fill: 'fill-error', stroke: 'stroke-error', bg: 'bg-error' },
+    { fill: 'fill-neutral', stroke: 'stroke-neutral', bg: 'bg-neutral' }
+];
+
+function getChartColor(index){
+    return CHART_COLORS[index % CHART_COLORS.length];
+}
+
+// Keep numbers in the markup short
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Ring split into segments (share of a total)
+ *
+ * @param {Array<{value: number, title: string}>} segments - Coloured with CHART_COLORS in order
+ * @param {Object} [options]
+ * @param {string} [options.label] - Accessible name of the chart
+ * @param {string} [options.centerText] - Shown in the middle, e.g. the total
+ * @returns {string}
+ */
+function donutChartSvg(segments, { label = 'Chart', centerText = '' } = {}){
+    const size = 120;
+    const thickness = 18;
+    const radius = (size - thickness) / 2;
+    const circumference = 2 * Math.PI * radius;
+    const total = segments.reduce((sum, segment) => sum + Math.max(0, segment.value), 0);
+
+    let offset = 0;
+    const rings = total > 0 ? segments.map((segment, index) => {
+        const length = (Math.max(0, segment.value) / total) * circumference;
+        const ring = `
+            <circle r="${round(radius)}" cx="${size / 2}" cy="${size / 2}" fill="none" stroke-width="${thickness}"
+                class="${getChartColor(index).stroke}"
+                stroke-dasharray="${round(length)} ${round(circumference - length)}" stroke-dashoffset="${round(-offset)}">
+                <title>${escapeHtml(segment.title)}</title>
+            </circle>`;
+        offset += length;
+        return ring;
+    }).join('') : '';
+
+    return `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" role="img" aria-label="${escapeHtml(label)}">
+            <circle r="${round(radius)}" cx="${size / 2}" cy="${size / 2}" fill="none" stroke-width="${thickness}" class="stroke-base-300" />
+            <g transform="rotate(-90 ${size / 2} ${size / 2})">${rings}</g>
+            ${centerText ? `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="central" class="fill-current text-[11px] font-semibold">${escapeHtml(centerText)}</text>` : ''}
+        </svg>
+    `;
+}
+
+/**
+ * One horizontal bar per row, label above it and value on the right
+ *
+ * @param {Array<{label: string, value: number, valueText: string}>} rows - Largest first reads best
+ * @param {Object} [options]
+ * @param {string} [options.label] - Accessible name of the chart
+ * @returns {string}
+ */
+function barListSvg(rows, { label = 'Chart' } = {}){
+    const width = 400;
+    const rowHeight = 32;
+    const barHeight = 10;
+    const max = Math.max(0, ...rows.map(row => row.value));
+
+    const bars = rows.map((row, index) => {
+        const y = index * rowHeight;
+        const barWidth = max > 0 ? Math.max(2, (row.value / max) * width) : 0;
+        return `
+            <g>
+                <title>${escapeHtml(`${row.label}: ${row.valueText}`)}</title>
+                <text x="0" y="${y + 12}" class="fill-current text-[12px]">${escapeHtml(row.label)}</text>
+                <text x="${width}" y="${y + 12}" text-anchor="end" class="fill-current text-[12px] opacity-70">${escapeHtml(row.valueText)}</text>
+                <rect x="0" y="${y + 17}" width="${width}" height="${barHeight}" rx="${barHeight / 2}" class="fill-base-300" />
+                <rect x="0" y="${y + 17}" width="${round(barWidth)}" height="${barHeight}" rx="${barHeight / 2}" class="${getChartColor(index).fill}" />
+            </g>`;
+    }).join('');
+
+    return `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${Math.max(1, rows.length) * rowHeight}" role="img" aria-label="${escapeHtml(label)}">
+            ${bars}
+        </svg>
+    `;
+}
+
+/**
+ * Vertical bars over time (one per day, week...)
+ *
+ * @param {Array<{value: number, title: string, tick?: string}>} bars - Oldest first; `tick` labels the x axis under that bar
+ * @param {Object} [options]
+ * @param {string} [options.label] - Accessible name of the chart
+ * @param {string} [options.maxText] - Label for the top of the scale, e.g. "12 MB"
+ * @returns {string}
+ */
+function columnChartSvg(bars, { label = 'Chart', maxText = '' } = {}){
+    const width = 600;
+    const height = 160;
+    const top = 14;
+    const bottom = 20;
+    const plotHeight = height - top - bottom;
+    const slot = width / Math.max(1, bars.length);
+    const barWidth = Math.max(1, slot * 0.7);
+    const max = Math.max(0, ...bars.map(bar => bar.value));
+
+    const columns = bars.map((bar, index) => {
+        const x = index * slot + (slot - barWidth) / 2;
+        const barHeight = max > 0 && bar.value > 0 ? Math.max(2, (bar.value / max) * plotHeight) : 0;
+        return `
+            <g>
+                <title>${escapeHtml(bar.title)}</title>
+                <rect x="${round(index * slot)}" y="${top}" width="${round(slot)}" height="${plotHeight}" fill="transparent" />
+                <rect x="${round(x)}" y="${round(top + plotHeight - barHeight)}" width="${round(barWidth)}" height="${round(barHeight)}" rx="2" class="fill-primary" />
+                ${bar.tick ? `<text x="${round(index * slot + slot / 2)}" y="${height - 4}" text-anchor="middle" class="fill-current text-[10px] opacity-70">${escapeHtml(bar.tick)}</text>` : ''}
+            </g>`;
+    }).join('');
+
+    return `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)}">
+            <line x1="0" x2="${width}" y1="${top}" y2="${top}" class="stroke-base-300" stroke-dasharray="4 4" />
+            <line x1="0" x2="${width}" y1="${top + plotHeight}" y2="${top + plotHeight}" class="stroke-base-300" />
+            ${maxText ? `<text x="0" y="${top - 4}" class="fill-current text-[10px] opacity-70">${escapeHtml(maxText)}</text>` : ''}
+            ${columns}
+        </svg>
+    `;
+}
+
+export {
+    CHART_COLORS,
+    getChartColor,
+    donutChartSvg,
+    barListSvg,
+    columnChartSvg
+};
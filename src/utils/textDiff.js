@@ -0,0 +1,132 @@
+/**
+ * Line diff for comparing two versions of a text file
+ *
+ * Classic longest-common-subsequence diff over lines. The unchanged start
+ * and end are trimmed first, so a small edit in a big file only compares
+ * the few lines around it. Runs of removed + added lines are paired up as
+ * "changed" rows, which is what a side-by-side view wants:
+ *
+ *   diffLines('a\nb\nc', 'a\nB\nc')
+ *   -> [
+ *        { type: 'same',    left: { number: 1, text: 'a' }, right: { number: 1, text: 'a' } },
+ *        { type: 'changed', left: { number: 2, text: 'b' }, right: { number: 2, text: 'B' } },
+ *        { type: 'same',    left: { number: 3, text: 'c' }, right: { number: 3, text: 'c' } }
+ *      ]
+ *
+ * Row types: 'same' | 'changed' | 'removed' (left only) | 'added' (right only)
+ */
+
+// Above this many line pairs in the changed middle part, skip the LCS and
+// show the middle as replaced - keeps memory and time in check on huge rewrites
+const MAX_LCS_CELLS = 4000000;
+
+function splitLines(text){
+    if(text === '' || text === null || text === undefined) return [];
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    // A trailing newline isn't an extra empty line
+    if(lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Edit script for the middle part: 'same' / 'removed' / 'added' per line
+ */
+function diffMiddle(before, after){
+    const n = before.length;
+    const m = after.length;
+    if(!n) return after.map(() => 'added');
+    if(!m) return before.map(() => 'removed');
+    if(n * m > MAX_LCS_CELLS){
+        return [...before.map(() => 'removed'), ...after.map(() => 'added')];
+    }
+
+    // lengths[i][j] = LCS of before[i..] and after[j..], stored flat
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for(let i = n - 1; i >= 0; i--){
+        for(let j = m - 1; j >= 0; j--){
+            lengths[i * width + j] = before[i] === after[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while(i < n && j < m){
+        if(before[i] === after[j]){
+            ops.push('same');
+            i++;
+            j++;
+        } else if(lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]){
+            ops.push('removed');
+            i++;
+        } else {
+            ops.push('added');
+            j++;
+        }
+    }
+    while(i++ < n) ops.push('removed');
+    while(j++ < m) ops.push('added');
+    return ops;
+}
+
+/**
+ * Compare two texts line by line
+ *
+ * @param {string} beforeText
+ * @param {string} afterText
+ * @returns {Array<{type: string, left: {number: number, text: string}|null, right: {number: number, text: string}|null}>}
+ */
+function diffLines(beforeText, afterText){
+    const before = splitLines(beforeText);
+    const after = splitLines(afterText);
+
+    let start = 0;
+    while(start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while(endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]){
+        endBefore--;
+        endAfter--;
+    }
+
+    const ops = [
+        ...Array(start).fill('same'),
+        ...diffMiddle(before.slice(start, endBefore), after.slice(start, endAfter)),
+        ...Array(before.length - endBefore).fill('same')
+    ];
+
+    // Walk the script, pairing each run of removed lines with the added lines after it
+    const rows = [];
+    let left = 0;
+    let right = 0;
+    const line = (lines, index) => ({ number: index + 1, text: lines[index] });
+
+    for(let k = 0; k < ops.length;){
+        if(ops[k] === 'same'){
+            rows.push({ type: 'same', left: line(before, left++), right: line(after, right++) });
+            k++;
+            continue;
+        }
+
+        const removed = [];
+        const added = [];
+        while(k < ops.length && ops[k] !== 'same'){
+            if(ops[k] === 'removed') removed.push(line(before, left++));
+            else added.push(line(after, right++));
+            k++;
+        }
+        for(let p = 0; p < Math.max(removed.length, added.length); p++){
+            const l = removed[p] || null;
+            const r = added[p] || null;
+            rows.push({ type: l && r ? 'changed' : l ? 'removed' : 'added', left: l, right: r });
+        }
+    }
+    return rows;
+}
+
+export {
+    diffLines
+};
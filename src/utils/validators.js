@@ -0,0 +1,229 @@
+/**
+ * Form validation rules for FileFlow App
+ *
+ * A rule is a function `(value, values) => string | null` that returns an
+ * error message, or null when the value is fine. `values` holds every field
+ * of the form, so rules can compare fields. Rules are made by the factories
+ * below and combined per field in a list - the first failing rule wins:
+ *
+ *   const rules = {
+ *       email: [required(), email()],
+ *       password: [required(), passwordStrength({ minScore: 3 })],
+ *       confirmPassword: [required(), matchesField('password', 'Passwords do not match')]
+ *   };
+ *
+ * Async rules (e.g. "is this username free?") are made with asyncRule();
+ * they only run after the sync rules pass, and the form binder debounces them.
+ *
+ * See utils/formBinder.js for wiring rules to a <form>.
+ */
+
+/**
+ * ====================================
+ * BASIC RULES
+ * ====================================
+ */
+
+// Values that count as "nothing entered"
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Field must have a value
+ */
+function required(message = 'This field is required'){
+    return (value) => isEmpty(value) ? message : null;
+}
+
+/**
+ * Must look like an email address (the server does the real check)
+ */
+function email(message = 'Enter a valid email address'){
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return (value) => isEmpty(value) || EMAIL_PATTERN.test(String(value).trim()) ? null : message;
+}
+
+/**
+ * At least `length` characters
+ */
+function minLength(length, message = `Use at least ${length} characters`){
+    return (value) => isEmpty(value) || String(value).length >= length ? null : message;
+}
+
+/**
+ * At most `length` characters
+ */
+function maxLength(length, message = `Use at most ${length} characters`){
+    return (value) => isEmpty(value) || String(value).length <= length ? null : message;
+}
+
+/**
+ * Must match a regular expression
+ */
+function pattern(regex, message = 'This value is not valid'){
+    return (value) => isEmpty(value) || regex.test(String(value)) ? null : message;
+}
+
+/**
+ * Must equal another field (e.g. "confirm password")
+ *
+ * The binder re-checks this field whenever `fieldName` changes.
+ */
+function matchesField(fieldName, message = 'The values do not match'){
+    const rule = (value, values = {}) => isEmpty(value) || value === values[fieldName] ? null : message;
+    rule.dependsOn = fieldName;
+    return rule;
+}
+
+/**
+ * ====================================
+ * PASSWORD STRENGTH
+ * ====================================
+ */
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+// A few passwords people always try - these are never OK
+const COMMON_PASSWORDS = ['password', '12345678', '123456789', 'qwerty123', 'iloveyou', 'letmein1', 'password1', 'fileflow'];
+
+/**
+ * Score a password from 0 (very weak) to 4 (strong)
+ *
+ * Points for length and for mixing character types, minus points for
+ * repeats and well-known passwords. Rough, but good enough for a meter.
+ *
+ * @param {string} password
+ * @returns {{score: number, label: string, suggestions: string[]}}
+ */
+function scorePassword(password = ''){
+    const suggestions = [];
+    let points = 0;
+
+    if(password.length >= 8) points++;
+    else suggestions.push('Use at least 8 characters');
+    if(password.length >= 12) points++;
+
+    const hasLower = /[a-z]/.test(password);
+    const hasUpper = /[A-Z]/.test(password);
+    if(hasLower && hasUpper) points++;
+    else suggestions.push('Mix upper and lower case letters');
+
+    if(/\d/.test(password)) points++;
+    else suggestions.push('Add a number');
+
+    if(/[^A-Za-z0-9]/.test(password)) points++;
+    else suggestions.push('Add a symbol');
+
+    // "aaaa" or "1111" - lots of length, little strength
+    if(/(.)\1{3,}/.test(password)){
+        points--;
+        suggestions.push('Avoid repeating the same character');
+    }
+
+    if(COMMON_PASSWORDS.includes(password.toLowerCase())){
+        points = 0;
+        suggestions.unshift('This password is too common');
+    }
+
+    const score = password ? Math.max(0, Math.min(4, points - 1)) : 0;
+    return { score, label: STRENGTH_LABELS[score], suggestions };
+}
+
+/**
+ * Password must reach a minimum strength score (see scorePassword)
+ */
+function passwordStrength({ minScore = 2, message } = {}){
+    return (value) => {
+        if(isEmpty(value)) return null;
+        const { score, suggestions } = scorePassword(value);
+        if(score >= minScore) return null;
+        return message || `Password is too weak. ${suggestions[0] || ''}`.trim();
+    };
+}
+
+/**
+ * ====================================
+ * ASYNC RULES
+ * ====================================
+ */
+
+/**
+ * Make a rule that asks the server
+ *
+ * @param {Function} check - async (value, values) => error message or null
+ * @param {Object} [options]
+ * @param {number} [options.debounce=400] - ms to wait after the last keystroke
+ * @returns {Function} Rule returning a Promise
+ *
+ * Usage:
+ *   asyncRule(async (username) => (await isUsernameAvailable(username)) ? null : 'That username is taken')
+ */
+function asyncRule(check, { debounce = 400 } = {}){
+    const rule = (value, values) => check(value, values);
+    rule.async = true;
+    rule.debounce = debounce;
+    return rule;
+}
+
+/**
+ * ====================================
+ * RUNNING RULES
+ * ====================================
+ */
+
+/**
+ * Run the sync rules of a field
+ *
+ * @returns {string|null} First error, or null
+ */
+function runSyncRules(rules, value, values){
+    for(const rule of rules){
+        if(rule.async) continue;
+        const error = rule(value, values);
+        if(error) return error;
+    }
+    return null;
+}
+
+/**
+ * Run all rules of a field: sync first, async only if those pass
+ *
+ * @param {Function[]} rules
+ * @param {*} value
+ * @param {Object} [values] - All form values
+ * @returns {Promise<string|null>} First error, or null
+ */
+async function validateValue(rules, value, values = {}){
+    const syncError = runSyncRules(rules, value, values);
+    if(syncError) return syncError;
+
+    // Nothing to ask the server about an empty optional field
+    if(isEmpty(value)) return null;
+
+    for(const rule of rules){
+        if(!rule.async) continue;
+        const error = await rule(value, values);
+        if(error) return error;
+    }
+    return null;
+}
+
+export {
+    // basic rules
+    required,
+    email,
+    minLength,
+    maxLength,
+    pattern,
+    matchesField,
+
+    // passwords
+    scorePassword,
+    passwordStrength,
+
+    // async
+    asyncRule,
+
+    // running rules
+    runSyncRules,
+    validateValue
+};